@@ -0,0 +1,37 @@
+const Call = require('../models/Call');
+const jobQueue = require('../services/jobQueue');
+const tenantService = require('../services/tenantService');
+const alertService = require('../services/alertService');
+const coachingSessionService = require('../services/coachingSessionService');
+const { processCallAsync, markCallFailed } = require('../controllers/callController');
+
+/**
+ * Register a handler for every background job type. API servers running the
+ * in-process worker and dedicated workers both call this before starting the
+ * queue, so whichever process claims a job can run it.
+ */
+const registerJobHandlers = () => {
+  // Run the processing pipeline for queued calls, in the context of the call's tenant;
+  // a call whose job runs out of attempts is failed so it can be retried
+  jobQueue.register('process-call', async (job) => {
+    const call = await Call.findById(job.payload.callId).select('tenant');
+    return tenantService.run(call?.tenant, () => processCallAsync(job.payload.callId, {
+      ...job.payload,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts
+    }));
+  }, {
+    onFailed: (job, lastError) => markCallFailed(job.payload.callId, lastError)
+  });
+
+  // Delete calls past each tenant's retention period
+  jobQueue.register(tenantService.RETENTION_JOB, () => tenantService.enforceRetention());
+
+  // Deliver (or retry delivering) an alert to a webhook
+  jobQueue.register(alertService.WEBHOOK_JOB, (job) => alertService.deliverWebhook(job.payload));
+
+  // Flag coaching sessions still open at their due date
+  jobQueue.register(coachingSessionService.DUE_JOB, (job) => coachingSessionService.checkOverdue(job.payload));
+};
+
+module.exports = { registerJobHandlers };
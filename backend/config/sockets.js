@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Call = require('../models/Call');
+const alertService = require('../services/alertService');
+const accessService = require('../services/accessService');
+const { userRoom } = require('../services/coachingSessionService');
+
+// The signed-in, active user a socket's token belongs to, or null
+const authenticate = async (token, fields) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'omind_ai_fallback_jwt_secret_2024');
+  const user = await User.findById(decoded.id).select(`isActive ${fields}`);
+  return user?.isActive ? user : null;
+};
+
+/**
+ * Handle the room requests of every Socket.IO client. Each room carries data
+ * only some users may see, so clients send their token to join one.
+ */
+const registerSocketHandlers = (io) => {
+  io.on('connection', (socket) => {
+    console.log('🔌 Client connected:', socket.id);
+
+    // Processing updates carry the transcript, analysis and coaching plan, so
+    // only users who may view the call can follow it
+    socket.on('join-call-room', async (callId, token) => {
+      try {
+        const user = await authenticate(token, 'role organization tenant');
+        const call = user && mongoose.Types.ObjectId.isValid(callId)
+          ? await Call.findOne({ _id: callId, tenant: user.tenant }).select('user tenant')
+          : null;
+
+        if (!call || !accessService.canAccessCall(await accessService.getScope(user), 'view', call)) {
+          socket.emit('call-room-error', { callId, error: 'Not authorized to follow this call' });
+          return;
+        }
+
+        socket.join(`call-${call._id}`);
+        console.log(`👥 Client ${socket.id} joined call room: ${call._id}`);
+      } catch (error) {
+        socket.emit('call-room-error', { callId, error: 'Not authorized to follow this call' });
+      }
+    });
+
+    socket.on('leave-call-room', (callId) => {
+      socket.leave(`call-${callId}`);
+      console.log(`👋 Client ${socket.id} left call room: ${callId}`);
+    });
+
+    // Risk alerts name customers, so only supervisors and admins may listen,
+    // and only to alerts on calls they can see
+    socket.on('join-alerts-room', async (token) => {
+      try {
+        const user = await authenticate(token, 'role organization tenant');
+
+        if (!user || !['admin', 'supervisor'].includes(user.role)) {
+          socket.emit('alerts-room-error', { error: 'Not authorized to receive alerts' });
+          return;
+        }
+
+        const rooms = alertService.getScopeRooms(await accessService.getScope(user));
+        socket.join(rooms);
+        console.log(`🚨 Client ${socket.id} joined alerts rooms: ${rooms.join(', ')}`);
+      } catch (error) {
+        socket.emit('alerts-room-error', { error: 'Not authorized to receive alerts' });
+      }
+    });
+
+    // Personal notifications, e.g. coaching sessions assigned to or created by the user
+    socket.on('join-user-room', async (token) => {
+      try {
+        const user = await authenticate(token, '');
+
+        if (!user) {
+          socket.emit('user-room-error', { error: 'Not authorized' });
+          return;
+        }
+
+        socket.join(userRoom(user._id));
+        console.log(`👤 Client ${socket.id} joined user room: ${user._id}`);
+      } catch (error) {
+        socket.emit('user-room-error', { error: 'Not authorized' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers };
@@ -0,0 +1,201 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const AgentProfile = require('../models/AgentProfile');
+const agentProfileService = require('../services/agentProfileService');
+const metricTrendService = require('../services/metricTrendService');
+const accessService = require('../services/accessService');
+
+// `me` stands for the signed-in agent
+const resolveAgentId = (req) => (req.params.id === 'me' ? req.user.id : req.params.id);
+
+const canViewAgent = async (req, agentId) =>
+  accessService.canViewUser(await accessService.forRequest(req), agentId);
+
+/**
+ * @desc    Get an agent's coaching profile and weekly development plan
+ * @route   GET /api/agents/:id/profile
+ * @access  Private (own profile, or a supervisor/admin who can see the agent)
+ */
+const getAgentProfile = async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req);
+
+    if (!(await canViewAgent(req, agentId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this agent'
+      });
+    }
+
+    let profile = await AgentProfile.findOne({ user: agentId });
+
+    // Agents without new calls still roll over to a new plan when the week ends
+    if (!profile || !profile.developmentPlan?.weekEnd || profile.developmentPlan.weekEnd <= new Date()) {
+      profile = await agentProfileService.updateProfile(agentId);
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Recompute an agent's profile, optionally starting a new development plan now
+ * @route   POST /api/agents/:id/profile/refresh
+ * @access  Private (admin, supervisor)
+ */
+const refreshAgentProfile = async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req);
+
+    if (!(await canViewAgent(req, agentId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this agent'
+      });
+    }
+
+    const profile = await agentProfileService.updateProfile(agentId, {
+      newPlan: req.body.newPlan === true
+    });
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Per-metric averages over rolling windows, with the latest window
+ *          tested against the ones before it
+ * @route   GET /api/agents/:id/metric-trends
+ * @access  Private (own trends, or a supervisor/admin who can see the agent)
+ */
+const getAgentMetricTrends = async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req);
+
+    if (!(await canViewAgent(req, agentId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this agent'
+      });
+    }
+
+    const agent = await User.findOne({ _id: agentId, tenant: req.user.tenant }).select('name email tenant');
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    const trends = await metricTrendService.getAgentTrends(agent);
+
+    res.json({
+      success: true,
+      data: {
+        agent: { _id: agent._id, name: agent.name, email: agent.email },
+        ...trends
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Coaching completion per agent: plans generated, quizzes attempted and passed
+ * @route   GET /api/agents/coaching-completion
+ * @access  Private (admin, supervisor)
+ */
+const getCoachingCompletion = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = {
+      ...accessService.callFilter(await accessService.forRequest(req)),
+      'coachingPlan.generated': true
+    };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const agents = await Call.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$user',
+          plans: { $sum: 1 },
+          attempted: { $sum: { $cond: [{ $gt: ['$coachingPlan.quizAttempts', 0] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $ifNull: ['$coachingPlan.completedAt', false] }, 1, 0] } },
+          avgBestScore: { $avg: '$coachingPlan.quizBestScore' },
+          lastCompletedAt: { $max: '$coachingPlan.completedAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'agent'
+        }
+      },
+      { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          agent: {
+            _id: '$_id',
+            name: '$agent.name',
+            email: '$agent.email',
+            department: '$agent.department'
+          },
+          plans: 1,
+          attempted: 1,
+          completed: 1,
+          pending: { $subtract: ['$plans', '$completed'] },
+          completionRate: { $round: [{ $multiply: [{ $divide: ['$completed', '$plans'] }, 100] }, 0] },
+          avgBestScore: { $round: ['$avgBestScore', 0] },
+          lastCompletedAt: 1
+        }
+      },
+      { $sort: { completionRate: 1, pending: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: agents
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAgentProfile,
+  refreshAgentProfile,
+  getAgentMetricTrends,
+  getCoachingCompletion
+};
@@ -0,0 +1,140 @@
+const Alert = require('../models/Alert');
+const accessService = require('../services/accessService');
+
+/**
+ * @desc    Get risk alerts on calls the user can see and metric alerts on the
+ *          agents and teams they can see, most urgent callback first
+ * @route   GET /api/alerts
+ * @access  Private (admin, supervisor)
+ */
+const getAlerts = async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const filter = accessService.alertFilter(await accessService.forRequest(req));
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const alerts = await Alert.find(filter)
+      .sort({ callbackDueAt: 1, score: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('call', 'originalName metadata classification createdAt')
+      .populate('user', 'name email department')
+      .populate('team', 'name');
+
+    const total = await Alert.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Acknowledge an alert
+ * @route   PUT /api/alerts/:id/acknowledge
+ * @access  Private (admin, supervisor)
+ */
+const acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (!accessService.canViewAlert(await accessService.forRequest(req), alert)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this alert'
+      });
+    }
+
+    if (alert.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: `Alert is already ${alert.status}`
+      });
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = req.user.id;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Resolve an alert once the customer has been called back, or the metric dealt with
+ * @route   PUT /api/alerts/:id/resolve
+ * @access  Private (admin, supervisor)
+ */
+const resolveAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (!accessService.canViewAlert(await accessService.forRequest(req), alert)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this alert'
+      });
+    }
+
+    alert.status = 'resolved';
+    alert.resolvedBy = req.user.id;
+    alert.resolvedAt = new Date();
+    if (req.body.notes !== undefined) alert.resolutionNotes = req.body.notes;
+    await alert.save();
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert
+};
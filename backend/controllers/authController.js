@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Tenant = require('../models/Tenant');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -12,13 +13,22 @@ const generateToken = (id) => {
 };
 
 /**
- * @desc    Register user
+ * @desc    Register an agent in a tenant that allows self-registration.
+ *          Other roles are assigned by the tenant's admins.
  * @route   POST /api/auth/register
  * @access  Public
  */
 const register = async (req, res) => {
   try {
-    const { name, email, password, role, department } = req.body;
+    const { name, email, password, department, tenant: slug } = req.body;
+
+    const tenant = slug ? await Tenant.findOne({ slug: String(slug).toLowerCase(), isActive: true }) : null;
+    if (!tenant || !tenant.settings?.allowSelfRegistration) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is not open for this tenant'
+      });
+    }
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -34,7 +44,8 @@ const register = async (req, res) => {
       name,
       email,
       password,
-      role: role || 'agent',
+      role: 'agent',
+      tenant: tenant._id,
       department: department || 'Customer Service'
     });
 
@@ -214,17 +225,32 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * @desc    Mock login for demo (no password required)
+ * @desc    Mock login for demo (no password required), limited to the demo tenant
  * @route   POST /api/auth/demo-login
  * @access  Public
  */
 const demoLogin = async (req, res) => {
   try {
     const { email } = req.body;
+    const slug = process.env.DEMO_TENANT || 'demo';
+
+    const tenant = await Tenant.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { name: 'Demo', slug } },
+      { upsert: true, new: true }
+    );
 
     // Create or find demo user
     let user = await User.findOne({ email });
-    
+
+    // Never hand out tokens for real tenants' users without a password
+    if (user && !user.tenant?.equals(tenant._id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
     if (!user) {
       // Create demo user
       user = await User.create({
@@ -232,6 +258,7 @@ const demoLogin = async (req, res) => {
         email,
         password: 'demo123456',
         role: 'agent',
+        tenant: tenant._id,
         department: 'Customer Service'
       });
     }
@@ -1,5 +1,21 @@
 const Call = require('../models/Call');
+const Job = require('../models/Job');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const Scorecard = require('../models/Scorecard');
+const CompliancePolicy = require('../models/CompliancePolicy');
+const CallReason = require('../models/CallReason');
 const openaiService = require('../services/openaiService');
+const redactionService = require('../services/redactionService');
+const languageService = require('../services/languageService');
+const classificationService = require('../services/classificationService');
+const alertService = require('../services/alertService');
+const agentProfileService = require('../services/agentProfileService');
+const metricTrendService = require('../services/metricTrendService');
+const coachingService = require('../services/coachingService');
+const jobQueue = require('../services/jobQueue');
+const accessService = require('../services/accessService');
+const tenantService = require('../services/tenantService');
+const { parsePeriod, buildBuckets, bucketExpression, zeroFill, computeDeltas } = require('../services/analyticsPeriod');
 const fs = require('fs');
 const path = require('path');
 
@@ -20,6 +36,7 @@ const uploadCall = async (req, res) => {
     // Create call record
     const call = await Call.create({
       user: req.user.id,
+      tenant: req.user.tenant,
       fileName: req.file.filename,
       originalName: req.file.originalname,
       filePath: req.file.path,
@@ -27,8 +44,8 @@ const uploadCall = async (req, res) => {
       mimeType: req.file.mimetype
     });
 
-    // Start processing pipeline
-    processCallAsync(call._id);
+    // Queue processing pipeline
+    await jobQueue.enqueue('process-call', { callId: call._id.toString() }, { call: call._id });
 
     res.status(201).json({
       success: true,
@@ -47,7 +64,7 @@ const uploadCall = async (req, res) => {
 };
 
 /**
- * @desc    Get all calls for user
+ * @desc    Get all calls visible to the user
  * @route   GET /api/calls
  * @access  Private
  */
@@ -57,13 +74,15 @@ const getCalls = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const startIndex = (page - 1) * limit;
 
-    const calls = await Call.find({ user: req.user.id })
+    const filter = accessService.callFilter(await accessService.forRequest(req));
+
+    const calls = await Call.find(filter)
       .sort({ createdAt: -1 })
       .skip(startIndex)
       .limit(limit)
       .populate('user', 'name email');
 
-    const total = await Call.countDocuments({ user: req.user.id });
+    const total = await Call.countDocuments(filter);
 
     res.json({
       success: true,
@@ -93,7 +112,7 @@ const getCall = async (req, res) => {
     console.log('🔍 Getting call with ID:', req.params.id);
     console.log('🔍 User requesting:', req.user.id, req.user.role);
     
-    const call = await Call.findById(req.params.id)
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant })
       .populate('user', 'name email role department');
 
     console.log('🔍 Call found:', call ? 'Yes' : 'No');
@@ -110,16 +129,6 @@ const getCall = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin/supervisor
-    if (call.user._id.toString() !== req.user.id && 
-        !['admin', 'supervisor'].includes(req.user.role)) {
-      console.log('❌ Unauthorized access attempt');
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to access this call'
-      });
-    }
-
     console.log('✅ Sending call data to client');
     res.json({
       success: true,
@@ -141,7 +150,7 @@ const getCall = async (req, res) => {
  */
 const getCallAnalysis = async (req, res) => {
   try {
-    const call = await Call.findById(req.params.id);
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
 
     if (!call) {
       return res.status(404).json({
@@ -150,16 +159,8 @@ const getCallAnalysis = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin/supervisor
-    if (call.user.toString() !== req.user.id && 
-        !['admin', 'supervisor'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to access this call'
-      });
-    }
-
-    if (call.status !== 'analyzed') {
+    // Analysis stays available while coaching is generated and after the call completes
+    if (!['analyzed', 'generating-coaching', 'completed'].includes(call.status)) {
       return res.status(400).json({
         success: false,
         error: 'Call analysis not completed yet',
@@ -190,7 +191,7 @@ const getCallAnalysis = async (req, res) => {
  */
 const getCoachingPlan = async (req, res) => {
   try {
-    const call = await Call.findById(req.params.id);
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
 
     if (!call) {
       return res.status(404).json({
@@ -199,15 +200,6 @@ const getCoachingPlan = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin/supervisor
-    if (call.user.toString() !== req.user.id && 
-        !['admin', 'supervisor'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to access this call'
-      });
-    }
-
     if (!call.coachingPlan.generated) {
       return res.status(400).json({
         success: false,
@@ -221,7 +213,12 @@ const getCoachingPlan = async (req, res) => {
       ...call.coachingPlan,
       recommendations: call.coachingPlan.recommendations ? JSON.parse(call.coachingPlan.recommendations) : [],
       resources: call.coachingPlan.resources ? JSON.parse(call.coachingPlan.resources) : [],
-      quiz: call.coachingPlan.quiz ? JSON.parse(call.coachingPlan.quiz) : []
+      // Plans stored before the answer key was split out still carry answers in the quiz
+      quiz: call.coachingPlan.quiz
+        ? coachingService.splitQuizAnswers(JSON.parse(call.coachingPlan.quiz)).questions
+        : [],
+      focusAreas: call.coachingPlan.focusAreas ? JSON.parse(call.coachingPlan.focusAreas) : [],
+      strengths: call.coachingPlan.strengths ? JSON.parse(call.coachingPlan.strengths) : []
     };
 
     res.json({
@@ -241,13 +238,14 @@ const getCoachingPlan = async (req, res) => {
 };
 
 /**
- * @desc    Delete call
- * @route   DELETE /api/calls/:id
+ * @desc    Stream call audio, bleeped when a redacted copy exists
+ * @route   GET /api/calls/:id/audio
  * @access  Private
  */
-const deleteCall = async (req, res) => {
+const getCallAudio = async (req, res) => {
   try {
-    const call = await Call.findById(req.params.id);
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant })
+      .select('filePath redaction.audioPath');
 
     if (!call) {
       return res.status(404).json({
@@ -256,20 +254,43 @@ const deleteCall = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin
-    if (call.user.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
+    // Once bleeped audio exists the original is never served
+    const audioPath = call.redaction?.audioPath || call.filePath;
+
+    if (!audioPath || !fs.existsSync(audioPath)) {
+      return res.status(404).json({
         success: false,
-        error: 'Not authorized to delete this call'
+        error: 'Call audio not found'
       });
     }
 
-    // Delete file from filesystem
-    if (fs.existsSync(call.filePath)) {
-      fs.unlinkSync(call.filePath);
+    res.sendFile(path.resolve(audioPath));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete call
+ * @route   DELETE /api/calls/:id
+ * @access  Private
+ */
+const deleteCall = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
     }
 
-    await Call.findByIdAndDelete(req.params.id);
+    // Delete the audio (and any redacted copy) and everything that references the call
+    await tenantService.deleteCalls([call]);
 
     res.json({
       success: true,
@@ -292,7 +313,7 @@ const updateCall = async (req, res) => {
   try {
     const { customerId, callType, tags, notes } = req.body;
 
-    const call = await Call.findById(req.params.id);
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
 
     if (!call) {
       return res.status(404).json({
@@ -301,18 +322,20 @@ const updateCall = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin/supervisor
-    if (call.user.toString() !== req.user.id && 
-        !['admin', 'supervisor'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to update this call'
-      });
+    // Call types are reasons from the tenant's taxonomy; null clears a manual type
+    if (callType) {
+      const reasons = (await CallReason.getTaxonomy(req.user.tenant)).map(reason => reason.key);
+      if (!reasons.includes(callType)) {
+        return res.status(400).json({
+          success: false,
+          error: `callType must be one of ${reasons.join(', ')}`
+        });
+      }
     }
 
     call.metadata = {
       customerId: customerId || call.metadata.customerId,
-      callType: callType || call.metadata.callType,
+      callType: callType === null ? undefined : (callType || call.metadata.callType),
       tags: tags || call.metadata.tags,
       notes: notes || call.metadata.notes
     };
@@ -331,6 +354,259 @@ const updateCall = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Retry processing of a failed call from the failed step
+ * @route   POST /api/calls/:id/retry
+ * @access  Private
+ */
+const retryCall = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    if (call.status !== 'error') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only failed calls can be retried',
+        status: call.status
+      });
+    }
+
+    const pendingJob = await Job.findOne({
+      call: call._id,
+      type: 'process-call',
+      status: { $in: ['queued', 'running'] }
+    });
+
+    if (pendingJob && pendingJob.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'Call is already being processed'
+      });
+    }
+
+    // Run a scheduled automatic retry now instead of queueing a second job
+    if (pendingJob) {
+      pendingJob.runAt = new Date();
+      await pendingJob.save();
+    } else {
+      await jobQueue.enqueue('process-call', { callId: call._id.toString() }, { call: call._id });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        callId: call._id.toString(),
+        message: `Retry queued. Processing resumes from ${getResumeStep(call)}.`,
+        resumeStep: getResumeStep(call),
+        retryCount: call.error?.retryCount || 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const ANALYSIS_MODES = ['heuristic', 'llm'];
+
+/**
+ * Queue analysis and coaching to run again on a call's stored transcript
+ * @param {string} [analysisMode] - Override ANALYSIS_MODE for this run
+ */
+const queueReanalysis = async (call, user, analysisMode) => {
+  if (!call.transcript?.text) {
+    return { queued: false, reason: 'Call has no transcript' };
+  }
+
+  const pendingJob = await Job.exists({
+    call: call._id,
+    type: 'process-call',
+    status: { $in: ['queued', 'running'] }
+  });
+
+  if (pendingJob) {
+    return { queued: false, reason: 'Call is already queued for processing' };
+  }
+
+  await jobQueue.enqueue(
+    'process-call',
+    { callId: call._id.toString(), fromStep: 'analyze', requestedBy: user.id, ...(analysisMode && { analysisMode }) },
+    { call: call._id }
+  );
+
+  if (global.io) {
+    global.io.to(`call-${call._id}`).emit('call-status-update', {
+      callId: call._id.toString(),
+      status: 'queued',
+      message: 'Re-analysis queued'
+    });
+  }
+
+  return { queued: true };
+};
+
+/**
+ * @desc    Re-run analysis and coaching on a call's stored transcript
+ * @route   POST /api/calls/:id/reanalyze
+ * @access  Private
+ */
+const reanalyzeCall = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const { analysisMode } = req.body;
+    if (analysisMode && !ANALYSIS_MODES.includes(analysisMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `analysisMode must be one of: ${ANALYSIS_MODES.join(', ')}`
+      });
+    }
+
+    const result = await queueReanalysis(call, req.user, analysisMode);
+
+    if (!result.queued) {
+      return res.status(400).json({
+        success: false,
+        error: result.reason,
+        status: call.status
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        callId: call._id.toString(),
+        message: 'Re-analysis queued'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Re-run analysis and coaching on all calls matching a filter
+ * @route   POST /api/calls/reanalyze
+ * @access  Private
+ */
+const bulkReanalyzeCalls = async (req, res) => {
+  try {
+    const {
+      status,
+      callType,
+      priority,
+      startDate,
+      endDate,
+      search,
+      compliance,
+      complianceRule,
+      reason,
+      topic,
+      outcome,
+      language,
+      analysisMode,
+      limit = 100
+    } = req.body;
+
+    if (analysisMode && !ANALYSIS_MODES.includes(analysisMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `analysisMode must be one of: ${ANALYSIS_MODES.join(', ')}`
+      });
+    }
+
+    const filter = buildCallFilter(await accessService.forRequest(req), {
+      status, callType, priority, startDate, endDate, search, compliance, complianceRule, reason, topic, outcome, language
+    });
+    filter['transcript.text'] = { $exists: true, $ne: '' };
+
+    const calls = await Call.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, MAX_BULK_REANALYZE))
+      .select('_id transcript.text status');
+
+    const queued = [];
+    const skipped = [];
+    for (const call of calls) {
+      const result = await queueReanalysis(call, req.user, analysisMode);
+      if (result.queued) {
+        queued.push(call._id.toString());
+      } else {
+        skipped.push({ callId: call._id.toString(), reason: result.reason });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        matched: calls.length,
+        queued,
+        skipped,
+        message: `Re-analysis queued for ${queued.length} call(s)`
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get prior analysis versions of a call
+ * @route   GET /api/calls/:id/analysis/versions
+ * @access  Private
+ */
+const getAnalysisVersions = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const versions = await AnalysisVersion.find({ call: call._id })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        current: call.analysis,
+        versions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get call statistics
  * @route   GET /api/calls/stats
@@ -338,8 +614,10 @@ const updateCall = async (req, res) => {
  */
 const getCallStats = async (req, res) => {
   try {
+    const scopeFilter = accessService.callFilter(await accessService.forRequest(req));
+
     const stats = await Call.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: scopeFilter },
       {
         $group: {
           _id: null,
@@ -354,7 +632,7 @@ const getCallStats = async (req, res) => {
     ]);
 
     const statusBreakdown = await Call.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: scopeFilter },
       {
         $group: {
           _id: '$status',
@@ -364,7 +642,7 @@ const getCallStats = async (req, res) => {
     ]);
 
     const scoreDistribution = await Call.aggregate([
-      { $match: { user: req.user._id, 'analysis.overallScore': { $exists: true } } },
+      { $match: { ...scopeFilter, 'analysis.overallScore': { $exists: true } } },
       {
         $group: {
           _id: {
@@ -401,12 +679,76 @@ const getCallStats = async (req, res) => {
     });
   }
 };
+// Pipeline steps in the order they run
+const PIPELINE_STEPS = ['transcribe', 'analyze', 'coaching'];
+
+// Upper bound on calls queued by one bulk re-analysis request
+const MAX_BULK_REANALYZE = 500;
+
+/**
+ * Find the first pipeline step whose latest run did not complete, so a retry
+ * reuses transcripts and analyses that finished successfully. Passing
+ * `fromStep` forces that step and everything after it to run again.
+ */
+const getResumeStep = (call, fromStep) => {
+  const latestStatus = {};
+  call.processingHistory.forEach(entry => {
+    latestStatus[entry.step] = entry.status;
+  });
+
+  let resumeStep = 'coaching';
+  if (latestStatus.analyze !== 'completed' || call.analysis?.overallScore == null) resumeStep = 'analyze';
+  if (latestStatus.transcribe !== 'completed' || !call.transcript?.text) resumeStep = 'transcribe';
+
+  if (fromStep && PIPELINE_STEPS.indexOf(fromStep) < PIPELINE_STEPS.indexOf(resumeStep)) {
+    return fromStep;
+  }
+  return resumeStep;
+};
+
+/**
+ * Mark a call failed once its process-call job has run out of attempts.
+ * processCallAsync records its own failures; this covers workers that died
+ * mid-call, which would otherwise leave the call in progress for good and
+ * out of reach of POST /api/calls/:id/retry.
+ */
+const markCallFailed = async (callId, lastError) => {
+  const call = await Call.findById(callId);
+  if (!call || ['completed', 'error'].includes(call.status)) return;
+
+  const step = getResumeStep(call);
+  console.error(`❌ Call processing abandoned at ${step}: ${callId}`, lastError.message);
+
+  call.status = 'error';
+  await call.addProcessingStep(step, 'failed', lastError.message, 0, lastError);
+
+  if (global.io) {
+    global.io.to(`call-${callId}`).emit('call-status-update', {
+      callId: callId.toString(),
+      status: 'error',
+      message: `Processing failed: ${lastError.message}`,
+      error: lastError.message,
+      step
+    });
+  }
+};
 
 /**
  * Async function to process call (transcription -> analysis -> coaching)
+ *
+ * Failures are recorded on the call and rethrown, so the job queue retries
+ * the job with backoff until it runs out of attempts.
+ * @param {string} callId
+ * @param {Object} [options]
+ * @param {string} [options.fromStep] - Re-run the pipeline from this step even if it completed before
+ * @param {string} [options.requestedBy] - User who asked for the re-run
+ * @param {string} [options.analysisMode] - Override ANALYSIS_MODE for the analyze step
+ * @param {number} [options.attempt] - Attempt of the job running the pipeline (1-based)
+ * @param {number} [options.maxAttempts] - Attempts the job gets
  */
-const processCallAsync = async (callId) => {
+const processCallAsync = async (callId, options = {}) => {
   const startTime = Date.now();
+  let currentStep = 'upload';
   
   try {
     const call = await Call.findById(callId);
@@ -415,96 +757,176 @@ const processCallAsync = async (callId) => {
       return;
     }
 
-    console.log(`🚀 Processing call: ${call.originalName}`);
-
-    // Add initial processing step
-    await call.addProcessingStep('upload', 'completed', 'File uploaded successfully', Date.now() - startTime);
-
-    // Emit initial status
-    if (global.io) {
-      global.io.to(`call-${callId}`).emit('call-status-update', {
-        callId,
-        status: 'uploaded',
-        message: 'Call uploaded successfully'
-      });
+    // A retried job resumes at the step its last attempt failed at instead of
+    // running everything from fromStep again
+    const failedStep = options.attempt > 1 && call.status === 'error' && PIPELINE_STEPS.includes(call.error?.step)
+      ? call.error.step
+      : null;
+    const resumeStep = getResumeStep(call, failedStep || options.fromStep);
+    const resumeIndex = PIPELINE_STEPS.indexOf(resumeStep);
+    const isRetry = call.processingHistory.some(entry => entry.step === 'upload');
+
+    console.log(`🚀 Processing call: ${call.originalName}${isRetry ? ` (resuming from ${resumeStep})` : ''}`);
+
+    // Add initial processing step and emit initial status
+    if (!isRetry) {
+      await call.addProcessingStep('upload', 'completed', 'File uploaded successfully', Date.now() - startTime);
+
+      if (global.io) {
+        global.io.to(`call-${callId}`).emit('call-status-update', {
+          callId,
+          status: 'uploaded',
+          message: 'Call uploaded successfully'
+        });
+      }
     }
 
     // Step 1: Transcribe
-    const transcriptionStartTime = Date.now();
-    call.status = 'transcribing';
-    await call.save();
-    await call.addProcessingStep('transcribe', 'started', 'Starting transcription', 0);
-    console.log('📝 Step 1/3: Transcribing...');
+    let transcription = call.transcript;
+    if (resumeIndex <= PIPELINE_STEPS.indexOf('transcribe')) {
+      currentStep = 'transcribe';
+      const transcriptionStartTime = Date.now();
+      call.status = 'transcribing';
+      await call.save();
+      await call.addProcessingStep('transcribe', 'started', 'Starting transcription', 0);
+      console.log('📝 Step 1/3: Transcribing...');
+
+      // Emit transcription status
+      if (global.io) {
+        global.io.to(`call-${callId}`).emit('call-status-update', {
+          callId,
+          status: 'transcribing',
+          message: 'Transcribing audio...',
+          progress: 33
+        });
+      }
 
-    // Emit transcription status
-    if (global.io) {
-      global.io.to(`call-${callId}`).emit('call-status-update', {
-        callId,
-        status: 'transcribing',
-        message: 'Transcribing audio...',
-        progress: 33
+      transcription = await openaiService.transcribeAudio(call.filePath, {
+        originalName: call.originalName,
+        onProgress: ({ completed, total }) => {
+          // Emit per-chunk progress between the transcribing (33) and transcribed (66) marks
+          if (global.io && total > 1) {
+            global.io.to(`call-${callId}`).emit('call-status-update', {
+              callId,
+              status: 'transcribing',
+              message: `Transcribed chunk ${completed} of ${total}`,
+              progress: 33 + Math.floor((completed / total) * 32),
+              chunk: { completed, total }
+            });
+          }
+        }
       });
-    }
 
-    const transcription = await openaiService.transcribeAudio(call.filePath);
-    const transcriptionTime = Date.now() - transcriptionStartTime;
-    
-    call.transcript = transcription;
-    call.duration = transcription.duration || 0;
-    call.status = 'transcribed';
-    call.performance.transcriptionTime = transcriptionTime;
-    await call.save();
-    await call.addProcessingStep('transcribe', 'completed', 'Transcription completed successfully', transcriptionTime);
-
-    // Emit transcription completed
-    if (global.io) {
-      global.io.to(`call-${callId}`).emit('call-status-update', {
-        callId,
-        status: 'transcribed',
-        message: 'Transcription completed',
-        progress: 66,
-        transcript: transcription.text
-      });
+      // Mask card numbers, SSNs, emails and phone numbers before the transcript is stored
+      const redaction = redactionService.redactTranscript(transcription);
+      transcription = redaction.transcript;
+      call.redaction = {
+        entities: redaction.redactions,
+        counts: redactionService.summarize(redaction.redactions),
+        redactedAt: new Date()
+      };
+      const redactedAudioPath = await redactionService.redactAudio(call.filePath, redaction.redactions);
+      if (redactedAudioPath) call.redaction.audioPath = redactedAudioPath;
+
+      // Reviewers get an English translation next to the original; translated after redaction so it is masked too
+      transcription = await languageService.translate(transcription);
+
+      const transcriptionTime = Date.now() - transcriptionStartTime;
+      
+      call.transcript = transcription;
+      call.duration = transcription.duration || 0;
+      call.status = 'transcribed';
+      call.performance.transcriptionTime = transcriptionTime;
+      await call.save();
+      await call.addProcessingStep('transcribe', 'completed', 'Transcription completed successfully', transcriptionTime);
+
+      // Emit transcription completed
+      if (global.io) {
+        global.io.to(`call-${callId}`).emit('call-status-update', {
+          callId,
+          status: 'transcribed',
+          message: 'Transcription completed',
+          progress: 66,
+          transcript: transcription.text
+        });
+      }
+    } else {
+      console.log('⏭️ Step 1/3: Reusing stored transcript');
     }
 
     // Step 2: Analyze
-    const analysisStartTime = Date.now();
-    call.status = 'analyzing';
-    await call.save();
-    await call.addProcessingStep('analyze', 'started', 'Starting analysis', 0);
-    console.log('🔍 Step 2/3: Analyzing...');
+    let analysis = call.analysis;
+    if (resumeIndex <= PIPELINE_STEPS.indexOf('analyze')) {
+      currentStep = 'analyze';
+      const analysisStartTime = Date.now();
+      call.status = 'analyzing';
+      await call.save();
+      await call.addProcessingStep('analyze', 'started', 'Starting analysis', 0);
+      console.log('🔍 Step 2/3: Analyzing...');
+
+      // Emit analysis status
+      if (global.io) {
+        global.io.to(`call-${callId}`).emit('call-status-update', {
+          callId,
+          status: 'analyzing',
+          message: 'Analyzing call...',
+          progress: 80
+        });
+      }
 
-    // Emit analysis status
-    if (global.io) {
-      global.io.to(`call-${callId}`).emit('call-status-update', {
-        callId,
-        status: 'analyzing',
-        message: 'Analyzing call...',
-        progress: 80
+      // Classify first so calls without a manual call type get scorecards and policies by reason
+      const callReasons = await CallReason.getTaxonomy(call.tenant);
+      call.classification = await classificationService.classifyCall(transcription.text, transcription.segments, callReasons);
+      const callType = call.metadata?.callType || call.classification.reason;
+
+      const scorecard = await Scorecard.findForCallType(call.tenant, callType);
+      const compliancePolicy = await CompliancePolicy.findForCallType(call.tenant, callType);
+      analysis = await openaiService.analyzeCall(transcription.text, transcription.segments, {
+        scorecard,
+        compliancePolicy,
+        classification: call.classification,
+        language: transcription.language,
+        mode: options.analysisMode
       });
-    }
+      const analysisTime = Date.now() - analysisStartTime;
+      
+      // Keep the analysis being replaced as a prior version
+      if (call.analysis?.overallScore != null) {
+        await AnalysisVersion.snapshot(call, {
+          reason: options.fromStep === 'analyze' ? 'reanalysis' : 'reprocessing',
+          createdBy: options.requestedBy
+        });
+      }
 
-    const analysis = await openaiService.analyzeCall(transcription.text);
-    const analysisTime = Date.now() - analysisStartTime;
-    
-    call.analysis = analysis;
-    call.status = 'analyzed';
-    call.performance.analysisTime = analysisTime;
-    await call.save();
-    await call.addProcessingStep('analyze', 'completed', 'Analysis completed successfully', analysisTime);
+      call.analysis = analysis;
+      call.status = 'analyzed';
+      call.performance.analysisTime = analysisTime;
+      await call.save();
+      await call.addProcessingStep('analyze', 'completed', 'Analysis completed successfully', analysisTime);
 
-    // Emit analysis completed
-    if (global.io) {
-      global.io.to(`call-${callId}`).emit('call-status-update', {
-        callId,
-        status: 'analyzed',
-        message: 'Analysis completed',
-        progress: 90,
-        analysis: analysis
-      });
+      // An alert that fails to send must not fail the call
+      try {
+        await alertService.raiseRiskAlerts(call);
+      } catch (error) {
+        console.error('❌ Raising risk alerts failed:', error.message);
+      }
+
+      // Emit analysis completed
+      if (global.io) {
+        global.io.to(`call-${callId}`).emit('call-status-update', {
+          callId,
+          status: 'analyzed',
+          message: 'Analysis completed',
+          progress: 90,
+          analysis: analysis
+        });
+      }
+    } else {
+      console.log('⏭️ Step 2/3: Reusing stored analysis');
     }
 
     // Step 3: Generate coaching plan
+    currentStep = 'coaching';
     const coachingStartTime = Date.now();
     console.log('📚 Step 3/3: Generating coaching plan...');
     await call.addProcessingStep('coaching', 'started', 'Starting coaching plan generation', 0);
@@ -519,7 +941,7 @@ const processCallAsync = async (callId) => {
       });
     }
 
-    const coachingPlan = await openaiService.generateCoachingPlan(analysis, transcription.text);
+    const coachingPlan = await openaiService.generateCoachingPlan(analysis);
     const coachingTime = Date.now() - coachingStartTime;
     
     // Debug: Log the coaching plan structure
@@ -535,13 +957,19 @@ const processCallAsync = async (callId) => {
     console.log('- first resource:', coachingPlan.resources[0]);
     console.log('- resources type check:', Array.isArray(coachingPlan.resources));
     
+    // The answer key is stored apart from the quiz so answers never reach the agent before grading
+    const { questions, answerKey } = coachingService.splitQuizAnswers(coachingPlan.quiz);
+
     // Convert complex arrays to JSON strings to avoid MongoDB casting issues
     const simplifiedCoachingPlan = {
       generated: true,
       feedback: coachingPlan.feedback,
       recommendations: JSON.stringify(coachingPlan.recommendations),
       resources: JSON.stringify(coachingPlan.resources),
-      quiz: JSON.stringify(coachingPlan.quiz),
+      quiz: JSON.stringify(questions),
+      quizAnswerKey: JSON.stringify(answerKey),
+      focusAreas: JSON.stringify(coachingPlan.focusAreas),
+      strengths: JSON.stringify(coachingPlan.strengths),
       completionCriteria: coachingPlan.completionCriteria
     };
     
@@ -555,7 +983,18 @@ const processCallAsync = async (callId) => {
           'coachingPlan.recommendations': simplifiedCoachingPlan.recommendations,
           'coachingPlan.resources': simplifiedCoachingPlan.resources,
           'coachingPlan.quiz': simplifiedCoachingPlan.quiz,
-          'coachingPlan.completionCriteria': simplifiedCoachingPlan.completionCriteria
+          'coachingPlan.quizAnswerKey': simplifiedCoachingPlan.quizAnswerKey,
+          'coachingPlan.focusAreas': simplifiedCoachingPlan.focusAreas,
+          'coachingPlan.strengths': simplifiedCoachingPlan.strengths,
+          'coachingPlan.completionCriteria': simplifiedCoachingPlan.completionCriteria,
+          'coachingPlan.generatedAt': new Date()
+        },
+        // A new plan starts its quiz from scratch
+        $unset: {
+          'coachingPlan.quizAttempts': '',
+          'coachingPlan.quizBestScore': '',
+          'coachingPlan.quizPassedAt': '',
+          'coachingPlan.completedAt': ''
         }
       }
     );
@@ -563,7 +1002,7 @@ const processCallAsync = async (callId) => {
     console.log('✅ Coaching plan saved successfully');
     await call.addProcessingStep('coaching', 'completed', 'Coaching plan generated successfully', coachingTime);
 
-    // Update final status and performance metrics
+    // Update final status and performance metrics; a successful run resets the retry budget
     const totalProcessingTime = Date.now() - startTime;
     await Call.updateOne(
       { _id: callId },
@@ -572,10 +1011,25 @@ const processCallAsync = async (callId) => {
           status: 'completed',
           'performance.processingTime': totalProcessingTime,
           'performance.coachingTime': coachingTime
-        }
+        },
+        $unset: { error: '' }
       }
     );
 
+    // The agent's longitudinal profile is a nice-to-have; it must not fail the call
+    try {
+      await agentProfileService.updateProfile(call.user);
+    } catch (error) {
+      console.error('❌ Updating agent profile failed:', error.message);
+    }
+
+    // Alerts supervisors when the agent's or team's metrics move sharply
+    try {
+      await metricTrendService.checkAgent(call.user);
+    } catch (error) {
+      console.error('❌ Checking metric trends failed:', error.message);
+    }
+
     // Emit final completion status
     if (global.io) {
       global.io.to(`call-${callId}`).emit('call-status-update', {
@@ -583,25 +1037,27 @@ const processCallAsync = async (callId) => {
         status: 'completed',
         message: 'Call processing completed successfully',
         progress: 100,
-        coachingPlan: coachingPlan
+        coachingPlan: { ...coachingPlan, quiz: questions }
       });
     }
 
     console.log(`✅ Call processing completed: ${call.originalName} (${totalProcessingTime}ms)`);
   } catch (error) {
-    console.error(`❌ Call processing failed: ${callId}`, error.message);
+    console.error(`❌ Call processing failed at ${currentStep}: ${callId}`, error.message);
     
     // Add error to processing history
     const call = await Call.findById(callId);
     if (call) {
-      await call.addProcessingStep('error', 'failed', error.message, 0, error);
+      const retryCount = (call.error?.retryCount || 0) + 1;
+
+      await call.addProcessingStep(currentStep, 'failed', error.message, 0, error);
       call.status = 'error';
       call.error = {
         message: error.message,
         code: error.code || 'PROCESSING_ERROR',
         timestamp: new Date(),
-        step: 'processing',
-        retryCount: (call.error?.retryCount || 0) + 1
+        step: currentStep,
+        retryCount
       };
       await call.save();
     }
@@ -612,12 +1068,62 @@ const processCallAsync = async (callId) => {
         callId,
         status: 'error',
         message: `Processing failed: ${error.message}`,
-        error: error.message
+        error: error.message,
+        step: currentStep,
+        willRetry: options.attempt < options.maxAttempts
       });
     }
+
+    // The queue retries the job with backoff
+    throw error;
   }
 };
 
+/**
+ * Build a call query from history-style filters for the requesting user
+ */
+const buildCallFilter = (scope, {
+  status, callType, priority, startDate, endDate, search, compliance, complianceRule, reason, topic, outcome, language
+} = {}) => {
+  const filter = accessService.callFilter(scope);
+  
+  if (status) filter.status = status;
+  if (callType) {
+    // Calls without a manual call type match on their classified reason
+    filter.$and = [{
+      $or: [
+        { 'metadata.callType': callType },
+        { 'metadata.callType': null, 'classification.reason': callType }
+      ]
+    }];
+  }
+  if (reason) filter['classification.reason'] = reason;
+  if (topic) filter['classification.subTopics.key'] = topic;
+  if (outcome) filter['classification.outcome'] = outcome;
+  if (language) filter['transcript.language'] = language;
+  if (priority) filter['metadata.priority'] = priority;
+  if (compliance === 'passed' || compliance === 'failed') {
+    filter['analysis.compliance.passed'] = compliance === 'passed';
+  }
+  if (complianceRule) filter['analysis.compliance.failedRules'] = complianceRule;
+  
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+  
+  if (search) {
+    filter.$or = [
+      { originalName: { $regex: search, $options: 'i' } },
+      { 'metadata.notes': { $regex: search, $options: 'i' } },
+      { 'transcript.text': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
 /**
  * @desc    Get call history with filters
  * @route   GET /api/calls/history
@@ -634,6 +1140,12 @@ const getCallHistory = async (req, res) => {
       startDate,
       endDate,
       search,
+      compliance,
+      complianceRule,
+      reason,
+      topic,
+      outcome,
+      language,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -641,25 +1153,9 @@ const getCallHistory = async (req, res) => {
     const startIndex = (page - 1) * limit;
     
     // Build filter object
-    const filter = { user: req.user.id };
-    
-    if (status) filter.status = status;
-    if (callType) filter['metadata.callType'] = callType;
-    if (priority) filter['metadata.priority'] = priority;
-    
-    if (startDate || endDate) {
-      filter.createdAt = {};
-      if (startDate) filter.createdAt.$gte = new Date(startDate);
-      if (endDate) filter.createdAt.$lte = new Date(endDate);
-    }
-    
-    if (search) {
-      filter.$or = [
-        { originalName: { $regex: search, $options: 'i' } },
-        { 'metadata.notes': { $regex: search, $options: 'i' } },
-        { 'transcript.text': { $regex: search, $options: 'i' } }
-      ];
-    }
+    const filter = buildCallFilter(await accessService.forRequest(req), {
+      status, callType, priority, startDate, endDate, search, compliance, complianceRule, reason, topic, outcome, language
+    });
 
     // Build sort object
     const sort = {};
@@ -674,9 +1170,9 @@ const getCallHistory = async (req, res) => {
 
     const total = await Call.countDocuments(filter);
 
-    // Calculate statistics
+    // Calculate statistics over every call the user can see
     const stats = await Call.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: accessService.callFilter(await accessService.forRequest(req)) },
       {
         $group: {
           _id: null,
@@ -722,81 +1218,146 @@ const getCallHistory = async (req, res) => {
   }
 };
 
+// Trend values for buckets without calls
+const EMPTY_TREND = {
+  count: 0,
+  avgScore: null,
+  totalDuration: 0,
+  avgProcessingTime: null,
+  completed: 0,
+  errors: 0
+};
+
+// Call totals and averages per bucket of the period
+const aggregateTrends = async (match, range) => {
+  const rows = await Call.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: bucketExpression(range),
+        count: { $sum: 1 },
+        avgScore: { $avg: '$analysis.overallScore' },
+        totalDuration: { $sum: '$duration' },
+        avgProcessingTime: { $avg: '$performance.processingTime' },
+        completed: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+        },
+        errors: {
+          $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return zeroFill(buildBuckets(range), rows, EMPTY_TREND);
+};
+
+// Totals for a whole period, for comparison with the previous one
+const aggregateSummary = async (match) => {
+  const [summary] = await Call.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        avgScore: { $avg: '$analysis.overallScore' },
+        totalDuration: { $sum: '$duration' },
+        avgProcessingTime: { $avg: '$performance.processingTime' },
+        completed: {
+          $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+        },
+        errors: {
+          $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] }
+        },
+        complianceChecked: {
+          $sum: { $cond: [{ $ifNull: ['$analysis.compliance', false] }, 1, 0] }
+        },
+        compliancePassed: {
+          $sum: { $cond: ['$analysis.compliance.passed', 1, 0] }
+        }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
+  const { complianceChecked = 0, compliancePassed = 0, ...totals } = summary || EMPTY_TREND;
+  return {
+    ...totals,
+    compliancePassRate: complianceChecked > 0 ? Math.round(compliancePassed / complianceChecked * 1000) / 10 : null
+  };
+};
+
 /**
- * @desc    Get call analytics and trends
+ * @desc    Get call analytics and trends for a preset or custom period,
+ *          bucketed in the caller's timezone and compared with the previous period
  * @route   GET /api/calls/analytics
  * @access  Private
  */
 const getCallAnalytics = async (req, res) => {
   try {
-    const { period = '30d' } = req.query;
-    
-    let startDate;
-    switch (period) {
-      case '7d':
-        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    }
-
-    const analytics = await Call.aggregate([
-      {
-        $match: {
-          user: req.user._id,
-          createdAt: { $gte: startDate }
-        }
-      },
+    const range = parsePeriod(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const scopeFilter = accessService.callFilter(await accessService.forRequest(req));
+    const periodMatch = {
+      ...scopeFilter,
+      createdAt: { $gte: range.startDate, $lt: range.endDate }
+    };
+    const previousMatch = {
+      ...scopeFilter,
+      createdAt: { $gte: range.previous.startDate, $lt: range.previous.endDate }
+    };
+
+    const [trends, previousTrends, summary, previousSummary] = await Promise.all([
+      aggregateTrends(periodMatch, range),
+      aggregateTrends(previousMatch, { ...range, ...range.previous }),
+      aggregateSummary(periodMatch),
+      aggregateSummary(previousMatch)
+    ]);
+
+    // Performance metrics by call type
+    const performanceByType = await Call.aggregate([
+      { $match: periodMatch },
       {
         $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-          },
+          // Calls without a manual call type are grouped by their classified reason
+          _id: { $ifNull: ['$metadata.callType', '$classification.reason'] },
           count: { $sum: 1 },
           avgScore: { $avg: '$analysis.overallScore' },
-          totalDuration: { $sum: '$duration' },
-          avgProcessingTime: { $avg: '$performance.processingTime' },
-          completed: {
-            $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
-          },
-          errors: {
-            $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] }
-          }
+          avgProcessingTime: { $avg: '$performance.processingTime' }
         }
-      },
-      { $sort: { _id: 1 } }
+      }
     ]);
 
-    // Performance metrics by call type
-    const performanceByType = await Call.aggregate([
+    // Resolution outcomes from call classification
+    const outcomes = await Call.aggregate([
       {
         $match: {
-          user: req.user._id,
-          createdAt: { $gte: startDate }
+          ...periodMatch,
+          'classification.outcome': { $exists: true }
         }
       },
       {
         $group: {
-          _id: '$metadata.callType',
+          _id: '$classification.outcome',
           count: { $sum: 1 },
-          avgScore: { $avg: '$analysis.overallScore' },
-          avgProcessingTime: { $avg: '$performance.processingTime' }
+          avgScore: { $avg: '$analysis.overallScore' }
         }
-      }
+      },
+      { $sort: { count: -1 } }
     ]);
 
     // Quality distribution
     const qualityDistribution = await Call.aggregate([
       {
         $match: {
-          user: req.user._id,
-          createdAt: { $gte: startDate },
+          ...periodMatch,
           'analysis.overallScore': { $exists: true }
         }
       },
@@ -817,13 +1378,70 @@ const getCallAnalytics = async (req, res) => {
       }
     ]);
 
+    // Compliance pass rate and the rules failed most often
+    const [complianceSummary] = await Call.aggregate([
+      {
+        $match: {
+          ...periodMatch,
+          'analysis.compliance': { $exists: true }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          checkedCalls: { $sum: 1 },
+          passedCalls: {
+            $sum: { $cond: ['$analysis.compliance.passed', 1, 0] }
+          },
+          criticalFailures: { $sum: '$analysis.compliance.criticalFailures' },
+          avgScore: { $avg: '$analysis.compliance.score' }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    const complianceFailuresByRule = await Call.aggregate([
+      {
+        $match: {
+          ...periodMatch,
+          'analysis.compliance.failedRules.0': { $exists: true }
+        }
+      },
+      { $unwind: '$analysis.compliance.failedRules' },
+      {
+        $group: {
+          _id: '$analysis.compliance.failedRules',
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
     res.json({
       success: true,
       data: {
-        dailyTrends: analytics,
+        period: range.period,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        timezone: range.timezone,
+        granularity: range.granularity,
+        trends,
+        summary,
+        comparison: {
+          startDate: range.previous.startDate,
+          endDate: range.previous.endDate,
+          summary: previousSummary,
+          trends: previousTrends,
+          deltas: computeDeltas(summary, previousSummary)
+        },
         performanceByType,
+        outcomes,
         qualityDistribution,
-        period
+        compliance: {
+          ...(complianceSummary || { checkedCalls: 0, passedCalls: 0, criticalFailures: 0, avgScore: null }),
+          failedCalls: complianceSummary ? complianceSummary.checkedCalls - complianceSummary.passedCalls : 0,
+          failuresByRule: complianceFailuresByRule
+        }
       }
     });
   } catch (error) {
@@ -841,7 +1459,7 @@ const getCallAnalytics = async (req, res) => {
  */
 const getCallProcessingHistory = async (req, res) => {
   try {
-    const call = await Call.findById(req.params.id);
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
 
     if (!call) {
       return res.status(404).json({
@@ -850,15 +1468,6 @@ const getCallProcessingHistory = async (req, res) => {
       });
     }
 
-    // Check if user owns this call or is admin/supervisor
-    if (call.user.toString() !== req.user.id && 
-        !['admin', 'supervisor'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to access this call'
-      });
-    }
-
     res.json({
       success: true,
       data: {
@@ -882,10 +1491,17 @@ module.exports = {
   getCall,
   getCallAnalysis,
   getCoachingPlan,
+  getCallAudio,
   deleteCall,
   updateCall,
+  retryCall,
+  reanalyzeCall,
+  bulkReanalyzeCalls,
+  getAnalysisVersions,
   getCallStats,
   getCallHistory,
   getCallAnalytics,
-  getCallProcessingHistory
+  getCallProcessingHistory,
+  processCallAsync,
+  markCallFailed
 };
@@ -0,0 +1,135 @@
+const CallReason = require('../models/CallReason');
+
+/**
+ * @desc    Get the call reason taxonomy (built-in reasons until one is configured)
+ * @route   GET /api/call-reasons
+ * @access  Private
+ */
+const getCallReasons = async (req, res) => {
+  try {
+    const configured = await CallReason.countDocuments({ tenant: req.user.tenant });
+    const reasons = req.query.all === 'true'
+      ? await CallReason.find({ tenant: req.user.tenant }).sort({ name: 1 })
+      : await CallReason.getTaxonomy(req.user.tenant);
+
+    res.json({
+      success: true,
+      data: reasons,
+      isDefault: configured === 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create call reason
+ * @route   POST /api/call-reasons
+ * @access  Private (admin)
+ */
+const createCallReason = async (req, res) => {
+  try {
+    const { key, name, description, keywords, subTopics } = req.body;
+
+    const reason = await CallReason.create({
+      tenant: req.user.tenant,
+      key,
+      name,
+      description,
+      keywords,
+      subTopics,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reason
+    });
+  } catch (error) {
+    const isClientError = error.name === 'ValidationError' || error.code === 11000;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      error: error.code === 11000 ? 'A call reason with this key already exists' : error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update call reason
+ * @route   PUT /api/call-reasons/:id
+ * @access  Private (admin)
+ */
+const updateCallReason = async (req, res) => {
+  try {
+    const reason = await CallReason.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!reason) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call reason not found'
+      });
+    }
+
+    // The key is stored on classified calls, so it cannot change
+    const fields = ['name', 'description', 'keywords', 'subTopics', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) reason[field] = req.body[field];
+    });
+    reason.updatedBy = req.user.id;
+
+    const updatedReason = await reason.save();
+
+    res.json({
+      success: true,
+      data: updatedReason
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate call reason (kept so classified calls still resolve)
+ * @route   DELETE /api/call-reasons/:id
+ * @access  Private (admin)
+ */
+const deleteCallReason = async (req, res) => {
+  try {
+    const reason = await CallReason.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!reason) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call reason not found'
+      });
+    }
+
+    reason.isActive = false;
+    reason.updatedBy = req.user.id;
+    await reason.save();
+
+    res.json({
+      success: true,
+      message: 'Call reason deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCallReasons,
+  createCallReason,
+  updateCallReason,
+  deleteCallReason
+};
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const CoachingSession = require('../models/CoachingSession');
+const coachingSessionService = require('../services/coachingSessionService');
+const { OPEN_STATUSES } = require('../services/coachingSessionService');
+const accessService = require('../services/accessService');
+
+const isAgent = (req, session) => session.agent.toString() === req.user.id;
+
+/**
+ * Load a session the signed-in user may see, or send the error response
+ */
+const loadSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, error: 'Coaching session not found' });
+    return null;
+  }
+
+  const session = await CoachingSession.findById(req.params.id);
+
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Coaching session not found' });
+    return null;
+  }
+
+  // The agent, and supervisors and admins who can see the agent
+  if (!accessService.canViewUser(await accessService.forRequest(req), session.agent)) {
+    res.status(403).json({ success: false, error: 'Not authorized to access this coaching session' });
+    return null;
+  }
+
+  return session;
+};
+
+const rejectClosed = (res, session) => {
+  if (OPEN_STATUSES.includes(session.status)) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `Coaching session is ${session.status}`
+  });
+  return true;
+};
+
+/**
+ * @desc    Create a coaching session from one or more calls and assign it to their agent
+ * @route   POST /api/coaching-sessions
+ * @access  Private (admin, supervisor)
+ */
+const createSession = async (req, res) => {
+  try {
+    const { agentId, callIds, title, notes, dueAt, items } = req.body;
+
+    if (!agentId || !mongoose.Types.ObjectId.isValid(agentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid agentId is required'
+      });
+    }
+
+    if (!Array.isArray(callIds) || callIds.length === 0 || !callIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'callIds must be a non-empty array of call IDs'
+      });
+    }
+
+    const due = new Date(dueAt);
+    if (!dueAt || isNaN(due.getTime()) || due <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'dueAt must be a date in the future'
+      });
+    }
+
+    if (items !== undefined && (!Array.isArray(items) || items.some(item => !item?.title))) {
+      return res.status(400).json({
+        success: false,
+        error: 'items must be an array of { title, description? }'
+      });
+    }
+
+    if (!accessService.canViewUser(await accessService.forRequest(req), agentId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to coach this agent'
+      });
+    }
+
+    const agent = await User.findById(agentId).select('name email isActive');
+    if (!agent || !agent.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    const uniqueCallIds = [...new Set(callIds.map(String))];
+    const calls = await Call.find({ _id: { $in: uniqueCallIds }, tenant: req.user.tenant }).select('user originalName coachingPlan');
+
+    if (calls.length !== uniqueCallIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more calls not found'
+      });
+    }
+
+    if (calls.some(call => call.user.toString() !== agentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every call must have been handled by the assigned agent'
+      });
+    }
+
+    const session = new CoachingSession({
+      title: title || `Coaching: ${calls.map(call => call.originalName).join(', ')}`.slice(0, 200),
+      notes,
+      agent: agentId,
+      supervisor: req.user.id,
+      calls: calls.map(call => call._id),
+      dueAt: due,
+      items: items
+        ? items.map(({ title: itemTitle, description, skill }) => ({ title: itemTitle, description, skill }))
+        : coachingSessionService.buildItems(calls)
+    });
+    session.record('created', req.user.id, `Assigned to ${agent.name}`);
+    await session.save();
+
+    await coachingSessionService.scheduleDueCheck(session);
+    coachingSessionService.notify(session, 'coaching-session-assigned');
+
+    console.log(`🎯 Coaching session ${session._id} assigned to ${agent.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List coaching sessions of the agents the user can see
+ * @route   GET /api/coaching-sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, agentId, overdue } = req.query;
+
+    const query = { $and: [accessService.userFilter(await accessService.forRequest(req), 'agent')] };
+    if (agentId) query.$and.push({ agent: agentId });
+
+    if (status) query.status = status;
+
+    if (overdue === 'true') {
+      query.status = { $in: OPEN_STATUSES };
+      query.dueAt = { $lt: new Date() };
+    }
+
+    const sessions = await CoachingSession.find(query)
+      .populate('agent', 'name email')
+      .populate('supervisor', 'name email')
+      .select('-history -comments')
+      .sort({ dueAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CoachingSession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: sessions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a coaching session with its comments and history
+ * @route   GET /api/coaching-sessions/:id
+ * @access  Private (assigned agent, or a supervisor/admin who can see the agent)
+ */
+const getSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    await session.populate([
+      { path: 'agent', select: 'name email' },
+      { path: 'supervisor', select: 'name email' },
+      { path: 'calls', select: 'originalName status analysis.overallScore createdAt' },
+      { path: 'comments.author', select: 'name role' },
+      { path: 'history.by', select: 'name role' }
+    ]);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update due date or notes, or cancel a session
+ * @route   PUT /api/coaching-sessions/:id
+ * @access  Private (admin, supervisor)
+ */
+const updateSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    if (rejectClosed(res, session)) return;
+
+    const { dueAt, notes, status } = req.body;
+    const changes = [];
+
+    if (status !== undefined && status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: 'Supervisors can only set status to cancelled'
+      });
+    }
+
+    if (dueAt !== undefined) {
+      const due = new Date(dueAt);
+      if (isNaN(due.getTime()) || due <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'dueAt must be a date in the future'
+        });
+      }
+      session.dueAt = due;
+      session.overdueAt = undefined;
+      changes.push('due date');
+    }
+
+    if (notes !== undefined) {
+      session.notes = notes;
+      changes.push('notes');
+    }
+
+    if (status === 'cancelled') {
+      session.status = 'cancelled';
+      session.record('cancelled', req.user.id, req.body.reason);
+    } else if (changes.length > 0) {
+      session.record('updated', req.user.id, `Changed ${changes.join(' and ')}`);
+    }
+
+    await session.save();
+
+    if (dueAt !== undefined && session.status !== 'cancelled') {
+      await coachingSessionService.scheduleDueCheck(session);
+    }
+    coachingSessionService.notify(session, status === 'cancelled' ? 'coaching-session-cancelled' : 'coaching-session-updated');
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Acknowledge an assigned coaching session
+ * @route   PUT /api/coaching-sessions/:id/acknowledge
+ * @access  Private (assigned agent)
+ */
+const acknowledgeSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    if (!isAgent(req, session)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the assigned agent can acknowledge this session'
+      });
+    }
+
+    if (session.status !== 'assigned') {
+      return res.status(400).json({
+        success: false,
+        error: `Coaching session is already ${session.status}`
+      });
+    }
+
+    session.status = 'acknowledged';
+    session.acknowledgedAt = new Date();
+    session.record('acknowledged', req.user.id);
+    await session.save();
+
+    coachingSessionService.notify(session, 'coaching-session-acknowledged');
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Comment on a coaching session
+ * @route   POST /api/coaching-sessions/:id/comments
+ * @access  Private (assigned agent, or a supervisor/admin who can see the agent)
+ */
+const addComment = async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment text is required'
+      });
+    }
+
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    session.comments.push({ author: req.user.id, text });
+    session.record('commented', req.user.id);
+    await session.save();
+
+    coachingSessionService.notify(session, 'coaching-session-comment');
+
+    res.status(201).json({
+      success: true,
+      data: session.comments[session.comments.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark an item done (or not done); the session completes when every item is done
+ * @route   PUT /api/coaching-sessions/:id/items/:itemId
+ * @access  Private (assigned agent)
+ */
+const updateItem = async (req, res) => {
+  try {
+    if (typeof req.body.done !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'done must be true or false'
+      });
+    }
+
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    if (!isAgent(req, session)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the assigned agent can update items'
+      });
+    }
+
+    if (rejectClosed(res, session)) return;
+
+    const item = session.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    if (item.done !== req.body.done) {
+      item.done = req.body.done;
+      item.doneAt = req.body.done ? new Date() : undefined;
+      session.record(req.body.done ? 'item-done' : 'item-reopened', req.user.id, item.title);
+
+      // Working on items implies the agent has seen the session
+      if (session.status === 'assigned') {
+        session.status = 'acknowledged';
+        session.acknowledgedAt = new Date();
+        session.record('acknowledged', req.user.id);
+      }
+    }
+
+    const completed = coachingSessionService.completeIfDone(session, req.user.id);
+    await session.save();
+
+    coachingSessionService.notify(session, completed ? 'coaching-session-completed' : 'coaching-session-updated');
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSession,
+  getSessions,
+  getSession,
+  updateSession,
+  acknowledgeSession,
+  addComment,
+  updateItem
+};
@@ -0,0 +1,210 @@
+const CompliancePolicy = require('../models/CompliancePolicy');
+const complianceService = require('../services/complianceService');
+
+/**
+ * @desc    Get all compliance policies
+ * @route   GET /api/compliance-policies
+ * @access  Private (admin, supervisor)
+ */
+const getPolicies = async (req, res) => {
+  try {
+    const filter = { tenant: req.user.tenant };
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.callType) filter.callTypes = req.query.callType;
+
+    const policies = await CompliancePolicy.find(filter)
+      .sort({ name: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single compliance policy
+ * @route   GET /api/compliance-policies/:id
+ * @access  Private (admin, supervisor)
+ */
+const getPolicy = async (req, res) => {
+  try {
+    const policy = await CompliancePolicy.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create compliance policy (standard disclosures when no rules are given)
+ * @route   POST /api/compliance-policies
+ * @access  Private (admin)
+ */
+const createPolicy = async (req, res) => {
+  try {
+    const { name, description, callTypes, isDefault, rules } = req.body;
+
+    const policy = await CompliancePolicy.create({
+      tenant: req.user.tenant,
+      name,
+      description,
+      callTypes,
+      isDefault,
+      rules,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update compliance policy
+ * @route   PUT /api/compliance-policies/:id
+ * @access  Private (admin)
+ */
+const updatePolicy = async (req, res) => {
+  try {
+    const policy = await CompliancePolicy.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance policy not found'
+      });
+    }
+
+    const fields = ['name', 'description', 'callTypes', 'isDefault', 'isActive', 'rules'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    // Calls record the version they were checked with, so bump it when rules change
+    if (req.body.rules !== undefined) {
+      policy.version += 1;
+    }
+    policy.updatedBy = req.user.id;
+
+    const updatedPolicy = await policy.save();
+
+    res.json({
+      success: true,
+      data: updatedPolicy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate compliance policy (kept so past results still resolve)
+ * @route   DELETE /api/compliance-policies/:id
+ * @access  Private (admin)
+ */
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await CompliancePolicy.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance policy not found'
+      });
+    }
+
+    policy.isActive = false;
+    policy.updatedBy = req.user.id;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Compliance policy deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Check a sample transcript against a policy without saving anything
+ * @route   POST /api/compliance-policies/:id/preview
+ * @access  Private (admin, supervisor)
+ */
+const previewPolicy = async (req, res) => {
+  try {
+    const { transcript, segments } = req.body;
+
+    if (!transcript) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transcript is required'
+      });
+    }
+
+    const policy = await CompliancePolicy.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance policy not found'
+      });
+    }
+
+    const result = await complianceService.checkCall(policy, { transcript, segments });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicy
+};
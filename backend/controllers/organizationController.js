@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const accessService = require('../services/accessService');
+const teamAnalyticsService = require('../services/teamAnalyticsService');
+const { parsePeriod } = require('../services/analyticsPeriod');
+
+const loadManagedOrganization = async (req, res) => {
+  const organization = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Organization.findOne({ _id: req.params.id, tenant: req.user.tenant })
+    : null;
+
+  if (!organization) {
+    res.status(404).json({ success: false, error: 'Organization not found' });
+    return null;
+  }
+
+  if (!accessService.canManageOrganization(req.user, organization)) {
+    res.status(403).json({ success: false, error: 'Not authorized to manage this organization' });
+    return null;
+  }
+
+  return organization;
+};
+
+/**
+ * @desc    Get the tenant's organizations; admins of an organization only see their own
+ * @route   GET /api/organizations
+ * @access  Private (admin)
+ */
+const getOrganizations = async (req, res) => {
+  try {
+    const filter = { tenant: req.user.tenant };
+    if (req.user.organization) filter._id = req.user.organization;
+    const organizations = await Organization.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: organizations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create organization
+ * @route   POST /api/organizations
+ * @access  Private (tenant admin, i.e. admin without an organization)
+ */
+const createOrganization = async (req, res) => {
+  try {
+    if (req.user.organization) {
+      return res.status(403).json({
+        success: false,
+        error: 'Organization admins cannot create organizations'
+      });
+    }
+
+    const organization = await Organization.create({
+      tenant: req.user.tenant,
+      name: req.body.name,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    res.status(error.code === 11000 || error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.code === 11000 ? 'An organization with this name already exists' : error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update organization
+ * @route   PUT /api/organizations/:id
+ * @access  Private (admin)
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    const organization = await loadManagedOrganization(req, res);
+    if (!organization) return;
+
+    const { name, isActive } = req.body;
+    if (name !== undefined) organization.name = name;
+    if (isActive !== undefined) organization.isActive = isActive;
+    await organization.save();
+
+    res.json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    res.status(error.code === 11000 || error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.code === 11000 ? 'An organization with this name already exists' : error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add users to an organization; users moving from another organization leave their team
+ * @route   PUT /api/organizations/:id/members
+ * @access  Private (admin)
+ */
+const addOrganizationMembers = async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'userIds must be a non-empty array of user IDs'
+      });
+    }
+
+    const organization = await loadManagedOrganization(req, res);
+    if (!organization) return;
+
+    const users = await User.find({ _id: { $in: userIds }, tenant: req.user.tenant }).select('organization');
+    if (users.length !== new Set(userIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        error: 'One or more users not found'
+      });
+    }
+
+    // Organization admins can only claim users nobody else owns
+    const foreign = users.filter(user => user.organization && !user.organization.equals(organization._id));
+    if (foreign.length > 0 && req.user.organization) {
+      return res.status(403).json({
+        success: false,
+        error: 'One or more users belong to another organization'
+      });
+    }
+
+    await User.updateMany(
+      { _id: { $in: foreign.map(user => user._id) } },
+      { $unset: { team: 1 } }
+    );
+    const result = await User.updateMany(
+      { _id: { $in: users.map(user => user._id) } },
+      { $set: { organization: organization._id } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        organization: organization._id,
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Organization analytics: per-team and per-agent breakdowns, rankings,
+ *          averages and percentiles per metric
+ * @route   GET /api/organizations/:id/analytics
+ * @access  Private (admin)
+ */
+const getOrganizationAnalytics = async (req, res) => {
+  try {
+    const range = parsePeriod(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const organization = await loadManagedOrganization(req, res);
+    if (!organization) return;
+
+    const [agents, teams] = await Promise.all([
+      User.find({ organization: organization._id, tenant: req.user.tenant }).select('name email team'),
+      Team.find({ organization: organization._id, tenant: req.user.tenant, isActive: true }).select('name').sort({ name: 1 })
+    ]);
+
+    const scope = await accessService.forRequest(req);
+    const analytics = await teamAnalyticsService.analyze(accessService.callFilter(scope), agents, range, { teams });
+
+    res.json({
+      success: true,
+      data: {
+        organization: { _id: organization._id, name: organization.name },
+        ...analytics
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+  addOrganizationMembers,
+  getOrganizationAnalytics
+};
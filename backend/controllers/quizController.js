@@ -0,0 +1,231 @@
+const Call = require('../models/Call');
+const QuizAttempt = require('../models/QuizAttempt');
+const coachingService = require('../services/coachingService');
+
+/**
+ * Quiz questions and answer key of a call's current coaching plan. Plans
+ * stored before the answer key was split out keep their answers in the quiz.
+ */
+const getPlanQuiz = (call) => {
+  const stored = call.coachingPlan.quiz ? JSON.parse(call.coachingPlan.quiz) : [];
+  const { questions, answerKey } = coachingService.splitQuizAnswers(stored);
+  return {
+    questions,
+    answerKey: call.coachingPlan.quizAnswerKey ? JSON.parse(call.coachingPlan.quizAnswerKey) : answerKey
+  };
+};
+
+// The current plan's attempts only; a regenerated plan starts over
+const planAttemptsFilter = (call) => ({
+  call: call._id,
+  ...(call.coachingPlan.generatedAt && { createdAt: { $gte: call.coachingPlan.generatedAt } })
+});
+
+/**
+ * @desc    Start (or resume) a coaching quiz attempt; questions come without answers
+ * @route   POST /api/calls/:id/coaching/quiz/attempts
+ * @access  Private (agent who handled the call)
+ */
+const startQuizAttempt = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    if (call.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the agent who handled this call can take its quiz'
+      });
+    }
+
+    if (!call.coachingPlan?.generated) {
+      return res.status(400).json({
+        success: false,
+        error: 'Coaching plan not generated yet'
+      });
+    }
+
+    const { questions } = getPlanQuiz(call);
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Coaching plan has no quiz'
+      });
+    }
+
+    const inProgress = await QuizAttempt.findOne({
+      ...planAttemptsFilter(call),
+      user: req.user.id,
+      status: 'in-progress'
+    });
+    if (inProgress) {
+      return res.json({
+        success: true,
+        data: inProgress
+      });
+    }
+
+    const previousAttempts = await QuizAttempt.countDocuments({ call: call._id, user: req.user.id });
+    const attempt = await QuizAttempt.create({
+      call: call._id,
+      user: req.user.id,
+      attemptNumber: previousAttempts + 1,
+      questions
+    });
+
+    res.status(201).json({
+      success: true,
+      data: attempt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Submit answers for grading; the response reveals correct answers and explanations
+ * @route   POST /api/calls/:id/coaching/quiz/attempts/:attemptId/submit
+ * @access  Private (agent who started the attempt)
+ */
+const submitQuizAttempt = async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'answers must be an array of { questionId, selected }'
+      });
+    }
+
+    const attempt = await QuizAttempt.findOne({ _id: req.params.attemptId, call: req.params.id });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz attempt not found'
+      });
+    }
+
+    if (attempt.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to submit this attempt'
+      });
+    }
+
+    if (attempt.status === 'submitted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Quiz attempt already submitted'
+      });
+    }
+
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant }).select('+coachingPlan.quizAnswerKey');
+    if (!call?.coachingPlan?.generated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coaching plan not found'
+      });
+    }
+
+    // Grading against a regenerated plan's answer key would mark the wrong questions
+    if (call.coachingPlan.generatedAt && attempt.createdAt < call.coachingPlan.generatedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'The coaching plan was regenerated after this attempt started; start a new attempt'
+      });
+    }
+
+    const { answerKey } = getPlanQuiz(call);
+    const grade = coachingService.gradeQuiz(attempt.questions, answerKey, answers);
+
+    attempt.status = 'submitted';
+    attempt.answers = grade.results.map(({ questionId, selected, correct }) => ({ questionId, selected, correct }));
+    attempt.correctCount = grade.correctCount;
+    attempt.score = grade.score;
+    attempt.passScore = grade.passScore;
+    attempt.passed = grade.passed;
+    attempt.submittedAt = new Date();
+    await attempt.save();
+
+    // Record completion against the coaching plan
+    const update = {
+      $inc: { 'coachingPlan.quizAttempts': 1 },
+      $max: { 'coachingPlan.quizBestScore': grade.score }
+    };
+    if (grade.passed && !call.coachingPlan.quizPassedAt) {
+      update.$set = {
+        'coachingPlan.quizPassedAt': attempt.submittedAt,
+        'coachingPlan.completedAt': attempt.submittedAt
+      };
+    }
+    await Call.updateOne({ _id: call._id }, update);
+
+    console.log(`📝 Quiz attempt ${attempt.attemptNumber} on call ${call._id}: ${grade.score}% (${grade.passed ? 'passed' : 'not passed'})`);
+
+    res.json({
+      success: true,
+      data: {
+        attempt,
+        ...grade
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get quiz attempts on a call's coaching plan
+ * @route   GET /api/calls/:id/coaching/quiz/attempts
+ * @access  Private (anyone who can see the call)
+ */
+const getQuizAttempts = async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const attempts = await QuizAttempt.find({ call: call._id }).sort({ attemptNumber: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        quizAttempts: call.coachingPlan?.quizAttempts || 0,
+        bestScore: call.coachingPlan?.quizBestScore ?? null,
+        passedAt: call.coachingPlan?.quizPassedAt || null,
+        completedAt: call.coachingPlan?.completedAt || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  startQuizAttempt,
+  submitQuizAttempt,
+  getQuizAttempts
+};
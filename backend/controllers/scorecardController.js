@@ -0,0 +1,211 @@
+const Scorecard = require('../models/Scorecard');
+const openaiService = require('../services/openaiService');
+
+/**
+ * @desc    Get all scorecards
+ * @route   GET /api/scorecards
+ * @access  Private (admin, supervisor)
+ */
+const getScorecards = async (req, res) => {
+  try {
+    const filter = { tenant: req.user.tenant };
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    if (req.query.callType) filter.callTypes = req.query.callType;
+
+    const scorecards = await Scorecard.find(filter)
+      .sort({ name: 1 })
+      .populate('updatedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: scorecards
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single scorecard
+ * @route   GET /api/scorecards/:id
+ * @access  Private (admin, supervisor)
+ */
+const getScorecard = async (req, res) => {
+  try {
+    const scorecard = await Scorecard.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scorecard not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create scorecard
+ * @route   POST /api/scorecards
+ * @access  Private (admin)
+ */
+const createScorecard = async (req, res) => {
+  try {
+    const { name, description, callTypes, isDefault, passThreshold, sections } = req.body;
+
+    const scorecard = await Scorecard.create({
+      tenant: req.user.tenant,
+      name,
+      description,
+      callTypes,
+      isDefault,
+      passThreshold,
+      sections,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update scorecard
+ * @route   PUT /api/scorecards/:id
+ * @access  Private (admin)
+ */
+const updateScorecard = async (req, res) => {
+  try {
+    const scorecard = await Scorecard.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scorecard not found'
+      });
+    }
+
+    const fields = ['name', 'description', 'callTypes', 'isDefault', 'isActive', 'passThreshold', 'sections'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) scorecard[field] = req.body[field];
+    });
+
+    // Calls record the version they were scored with, so bump it when scoring can change
+    if (req.body.sections !== undefined || req.body.passThreshold !== undefined) {
+      scorecard.version += 1;
+    }
+    scorecard.updatedBy = req.user.id;
+
+    const updatedScorecard = await scorecard.save();
+
+    res.json({
+      success: true,
+      data: updatedScorecard
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate scorecard (kept so past results still resolve)
+ * @route   DELETE /api/scorecards/:id
+ * @access  Private (admin)
+ */
+const deleteScorecard = async (req, res) => {
+  try {
+    const scorecard = await Scorecard.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scorecard not found'
+      });
+    }
+
+    scorecard.isActive = false;
+    scorecard.updatedBy = req.user.id;
+    await scorecard.save();
+
+    res.json({
+      success: true,
+      message: 'Scorecard deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Score a sample transcript against a scorecard without saving anything
+ * @route   POST /api/scorecards/:id/preview
+ * @access  Private (admin, supervisor)
+ */
+const previewScorecard = async (req, res) => {
+  try {
+    const { transcript, segments } = req.body;
+
+    if (!transcript) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transcript is required'
+      });
+    }
+
+    const scorecard = await Scorecard.findOne({ _id: req.params.id, tenant: req.user.tenant });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scorecard not found'
+      });
+    }
+
+    const analysis = await openaiService.analyzeCall(transcript, segments, { scorecard });
+
+    res.json({
+      success: true,
+      data: analysis.scorecard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getScorecards,
+  getScorecard,
+  createScorecard,
+  updateScorecard,
+  deleteScorecard,
+  previewScorecard
+};
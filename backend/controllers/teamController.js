@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const accessService = require('../services/accessService');
+const teamAnalyticsService = require('../services/teamAnalyticsService');
+const metricTrendService = require('../services/metricTrendService');
+const { parsePeriod } = require('../services/analyticsPeriod');
+
+const isIdList = (ids) => Array.isArray(ids) && ids.every(id => mongoose.Types.ObjectId.isValid(id));
+
+const saveError = (res, error) => {
+  res.status(error.code === 11000 || error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    error: error.code === 11000 ? 'A team with this name already exists in the organization' : error.message
+  });
+};
+
+const canManageTeam = (user, team) =>
+  accessService.canManageOrganization(user, { _id: team.organization, tenant: team.tenant });
+
+const loadTeam = async (req, res) => {
+  const team = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Team.findOne({ _id: req.params.id, tenant: req.user.tenant })
+    : null;
+
+  if (!team) {
+    res.status(404).json({ success: false, error: 'Team not found' });
+    return null;
+  }
+
+  return team;
+};
+
+/**
+ * Check that every user exists in the organization (and, for supervisors,
+ * can supervise). Returns an error message or null.
+ */
+const validateUsers = async (userIds, organizationId, { supervisors = false } = {}) => {
+  const unique = [...new Set(userIds.map(String))];
+  const users = await User.find({ _id: { $in: unique }, organization: organizationId }).select('role');
+
+  if (users.length !== unique.length) {
+    return 'Every user must belong to the team\'s organization';
+  }
+  if (supervisors && users.some(user => !['admin', 'supervisor'].includes(user.role))) {
+    return 'Team supervisors must have the supervisor or admin role';
+  }
+  return null;
+};
+
+/**
+ * @desc    Get teams: an admin's organization teams, or the teams a supervisor leads
+ * @route   GET /api/teams
+ * @access  Private (admin, supervisor)
+ */
+const getTeams = async (req, res) => {
+  try {
+    const filter = { tenant: req.user.tenant };
+
+    if (req.user.role === 'supervisor') {
+      filter.supervisors = req.user._id;
+    } else if (req.user.organization) {
+      filter.organization = req.user.organization;
+    } else if (req.query.organizationId) {
+      filter.organization = req.query.organizationId;
+    }
+
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const teams = await Team.find(filter)
+      .populate('supervisors', 'name email')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a team with its members
+ * @route   GET /api/teams/:id
+ * @access  Private (admin of the organization, or the team's supervisors)
+ */
+const getTeam = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const supervises = team.supervisors.some(id => id.equals(req.user._id));
+    if (!supervises && !canManageTeam(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this team'
+      });
+    }
+
+    await team.populate('supervisors', 'name email role');
+    const members = await User.find({ team: team._id }).select('name email role department isActive');
+
+    res.json({
+      success: true,
+      data: {
+        ...team.toObject(),
+        members
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create team
+ * @route   POST /api/teams
+ * @access  Private (admin)
+ */
+const createTeam = async (req, res) => {
+  try {
+    const { name, description, organizationId, supervisorIds = [] } = req.body;
+    const organizationKey = req.user.organization || organizationId;
+
+    if (!organizationKey || !mongoose.Types.ObjectId.isValid(organizationKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'organizationId is required'
+      });
+    }
+
+    const organization = await Organization.findOne({ _id: organizationKey, tenant: req.user.tenant });
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    if (!accessService.canManageOrganization(req.user, organization)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to manage this organization'
+      });
+    }
+
+    if (!isIdList(supervisorIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'supervisorIds must be an array of user IDs'
+      });
+    }
+
+    const invalid = await validateUsers(supervisorIds, organization._id, { supervisors: true });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const team = await Team.create({
+      name,
+      description,
+      tenant: organization.tenant,
+      organization: organization._id,
+      supervisors: supervisorIds,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+};
+
+/**
+ * @desc    Update team name, description, supervisors or active state
+ * @route   PUT /api/teams/:id
+ * @access  Private (admin)
+ */
+const updateTeam = async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!canManageTeam(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to manage this team'
+      });
+    }
+
+    const { name, description, supervisorIds, isActive } = req.body;
+
+    if (supervisorIds !== undefined) {
+      if (!isIdList(supervisorIds)) {
+        return res.status(400).json({
+          success: false,
+          error: 'supervisorIds must be an array of user IDs'
+        });
+      }
+
+      const invalid = await validateUsers(supervisorIds, team.organization, { supervisors: true });
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid
+        });
+      }
+      team.supervisors = supervisorIds;
+    }
+
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (isActive !== undefined) team.isActive = isActive;
+    team.updatedBy = req.user.id;
+    await team.save();
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+};
+
+/**
+ * @desc    Add agents to or remove them from a team; an agent belongs to one team at a time
+ * @route   PUT /api/teams/:id/members
+ * @access  Private (admin)
+ */
+const updateTeamMembers = async (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body;
+
+    if (!isIdList(add) || !isIdList(remove) || add.length + remove.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide user IDs to add and/or remove'
+      });
+    }
+
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!canManageTeam(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to manage this team'
+      });
+    }
+
+    const invalid = add.length > 0 ? await validateUsers(add, team.organization) : null;
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const added = await User.updateMany({ _id: { $in: add } }, { $set: { team: team._id } });
+    const removed = await User.updateMany({ _id: { $in: remove }, team: team._id }, { $unset: { team: 1 } });
+
+    res.json({
+      success: true,
+      data: {
+        team: team._id,
+        added: added.modifiedCount,
+        removed: removed.modifiedCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Load a team the caller supervises or manages, with its members for analytics
+const loadAnalyticsTeam = async (req, res) => {
+  const team = await loadTeam(req, res);
+  if (!team) return null;
+
+  const supervises = team.supervisors.some(id => id.equals(req.user._id));
+  if (!supervises && !canManageTeam(req.user, team)) {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to view this team'
+    });
+    return null;
+  }
+
+  const members = await User.find({ team: team._id, tenant: req.user.tenant }).select('name email team');
+  return { team, members };
+};
+
+/**
+ * @desc    Team analytics: per-agent breakdown and rankings, team averages and
+ *          percentiles per metric, limited to the calls the caller can see
+ * @route   GET /api/teams/:id/analytics
+ * @access  Private (admin of the organization, or the team's supervisors)
+ */
+const getTeamAnalytics = async (req, res) => {
+  try {
+    const range = parsePeriod(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const loaded = await loadAnalyticsTeam(req, res);
+    if (!loaded) return;
+
+    const scope = await accessService.forRequest(req);
+    const analytics = await teamAnalyticsService.analyze(accessService.callFilter(scope), loaded.members, range);
+
+    res.json({
+      success: true,
+      data: {
+        team: { _id: loaded.team._id, name: loaded.team.name },
+        ...analytics
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Compare an agent's averages with the team baseline
+ * @route   GET /api/teams/:id/analytics/agents/:agentId
+ * @access  Private (admin of the organization, or the team's supervisors)
+ */
+const getTeamAgentComparison = async (req, res) => {
+  try {
+    const range = parsePeriod(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const loaded = await loadAnalyticsTeam(req, res);
+    if (!loaded) return;
+
+    const agent = loaded.members.find(member => member._id.toString() === req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent is not a member of this team'
+      });
+    }
+
+    const scope = await accessService.forRequest(req);
+    const analytics = await teamAnalyticsService.analyze(accessService.callFilter(scope), loaded.members, range);
+
+    res.json({
+      success: true,
+      data: {
+        team: { _id: loaded.team._id, name: loaded.team.name },
+        ...teamAnalyticsService.compare(analytics, agent._id)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Team metric trends over rolling windows, with the latest window
+ *          tested against the ones before it
+ * @route   GET /api/teams/:id/metric-trends
+ * @access  Private (admin of the organization, or the team's supervisors)
+ */
+const getTeamMetricTrends = async (req, res) => {
+  try {
+    const loaded = await loadAnalyticsTeam(req, res);
+    if (!loaded) return;
+
+    const trends = await metricTrendService.getTrends(
+      loaded.team.tenant,
+      loaded.members.map(member => member._id)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        team: { _id: loaded.team._id, name: loaded.team.name },
+        ...trends
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  updateTeamMembers,
+  getTeamAnalytics,
+  getTeamAgentComparison,
+  getTeamMetricTrends
+};
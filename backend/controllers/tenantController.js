@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const tenantService = require('../services/tenantService');
+const { checkWebhookUrl } = require('../services/webhookAddress');
+
+const SETTINGS_FIELDS = ['allowedAudioTypes', 'maxFileSizeMB', 'retentionDays', 'allowSelfRegistration', 'alertWebhookUrls'];
+
+const saveError = (res, error) => {
+  res.status(error.code === 11000 || error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    error: error.code === 11000 ? 'A tenant with this slug already exists' : error.message
+  });
+};
+
+const applySettings = (tenant, settings = {}) => {
+  SETTINGS_FIELDS.forEach(field => {
+    if (settings[field] !== undefined) tenant.set(`settings.${field}`, settings[field]);
+  });
+  // Alerts are POSTed from inside our network, so only public https hosts;
+  // the error fails the save with a 400 like any other validation error
+  if (Array.isArray(settings.alertWebhookUrls)) {
+    const invalid = settings.alertWebhookUrls.map(url => checkWebhookUrl(String(url))).find(Boolean);
+    if (invalid) tenant.invalidate('settings.alertWebhookUrls', invalid);
+  }
+  // Write-only like the provider tokens; an empty string clears it
+  if (settings.alertWebhookSecret !== undefined) {
+    tenant.set('settings.alertWebhookSecret', settings.alertWebhookSecret || undefined);
+  }
+};
+
+// Tokens and the webhook secret are write-only: report which ones are set, never their values
+const toPayload = async (tenant) => {
+  const tokens = await Tenant.findById(tenant._id)
+    .select([
+      ...Tenant.PROVIDER_TOKEN_FIELDS.map(field => `+providerTokens.${field}`),
+      '+settings.alertWebhookSecret'
+    ].join(' '))
+    .lean();
+
+  return {
+    _id: tenant._id,
+    name: tenant.name,
+    slug: tenant.slug,
+    isActive: tenant.isActive,
+    settings: {
+      ...tenant.toObject().settings,
+      alertWebhookSecret: !!tokens?.settings?.alertWebhookSecret
+    },
+    providerTokens: Object.fromEntries(
+      Tenant.PROVIDER_TOKEN_FIELDS.map(field => [field, !!tokens?.providerTokens?.[field]])
+    ),
+    createdAt: tenant.createdAt,
+    updatedAt: tenant.updatedAt
+  };
+};
+
+const requirePlatformAdmin = (req, res) => {
+  if (tenantService.isPlatformAdmin(req.user)) return true;
+
+  res.status(403).json({
+    success: false,
+    error: 'Only platform admins can manage tenants'
+  });
+  return false;
+};
+
+/**
+ * @desc    Get all tenants
+ * @route   GET /api/tenants
+ * @access  Private (platform admin)
+ */
+const getTenants = async (req, res) => {
+  try {
+    if (!requirePlatformAdmin(req, res)) return;
+
+    const tenants = await Tenant.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: tenants
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a tenant with its first admin
+ * @route   POST /api/tenants
+ * @access  Private (platform admin)
+ */
+const createTenant = async (req, res) => {
+  try {
+    if (!requirePlatformAdmin(req, res)) return;
+
+    const { name, slug, settings, admin } = req.body;
+
+    if (!admin?.name || !admin?.email || !admin?.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'admin name, email and password are required'
+      });
+    }
+
+    if (await User.exists({ email: admin.email })) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
+
+    const tenant = new Tenant({ name, slug, createdBy: req.user.id });
+    applySettings(tenant, settings);
+    await tenant.save();
+
+    let user;
+    try {
+      user = await User.create({
+        name: admin.name,
+        email: admin.email,
+        password: admin.password,
+        role: 'admin',
+        tenant: tenant._id
+      });
+    } catch (error) {
+      // A tenant nobody can sign in to is useless
+      await Tenant.deleteOne({ _id: tenant._id });
+      throw error;
+    }
+
+    console.log(`🏢 Tenant created: ${tenant.name} (${tenant.slug})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...(await toPayload(tenant)),
+        admin: { _id: user._id, name: user.name, email: user.email }
+      }
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+};
+
+/**
+ * @desc    Rename, suspend or reconfigure a tenant
+ * @route   PUT /api/tenants/:id
+ * @access  Private (platform admin)
+ */
+const updateTenant = async (req, res) => {
+  try {
+    if (!requirePlatformAdmin(req, res)) return;
+
+    const tenant = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Tenant.findById(req.params.id)
+      : null;
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+      });
+    }
+
+    if (tenant._id.equals(req.user.tenant) && req.body.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot suspend your own tenant'
+      });
+    }
+
+    const { name, isActive, settings } = req.body;
+    if (name !== undefined) tenant.name = name;
+    if (isActive !== undefined) tenant.isActive = isActive;
+    applySettings(tenant, settings);
+    await tenant.save();
+
+    res.json({
+      success: true,
+      data: await toPayload(tenant)
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+};
+
+/**
+ * @desc    Get the signed-in user's tenant and its settings
+ * @route   GET /api/tenants/current
+ * @access  Private (admin)
+ */
+const getCurrentTenant = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await toPayload(req.tenant)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the tenant's settings and provider tokens; an empty token clears it
+ * @route   PUT /api/tenants/current
+ * @access  Private (tenant admin, i.e. admin without an organization)
+ */
+const updateCurrentTenant = async (req, res) => {
+  try {
+    if (req.user.organization) {
+      return res.status(403).json({
+        success: false,
+        error: 'Organization admins cannot change tenant settings'
+      });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenant);
+    const { settings, providerTokens = {} } = req.body;
+
+    applySettings(tenant, settings);
+    Tenant.PROVIDER_TOKEN_FIELDS.forEach(field => {
+      if (providerTokens[field] === undefined) return;
+      tenant.set(`providerTokens.${field}`, providerTokens[field] || undefined);
+    });
+    await tenant.save();
+
+    res.json({
+      success: true,
+      data: await toPayload(tenant)
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+};
+
+/**
+ * @desc    Create a user in the tenant with any role; organization admins add
+ *          users to their own organization
+ * @route   POST /api/tenants/current/users
+ * @access  Private (admin)
+ */
+const createTenantUser = async (req, res) => {
+  try {
+    const { name, email, password, role, department } = req.body;
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid role is required'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role,
+      department: department || 'Customer Service',
+      tenant: req.user.tenant,
+      organization: req.user.organization
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        organization: user.organization
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTenants,
+  createTenant,
+  updateTenant,
+  getCurrentTenant,
+  updateCurrentTenant,
+  createTenantUser
+};
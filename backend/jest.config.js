@@ -0,0 +1,6 @@
+module.exports = {
+  testEnvironment: 'node',
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/tests/helpers/'],
+  // Suites against MongoDB may have to start an in-memory server first
+  testTimeout: 60000
+};
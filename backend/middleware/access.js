@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const accessService = require('../services/accessService');
+
+const ACTION_VERBS = {
+  view: 'access',
+  update: 'update',
+  delete: 'delete',
+  retry: 'retry',
+  reanalyze: 'reanalyze'
+};
+
+// Check that the signed-in user may perform `action` on the call in req.params.id
+const authorizeCall = (action = 'view') => {
+  return async (req, res, next) => {
+    try {
+      const call = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Call.findOne({ _id: req.params.id, tenant: req.user.tenant }).select('user tenant')
+        : null;
+
+      // Calls of other tenants don't exist as far as the caller can tell
+      if (!call) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call not found'
+        });
+      }
+
+      const scope = await accessService.forRequest(req);
+
+      if (!accessService.canAccessCall(scope, action, call)) {
+        return res.status(403).json({
+          success: false,
+          error: `Not authorized to ${ACTION_VERBS[action] || action} this call`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = { authorizeCall };
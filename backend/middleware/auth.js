@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const tenantService = require('../services/tenantService');
 
 const protect = async (req, res, next) => {
   let token;
@@ -46,9 +48,20 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Suspending a tenant locks out all of its users
+    const tenant = user.tenant && await Tenant.findById(user.tenant);
+    if (!tenant || !tenant.isActive) {
+      console.log('❌ Tenant missing or deactivated');
+      return res.status(401).json({
+        success: false,
+        error: 'Tenant is deactivated'
+      });
+    }
+
     console.log('✅ User authenticated successfully:', user.email);
     req.user = user;
-    next();
+    req.tenant = tenant;
+    tenantService.run(tenant._id, next);
   } catch (error) {
     console.error('❌ Token verification failed:', error.message);
     return res.status(401).json({
@@ -1,10 +1,13 @@
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const tenantService = require('../services/tenantService');
 
-// Configure multer for file uploads
+// Configure multer for file uploads; each tenant's files live in their own directory
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
+    const dir = tenantService.getUploadDir(req.user.tenant);
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -13,27 +16,27 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = process.env.ALLOWED_AUDIO_TYPES?.split(',') || [
-    'audio/wav',
-    'audio/mp3',
-    'audio/mpeg',
-    'audio/m4a',
-    'audio/wave'
-  ];
+  const allowedTypes = tenantService.getAllowedAudioTypes(req.tenant);
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only audio files are allowed.'), false);
+    // statusCode makes errorHandler answer 400 rather than 500
+    const error = new Error('Invalid file type. Only audio files are allowed.');
+    error.statusCode = 400;
+    cb(error, false);
   }
 };
 
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
-  }
-});
+// Limits come from the tenant's settings, so multer is configured per request
+const upload = {
+  single: (field) => (req, res, next) => multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: tenantService.getMaxFileSize(req.tenant)
+    }
+  }).single(field)(req, res, next)
+};
 
 module.exports = upload;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const skillSummarySchema = new mongoose.Schema({
+  skill: String,
+  name: String,
+  average: Number,
+  // Average over the most recent half of the window, for trend
+  recentAverage: Number,
+  latest: Number,
+  callCount: Number,
+  lowCallCount: Number,
+  trend: {
+    type: String,
+    enum: ['improving', 'declining', 'stable']
+  },
+  status: {
+    type: String,
+    enum: ['persistent-weakness', 'dip', 'on-target', 'strength']
+  }
+}, { _id: false });
+
+const metricTargetSchema = new mongoose.Schema({
+  metric: String,
+  // Higher is better for 0-100 scores; talk-time and silence metrics must stay below their target
+  direction: {
+    type: String,
+    enum: ['above', 'below']
+  },
+  baseline: Number,
+  target: Number,
+  current: Number
+}, { _id: false });
+
+const goalSchema = new mongoose.Schema({
+  skill: String,
+  name: String,
+  reason: {
+    type: String,
+    enum: ['persistent-weakness', 'dip', 'below-target']
+  },
+  description: String,
+  baseline: Number,
+  target: Number,
+  // Average skill score over calls analyzed since the plan started
+  current: Number,
+  callsSinceStart: { type: Number, default: 0 },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  status: {
+    type: String,
+    enum: ['in-progress', 'achieved', 'missed'],
+    default: 'in-progress'
+  },
+  metrics: [metricTargetSchema]
+}, { _id: false });
+
+const developmentPlanSchema = new mongoose.Schema({
+  weekStart: Date,
+  weekEnd: Date,
+  generatedAt: Date,
+  goals: [goalSchema],
+  recommendations: mongoose.Schema.Types.Mixed,
+  resources: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const agentProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Calls the skill summaries are computed from
+  callCount: { type: Number, default: 0 },
+  windowDays: Number,
+  firstCallAt: Date,
+  lastCallAt: Date,
+  skills: [skillSummarySchema],
+  developmentPlan: developmentPlanSchema,
+  // Finished weekly plans, most recent first
+  pastPlans: [developmentPlanSchema]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AgentProfile', agentProfileSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+  url: String,
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  statusCode: Number,
+  error: String,
+  deliveredAt: Date
+}, { _id: false });
+
+// A metric whose recent average moved significantly away from its baseline
+const trendSchema = new mongoose.Schema({
+  windowStart: Date,
+  windowEnd: Date,
+  currentMean: Number,
+  currentCount: Number,
+  baselineStart: Date,
+  baselineMean: Number,
+  baselineStdDev: Number,
+  baselineCount: Number,
+  change: Number,
+  // Welch's t statistic of the current window against the baseline
+  tStatistic: Number
+}, { _id: false });
+
+const alertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['escalation-risk', 'churn-risk', 'metric-drop', 'metric-spike'],
+    required: true
+  },
+  // Risk alerts are raised for a call; metric alerts for an agent or a team
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: function() {
+      return !this.type.startsWith('metric-');
+    }
+  },
+  // Agent who handled the call, or whose metric moved
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Tenant the alert belongs to; team metric alerts have no user
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  subject: {
+    type: String,
+    enum: ['agent', 'team']
+  },
+  metric: String,
+  // Metric alerts: type, metric, agent or team and cooldown period, so only
+  // one alert is raised per period even when jobs race
+  cooldownKey: String,
+  trend: trendSchema,
+  score: { type: Number, min: 0, max: 100 },
+  threshold: Number,
+  reasons: [{
+    signal: String,
+    reason: String,
+    weight: Number,
+    spans: mongoose.Schema.Types.Mixed
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  // At-risk customers get a callback the same day
+  callbackDueAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNotes: String,
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true
+});
+
+// Re-analysis updates a call's alert instead of raising a second one
+alertSchema.index({ call: 1, type: 1 }, { unique: true, partialFilterExpression: { call: { $exists: true } } });
+alertSchema.index({ subject: 1, user: 1, team: 1, metric: 1, type: 1, createdAt: -1 });
+alertSchema.index({ cooldownKey: 1 }, { unique: true, partialFilterExpression: { cooldownKey: { $exists: true } } });
+alertSchema.index({ status: 1, callbackDueAt: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
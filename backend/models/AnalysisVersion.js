@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { withoutQuizAnswers } = require('./Call');
+
+const analysisVersionSchema = new mongoose.Schema({
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  coachingPlan: mongoose.Schema.Types.Mixed,
+  reason: {
+    type: String,
+    enum: ['reanalysis', 'reprocessing'],
+    default: 'reanalysis'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  analyzedAt: Date
+}, {
+  timestamps: true
+});
+
+analysisVersionSchema.index({ call: 1, version: -1 }, { unique: true });
+
+/**
+ * Store the call's current analysis and coaching plan as the next prior version
+ */
+analysisVersionSchema.statics.snapshot = async function(call, options = {}) {
+  const latest = await this.findOne({ call: call._id }).sort({ version: -1 }).select('version');
+  const lastAnalysisStep = [...call.processingHistory]
+    .reverse()
+    .find(entry => entry.step === 'analyze' && entry.status === 'completed');
+
+  return this.create({
+    call: call._id,
+    version: (latest?.version || 0) + 1,
+    analysis: call.toObject().analysis,
+    coachingPlan: call.toObject().coachingPlan,
+    reason: options.reason,
+    createdBy: options.createdBy,
+    analyzedAt: lastAnalysisStep?.timestamp
+  });
+};
+
+// Versions of plans stored before the answer key was split out carry answers too
+analysisVersionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.coachingPlan) ret.coachingPlan = withoutQuizAnswers(ret.coachingPlan);
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AnalysisVersion', analysisVersionSchema);
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+
+const score = { type: Number, min: 0, max: 100 };
+
+const callSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    index: true
+  },
+  fileName: { type: String, required: true },
+  originalName: { type: String, required: true },
+  filePath: { type: String, required: true },
+  fileSize: { type: Number, required: true },
+  mimeType: { type: String, required: true },
+  duration: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['uploaded', 'transcribing', 'transcribed', 'analyzing', 'analyzed', 'generating-coaching', 'completed', 'error'],
+    default: 'uploaded'
+  },
+  transcript: {
+    text: String,
+    segments: [{
+      _id: false,
+      start: Number,
+      end: Number,
+      text: String,
+      speaker: String,
+      channel: { type: String, enum: ['left', 'right'] },
+      confidence: Number,
+      language: String // detected per segment; short segments take the call's language
+    }],
+    language: String,
+    languageConfidence: Number,
+    languages: [{ _id: false, language: String, share: Number }], // % of talk time per language
+    // English translation kept next to the original (TRANSLATION_ENABLED)
+    translation: {
+      language: String,
+      text: String,
+      segments: [{ _id: false, text: String }],
+      translatedAt: Date
+    },
+    confidence: Number,
+    duration: Number
+  },
+  // What was masked in the transcript; never the values themselves
+  redaction: {
+    entities: [{
+      _id: false,
+      type: { type: String, enum: ['card', 'ssn', 'email', 'phone'] },
+      segmentIndex: Number,
+      start: Number,
+      end: Number
+    }],
+    counts: { type: Map, of: Number },
+    audioPath: String, // bleeped audio when REDACTION_AUDIO_MODE is copy or replace
+    redactedAt: Date
+  },
+  // Assigned from the CallReason taxonomy on every analysis
+  classification: {
+    reason: String,
+    reasonName: String,
+    confidence: Number,
+    method: { type: String, enum: ['zero-shot', 'keywords'] },
+    reasonSpans: mongoose.Schema.Types.Mixed,
+    subTopics: [{ _id: false, key: String, name: String, spans: mongoose.Schema.Types.Mixed }],
+    outcome: { type: String, enum: ['resolved', 'escalated', 'callback', 'unresolved'] },
+    outcomeSpans: mongoose.Schema.Types.Mixed,
+    classifiedAt: Date
+  },
+  analysis: {
+    language: String, // phrase pack the rubric heuristics used
+    overallScore: score,
+    metrics: {
+      callOpening: score,
+      issueUnderstanding: score,
+      sentimentAnalysis: score,
+      politeness: score,
+      clarity: score,
+      engagement: score,
+      relevance: score,
+      csatScore: score,
+      resolutionQuality: score,
+      // Conversation dynamics: seconds, counts, or percent for agentTalkRatio
+      agentTalkRatio: score,
+      agentTalkSeconds: Number,
+      customerTalkSeconds: Number,
+      longestMonologueSeconds: Number,
+      longestMonologueSpeaker: String,
+      deadAirSeconds: Number,
+      deadAirCount: Number,
+      holdSeconds: Number,
+      holdCount: Number,
+      overlapSeconds: Number,
+      interruptionCount: Number,
+      customerInterruptionCount: Number,
+      avgResponseLatencySeconds: Number,
+      maxResponseLatencySeconds: Number
+    },
+    feedback: {
+      callOpening: String,
+      issueUnderstanding: String,
+      sentimentAnalysis: String,
+      politeness: String,
+      clarity: String,
+      engagement: String,
+      relevance: String,
+      csatScore: String,
+      resolutionQuality: String
+    },
+    sentimentBySpeaker: { type: Map, of: Number },
+    politenessBySpeaker: { type: Map, of: Number },
+    sentimentTimeline: mongoose.Schema.Types.Mixed,
+    scorecard: mongoose.Schema.Types.Mixed,
+    compliance: mongoose.Schema.Types.Mixed,
+    risk: mongoose.Schema.Types.Mixed,
+    summary: String, // llm mode only
+    keyPoints: [String],
+    issues: [String],
+    recommendations: [String],
+    evidence: mongoose.Schema.Types.Mixed,
+    // How the call was analyzed
+    engine: {
+      mode: { type: String, enum: ['heuristic', 'llm'] },
+      requestedMode: String, // set when llm was requested but fell back
+      model: String,
+      promptVersion: String,
+      usage: { promptTokens: Number, completionTokens: Number, totalTokens: Number },
+      attempts: Number,
+      repaired: Boolean,
+      fallbackReason: String
+    }
+  },
+  coachingPlan: {
+    generated: { type: Boolean, default: false },
+    feedback: String,
+    recommendations: String, // JSON string
+    resources: String, // JSON string
+    quiz: String, // JSON string, questions without answers
+    // JSON string: correctAnswer and explanation by question id; only loaded for grading
+    quizAnswerKey: { type: String, select: false },
+    generatedAt: Date,
+    quizAttempts: Number,
+    quizBestScore: Number,
+    quizPassedAt: Date,
+    completedAt: Date,
+    focusAreas: String, // JSON string: skill, score, priority, reasons, examples
+    strengths: String, // JSON string
+    completionCriteria: { type: String, default: 'Complete all recommendations and pass the quiz' }
+  },
+  metadata: {
+    customerId: String,
+    // Key from the tenant's CallReason taxonomy; unset calls use their classified reason
+    callType: { type: String, trim: true, lowercase: true },
+    tags: [String],
+    notes: String,
+    priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' }
+  },
+  processingHistory: [{
+    step: { type: String, enum: ['upload', 'transcribe', 'analyze', 'coaching'], required: true },
+    status: { type: String, enum: ['started', 'completed', 'failed'], required: true },
+    message: String,
+    timestamp: { type: Date, default: Date.now },
+    duration: Number,
+    error: {
+      message: String,
+      code: String,
+      stack: String
+    }
+  }],
+  error: {
+    message: String,
+    code: String,
+    timestamp: Date,
+    step: String,
+    retryCount: { type: Number, default: 0 }
+  },
+  performance: {
+    processingTime: Number,
+    transcriptionTime: Number,
+    analysisTime: Number,
+    coachingTime: Number,
+    apiCalls: [{
+      service: String,
+      endpoint: String,
+      duration: Number,
+      status: String,
+      timestamp: Date
+    }]
+  },
+  quality: {
+    audioQuality: { type: String, enum: ['excellent', 'good', 'fair', 'poor'], default: 'good' },
+    transcriptionConfidence: Number,
+    analysisConfidence: Number,
+    flaggedIssues: [{
+      type: { type: String },
+      severity: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+      description: String,
+      timestamp: Date
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+callSchema.index({ user: 1, createdAt: -1 });
+callSchema.index({ status: 1 });
+callSchema.index({ 'analysis.overallScore': -1 });
+callSchema.index({ 'metadata.callType': 1 });
+callSchema.index({ 'metadata.priority': 1 });
+callSchema.index({ 'classification.reason': 1 });
+callSchema.index({ 'classification.outcome': 1 });
+callSchema.index({ 'transcript.language': 1 });
+callSchema.index({ 'quality.audioQuality': 1 });
+callSchema.index({ 'processingHistory.step': 1 });
+callSchema.index({ 'processingHistory.status': 1 });
+
+/**
+ * Record a pipeline step in the processing history and save the call
+ */
+callSchema.methods.addProcessingStep = function(step, status, message, duration, error = null) {
+  this.processingHistory.push({
+    step,
+    status,
+    message,
+    duration,
+    error: error ? {
+      message: error.message,
+      code: error.code,
+      stack: error.stack
+    } : undefined
+  });
+
+  if (status === 'failed') {
+    this.error = {
+      message: error?.message || message,
+      code: error?.code || 'PROCESSING_ERROR',
+      timestamp: new Date(),
+      step,
+      retryCount: this.error?.retryCount || 0
+    };
+  }
+
+  return this.save();
+};
+
+/**
+ * A coaching plan as sent to clients. Plans stored before the answer key was
+ * split out still carry each question's answer and explanation in the quiz.
+ */
+const withoutQuizAnswers = (coachingPlan) => {
+  if (!coachingPlan?.quiz) return coachingPlan;
+
+  try {
+    const questions = JSON.parse(coachingPlan.quiz).map(({ correctAnswer, explanation, ...question }) => question);
+    return { ...coachingPlan, quiz: JSON.stringify(questions) };
+  } catch (error) {
+    const { quiz, ...rest } = coachingPlan;
+    return rest;
+  }
+};
+
+callSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.coachingPlan) ret.coachingPlan = withoutQuizAnswers(ret.coachingPlan);
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Call', callSchema);
+module.exports.withoutQuizAnswers = withoutQuizAnswers;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Used until an admin configures the taxonomy
+const DEFAULT_CALL_REASONS = [
+  {
+    key: 'billing',
+    name: 'Billing',
+    keywords: ['bill', 'billing', 'charge', 'charged', 'invoice', 'payment', 'overcharged', 'fee'],
+    subTopics: [
+      { key: 'double-charge', name: 'Double charge', keywords: ['charged twice', 'double charged', 'duplicate charge'] },
+      { key: 'late-fee', name: 'Late fee', keywords: ['late fee', 'late payment'] },
+      { key: 'payment-method', name: 'Payment method', keywords: ['card on file', 'update my card', 'payment method'] }
+    ]
+  },
+  {
+    key: 'technical-support',
+    name: 'Technical support',
+    keywords: ['not working', "doesn't work", 'error', 'broken', 'crash', 'login', 'password', 'reset', 'connect'],
+    subTopics: [
+      { key: 'login', name: 'Login or password', keywords: ['login', 'log in', 'password', 'locked out'] },
+      { key: 'connectivity', name: 'Connectivity', keywords: ['internet', 'wifi', 'connection', 'offline'] },
+      { key: 'device-fault', name: 'Device fault', keywords: ['broken', 'screen', 'battery', "won't turn on"] }
+    ]
+  },
+  {
+    key: 'order-status',
+    name: 'Order status',
+    keywords: ['order', 'shipping', 'delivery', 'delivered', 'tracking', 'package', 'shipment'],
+    subTopics: [
+      { key: 'delayed-delivery', name: 'Delayed delivery', keywords: ['delayed', 'late', "hasn't arrived", 'not arrived'] },
+      { key: 'wrong-item', name: 'Wrong item', keywords: ['wrong item', 'wrong size', 'not what i ordered'] },
+      { key: 'tracking', name: 'Tracking', keywords: ['tracking', 'track my'] }
+    ]
+  },
+  {
+    key: 'returns-refunds',
+    name: 'Returns and refunds',
+    keywords: ['return', 'refund', 'exchange', 'money back', 'send it back'],
+    subTopics: [
+      { key: 'refund-status', name: 'Refund status', keywords: ['refund status', 'where is my refund', "haven't received my refund"] },
+      { key: 'damaged-item', name: 'Damaged item', keywords: ['damaged', 'arrived broken', 'defective'] }
+    ]
+  },
+  {
+    key: 'account-management',
+    name: 'Account management',
+    keywords: ['account', 'address', 'email', 'profile', 'update my', 'change my'],
+    subTopics: [
+      { key: 'contact-details', name: 'Contact details', keywords: ['address', 'phone number', 'email'] },
+      { key: 'plan-change', name: 'Plan change', keywords: ['upgrade', 'downgrade', 'change my plan'] }
+    ]
+  },
+  {
+    key: 'cancellation',
+    name: 'Cancellation',
+    keywords: ['cancel', 'cancellation', 'close my account', 'terminate', 'stop my subscription'],
+    subTopics: [
+      { key: 'price', name: 'Price', keywords: ['too expensive', 'cheaper', 'price'] },
+      { key: 'competitor', name: 'Competitor', keywords: ['switching to', 'another provider', 'competitor'] }
+    ]
+  },
+  {
+    key: 'sales-inquiry',
+    name: 'Sales inquiry',
+    keywords: ['buy', 'purchase', 'pricing', 'quote', 'interested in', 'new plan', 'discount'],
+    subTopics: [
+      { key: 'pricing', name: 'Pricing', keywords: ['price', 'pricing', 'cost', 'how much'] },
+      { key: 'promotion', name: 'Promotion', keywords: ['discount', 'promo', 'offer', 'deal'] }
+    ]
+  },
+  {
+    key: 'complaint',
+    name: 'Complaint',
+    keywords: ['complaint', 'unacceptable', 'frustrated', 'terrible', 'worst', 'speak to a manager'],
+    subTopics: [
+      { key: 'service-quality', name: 'Service quality', keywords: ['rude', 'unhelpful', 'bad service'] },
+      { key: 'repeat-contact', name: 'Repeat contact', keywords: ['called before', 'again', 'third time', 'second time'] }
+    ]
+  }
+];
+
+const subTopicSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Sub-topic key is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Sub-topic name is required'],
+    trim: true
+  },
+  keywords: [String]
+}, { _id: false });
+
+const callReasonSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant is required']
+  },
+  // Unique within the tenant
+  key: {
+    type: String,
+    required: [true, 'Reason key is required'],
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Reason name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Also used as the zero-shot label description, so write it the way a customer would
+  description: String,
+  keywords: [String],
+  subTopics: [subTopicSchema],
+  isActive: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+callReasonSchema.index({ tenant: 1, key: 1 }, { unique: true });
+
+/**
+ * A tenant's active call reasons, or the built-in taxonomy when it has none configured
+ */
+callReasonSchema.statics.getTaxonomy = async function(tenant) {
+  const reasons = await this.find({ tenant, isActive: true }).sort({ name: 1 }).lean();
+  return reasons.length > 0 ? reasons : DEFAULT_CALL_REASONS;
+};
+
+module.exports = mongoose.model('CallReason', callReasonSchema);
+module.exports.DEFAULT_CALL_REASONS = DEFAULT_CALL_REASONS;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const itemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Item title is required'],
+    trim: true
+  },
+  description: String,
+  skill: String,
+  // Call the item came from, if any
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  done: { type: Boolean, default: false },
+  doneAt: Date
+});
+
+const commentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit trail of everything that happened to the session
+const eventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'acknowledged', 'commented', 'item-done', 'item-reopened', 'completed', 'cancelled', 'overdue'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: { type: Date, default: Date.now },
+  details: String
+}, { _id: false });
+
+const coachingSessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  notes: String,
+  // Agent being coached
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Agent is required']
+  },
+  supervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  calls: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  }],
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'acknowledged', 'completed', 'cancelled'],
+    default: 'assigned'
+  },
+  items: [itemSchema],
+  comments: [commentSchema],
+  acknowledgedAt: Date,
+  completedAt: Date,
+  // Set once the due date passes with the session still open
+  overdueAt: Date,
+  history: [eventSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+coachingSessionSchema.virtual('isOverdue').get(function() {
+  return ['assigned', 'acknowledged'].includes(this.status) && Boolean(this.dueAt) && this.dueAt < new Date();
+});
+
+coachingSessionSchema.index({ agent: 1, status: 1, dueAt: 1 });
+coachingSessionSchema.index({ supervisor: 1, status: 1 });
+
+/**
+ * Append an audit event
+ */
+coachingSessionSchema.methods.record = function(action, by, details) {
+  this.history.push({ action, by, details });
+};
+
+module.exports = mongoose.model('CoachingSession', coachingSessionSchema);
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+const RULE_TYPES = ['required', 'prohibited', 'ordering'];
+const RULE_CATEGORIES = ['recording-notice', 'identity-verification', 'mini-miranda', 'cancellation-terms', 'conduct', 'other'];
+
+// Template used when a policy is created without rules; admins tailor it per line of business
+const STANDARD_DISCLOSURES = [
+  {
+    key: 'recording-notice',
+    name: 'Recording notice',
+    category: 'recording-notice',
+    type: 'required',
+    phrases: ['this call may be recorded', 'this call is being recorded', 'calls are recorded for quality and training purposes'],
+    matchMode: 'fuzzy',
+    withinSeconds: 60,
+    severity: 'critical'
+  },
+  {
+    key: 'identity-verification',
+    name: 'Identity verification',
+    category: 'identity-verification',
+    type: 'required',
+    phrases: ['can you confirm your date of birth', 'I need to verify your identity', 'can you confirm the address on the account'],
+    matchMode: 'semantic',
+    threshold: 0.7,
+    severity: 'critical'
+  },
+  {
+    key: 'account-details-after-verification',
+    name: 'Account details only after verification',
+    category: 'identity-verification',
+    type: 'ordering',
+    phrases: ['your current balance is', 'your account number is', 'the card on file ends in'],
+    matchMode: 'fuzzy',
+    after: 'identity-verification',
+    severity: 'critical'
+  },
+  {
+    key: 'mini-miranda',
+    name: 'Mini-Miranda disclosure',
+    category: 'mini-miranda',
+    type: 'required',
+    phrases: ['this is an attempt to collect a debt and any information obtained will be used for that purpose'],
+    matchMode: 'fuzzy',
+    threshold: 0.75,
+    severity: 'critical'
+  },
+  {
+    key: 'cancellation-terms',
+    name: 'Cancellation terms',
+    category: 'cancellation-terms',
+    type: 'required',
+    phrases: ['you can cancel at any time', 'you can cancel within 30 days for a full refund'],
+    matchMode: 'semantic',
+    threshold: 0.7,
+    severity: 'major'
+  },
+  {
+    key: 'no-threats-or-guarantees',
+    name: 'No threats or guarantees',
+    category: 'conduct',
+    type: 'prohibited',
+    phrases: ['I guarantee', 'you will be arrested', 'we will take legal action'],
+    matchMode: 'fuzzy',
+    severity: 'critical'
+  }
+];
+
+const ruleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Rule key is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    enum: RULE_CATEGORIES,
+    default: 'other'
+  },
+  // required: one of the phrases must be said
+  // prohibited: none of the phrases may be said
+  // ordering: the phrases may only be said after the rule named in `after` matched
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: [true, 'Rule type is required']
+  },
+  speaker: {
+    type: String,
+    enum: ['agent', 'customer', 'any'],
+    default: 'agent'
+  },
+  phrases: {
+    type: [String],
+    validate: [phrases => phrases.length > 0, 'Rule must have at least one phrase']
+  },
+  // exact: case-insensitive substring; fuzzy: tolerant of transcription errors;
+  // semantic: same meaning in different words
+  matchMode: {
+    type: String,
+    enum: ['exact', 'fuzzy', 'semantic'],
+    default: 'fuzzy'
+  },
+  // fuzzy/semantic: minimum 0-1 similarity that counts as a match
+  threshold: { type: Number, min: 0, max: 1, default: 0.8 },
+  // required: must be said within this many seconds of the call start
+  withinSeconds: { type: Number, min: 0 },
+  // ordering: key of the rule that must match first
+  after: String,
+  severity: {
+    type: String,
+    enum: ['critical', 'major', 'minor'],
+    default: 'major'
+  }
+}, { _id: false });
+
+const compliancePolicySchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  // Calls whose metadata.callType is listed here are checked against this policy
+  callTypes: [String],
+  // Used for calls whose type no other policy claims
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  version: { type: Number, default: 1 },
+  rules: {
+    type: [ruleSchema],
+    default: () => STANDARD_DISCLOSURES,
+    validate: [rules => rules.length > 0, 'Policy must have at least one rule']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+compliancePolicySchema.index({ tenant: 1, isActive: 1, callTypes: 1 });
+
+// Rule keys must be unique and ordering rules must point at another rule
+compliancePolicySchema.pre('validate', function(next) {
+  const keys = this.rules.map(rule => rule.key);
+  const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+  if (duplicate) {
+    this.invalidate('rules', `Duplicate rule key: ${duplicate}`);
+  }
+
+  this.rules
+    .filter(rule => rule.type === 'ordering')
+    .forEach(rule => {
+      if (!rule.after || rule.after === rule.key || !keys.includes(rule.after)) {
+        this.invalidate('rules', `Ordering rule ${rule.key} must name another rule in "after"`);
+      }
+    });
+
+  next();
+});
+
+/**
+ * Find a tenant's active policy for a call type, falling back to its default one
+ */
+compliancePolicySchema.statics.findForCallType = async function(tenant, callType) {
+  if (callType) {
+    const policy = await this.findOne({ tenant, isActive: true, callTypes: callType }).sort({ updatedAt: -1 });
+    if (policy) return policy;
+  }
+  return this.findOne({ tenant, isActive: true, isDefault: true }).sort({ updatedAt: -1 });
+};
+
+module.exports = mongoose.model('CompliancePolicy', compliancePolicySchema);
+module.exports.STANDARD_DISCLOSURES = STANDARD_DISCLOSURES;
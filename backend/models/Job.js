@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAt: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedUntil: Date,
+  startedAt: Date,
+  completedAt: Date,
+  lastError: {
+    message: String,
+    code: String,
+    stack: String,
+    timestamp: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ call: 1, type: 1 });
+
+/**
+ * Add a job to the queue
+ */
+jobSchema.statics.enqueue = function(type, payload = {}, options = {}) {
+  return this.create({
+    type,
+    payload,
+    call: options.call,
+    maxAttempts: options.maxAttempts,
+    runAt: options.runAt || new Date()
+  });
+};
+
+/**
+ * Atomically claim the next runnable job for a worker.
+ *
+ * A job is runnable when it is queued and due, or when it is still marked
+ * running but its lock has expired (the worker holding it died or stalled).
+ */
+jobSchema.statics.claimNext = function(workerId, visibilityTimeoutMs, types) {
+  const now = new Date();
+  const filter = {
+    $or: [
+      { status: 'queued', runAt: { $lte: now } },
+      { status: 'running', lockedUntil: { $lt: now } }
+    ]
+  };
+
+  if (types && types.length > 0) {
+    filter.type = { $in: types };
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + visibilityTimeoutMs),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Extend the lock on a job this worker still holds
+ */
+jobSchema.statics.heartbeat = function(jobId, workerId, visibilityTimeoutMs) {
+  return this.updateOne(
+    { _id: jobId, status: 'running', lockedBy: workerId },
+    { $set: { lockedUntil: new Date(Date.now() + visibilityTimeoutMs) } }
+  );
+};
+
+module.exports = mongoose.model('Job', jobSchema);
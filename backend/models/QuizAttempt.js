@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  questionId: String,
+  selected: Number,
+  correct: Boolean
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    required: true
+  },
+  // Agent taking the quiz
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attemptNumber: { type: Number, required: true },
+  // Questions as they were served, without answers
+  questions: [{
+    _id: false,
+    id: String,
+    skill: String,
+    question: String,
+    options: [String]
+  }],
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted'],
+    default: 'in-progress'
+  },
+  answers: [answerSchema],
+  correctCount: Number,
+  score: { type: Number, min: 0, max: 100 },
+  passScore: Number,
+  passed: Boolean,
+  submittedAt: Date
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ call: 1, user: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+
+const RULE_TYPES = ['phrase', 'regex', 'model', 'metric'];
+const BUILT_IN_METRICS = [
+  'callOpening',
+  'issueUnderstanding',
+  'sentimentAnalysis',
+  'politeness',
+  'clarity',
+  'engagement',
+  'relevance',
+  'csatScore',
+  'resolutionQuality'
+];
+// Conversation dynamics measured from segment timestamps (conversationService).
+// They are percentages, seconds or counts rather than 0-100 scores.
+const CONVERSATION_METRICS = [
+  'agentTalkRatio',
+  'agentTalkSeconds',
+  'customerTalkSeconds',
+  'longestMonologueSeconds',
+  'deadAirSeconds',
+  'deadAirCount',
+  'holdSeconds',
+  'holdCount',
+  'overlapSeconds',
+  'interruptionCount',
+  'customerInterruptionCount',
+  'avgResponseLatencySeconds',
+  'maxResponseLatencySeconds'
+];
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Why a regex rule's pattern can't be used, or null when it can. Patterns run
+ * against every transcript segment in the worker, so besides compiling they
+ * must be short and free of the constructs that backtrack catastrophically:
+ * backreferences and a repeated group that itself contains a repetition,
+ * like (a+)+ or (\w*\s?)*.
+ */
+const checkPattern = (pattern, flags = 'i') => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return 'Invalid regular expression';
+  }
+
+  if (/\\(?:[1-9]|k<)/.test(pattern)) {
+    return 'Patterns cannot use backreferences';
+  }
+
+  // Whether each open group (and the groups inside it) repeats anything
+  const groups = [];
+  let repeats = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifiers inside it are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(repeats);
+      repeats = false;
+    } else if (char === ')') {
+      const inner = repeats;
+      repeats = groups.pop() || false;
+      if (inner && /[*+{]/.test(pattern[i + 1])) {
+        return 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+';
+      }
+      repeats = repeats || inner;
+    } else if (/[*+{]/.test(char)) {
+      repeats = true;
+    }
+  }
+
+  return null;
+};
+
+const ruleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: [true, 'Rule type is required']
+  },
+  // Whose speech the rule looks at
+  speaker: {
+    type: String,
+    enum: ['agent', 'customer', 'any'],
+    default: 'agent'
+  },
+  // phrase: any of these phrases (case-insensitive)
+  phrases: [String],
+  // regex: pattern tested against each segment
+  pattern: {
+    type: String,
+    validate: {
+      validator: function(value) {
+        return !value || !checkPattern(value, this.flags);
+      },
+      message: props => checkPattern(props.value) || 'Invalid regular expression'
+    }
+  },
+  flags: { type: String, default: 'i' },
+  // phrase/regex: how many matching segments earn a full score
+  minMatches: { type: Number, default: 1, min: 1 },
+  // phrase/regex: pass when the text is absent instead of present
+  prohibited: { type: Boolean, default: false },
+  // model: per-speaker model score to use
+  model: {
+    type: String,
+    enum: ['sentiment', 'politeness']
+  },
+  // metric: built-in heuristic metric or conversation dynamics metric to use
+  metric: {
+    type: String,
+    enum: [...BUILT_IN_METRICS, ...CONVERSATION_METRICS]
+  },
+  // model/metric: value that passes; a 0-100 score except for conversation metrics,
+  // which use their own unit
+  threshold: {
+    type: Number,
+    min: 0,
+    default: 70,
+    validate: {
+      validator: function(value) {
+        return CONVERSATION_METRICS.includes(this.metric) || value <= 100;
+      },
+      message: 'Threshold cannot exceed 100'
+    }
+  },
+  // model/metric: whether the value must be at least or at most the threshold.
+  // Defaults to atMost for conversation metrics (limits) and atLeast otherwise.
+  comparison: {
+    type: String,
+    enum: ['atLeast', 'atMost']
+  }
+}, { _id: false });
+
+const criterionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Criterion key is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Criterion name is required'],
+    trim: true
+  },
+  description: String,
+  weight: { type: Number, min: [0, 'Weight cannot be negative'], default: 1 },
+  // Failing an auto-fail criterion fails the whole call
+  autoFail: { type: Boolean, default: false },
+  rule: {
+    type: ruleSchema,
+    required: [true, 'Criterion rule is required']
+  }
+});
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Section key is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true
+  },
+  weight: { type: Number, min: [0, 'Weight cannot be negative'], default: 1 },
+  criteria: {
+    type: [criterionSchema],
+    validate: [criteria => criteria.length > 0, 'Section must have at least one criterion']
+  }
+});
+
+const scorecardSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Scorecard name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  // Calls whose metadata.callType is listed here are scored with this scorecard
+  callTypes: [String],
+  // Used for calls whose type no other scorecard claims
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  passThreshold: { type: Number, min: 0, max: 100, default: 70 },
+  version: { type: Number, default: 1 },
+  sections: {
+    type: [sectionSchema],
+    validate: [sections => sections.length > 0, 'Scorecard must have at least one section']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scorecardSchema.index({ tenant: 1, isActive: 1, callTypes: 1 });
+
+/**
+ * Find a tenant's active scorecard for a call type, falling back to its default one
+ */
+scorecardSchema.statics.findForCallType = async function(tenant, callType) {
+  if (callType) {
+    const scorecard = await this.findOne({ tenant, isActive: true, callTypes: callType }).sort({ updatedAt: -1 });
+    if (scorecard) return scorecard;
+  }
+  return this.findOne({ tenant, isActive: true, isDefault: true }).sort({ updatedAt: -1 });
+};
+
+module.exports = mongoose.model('Scorecard', scorecardSchema);
+module.exports.BUILT_IN_METRICS = BUILT_IN_METRICS;
+module.exports.CONVERSATION_METRICS = CONVERSATION_METRICS;
+module.exports.checkPattern = checkPattern;
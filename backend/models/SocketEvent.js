@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * A Socket.IO event emitted by a process without sockets of its own (a
+ * dedicated worker), waiting for the API servers to deliver it. The capped
+ * collection keeps insertion order and discards the oldest events by itself.
+ */
+const socketEventSchema = new mongoose.Schema({
+  rooms: [String],
+  event: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: parseInt(process.env.SOCKET_RELAY_MAX_BYTES) || 16 * 1024 * 1024 },
+  versionKey: false
+});
+
+module.exports = mongoose.model('SocketEvent', socketEventSchema);
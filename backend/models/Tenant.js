@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A client company hosted on the platform. Users, calls and QA configuration
+ * (scorecards, compliance policies, call reasons, organizations) all belong to
+ * exactly one tenant and are never visible to another.
+ */
+const tenantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tenant name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Identifies the tenant at registration
+  slug: {
+    type: String,
+    required: [true, 'Tenant slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  settings: {
+    // Falls back to ALLOWED_AUDIO_TYPES when empty
+    allowedAudioTypes: [String],
+    // Falls back to MAX_FILE_SIZE
+    maxFileSizeMB: { type: Number, min: 1 },
+    // Calls older than this are deleted; unset keeps calls forever
+    retentionDays: { type: Number, min: 1 },
+    // Let anyone with the slug sign up as an agent
+    allowSelfRegistration: { type: Boolean, default: false },
+    // Where the tenant's new alerts are POSTed
+    alertWebhookUrls: [{
+      type: String,
+      trim: true,
+      match: [/^https:\/\/\S+$/, 'Webhook URLs must be https URLs']
+    }],
+    // Signs webhook bodies in X-Omind-Signature when set
+    alertWebhookSecret: { type: String, select: false }
+  },
+  // The tenant's own provider credentials; the server-wide ones are used when unset
+  providerTokens: {
+    huggingFace: { type: String, select: false },
+    openai: { type: String, select: false },
+    llm: { type: String, select: false }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+tenantSchema.statics.PROVIDER_TOKEN_FIELDS = ['huggingFace', 'openai', 'llm'];
+
+module.exports = mongoose.model('Tenant', tenantSchema);
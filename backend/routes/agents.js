@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getAgentProfile,
+  refreshAgentProfile,
+  getAgentMetricTrends,
+  getCoachingCompletion
+} = require('../controllers/agentController');
+
+// Get coaching completion per agent
+router.get('/coaching-completion', protect, authorize('admin', 'supervisor'), getCoachingCompletion);
+
+// Get agent coaching profile
+router.get('/:id/profile', protect, getAgentProfile);
+
+// Recompute agent profile
+router.post('/:id/profile/refresh', protect, authorize('admin', 'supervisor'), refreshAgentProfile);
+
+// Get agent metric trends
+router.get('/:id/metric-trends', protect, getAgentMetricTrends);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert
+} = require('../controllers/alertController');
+
+// Get alerts
+router.get('/', protect, authorize('admin', 'supervisor'), getAlerts);
+
+// Acknowledge alert
+router.put('/:id/acknowledge', protect, authorize('admin', 'supervisor'), acknowledgeAlert);
+
+// Resolve alert
+router.put('/:id/resolve', protect, authorize('admin', 'supervisor'), resolveAlert);
+
+module.exports = router;
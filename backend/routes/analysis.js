@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const openaiService = require('../services/openaiService');
+const Scorecard = require('../models/Scorecard');
+const CompliancePolicy = require('../models/CompliancePolicy');
 
 // Transcribe audio from URL
 router.post('/transcribe', protect, async (req, res) => {
@@ -52,7 +54,7 @@ router.post('/transcribe', protect, async (req, res) => {
 // Analyze transcript
 router.post('/analyze', protect, async (req, res) => {
   try {
-    const { transcript } = req.body;
+    const { transcript, segments, scorecardId, compliancePolicyId } = req.body;
 
     if (!transcript) {
       return res.status(400).json({
@@ -61,7 +63,13 @@ router.post('/analyze', protect, async (req, res) => {
       });
     }
 
-    const analysis = await openaiService.analyzeCall(transcript);
+    const scorecard = scorecardId
+      ? await Scorecard.findOne({ _id: scorecardId, tenant: req.user.tenant })
+      : null;
+    const compliancePolicy = compliancePolicyId
+      ? await CompliancePolicy.findOne({ _id: compliancePolicyId, tenant: req.user.tenant })
+      : null;
+    const analysis = await openaiService.analyzeCall(transcript, segments, { scorecard, compliancePolicy });
 
     res.json({
       success: true,
@@ -78,16 +86,17 @@ router.post('/analyze', protect, async (req, res) => {
 // Generate coaching plan
 router.post('/coaching', protect, async (req, res) => {
   try {
-    const { analysis, transcript } = req.body;
+    const { analysis } = req.body;
 
-    if (!analysis || !transcript) {
+    // Examples are quoted from analysis.evidence, so the plan needs no transcript
+    if (!analysis) {
       return res.status(400).json({
         success: false,
-        error: 'Analysis and transcript are required'
+        error: 'Analysis is required'
       });
     }
 
-    const coachingPlan = await openaiService.generateCoachingPlan(analysis, transcript);
+    const coachingPlan = await openaiService.generateCoachingPlan(analysis);
 
     res.json({
       success: true,
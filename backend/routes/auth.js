@@ -20,6 +20,7 @@ const {
  *         - name
  *         - email
  *         - password
+ *         - tenant
  *       properties:
  *         name:
  *           type: string
@@ -32,11 +33,9 @@ const {
  *           type: string
  *           minLength: 6
  *           description: User's password
- *         role:
+ *         tenant:
  *           type: string
- *           enum: [agent, supervisor, admin]
- *           default: agent
- *           description: User's role in the system
+ *           description: Slug of a tenant that allows self-registration
  *         department:
  *           type: string
  *           description: User's department
@@ -77,7 +76,7 @@ const {
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new agent; roles are assigned by tenant admins
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -93,7 +92,7 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, registration closed for the tenant, or user already exists
  */
 router.post('/register', register);
 
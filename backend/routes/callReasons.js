@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getCallReasons,
+  createCallReason,
+  updateCallReason,
+  deleteCallReason
+} = require('../controllers/callReasonController');
+
+// Get call reason taxonomy
+router.get('/', protect, getCallReasons);
+
+// Create call reason
+router.post('/', protect, authorize('admin'), createCallReason);
+
+// Update call reason
+router.put('/:id', protect, authorize('admin'), updateCallReason);
+
+// Deactivate call reason
+router.delete('/:id', protect, authorize('admin'), deleteCallReason);
+
+module.exports = router;
@@ -1,19 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { authorizeCall } = require('../middleware/access');
 const {
   uploadCall,
   getCalls,
   getCall,
   getCallAnalysis,
   getCoachingPlan,
+  getCallAudio,
   deleteCall,
   updateCall,
+  retryCall,
+  reanalyzeCall,
+  bulkReanalyzeCalls,
+  getAnalysisVersions,
   getCallStats,
   getCallHistory,
   getCallAnalytics,
   getCallProcessingHistory
 } = require('../controllers/callController');
+const {
+  startQuizAttempt,
+  submitQuizAttempt,
+  getQuizAttempts
+} = require('../controllers/quizController');
 const upload = require('../middleware/upload');
 
 // Upload call
@@ -31,22 +42,46 @@ router.get('/analytics', protect, getCallAnalytics);
 // Get call statistics
 router.get('/stats', protect, getCallStats);
 
+// Re-analyze all calls matching a filter
+router.post('/reanalyze', protect, bulkReanalyzeCalls);
+
 // Get single call
-router.get('/:id', protect, getCall);
+router.get('/:id', protect, authorizeCall('view'), getCall);
 
 // Get call analysis
-router.get('/:id/analysis', protect, getCallAnalysis);
+router.get('/:id/analysis', protect, authorizeCall('view'), getCallAnalysis);
+
+// Get prior analysis versions
+router.get('/:id/analysis/versions', protect, authorizeCall('view'), getAnalysisVersions);
+
+// Stream call audio
+router.get('/:id/audio', protect, authorizeCall('view'), getCallAudio);
 
 // Get coaching plan
-router.get('/:id/coaching', protect, getCoachingPlan);
+router.get('/:id/coaching', protect, authorizeCall('view'), getCoachingPlan);
+
+// Get coaching quiz attempts
+router.get('/:id/coaching/quiz/attempts', protect, authorizeCall('view'), getQuizAttempts);
+
+// Start coaching quiz attempt
+router.post('/:id/coaching/quiz/attempts', protect, authorizeCall('view'), startQuizAttempt);
+
+// Submit coaching quiz attempt for grading
+router.post('/:id/coaching/quiz/attempts/:attemptId/submit', protect, authorizeCall('view'), submitQuizAttempt);
 
 // Get call processing history
-router.get('/:id/processing-history', protect, getCallProcessingHistory);
+router.get('/:id/processing-history', protect, authorizeCall('view'), getCallProcessingHistory);
+
+// Retry failed call processing
+router.post('/:id/retry', protect, authorizeCall('retry'), retryCall);
+
+// Re-analyze call
+router.post('/:id/reanalyze', protect, authorizeCall('reanalyze'), reanalyzeCall);
 
 // Update call
-router.put('/:id', protect, updateCall);
+router.put('/:id', protect, authorizeCall('update'), updateCall);
 
 // Delete call
-router.delete('/:id', protect, deleteCall);
+router.delete('/:id', protect, authorizeCall('delete'), deleteCall);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  createSession,
+  getSessions,
+  getSession,
+  updateSession,
+  acknowledgeSession,
+  addComment,
+  updateItem
+} = require('../controllers/coachingSessionController');
+
+// Create coaching session
+router.post('/', protect, authorize('admin', 'supervisor'), createSession);
+
+// Get coaching sessions
+router.get('/', protect, getSessions);
+
+// Get single coaching session
+router.get('/:id', protect, getSession);
+
+// Update or cancel coaching session
+router.put('/:id', protect, authorize('admin', 'supervisor'), updateSession);
+
+// Acknowledge coaching session
+router.put('/:id/acknowledge', protect, acknowledgeSession);
+
+// Comment on coaching session
+router.post('/:id/comments', protect, addComment);
+
+// Mark item done
+router.put('/:id/items/:itemId', protect, updateItem);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicy
+} = require('../controllers/complianceController');
+
+// Get all compliance policies
+router.get('/', protect, authorize('admin', 'supervisor'), getPolicies);
+
+// Create compliance policy
+router.post('/', protect, authorize('admin'), createPolicy);
+
+// Get single compliance policy
+router.get('/:id', protect, authorize('admin', 'supervisor'), getPolicy);
+
+// Preview compliance policy against a transcript
+router.post('/:id/preview', protect, authorize('admin', 'supervisor'), previewPolicy);
+
+// Update compliance policy
+router.put('/:id', protect, authorize('admin'), updatePolicy);
+
+// Deactivate compliance policy
+router.delete('/:id', protect, authorize('admin'), deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getOrganizations,
+  createOrganization,
+  updateOrganization,
+  addOrganizationMembers,
+  getOrganizationAnalytics
+} = require('../controllers/organizationController');
+
+// Get organizations
+router.get('/', protect, authorize('admin'), getOrganizations);
+
+// Create organization
+router.post('/', protect, authorize('admin'), createOrganization);
+
+// Update organization
+router.put('/:id', protect, authorize('admin'), updateOrganization);
+
+// Organization analytics with per-team and per-agent breakdowns
+router.get('/:id/analytics', protect, authorize('admin'), getOrganizationAnalytics);
+
+// Add users to organization
+router.put('/:id/members', protect, authorize('admin'), addOrganizationMembers);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getScorecards,
+  getScorecard,
+  createScorecard,
+  updateScorecard,
+  deleteScorecard,
+  previewScorecard
+} = require('../controllers/scorecardController');
+
+// Get all scorecards
+router.get('/', protect, authorize('admin', 'supervisor'), getScorecards);
+
+// Create scorecard
+router.post('/', protect, authorize('admin'), createScorecard);
+
+// Get single scorecard
+router.get('/:id', protect, authorize('admin', 'supervisor'), getScorecard);
+
+// Preview scorecard against a transcript
+router.post('/:id/preview', protect, authorize('admin', 'supervisor'), previewScorecard);
+
+// Update scorecard
+router.put('/:id', protect, authorize('admin'), updateScorecard);
+
+// Deactivate scorecard
+router.delete('/:id', protect, authorize('admin'), deleteScorecard);
+
+module.exports = router;
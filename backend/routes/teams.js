@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  updateTeamMembers,
+  getTeamAnalytics,
+  getTeamAgentComparison,
+  getTeamMetricTrends
+} = require('../controllers/teamController');
+
+// Get teams
+router.get('/', protect, authorize('admin', 'supervisor'), getTeams);
+
+// Create team
+router.post('/', protect, authorize('admin'), createTeam);
+
+// Get single team with members
+router.get('/:id', protect, authorize('admin', 'supervisor'), getTeam);
+
+// Update team and its supervisors
+router.put('/:id', protect, authorize('admin'), updateTeam);
+
+// Team analytics with per-agent breakdown and rankings
+router.get('/:id/analytics', protect, authorize('admin', 'supervisor'), getTeamAnalytics);
+
+// Compare an agent with the team baseline
+router.get('/:id/analytics/agents/:agentId', protect, authorize('admin', 'supervisor'), getTeamAgentComparison);
+
+// Team metric trends
+router.get('/:id/metric-trends', protect, authorize('admin', 'supervisor'), getTeamMetricTrends);
+
+// Add or remove team members
+router.put('/:id/members', protect, authorize('admin'), updateTeamMembers);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getTenants,
+  createTenant,
+  updateTenant,
+  getCurrentTenant,
+  updateCurrentTenant,
+  createTenantUser
+} = require('../controllers/tenantController');
+
+// Get the signed-in user's tenant
+router.get('/current', protect, authorize('admin'), getCurrentTenant);
+
+// Update the tenant's settings and provider tokens
+router.put('/current', protect, authorize('admin'), updateCurrentTenant);
+
+// Create a user in the tenant
+router.post('/current/users', protect, authorize('admin'), createTenantUser);
+
+// Get all tenants
+router.get('/', protect, authorize('admin'), getTenants);
+
+// Create tenant
+router.post('/', protect, authorize('admin'), createTenant);
+
+// Update tenant
+router.put('/:id', protect, authorize('admin'), updateTenant);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Scorecard = require('../models/Scorecard');
+const CompliancePolicy = require('../models/CompliancePolicy');
+const CallReason = require('../models/CallReason');
+const Organization = require('../models/Organization');
+const Team = require('../models/Team');
+
+/**
+ * One-off migration for data created before tenancy: everything without a
+ * tenant is assigned to DEFAULT_TENANT_SLUG (created if missing), and the
+ * indexes that were unique across the whole platform are rebuilt per tenant.
+ *
+ * Usage: npm run migrate:tenants
+ */
+const migrate = async () => {
+  await connectDB();
+
+  const slug = process.env.DEFAULT_TENANT_SLUG || 'default';
+  const tenant = await Tenant.findOneAndUpdate(
+    { slug },
+    { $setOnInsert: { name: slug, slug } },
+    { upsert: true, new: true }
+  );
+  console.log(`🏢 Assigning data without a tenant to ${tenant.name} (${tenant._id})`);
+
+  for (const Model of [User, Call, Scorecard, CompliancePolicy, CallReason, Organization, Team]) {
+    const result = await Model.updateMany(
+      { tenant: { $exists: false } },
+      { $set: { tenant: tenant._id } }
+    );
+    console.log(`✅ ${Model.modelName}: ${result.modifiedCount} updated`);
+  }
+
+  // Replaces the platform-wide unique key/name indexes with per-tenant ones
+  for (const Model of [CallReason, Organization]) {
+    const dropped = await Model.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`🗑️ ${Model.modelName}: dropped ${dropped.join(', ')}`);
+    }
+  }
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error('❌ Tenant migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
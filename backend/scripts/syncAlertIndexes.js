@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const Alert = require('../models/Alert');
+
+/**
+ * One-off migration for metric trend alerts: the one-alert-per-call-and-type
+ * index is rebuilt to cover only alerts raised on a call, so alerts without a
+ * call don't collide, and the one-alert-per-cooldown index is added.
+ *
+ * Usage: npm run migrate:alerts
+ */
+const migrate = async () => {
+  await connectDB();
+
+  const dropped = await Alert.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`🗑️ Alert: dropped ${dropped.join(', ')}`);
+  }
+  console.log('✅ Alert indexes are up to date');
+};
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error('❌ Alert index migration failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
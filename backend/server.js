@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
@@ -12,6 +11,15 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const callRoutes = require('./routes/calls');
 const analysisRoutes = require('./routes/analysis');
+const scorecardRoutes = require('./routes/scorecards');
+const complianceRoutes = require('./routes/compliance');
+const callReasonRoutes = require('./routes/callReasons');
+const alertRoutes = require('./routes/alerts');
+const agentRoutes = require('./routes/agents');
+const coachingSessionRoutes = require('./routes/coachingSessions');
+const organizationRoutes = require('./routes/organizations');
+const teamRoutes = require('./routes/teams');
+const tenantRoutes = require('./routes/tenants');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -19,6 +27,13 @@ const { rateLimiter } = require('./middleware/rateLimiter');
 
 // Import config
 const { connectDB } = require('./config/database');
+const { registerJobHandlers } = require('./config/jobs');
+const { registerSocketHandlers } = require('./config/sockets');
+
+// Import services
+const jobQueue = require('./services/jobQueue');
+const tenantService = require('./services/tenantService');
+const socketRelay = require('./services/socketRelay');
 
 const app = express();
 const server = http.createServer(app);
@@ -35,23 +50,7 @@ const PORT = process.env.PORT || 5000;
 global.io = io;
 
 // Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-
-  socket.on('join-call-room', (callId) => {
-    socket.join(`call-${callId}`);
-    console.log(`👥 Client ${socket.id} joined call room: ${callId}`);
-  });
-
-  socket.on('leave-call-room', (callId) => {
-    socket.leave(`call-${callId}`);
-    console.log(`👋 Client ${socket.id} left call room: ${callId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
+registerSocketHandlers(io);
 
 // Security middleware
 app.use(helmet());
@@ -72,8 +71,7 @@ app.use(morgan('combined'));
 // Rate limiting
 app.use(rateLimiter);
 
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded recordings are not served statically: they belong to tenants
 
 // API Documentation
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -114,6 +112,15 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/scorecards', scorecardRoutes);
+app.use('/api/compliance-policies', complianceRoutes);
+app.use('/api/call-reasons', callReasonRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/coaching-sessions', coachingSessionRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/tenants', tenantRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -143,6 +150,16 @@ const startServer = async () => {
     await connectDB();
     console.log('✅ Connected to MongoDB');
 
+    // Deliver events emitted by dedicated workers to this server's sockets
+    await socketRelay.start(io);
+
+    // Process queued calls in this process unless dedicated workers are used
+    if (process.env.QUEUE_IN_PROCESS_WORKER !== 'false') {
+      registerJobHandlers();
+      jobQueue.start();
+      await tenantService.scheduleRetention();
+    }
+
     // Start Express server
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -169,4 +186,9 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
-startServer();
+// Tests import the app without starting the server
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+
+/**
+ * Central access policy: which users' calls, profiles and alerts a caller
+ * may see and act on. Nothing is ever visible across tenants.
+ *
+ * - agent:      own calls
+ * - supervisor: own calls and those of every active team they supervise
+ * - admin:      every call in their organization; an admin without an
+ *               organization sees the whole tenant
+ *
+ * A scope's `userIds` lists the visible users, all from the caller's tenant.
+ * Team-level records (team metric alerts) follow the same levels: the
+ * team's supervisors, its organization's admins and the tenant's admins.
+ * Controllers never compare roles or owners themselves.
+ */
+class AccessService {
+  /**
+   * Resolve the visibility scope of a user
+   */
+  async getScope(user) {
+    const userId = user._id;
+    const tenant = user.tenant;
+
+    if (user.role === 'admin') {
+      if (!user.organization) {
+        const userIds = await User.find({ tenant }).distinct('_id');
+        return { userId, tenant, level: 'tenant', userIds };
+      }
+
+      const userIds = await User.find({ tenant, organization: user.organization }).distinct('_id');
+      return { userId, tenant, level: 'org', organization: user.organization, userIds };
+    }
+
+    if (user.role === 'supervisor') {
+      const teams = await Team.find({ tenant, supervisors: userId, isActive: true }).distinct('_id');
+      const members = teams.length > 0
+        ? await User.find({ tenant, team: { $in: teams } }).distinct('_id')
+        : [];
+      const userIds = [userId, ...members.filter(id => !id.equals(userId))];
+      return { userId, tenant, level: 'team', organization: user.organization, teams, userIds };
+    }
+
+    return { userId, tenant, level: 'own', userIds: [userId] };
+  }
+
+  /**
+   * Scope of the signed-in user, resolved once per request
+   */
+  forRequest(req) {
+    if (!req.accessScope) {
+      req.accessScope = this.getScope(req.user);
+    }
+    return req.accessScope;
+  }
+
+  canViewUser(scope, userId) {
+    if (!userId) return false;
+
+    const id = (userId._id || userId).toString();
+    return scope.userIds.some(visible => visible.toString() === id);
+  }
+
+  /**
+   * Whether the scope allows an action on a record owned by `ownerId`.
+   * Deleting is limited to the owner and admins.
+   */
+  can(scope, action, ownerId) {
+    if (!this.canViewUser(scope, ownerId)) return false;
+
+    if (action === 'delete') {
+      return (ownerId._id || ownerId).toString() === scope.userId.toString() ||
+        ['org', 'tenant'].includes(scope.level);
+    }
+
+    return true;
+  }
+
+  /**
+   * Query condition restricting a collection's `field` to the visible users
+   */
+  userFilter(scope, field = 'user') {
+    return { [field]: { $in: scope.userIds } };
+  }
+
+  /**
+   * Query condition for calls: the caller's tenant and visible users
+   */
+  callFilter(scope) {
+    return { tenant: scope.tenant, ...this.userFilter(scope) };
+  }
+
+  // Condition on team-level records' tenant/organization/team fields, or null when the scope has none
+  teamRecordFilter(scope) {
+    if (scope.level === 'tenant') return { tenant: scope.tenant };
+    if (scope.level === 'org') return { tenant: scope.tenant, organization: scope.organization };
+    if (scope.level === 'team' && scope.teams.length > 0) return { tenant: scope.tenant, team: { $in: scope.teams } };
+    return null;
+  }
+
+  /**
+   * Query condition for alerts: those on visible users, and team alerts of visible teams
+   */
+  alertFilter(scope) {
+    const teamFilter = this.teamRecordFilter(scope);
+    if (!teamFilter) return this.userFilter(scope);
+    return { $or: [this.userFilter(scope), { user: null, ...teamFilter }] };
+  }
+
+  canViewAlert(scope, alert) {
+    if (alert.user) return this.canViewUser(scope, alert.user);
+
+    const teamFilter = this.teamRecordFilter(scope);
+    if (!teamFilter || alert.tenant?.toString() !== scope.tenant.toString()) return false;
+    if (teamFilter.organization) return alert.organization?.toString() === scope.organization.toString();
+    if (teamFilter.team) return scope.teams.some(team => team.toString() === alert.team?.toString());
+    return true;
+  }
+
+  /**
+   * Whether a call is in the scope's tenant and allows the action
+   */
+  canAccessCall(scope, action, call) {
+    return Boolean(call.tenant) && call.tenant.toString() === scope.tenant.toString() &&
+      this.can(scope, action, call.user);
+  }
+
+  /**
+   * Whether a user may manage an organization (a document in their tenant)
+   */
+  canManageOrganization(user, organization) {
+    if (user.role !== 'admin') return false;
+    if (organization.tenant?.toString() !== user.tenant?.toString()) return false;
+    return !user.organization || user.organization.toString() === organization._id.toString();
+  }
+}
+
+module.exports = new AccessService();
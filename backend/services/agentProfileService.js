@@ -0,0 +1,240 @@
+const Call = require('../models/Call');
+const AgentProfile = require('../models/AgentProfile');
+const coachingService = require('./coachingService');
+const conversationService = require('./conversationService');
+const { SKILLS } = require('./coaching/library');
+const { TARGET_SKILL_SCORE } = require('./coachingService');
+
+// Average skill score that counts as a strength
+const STRENGTH_SCORE = 85;
+
+// A skill is a persistent weakness when at least this share of (at least MIN_CALLS) calls scored low on it
+const PERSISTENT_SHARE = 0.5;
+const MIN_CALLS = 3;
+
+// Points the recent half of the window must move by to count as a trend
+const TREND_POINTS = 5;
+
+const MAX_GOALS = 3;
+// Points a goal asks for above the baseline, when that is above TARGET_SKILL_SCORE
+const GOAL_IMPROVEMENT = 10;
+const MAX_PAST_PLANS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Agent-level coaching across calls: skill scores over a rolling window of
+ * recent calls, persistent weaknesses versus one-off dips, and a weekly
+ * development plan whose goals are tracked as new calls are analyzed
+ */
+class AgentProfileService {
+  constructor() {
+    this.windowDays = parseInt(process.env.AGENT_PROFILE_WINDOW_DAYS) || 30;
+    this.maxCalls = parseInt(process.env.AGENT_PROFILE_MAX_CALLS) || 50;
+  }
+
+  /**
+   * Recompute an agent's profile from their recent calls, starting a new weekly
+   * plan when the current one has ended
+   * @param {Object} [options]
+   * @param {boolean} [options.newPlan] - Replace the current plan even if its week is not over
+   */
+  async updateProfile(userId, { newPlan = false } = {}) {
+    const now = new Date();
+    const scoredCalls = (await this.getRecentCalls(userId, now)).map(call => ({
+      createdAt: call.createdAt,
+      metrics: call.analysis.metrics || {},
+      skills: coachingService.scoreSkills(call.analysis)
+    }));
+
+    const profile = await AgentProfile.findOne({ user: userId }) || new AgentProfile({ user: userId });
+    profile.callCount = scoredCalls.length;
+    profile.windowDays = this.windowDays;
+    profile.firstCallAt = scoredCalls[0]?.createdAt;
+    profile.lastCallAt = scoredCalls[scoredCalls.length - 1]?.createdAt;
+    profile.skills = this.summarizeSkills(scoredCalls);
+
+    let plan = profile.developmentPlan?.weekStart ? profile.developmentPlan.toObject() : null;
+    if (plan && (newPlan || plan.weekEnd <= now)) {
+      this.trackProgress(plan, scoredCalls);
+      plan.goals.forEach(goal => {
+        if (goal.status === 'in-progress') goal.status = 'missed';
+      });
+      profile.pastPlans = [plan, ...profile.pastPlans.map(past => past.toObject())].slice(0, MAX_PAST_PLANS);
+      plan = null;
+    }
+
+    if (!plan) {
+      plan = this.buildPlan(profile.skills, scoredCalls, now);
+      console.log(`🎯 New development plan for agent ${userId}: ${plan.goals.map(goal => goal.skill).join(', ') || 'no goals'}`);
+    }
+    this.trackProgress(plan, scoredCalls);
+    profile.developmentPlan = plan;
+
+    await profile.save();
+    return profile;
+  }
+
+  // Analyzed calls in the window, oldest first
+  async getRecentCalls(userId, now) {
+    const calls = await Call.find({
+      user: userId,
+      createdAt: { $gte: new Date(now.getTime() - this.windowDays * DAY_MS) },
+      'analysis.overallScore': { $ne: null }
+    })
+      .sort({ createdAt: -1 })
+      .limit(this.maxCalls)
+      .select('createdAt analysis.overallScore analysis.metrics analysis.compliance analysis.risk')
+      .lean();
+
+    return calls.reverse();
+  }
+
+  summarizeSkills(scoredCalls) {
+    return Object.entries(SKILLS).flatMap(([skill, { name }]) => {
+      const values = scoredCalls.map(call => call.skills[skill]).filter(value => typeof value === 'number');
+      if (values.length === 0) return [];
+
+      const older = values.slice(0, Math.floor(values.length / 2));
+      const recent = values.slice(Math.floor(values.length / 2));
+      const change = older.length > 0 ? average(recent) - average(older) : 0;
+
+      const lowCallCount = values.filter(value => value < TARGET_SKILL_SCORE).length;
+      const latest = values[values.length - 1];
+      const mean = Math.round(average(values));
+
+      let status = 'on-target';
+      if (values.length >= MIN_CALLS && lowCallCount / values.length >= PERSISTENT_SHARE) {
+        status = 'persistent-weakness';
+      } else if (latest < TARGET_SKILL_SCORE) {
+        status = 'dip';
+      } else if (mean >= STRENGTH_SCORE) {
+        status = 'strength';
+      }
+
+      return [{
+        skill,
+        name,
+        average: mean,
+        recentAverage: Math.round(average(recent)),
+        latest,
+        callCount: values.length,
+        lowCallCount,
+        trend: change >= TREND_POINTS ? 'improving' : change <= -TREND_POINTS ? 'declining' : 'stable',
+        status
+      }];
+    });
+  }
+
+  /**
+   * Weekly plan: goals for persistent weaknesses first, then skills averaging
+   * below target. One-off dips are left to the per-call coaching plan.
+   */
+  buildPlan(skills, scoredCalls, now) {
+    const weekStart = this.getWeekStart(now);
+
+    const candidates = [
+      ...skills.filter(s => s.status === 'persistent-weakness').map(s => ({ ...s, reason: 'persistent-weakness' })),
+      ...skills.filter(s => s.status !== 'persistent-weakness' && s.average < TARGET_SKILL_SCORE)
+        .map(s => ({ ...s, reason: 'below-target' }))
+    ];
+
+    const goals = candidates
+      .sort((a, b) => (a.reason === b.reason ? a.average - b.average : a.reason === 'persistent-weakness' ? -1 : 1))
+      .slice(0, MAX_GOALS)
+      .map(({ skill, name, average: baseline, reason }) => {
+        const target = Math.min(100, Math.max(TARGET_SKILL_SCORE, baseline + GOAL_IMPROVEMENT));
+        return {
+          skill,
+          name,
+          reason,
+          description: `Raise ${name.toLowerCase()} from ${baseline} to ${target} average this week`,
+          baseline,
+          target,
+          current: null,
+          callsSinceStart: 0,
+          progress: 0,
+          status: 'in-progress',
+          metrics: this.buildMetricTargets(skill, scoredCalls)
+        };
+      });
+
+    return {
+      weekStart,
+      weekEnd: new Date(weekStart.getTime() + 7 * DAY_MS),
+      generatedAt: now,
+      goals,
+      recommendations: goals.flatMap(goal =>
+        SKILLS[goal.skill].recommendations.map(recommendation => ({ ...recommendation, skill: goal.skill }))
+      ),
+      resources: goals.flatMap(goal =>
+        SKILLS[goal.skill].resources.map(resource => ({ ...resource, skill: goal.skill }))
+      )
+    };
+  }
+
+  // Targets for the metrics behind a skill, from their averages over the window
+  buildMetricTargets(skill, scoredCalls) {
+    const limits = conversationService.limits;
+
+    return SKILLS[skill].metrics.flatMap(metric => {
+      const values = scoredCalls.map(call => call.metrics[metric]).filter(value => typeof value === 'number');
+      if (values.length === 0) return [];
+
+      const baseline = Math.round(average(values) * 10) / 10;
+      if (limits[metric] !== undefined) {
+        return [{ metric, direction: 'below', baseline, target: limits[metric], current: null }];
+      }
+      return [{
+        metric,
+        direction: 'above',
+        baseline,
+        target: Math.min(100, Math.max(TARGET_SKILL_SCORE, Math.round(baseline) + GOAL_IMPROVEMENT)),
+        current: null
+      }];
+    });
+  }
+
+  /**
+   * Update each goal from calls analyzed since the plan's week started
+   */
+  trackProgress(plan, scoredCalls) {
+    const sinceStart = scoredCalls.filter(call => call.createdAt >= plan.weekStart && call.createdAt < plan.weekEnd);
+
+    plan.goals.forEach(goal => {
+      const values = sinceStart.map(call => call.skills[goal.skill]).filter(value => typeof value === 'number');
+      goal.callsSinceStart = values.length;
+
+      goal.metrics.forEach(target => {
+        const metricValues = sinceStart.map(call => call.metrics[target.metric]).filter(value => typeof value === 'number');
+        target.current = metricValues.length > 0 ? Math.round(average(metricValues) * 10) / 10 : null;
+      });
+
+      if (values.length === 0) {
+        goal.current = null;
+        goal.progress = 0;
+        return;
+      }
+
+      goal.current = Math.round(average(values));
+      const span = goal.target - goal.baseline;
+      goal.progress = span > 0
+        ? Math.max(0, Math.min(100, Math.round(((goal.current - goal.baseline) / span) * 100)))
+        : (goal.current >= goal.target ? 100 : 0);
+      // Achieved once reached; a later bad call can take it back while the week runs
+      goal.status = goal.current >= goal.target ? 'achieved' : 'in-progress';
+    });
+  }
+
+  // Monday 00:00, server time
+  getWeekStart(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+  }
+}
+
+module.exports = new AgentProfileService();
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const jobQueue = require('./jobQueue');
+const { checkWebhookUrl, webhookAgent, BLOCKED_HOST } = require('./webhookAddress');
+
+const WEBHOOK_JOB = 'deliver-alert-webhook';
+
+// Prefix of the Socket.IO alert rooms: one per tenant (for tenant admins),
+// organization and team
+const ALERTS_ROOM = 'alerts';
+
+const RISK_ALERT_TYPES = {
+  escalation: 'escalation-risk',
+  churn: 'churn-risk'
+};
+
+/**
+ * Raises alerts for at-risk calls and for significant metric trends, pushes
+ * them to supervisors over Socket.IO and delivers them to the webhooks in the
+ * tenant's `settings.alertWebhookUrls`
+ *
+ * Webhook bodies are signed with the tenant's `settings.alertWebhookSecret`
+ * (HMAC-SHA256, hex) in the X-Omind-Signature header when a secret is set.
+ * Failed deliveries are retried through the job queue with exponential backoff.
+ */
+class AlertService {
+  constructor() {
+    this.webhookMaxAttempts = parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.webhookRetryDelay = parseInt(process.env.ALERT_WEBHOOK_RETRY_DELAY_MS) || 60000;
+    // A metric that keeps moving the same way is re-alerted at most this often
+    this.metricCooldown = (parseInt(process.env.METRIC_ALERT_COOLDOWN_DAYS) || 7) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Raise (or refresh, on re-analysis) an alert for every risk over its threshold
+   * @returns {Promise<Array>} Alerts raised for the first time
+   */
+  async raiseRiskAlerts(call) {
+    const risk = call.analysis?.risk;
+    if (!risk) return [];
+
+    const { urls } = await this.getWebhookSettings(call.tenant);
+    const raised = [];
+    for (const [kind, type] of Object.entries(RISK_ALERT_TYPES)) {
+      const assessment = risk[kind];
+      if (!assessment?.atRisk) continue;
+
+      const result = await Alert.findOneAndUpdate(
+        { call: call._id, type },
+        {
+          $set: {
+            score: assessment.score,
+            threshold: assessment.threshold,
+            reasons: assessment.reasons
+          },
+          $setOnInsert: {
+            user: call.user,
+            tenant: call.tenant,
+            status: 'open',
+            callbackDueAt: this.getCallbackDueAt(),
+            deliveries: urls.map(url => ({ url }))
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+
+      // Only notify once per call and risk type
+      if (result.lastErrorObject?.updatedExisting) continue;
+
+      const alert = result.value;
+      console.log(`🚨 ${type} alert raised for call ${call._id} (score ${assessment.score})`);
+      raised.push(alert);
+      await this.notify(alert, call);
+    }
+
+    return raised;
+  }
+
+  /**
+   * Raise an alert for an agent's or team's metric trend, or refresh the open
+   * one raised for the same metric and direction within the cooldown
+   * @param {Object} target - `{ subject, user?, team, organization, tenant }`
+   * @returns {Promise<Object|null>} The alert when it was raised for the first time
+   */
+  async raiseMetricAlert(target, metric, trend) {
+    const type = trend.change < 0 ? 'metric-drop' : 'metric-spike';
+    const key = {
+      type,
+      metric,
+      subject: target.subject,
+      user: target.subject === 'agent' ? target.user : null,
+      ...(target.subject === 'team' && { team: target.team })
+    };
+
+    const recent = await Alert.findOne({ ...key, createdAt: { $gte: new Date(Date.now() - this.metricCooldown) } })
+      .sort({ createdAt: -1 });
+    if (recent) {
+      if (recent.status === 'open') {
+        recent.trend = trend;
+        await recent.save();
+      }
+      return null;
+    }
+
+    // Jobs for the same agent or team can run side by side. The unique
+    // cooldownKey lets only one of them raise the alert for this period.
+    const { urls } = await this.getWebhookSettings(target.tenant);
+    const cooldownKey = [
+      type,
+      metric,
+      target.subject,
+      target.subject === 'agent' ? target.user : target.team,
+      Math.floor(Date.now() / this.metricCooldown)
+    ].join(':');
+
+    let result;
+    try {
+      result = await Alert.findOneAndUpdate(
+        { cooldownKey },
+        {
+          $setOnInsert: {
+            ...key,
+            tenant: target.tenant,
+            organization: target.organization,
+            team: target.team,
+            trend,
+            status: 'open',
+            deliveries: urls.map(url => ({ url }))
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      // Both upserts inserted at once; the other one raised it
+      if (error.code === 11000) return null;
+      throw error;
+    }
+    if (result.lastErrorObject?.updatedExisting) return null;
+
+    const alert = result.value;
+    const subject = target.subject === 'agent' ? `agent ${target.user}` : `team ${target.team}`;
+    console.log(`📉 ${type} alert raised for ${subject}: ${metric} ${trend.baselineMean} → ${trend.currentMean}`);
+
+    await this.notify(alert, null, target.subject === 'agent'
+      ? await this.getAgentRooms(target.user)
+      : this.getTeamRooms(target));
+    return alert;
+  }
+
+  async notify(alert, call, rooms) {
+    rooms = rooms || await this.getAgentRooms(call.user);
+    // An empty room list would broadcast to every socket
+    if (global.io && rooms.length > 0) {
+      global.io.to(rooms).emit(call ? 'risk-alert' : 'metric-alert', this.toPayload(alert, call));
+    }
+
+    // The tenant's webhooks when the alert was raised
+    for (const { url } of alert.deliveries) {
+      await jobQueue.enqueue(WEBHOOK_JOB, { alertId: alert._id.toString(), url }, { call: call?._id });
+    }
+  }
+
+  /**
+   * Job handler: POST one alert to one webhook, rescheduling on failure
+   */
+  async deliverWebhook({ alertId, url }) {
+    const alert = await Alert.findById(alertId).populate('call', 'originalName metadata classification createdAt');
+    if (!alert) return;
+
+    const delivery = alert.deliveries.find(d => d.url === url);
+    const attempts = (delivery?.attempts || 0) + 1;
+    const body = JSON.stringify({ event: 'alert.created', alert: this.toPayload(alert, alert.call) });
+
+    const { secret } = await this.getWebhookSettings(alert.tenant);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Omind-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    // URLs saved before they were checked are refused here, and names that
+    // resolve to a private address by webhookAgent as it connects. Neither is retried.
+    const blocked = checkWebhookUrl(url);
+    if (blocked) {
+      await this.updateDelivery(alertId, url, { status: 'failed', attempts, error: blocked });
+      console.warn(`⚠️ Alert ${alertId} not delivered to ${url}:`, blocked);
+      return;
+    }
+
+    try {
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: 10000,
+        httpsAgent: webhookAgent,
+        maxRedirects: 0
+      });
+      await this.updateDelivery(alertId, url, {
+        status: 'delivered',
+        attempts,
+        statusCode: response.status,
+        error: null,
+        deliveredAt: new Date()
+      });
+      console.log(`📤 Alert ${alertId} delivered to ${url}`);
+    } catch (error) {
+      const willRetry = error.code !== BLOCKED_HOST && attempts < this.webhookMaxAttempts;
+      await this.updateDelivery(alertId, url, {
+        status: willRetry ? 'pending' : 'failed',
+        attempts,
+        statusCode: error.response?.status,
+        error: error.message
+      });
+      console.warn(`⚠️ Alert ${alertId} delivery to ${url} failed (attempt ${attempts}):`, error.message);
+
+      if (willRetry) {
+        await jobQueue.enqueue(WEBHOOK_JOB, { alertId, url }, {
+          call: alert.call?._id,
+          runAt: new Date(Date.now() + this.webhookRetryDelay * Math.pow(2, attempts - 1))
+        });
+      }
+    }
+  }
+
+  /**
+   * A tenant's alert webhook URLs and signing secret
+   */
+  async getWebhookSettings(tenantId) {
+    const tenant = tenantId && await Tenant.findById(tenantId)
+      .select('+settings.alertWebhookSecret')
+      .lean();
+
+    return {
+      urls: tenant?.settings?.alertWebhookUrls || [],
+      secret: tenant?.settings?.alertWebhookSecret
+    };
+  }
+
+  async updateDelivery(alertId, url, fields) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      $set[`deliveries.$.${field}`] = value;
+    });
+    await Alert.updateOne({ _id: alertId, 'deliveries.url': url }, { $set });
+  }
+
+  /**
+   * Alert rooms of everyone who can see an agent's calls
+   */
+  async getAgentRooms(userId) {
+    const agent = await User.findById(userId).select('tenant team organization');
+    if (!agent?.tenant) return [];
+
+    const rooms = [`${ALERTS_ROOM}-tenant-${agent.tenant}`];
+    if (agent?.organization) rooms.push(`${ALERTS_ROOM}-org-${agent.organization}`);
+    if (agent?.team) rooms.push(`${ALERTS_ROOM}-team-${agent.team}`);
+    return rooms;
+  }
+
+  /**
+   * Alert rooms of everyone who can see a team
+   */
+  getTeamRooms({ tenant, organization, team }) {
+    if (!tenant) return [];
+
+    const rooms = [`${ALERTS_ROOM}-tenant-${tenant}`];
+    if (organization) rooms.push(`${ALERTS_ROOM}-org-${organization}`);
+    if (team) rooms.push(`${ALERTS_ROOM}-team-${team}`);
+    return rooms;
+  }
+
+  /**
+   * Alert rooms a socket joins for an access scope (see accessService)
+   */
+  getScopeRooms(scope) {
+    if (scope.level === 'tenant') return [`${ALERTS_ROOM}-tenant-${scope.tenant}`];
+    if (scope.level === 'org') return [`${ALERTS_ROOM}-org-${scope.organization}`];
+    if (scope.level === 'team') return scope.teams.map(team => `${ALERTS_ROOM}-team-${team}`);
+    return [];
+  }
+
+  // End of the current day, server time
+  getCallbackDueAt() {
+    const due = new Date();
+    due.setHours(23, 59, 59, 999);
+    return due;
+  }
+
+  toPayload(alert, call) {
+    return {
+      id: alert._id.toString(),
+      type: alert.type,
+      score: alert.score,
+      threshold: alert.threshold,
+      reasons: alert.reasons.map(reason => reason.reason),
+      status: alert.status,
+      callbackDueAt: alert.callbackDueAt,
+      createdAt: alert.createdAt,
+      ...(alert.metric && {
+        subject: alert.subject,
+        agentId: alert.user?.toString(),
+        teamId: alert.team?.toString(),
+        metric: alert.metric,
+        trend: alert.trend
+      }),
+      call: call && {
+        id: call._id.toString(),
+        originalName: call.originalName,
+        customerId: call.metadata?.customerId,
+        reason: call.classification?.reason
+      }
+    };
+  }
+}
+
+module.exports = new AlertService();
+module.exports.ALERTS_ROOM = ALERTS_ROOM;
+module.exports.WEBHOOK_JOB = WEBHOOK_JOB;
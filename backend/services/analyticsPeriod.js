@@ -0,0 +1,247 @@
+// Reporting periods for analytics: preset or custom ranges in the caller's
+// timezone, split into hour/day/week/month buckets
+
+const PRESET_DAYS = { '7d': 7, '30d': 30, '90d': 90 };
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+// $dateToString formats; bucketKey() builds the same keys in JavaScript
+const BUCKET_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Shortest length of each bucket in hours, allowing for DST transitions
+const MIN_BUCKET_HOURS = { hour: 1, day: 23, week: 167, month: 671 };
+
+// Longest length of each bucket in days, to bound the bucket count before building them
+const MAX_BUCKET_DAYS = { hour: 1 / 24, day: 1, week: 7, month: 31 };
+
+const MAX_BUCKETS = parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 1000;
+const DEFAULT_TIMEZONE = process.env.ANALYTICS_DEFAULT_TIMEZONE || 'UTC';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date parts of `date` in `timezone`, as strings
+const localParts = (date, timezone) => Object.fromEntries(
+  getFormatter(timezone).formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, part.value])
+);
+
+// Milliseconds `timezone` is ahead of UTC at `date`
+const timezoneOffset = (date, timezone) => {
+  const parts = localParts(date, timezone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant local midnight of `dateString` (YYYY-MM-DD) falls on in `timezone`
+ */
+const startOfLocalDay = (dateString, timezone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - timezoneOffset(new Date(guess), timezone);
+  // Re-check the offset at the result in case a DST change lies in between
+  return new Date(guess - timezoneOffset(new Date(first), timezone));
+};
+
+// ISO 8601 week-numbering year and week of a calendar date
+const isoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  // The Thursday of the same week decides the year
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  return { year: date.getUTCFullYear(), week: Math.ceil(((date - yearStart) / DAY_MS + 1) / 7) };
+};
+
+/**
+ * Bucket key of `date`, matching $dateToString with BUCKET_FORMATS[granularity]
+ */
+const bucketKey = (date, timezone, granularity) => {
+  const { year, month, day, hour } = localParts(date, timezone);
+
+  switch (granularity) {
+    case 'hour':
+      return `${year}-${month}-${day}T${hour}:00`;
+    case 'week': {
+      const week = isoWeek(Number(year), Number(month), Number(day));
+      return `${week.year}-W${String(week.week).padStart(2, '0')}`;
+    }
+    case 'month':
+      return `${year}-${month}`;
+    default:
+      return `${year}-${month}-${day}`;
+  }
+};
+
+/**
+ * Every bucket key between startDate (inclusive) and endDate (exclusive), in order
+ */
+const buildBuckets = ({ startDate, endDate, timezone, granularity }) => {
+  const keys = [];
+  let time = startDate.getTime();
+
+  while (time < endDate.getTime()) {
+    const key = bucketKey(new Date(time), timezone, granularity);
+    if (key !== keys[keys.length - 1]) {
+      keys.push(key);
+      // Can't jump past the next bucket: no bucket is shorter than this
+      time += (MIN_BUCKET_HOURS[granularity] - 1) * HOUR_MS || HOUR_MS;
+    } else {
+      time += HOUR_MS;
+    }
+  }
+
+  return keys;
+};
+
+const parseDate = (value, timezone, { endOfDay = false } = {}) => {
+  if (DATE_ONLY.test(value)) {
+    const start = startOfLocalDay(value, timezone);
+    if (!endOfDay) return start;
+    // Date-only end dates include the whole day
+    const next = new Date(start.getTime() + 36 * HOUR_MS);
+    return startOfLocalDay(bucketKey(next, timezone, 'day'), timezone);
+  }
+  return new Date(value);
+};
+
+/**
+ * Resolve analytics query parameters into a reporting period
+ * @param {Object} query - `period` (7d/30d/90d) or `startDate`/`endDate`
+ *   (ISO timestamps, or YYYY-MM-DD in the timezone), `timezone` (IANA name)
+ *   and `granularity` (hour/day/week/month)
+ * @returns {Object} The period with the previous period of the same length,
+ *   or `{ error }` when the parameters are invalid
+ */
+const parsePeriod = ({ period, startDate, endDate, timezone = DEFAULT_TIMEZONE, granularity = 'day' } = {}, now = new Date()) => {
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of ${GRANULARITIES.join(', ')}` };
+  }
+
+  let start;
+  let end;
+  if (startDate || endDate) {
+    if (!startDate) {
+      return { error: 'startDate is required with endDate' };
+    }
+    start = parseDate(startDate, timezone);
+    end = endDate ? parseDate(endDate, timezone, { endOfDay: true }) : now;
+    if (isNaN(start) || isNaN(end)) {
+      return { error: 'startDate and endDate must be ISO dates' };
+    }
+    if (start >= end) {
+      return { error: 'startDate must be before endDate' };
+    }
+  } else {
+    end = now;
+    start = new Date(now.getTime() - (PRESET_DAYS[period] || PRESET_DAYS['30d']) * DAY_MS);
+  }
+
+  if ((end - start) / DAY_MS / MAX_BUCKET_DAYS[granularity] > MAX_BUCKETS * 1.1) {
+    return { error: `Range is too long for ${granularity} granularity (at most ${MAX_BUCKETS} buckets)` };
+  }
+
+  const range = {
+    period: startDate ? 'custom' : (PRESET_DAYS[period] ? period : '30d'),
+    startDate: start,
+    endDate: end,
+    timezone,
+    granularity
+  };
+  range.buckets = buildBuckets(range);
+
+  if (range.buckets.length > MAX_BUCKETS) {
+    return { error: `Range is too long for ${granularity} granularity (at most ${MAX_BUCKETS} buckets)` };
+  }
+
+  return {
+    ...range,
+    previous: {
+      startDate: new Date(start.getTime() - (end - start)),
+      endDate: start
+    }
+  };
+};
+
+/**
+ * $dateToString expression bucketing `field` by the period's granularity and timezone
+ */
+const bucketExpression = ({ timezone, granularity }, field = '$createdAt') => ({
+  $dateToString: { format: BUCKET_FORMATS[granularity], date: field, timezone }
+});
+
+/**
+ * One row per bucket, in order; buckets without data get `empty` values
+ */
+const zeroFill = (buckets, rows, empty) => {
+  const byKey = new Map(rows.map(row => [row._id, row]));
+  return buckets.map(key => byKey.get(key) || { _id: key, ...empty });
+};
+
+/**
+ * Change from `previous` to `current` for each numeric field
+ */
+const computeDeltas = (current, previous) => Object.fromEntries(
+  Object.keys(current)
+    .filter(field => typeof current[field] === 'number' || typeof previous[field] === 'number')
+    .map(field => {
+      const now = current[field];
+      const before = previous[field];
+      if (typeof now !== 'number' || typeof before !== 'number') {
+        return [field, { change: null, percentChange: null }];
+      }
+      return [field, {
+        change: Math.round((now - before) * 100) / 100,
+        percentChange: before === 0 ? null : Math.round((now - before) / Math.abs(before) * 1000) / 10
+      }];
+    })
+);
+
+module.exports = {
+  parsePeriod,
+  buildBuckets,
+  bucketKey,
+  bucketExpression,
+  zeroFill,
+  computeDeltas,
+  GRANULARITIES,
+  PRESET_DAYS
+};
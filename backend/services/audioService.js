@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Audio inspection and conversion through the ffmpeg/ffprobe CLIs
+ */
+class AudioService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.timeout = 10 * 60 * 1000;
+  }
+
+  /**
+   * Read duration and channel layout of an audio file
+   * @returns {Promise<{duration: number, channels: number, sampleRate: number}>}
+   */
+  async probe(filePath) {
+    const { stdout } = await execFileAsync(this.ffprobePath, [
+      '-v', 'error',
+      '-select_streams', 'a:0',
+      '-show_entries', 'stream=channels,sample_rate:format=duration',
+      '-of', 'json',
+      filePath
+    ], { timeout: 30000 });
+
+    const info = JSON.parse(stdout);
+    const stream = info.streams?.[0] || {};
+
+    return {
+      duration: parseFloat(info.format?.duration) || 0,
+      channels: stream.channels || 1,
+      sampleRate: parseInt(stream.sample_rate) || 0
+    };
+  }
+
+  /**
+   * Split a stereo recording into one mono 16 kHz WAV file per channel
+   * @returns {Promise<{left: string, right: string, dir: string}>} Caller removes `dir` when done
+   */
+  async splitChannels(filePath) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-channels-'));
+    const left = path.join(dir, 'left.wav');
+    const right = path.join(dir, 'right.wav');
+
+    await execFileAsync(this.ffmpegPath, [
+      '-v', 'error',
+      '-i', filePath,
+      '-filter_complex', '[0:a]channelsplit=channel_layout=stereo[l][r]',
+      '-map', '[l]', '-ar', '16000', left,
+      '-map', '[r]', '-ar', '16000', right
+    ], { timeout: this.timeout });
+
+    return { left, right, dir };
+  }
+
+  /**
+   * Cut `length` seconds starting at `start` into a mono 16 kHz WAV file
+   */
+  async extractSegment(filePath, start, length, outputPath) {
+    await execFileAsync(this.ffmpegPath, [
+      '-v', 'error',
+      '-ss', String(start),
+      '-t', String(length),
+      '-i', filePath,
+      '-ac', '1',
+      '-ar', '16000',
+      outputPath
+    ], { timeout: this.timeout });
+
+    return outputPath;
+  }
+
+  /**
+   * Replace the given time ranges with a 1 kHz tone, keeping the rest of the audio
+   * @param {Array<{start: number, end: number}>} ranges - Seconds from the start
+   */
+  async bleep(filePath, ranges, outputPath) {
+    const during = ranges.map(range => `between(t,${range.start},${range.end})`).join('+');
+
+    await execFileAsync(this.ffmpegPath, [
+      '-v', 'error',
+      '-y',
+      '-i', filePath,
+      '-f', 'lavfi', '-i', 'sine=frequency=1000',
+      '-filter_complex',
+      `[0:a]volume=0:enable='${during}'[speech];` +
+      `[1:a]volume=0:enable='not(${during})'[tone];` +
+      '[speech][tone]amix=inputs=2:duration=first:dropout_transition=0,volume=2',
+      outputPath
+    ], { timeout: this.timeout });
+
+    return outputPath;
+  }
+}
+
+module.exports = new AudioService();
@@ -0,0 +1,155 @@
+const axios = require('axios');
+const { findPatternSpans } = require('./evidence');
+const tenantService = require('./tenantService');
+
+const MAX_CLASSIFIER_INPUT_CHARS = 1000;
+
+// Customers usually say why they called in their first few turns
+const OPENING_TURNS = 3;
+
+// Checked in order: the first outcome with a match wins
+const OUTCOME_PATTERNS = [
+  {
+    outcome: 'escalated',
+    patterns: [/transfer(ring)? you to/i, /escalat(e|ed|ing)/i, /(supervisor|manager) will/i, /let me get (my|a) (supervisor|manager)/i]
+  },
+  {
+    outcome: 'callback',
+    patterns: [/call you back/i, /callback/i, /get back to you/i, /follow up with you/i, /reach out to you (by|within|tomorrow)/i]
+  },
+  {
+    outcome: 'resolved',
+    patterns: [
+      /(that's|that is|it's|it is|you're|you are) all set/i,
+      /(has|have|i've) (been )?(resolved|fixed|processed|refunded|updated|cancell?ed)/i,
+      /taken care of/i,
+      /problem solved/i,
+      /(resolved|fixed) (it|that|the issue)/i
+    ]
+  }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const keywordPattern = (keyword) => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i');
+
+/**
+ * Assigns a call reason, sub-topics and a resolution outcome from the transcript
+ * using an admin-configurable taxonomy (see CallReason)
+ */
+class ClassificationService {
+  constructor() {
+    this.huggingFaceToken = process.env.HUGGINGFACE_TOKEN;
+    this.zeroShotModel = process.env.CLASSIFIER_MODEL || 'facebook/bart-large-mnli';
+    // Zero-shot always ranks some label first, even for calls that fit none of them
+    this.minConfidence = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE) || 0.4;
+  }
+
+  /**
+   * @param {string} transcript - Full transcript text
+   * @param {Array} [segments] - Diarized transcript segments
+   * @param {Array} reasons - Call reasons with keywords and sub-topics
+   */
+  async classifyCall(transcript, segments, reasons) {
+    const units = segments && segments.length > 0
+      ? segments.map((segment, segmentIndex) => ({ ...segment, segmentIndex, speaker: segment.speaker || 'unknown' }))
+      : [{ text: transcript, segmentIndex: null, speaker: 'unknown' }];
+
+    const customerUnits = units.some(unit => unit.speaker === 'customer')
+      ? units.filter(unit => unit.speaker === 'customer')
+      : units;
+
+    const match = await this.classifyReason(customerUnits, reasons);
+    const reason = match && reasons.find(candidate => candidate.key === match.key);
+
+    const subTopics = reason
+      ? (reason.subTopics || [])
+        .map(subTopic => ({
+          key: subTopic.key,
+          name: subTopic.name,
+          spans: findPatternSpans(units, (subTopic.keywords || []).map(keywordPattern))
+        }))
+        .filter(subTopic => subTopic.spans.length > 0)
+      : [];
+
+    const { outcome, spans: outcomeSpans } = this.classifyOutcome(units);
+
+    return {
+      reason: reason ? reason.key : 'other',
+      reasonName: reason ? reason.name : 'Other',
+      confidence: match ? match.confidence : 0,
+      method: match ? match.method : null,
+      reasonSpans: reason ? findPatternSpans(customerUnits, (reason.keywords || []).map(keywordPattern)) : [],
+      subTopics,
+      outcome,
+      outcomeSpans,
+      classifiedAt: new Date()
+    };
+  }
+
+  /**
+   * Zero-shot classification over the customer's words, falling back to
+   * keyword counts when the model is unavailable
+   * @returns {Promise<{key: string|null, confidence: number, method: string}|null>} A null
+   *   key when the model's best label scores under CLASSIFIER_MIN_CONFIDENCE
+   */
+  async classifyReason(units, reasons) {
+    if (reasons.length === 0) return null;
+
+    const text = units.map(unit => unit.text).join(' ').slice(0, MAX_CLASSIFIER_INPUT_CHARS);
+
+    try {
+      const labels = reasons.map(reason => reason.description || reason.name);
+      const response = await axios.post(
+        `https://api-inference.huggingface.co/models/${this.zeroShotModel}`,
+        {
+          inputs: text,
+          parameters: { candidate_labels: labels }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${await tenantService.providerToken('huggingFace', this.huggingFaceToken)}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      const best = reasons[labels.indexOf(response.data.labels[0])];
+      const confidence = Math.round(response.data.scores[0] * 100) / 100;
+      return { key: confidence >= this.minConfidence ? best.key : null, confidence, method: 'zero-shot' };
+    } catch (error) {
+      console.warn('⚠️ Zero-shot call classification failed, using keywords:', error.message);
+      return this.classifyReasonByKeywords(units, reasons);
+    }
+  }
+
+  classifyReasonByKeywords(units, reasons) {
+    const scores = reasons.map(reason => {
+      const patterns = (reason.keywords || []).map(keywordPattern);
+      const score = units.reduce((sum, unit, i) => {
+        const hits = patterns.filter(pattern => pattern.test(unit.text)).length;
+        return sum + hits * (i < OPENING_TURNS ? 2 : 1);
+      }, 0);
+      return { key: reason.key, score };
+    });
+
+    const total = scores.reduce((sum, reason) => sum + reason.score, 0);
+    const best = scores.reduce((top, reason) => (reason.score > top.score ? reason : top));
+    if (best.score === 0) return null;
+
+    return { key: best.key, confidence: Math.round((best.score / total) * 100) / 100, method: 'keywords' };
+  }
+
+  /**
+   * @returns {{outcome: string, spans: Array}} resolved, escalated, callback or unresolved
+   */
+  classifyOutcome(units) {
+    for (const { outcome, patterns } of OUTCOME_PATTERNS) {
+      const spans = findPatternSpans(units, patterns);
+      if (spans.length > 0) return { outcome, spans };
+    }
+    return { outcome: 'unresolved', spans: [] };
+  }
+}
+
+module.exports = new ClassificationService();
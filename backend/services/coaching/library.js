@@ -0,0 +1,430 @@
+/**
+ * Curated coaching content, tagged by skill
+ *
+ * Each skill lists the analysis metrics that measure it. A plan picks the
+ * skills a call scored low on and draws recommendations, resources and quiz
+ * questions from them. Quiz question ids are stable so attempts can be graded
+ * against the library after the plan is stored.
+ */
+const SKILLS = {
+  callOpening: {
+    name: 'Call Opening',
+    category: 'Professionalism',
+    metrics: ['callOpening'],
+    recommendations: [
+      {
+        title: 'Use the full three-part greeting',
+        description: 'Greet the customer, give your name and offer help in the first sentence, e.g. "Good morning, this is Sam, how can I help you today?"'
+      },
+      {
+        title: 'Set the tone in the first ten seconds',
+        description: 'Smile as you speak and use the customer\'s name as soon as you have it'
+      }
+    ],
+    resources: [
+      {
+        type: 'checklist',
+        title: 'Call opening checklist',
+        description: 'Greeting, name, company, offer of help, customer\'s name'
+      }
+    ],
+    quiz: [
+      {
+        id: 'callOpening-1',
+        question: 'What is the most important aspect of call opening?',
+        options: ['Speed', 'Professional greeting', 'Getting to the point', 'Asking questions'],
+        correctAnswer: 1,
+        explanation: 'A professional greeting sets the tone for the entire call'
+      },
+      {
+        id: 'callOpening-2',
+        question: 'Which opening covers everything a customer needs to hear?',
+        options: [
+          '"Yes?"',
+          '"Support, what\'s the account number?"',
+          '"Good morning, this is Sam from support, how can I help you today?"',
+          '"Please hold."'
+        ],
+        correctAnswer: 2,
+        explanation: 'It greets, introduces the agent and the team, and offers help'
+      }
+    ]
+  },
+
+  discovery: {
+    name: 'Issue Discovery',
+    category: 'Problem Solving',
+    metrics: ['issueUnderstanding', 'relevance'],
+    recommendations: [
+      {
+        title: 'Confirm the problem before solving it',
+        description: 'Restate the customer\'s issue in your own words and ask "Did I get that right?" before moving on'
+      },
+      {
+        title: 'Ask open questions first',
+        description: 'Start with "What happened?" or "Can you walk me through it?" and narrow down with closed questions after'
+      }
+    ],
+    resources: [
+      {
+        type: 'exercise',
+        title: 'Paraphrasing drill',
+        description: 'Replay three of your calls and write one sentence restating each customer\'s problem'
+      }
+    ],
+    quiz: [
+      {
+        id: 'discovery-1',
+        question: 'What should you do right after the customer describes their problem?',
+        options: ['Offer a refund', 'Restate the problem to confirm it', 'Transfer the call', 'Read the policy'],
+        correctAnswer: 1,
+        explanation: 'Restating the problem shows you listened and catches misunderstandings early'
+      },
+      {
+        id: 'discovery-2',
+        question: 'Which is an open question?',
+        options: ['"Is your account active?"', '"Did you restart it?"', '"What happened when you tried to log in?"', '"Is that all?"'],
+        correctAnswer: 2,
+        explanation: 'Open questions invite the customer to explain in their own words'
+      }
+    ]
+  },
+
+  activeListening: {
+    name: 'Active Listening',
+    category: 'Communication',
+    metrics: ['engagement', 'agentTalkRatio', 'interruptionCount'],
+    recommendations: [
+      {
+        title: 'Let the customer finish',
+        description: 'Wait a beat after the customer stops before you reply, and never talk over them'
+      },
+      {
+        title: 'Give the customer room to talk',
+        description: 'Aim to talk less than the customer; ask a question instead of adding another explanation'
+      }
+    ],
+    resources: [
+      {
+        type: 'video',
+        title: 'Active Listening Techniques',
+        description: 'Learn effective active listening skills',
+        url: 'https://www.youtube.com/watch?v=WzZNuQwQoQY'
+      }
+    ],
+    quiz: [
+      {
+        id: 'activeListening-1',
+        question: 'The customer pauses mid-explanation. What should you do?',
+        options: ['Jump in with the solution', 'Wait and let them continue', 'Put them on hold', 'Change the subject'],
+        correctAnswer: 1,
+        explanation: 'Pauses are often the customer gathering their thoughts; interrupting makes them repeat themselves'
+      },
+      {
+        id: 'activeListening-2',
+        question: 'Which shows active listening?',
+        options: ['Typing loudly', '"Uh-huh" with no follow-up', '"So the charge appeared twice on the 3rd?"', 'Reading the script'],
+        correctAnswer: 2,
+        explanation: 'Reflecting specific details back proves you heard them'
+      }
+    ]
+  },
+
+  clarity: {
+    name: 'Clarity',
+    category: 'Communication',
+    metrics: ['clarity', 'longestMonologueSeconds'],
+    recommendations: [
+      {
+        title: 'Keep sentences short',
+        description: 'Give one instruction per sentence and pause to check the customer is following'
+      },
+      {
+        title: 'Break long explanations into steps',
+        description: 'Say how many steps there are, then walk through them one at a time'
+      }
+    ],
+    resources: [
+      {
+        type: 'exercise',
+        title: 'One idea per sentence',
+        description: 'Rewrite your longest explanation from this call as numbered steps'
+      }
+    ],
+    quiz: [
+      {
+        id: 'clarity-1',
+        question: 'How should you explain a five-step fix?',
+        options: ['All at once, quickly', 'Step by step, checking after each', 'Email it instead', 'Skip the easy steps'],
+        correctAnswer: 1,
+        explanation: 'Checking after each step keeps the customer with you'
+      },
+      {
+        id: 'clarity-2',
+        question: 'What makes an explanation hard to follow on the phone?',
+        options: ['Short sentences', 'Numbered steps', 'Long sentences full of jargon', 'Pausing for questions'],
+        correctAnswer: 2,
+        explanation: 'Customers cannot re-read what you said, so long, technical sentences get lost'
+      }
+    ]
+  },
+
+  professionalism: {
+    name: 'Professionalism',
+    category: 'Professionalism',
+    metrics: ['politeness'],
+    recommendations: [
+      {
+        title: 'Replace negative phrasing',
+        description: 'Say what you can do ("I can have that sent today") rather than what you cannot'
+      },
+      {
+        title: 'Stay courteous under pressure',
+        description: 'Keep a calm tone and avoid blunt or dismissive wording, even with a frustrated customer'
+      }
+    ],
+    resources: [
+      {
+        type: 'article',
+        title: 'Customer Service Best Practices',
+        description: 'Essential tips for excellent customer service',
+        url: 'https://www.zendesk.com/blog/customer-service-best-practices/'
+      }
+    ],
+    quiz: [
+      {
+        id: 'professionalism-1',
+        question: 'Which phrase is more professional?',
+        options: ['"That\'s not my job."', '"I\'ll connect you with the team who can fix this."', '"Calm down."', '"Whatever you say."'],
+        correctAnswer: 1,
+        explanation: 'It tells the customer what will happen next instead of refusing'
+      },
+      {
+        id: 'professionalism-2',
+        question: 'How should you handle an angry customer?',
+        options: ['Hang up', 'Listen actively and empathize', 'Argue back', 'Transfer immediately'],
+        correctAnswer: 1,
+        explanation: 'Active listening and empathy help de-escalate situations'
+      }
+    ]
+  },
+
+  empathy: {
+    name: 'Empathy & Rapport',
+    category: 'Customer Experience',
+    metrics: ['sentimentAnalysis', 'csatScore'],
+    recommendations: [
+      {
+        title: 'Acknowledge how the customer feels',
+        description: 'Name the frustration before fixing it: "I can hear this has been really frustrating"'
+      },
+      {
+        title: 'End on a positive note',
+        description: 'Summarise what you did and thank the customer for their patience'
+      }
+    ],
+    resources: [
+      {
+        type: 'exercise',
+        title: 'Empathy statements',
+        description: 'Write three empathy statements for the customer\'s lowest moment in this call'
+      }
+    ],
+    quiz: [
+      {
+        id: 'empathy-1',
+        question: 'A customer says they have been waiting a week. What comes first?',
+        options: ['The policy on wait times', 'Acknowledging their frustration', 'Their account number', 'A transfer'],
+        correctAnswer: 1,
+        explanation: 'Customers listen to solutions once they feel heard'
+      },
+      {
+        id: 'empathy-2',
+        question: 'Which is an empathy statement?',
+        options: ['"That\'s our policy."', '"I understand how inconvenient that must be."', '"You should have called sooner."', '"Next."'],
+        correctAnswer: 1,
+        explanation: 'It recognises the customer\'s experience without blame'
+      }
+    ]
+  },
+
+  resolution: {
+    name: 'Resolution',
+    category: 'Problem Solving',
+    metrics: ['resolutionQuality'],
+    recommendations: [
+      {
+        title: 'Confirm the fix and next steps',
+        description: 'Before closing, recap what was done, what happens next and when, and ask if the issue is solved'
+      },
+      {
+        title: 'Own the follow-up',
+        description: 'When the issue cannot be solved on the call, give a reference number and a date you will follow up by'
+      }
+    ],
+    resources: [
+      {
+        type: 'checklist',
+        title: 'Call closing checklist',
+        description: 'Recap, next steps, timeline, reference number, confirmation the issue is resolved'
+      }
+    ],
+    quiz: [
+      {
+        id: 'resolution-1',
+        question: 'What should you do before ending a call?',
+        options: ['Ask for a survey score', 'Recap the fix and confirm it worked', 'Hang up quickly', 'Offer an upgrade'],
+        correctAnswer: 1,
+        explanation: 'Confirming the resolution prevents repeat calls'
+      },
+      {
+        id: 'resolution-2',
+        question: 'The fix needs another team. What do you tell the customer?',
+        options: ['Nothing', '"Someone will call you."', 'The reference number and when they will hear back', 'To call again tomorrow'],
+        correctAnswer: 2,
+        explanation: 'A reference and a timeline give the customer certainty'
+      }
+    ]
+  },
+
+  callControl: {
+    name: 'Call Control',
+    category: 'Efficiency',
+    metrics: ['deadAirSeconds', 'holdSeconds', 'avgResponseLatencySeconds'],
+    recommendations: [
+      {
+        title: 'Narrate while you work',
+        description: 'Tell the customer what you are checking instead of going silent: "I\'m just pulling up your last invoice"'
+      },
+      {
+        title: 'Keep holds short',
+        description: 'Ask before placing a hold, say how long it will be and check back at least every minute'
+      }
+    ],
+    resources: [
+      {
+        type: 'exercise',
+        title: 'Filling silence',
+        description: 'List five phrases you can use while a system loads'
+      }
+    ],
+    quiz: [
+      {
+        id: 'callControl-1',
+        question: 'Your system is slow to load. What do you do?',
+        options: ['Stay silent', 'Tell the customer what you are doing', 'Put them on hold without asking', 'Hang up and call back'],
+        correctAnswer: 1,
+        explanation: 'Narrating keeps the customer engaged and avoids dead air'
+      },
+      {
+        id: 'callControl-2',
+        question: 'How often should you check back during a hold?',
+        options: ['Never', 'About every minute', 'Every ten minutes', 'Only at the end'],
+        correctAnswer: 1,
+        explanation: 'Regular check-ins reassure the customer they have not been forgotten'
+      }
+    ]
+  },
+
+  compliance: {
+    name: 'Compliance',
+    category: 'Compliance',
+    metrics: [],
+    recommendations: [
+      {
+        title: 'Read required disclosures word for word',
+        description: 'Use the exact disclosure wording at the point in the call the policy requires'
+      },
+      {
+        title: 'Verify before you discuss the account',
+        description: 'Complete identity verification before sharing or changing any account details'
+      }
+    ],
+    resources: [
+      {
+        type: 'checklist',
+        title: 'Disclosure script card',
+        description: 'Keep the required disclosures for your call types in view during calls'
+      }
+    ],
+    quiz: [
+      {
+        id: 'compliance-1',
+        question: 'When must the recording disclosure be read?',
+        options: ['At the end of the call', 'Only if asked', 'At the start of the call', 'Never on short calls'],
+        correctAnswer: 2,
+        explanation: 'Customers must be told the call is recorded before the conversation continues'
+      },
+      {
+        id: 'compliance-2',
+        question: 'What comes before discussing account details?',
+        options: ['Identity verification', 'A sales offer', 'A hold', 'The closing'],
+        correctAnswer: 0,
+        explanation: 'Verification protects the customer and is required before account access'
+      }
+    ]
+  },
+
+  deEscalation: {
+    name: 'De-escalation',
+    category: 'Customer Experience',
+    metrics: [],
+    recommendations: [
+      {
+        title: 'Defuse before you solve',
+        description: 'Acknowledge the customer\'s frustration, apologise for the experience and say what you will do now'
+      },
+      {
+        title: 'Offer a concrete next step',
+        description: 'When a customer asks for a supervisor or threatens to leave, give them a specific action and timeline you own'
+      }
+    ],
+    resources: [
+      {
+        type: 'exercise',
+        title: 'Escalation role-play',
+        description: 'Practise the moment in this call where the customer escalated with a peer or supervisor'
+      }
+    ],
+    quiz: [
+      {
+        id: 'deEscalation-1',
+        question: 'A customer asks for your manager. What is the best first response?',
+        options: [
+          'Transfer immediately without a word',
+          'Refuse',
+          'Acknowledge their frustration and ask what would put it right',
+          'Put them on hold'
+        ],
+        correctAnswer: 2,
+        explanation: 'Many escalations are resolved once the customer feels heard and sees a path forward'
+      },
+      {
+        id: 'deEscalation-2',
+        question: 'A customer threatens to cancel. What helps most?',
+        options: ['Reading the cancellation policy', 'A specific fix with a timeline you own', 'Arguing the point', 'Ending the call'],
+        correctAnswer: 1,
+        explanation: 'Concrete ownership rebuilds trust'
+      }
+    ]
+  }
+};
+
+/**
+ * Skill a metric belongs to, or null
+ */
+const getSkillForMetric = (metric) =>
+  Object.keys(SKILLS).find(skill => SKILLS[skill].metrics.includes(metric)) || null;
+
+/**
+ * Library quiz question by id, with its skill
+ */
+const getQuizQuestion = (id) => {
+  for (const [skill, { quiz }] of Object.entries(SKILLS)) {
+    const question = quiz.find(q => q.id === id);
+    if (question) return { ...question, skill };
+  }
+  return null;
+};
+
+module.exports = { SKILLS, getSkillForMetric, getQuizQuestion };
@@ -0,0 +1,275 @@
+const conversationService = require('./conversationService');
+const { SKILLS } = require('./coaching/library');
+
+// Skill scores below these need coaching / need it first
+const TARGET_SKILL_SCORE = 70;
+const HIGH_PRIORITY_SCORE = 50;
+
+// Agent moments quoted per focus area
+const MAX_EXAMPLES = 3;
+
+/**
+ * Builds coaching plans from what actually happened on a call: the skills it
+ * scored low on, the issues raised against them and the agent's own moments
+ * from the transcript, drawing content from the curated skill library
+ */
+class CoachingService {
+  constructor() {
+    this.maxFocusAreas = parseInt(process.env.COACHING_MAX_FOCUS_AREAS) || 3;
+    this.quizQuestionsPerSkill = parseInt(process.env.COACHING_QUIZ_QUESTIONS_PER_SKILL) || 2;
+    this.quizPassScore = parseInt(process.env.COACHING_QUIZ_PASS_SCORE) || 80;
+  }
+
+  /**
+   * 0-100 score per library skill, or null for skills the analysis has nothing on
+   */
+  scoreSkills(analysis) {
+    const metrics = analysis.metrics || {};
+    const limits = conversationService.limits;
+
+    const scores = {};
+    Object.entries(SKILLS).forEach(([skill, { metrics: skillMetrics }]) => {
+      const values = skillMetrics
+        .map(metric => {
+          const value = metrics[metric];
+          if (typeof value !== 'number') return null;
+          // Dynamics metrics are measured in seconds/counts; anything within the limit scores 100
+          if (limits[metric] !== undefined) {
+            return value <= limits[metric] ? 100 : Math.round((limits[metric] / value) * 100);
+          }
+          return value;
+        })
+        .filter(value => value !== null);
+
+      scores[skill] = values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+    });
+
+    if (analysis.compliance) scores.compliance = analysis.compliance.score;
+    if (analysis.risk) {
+      scores.deEscalation = 100 - Math.max(analysis.risk.escalation?.score || 0, analysis.risk.churn?.score || 0);
+    }
+    return scores;
+  }
+
+  /**
+   * Skills the call needs coaching on, most urgent first, with the reasons and
+   * transcript spans behind each
+   */
+  findFocusAreas(analysis, skillScores = this.scoreSkills(analysis)) {
+    const evidence = analysis.evidence || {};
+    const areas = {};
+    const addReason = (skill, reason, spans = [], priority = 'medium') => {
+      areas[skill] = areas[skill] || { skill, score: skillScores[skill], priority: 'medium', reasons: [], spans: [] };
+      areas[skill].reasons.push(reason);
+      areas[skill].spans.push(...spans);
+      if (priority === 'high') areas[skill].priority = 'high';
+    };
+
+    Object.entries(SKILLS).forEach(([skill, { name, metrics }]) => {
+      const score = skillScores[skill];
+      if (typeof score === 'number' && score < TARGET_SKILL_SCORE && metrics.length > 0) {
+        const spans = metrics.flatMap(metric => evidence.metrics?.[metric] || []);
+        addReason(skill, `${name} scored ${score}`, spans, score < HIGH_PRIORITY_SCORE ? 'high' : 'medium');
+      }
+    });
+
+    (evidence.issues || []).forEach(issue => {
+      const skill = issue.complianceRule
+        ? 'compliance'
+        : Object.keys(SKILLS).find(key => SKILLS[key].metrics.includes(issue.metric));
+      if (skill) addReason(skill, issue.text, issue.spans);
+    });
+    if (areas.compliance && analysis.compliance?.criticalFailures > 0) {
+      areas.compliance.priority = 'high';
+    }
+
+    ['escalation', 'churn'].forEach(kind => {
+      const assessment = analysis.risk?.[kind];
+      if (!assessment?.atRisk) return;
+      assessment.reasons.forEach(reason => addReason('deEscalation', reason.reason, reason.spans, 'high'));
+    });
+
+    const priorityOrder = { high: 0, medium: 1 };
+    return Object.values(areas)
+      .map(area => ({
+        skill: area.skill,
+        name: SKILLS[area.skill].name,
+        category: SKILLS[area.skill].category,
+        score: area.score ?? null,
+        priority: area.priority,
+        reasons: [...new Set(area.reasons)],
+        examples: this.pickExamples(area.spans)
+      }))
+      .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority] || (a.score ?? 100) - (b.score ?? 100));
+  }
+
+  /**
+   * The agent's own moments where speakers are known, otherwise whatever was
+   * flagged; one per segment, in call order
+   */
+  pickExamples(spans) {
+    const quoted = spans.filter(span => span && span.text);
+    const agentSpans = quoted.filter(span => span.speaker === 'agent');
+    const candidates = agentSpans.length > 0 ? agentSpans : quoted;
+
+    const seen = new Set();
+    return candidates
+      .filter(span => {
+        const key = span.segmentIndex ?? span.text;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => (a.start ?? 0) - (b.start ?? 0))
+      .slice(0, MAX_EXAMPLES)
+      .map(({ segmentIndex, start, end, speaker, text }) => ({ segmentIndex, start, end, speaker, text }));
+  }
+
+  /**
+   * Build a coaching plan for one analyzed call
+   * @returns {{feedback, focusAreas, strengths, recommendations, resources, quiz, completionCriteria}}
+   */
+  buildPlan(analysis) {
+    const skillScores = this.scoreSkills(analysis);
+    let focusAreas = this.findFocusAreas(analysis, skillScores).slice(0, this.maxFocusAreas);
+
+    // A call with nothing to fix still gets its weakest skill to keep developing
+    const maintenance = focusAreas.length === 0;
+    if (maintenance) {
+      const [weakest] = Object.entries(skillScores)
+        .filter(([skill, score]) => typeof score === 'number' && SKILLS[skill].metrics.length > 0)
+        .sort((a, b) => a[1] - b[1]);
+      const skill = weakest ? weakest[0] : 'resolution';
+      focusAreas = [{
+        skill,
+        name: SKILLS[skill].name,
+        category: SKILLS[skill].category,
+        score: skillScores[skill] ?? null,
+        priority: 'low',
+        reasons: ['Lowest-scoring skill on an otherwise strong call'],
+        examples: []
+      }];
+    }
+
+    const strengths = Object.entries(skillScores)
+      .filter(([, score]) => typeof score === 'number' && score >= 85)
+      .sort((a, b) => b[1] - a[1])
+      .map(([skill, score]) => ({ skill, name: SKILLS[skill].name, score }));
+
+    const recommendations = focusAreas.flatMap(area => {
+      const library = SKILLS[area.skill].recommendations;
+      // Urgent areas get every recommendation, the rest get the first
+      const picked = area.priority === 'high' ? library : library.slice(0, 1);
+      return picked.map(recommendation => ({
+        category: area.category,
+        skill: area.skill,
+        title: recommendation.title,
+        description: recommendation.description,
+        priority: area.priority,
+        reasons: area.reasons,
+        examples: area.examples
+      }));
+    });
+
+    const resources = focusAreas.flatMap(area =>
+      SKILLS[area.skill].resources.map(resource => ({ ...resource, skill: area.skill }))
+    );
+
+    const quiz = focusAreas.flatMap(area =>
+      SKILLS[area.skill].quiz
+        .slice(0, this.quizQuestionsPerSkill)
+        .map(question => ({ ...question, skill: area.skill }))
+    );
+
+    return {
+      feedback: this.buildFeedback(analysis, focusAreas, strengths, maintenance),
+      focusAreas,
+      strengths,
+      skillScores,
+      recommendations,
+      resources,
+      quiz,
+      completionCriteria: `Complete all ${recommendations.length} recommendations and score ${this.quizPassScore}% or higher on the quiz`
+    };
+  }
+
+  /**
+   * Split a plan's quiz into the questions agents see and the answer key kept
+   * server-side. Plans from before questions had ids are keyed by position.
+   */
+  splitQuizAnswers(quiz) {
+    const questions = [];
+    const answerKey = {};
+    quiz.forEach((item, index) => {
+      const { correctAnswer, explanation, ...question } = item;
+      const id = question.id || String(index);
+      questions.push({ ...question, id });
+      answerKey[id] = { correctAnswer, explanation };
+    });
+    return { questions, answerKey };
+  }
+
+  /**
+   * Grade submitted answers against the answer key
+   * @param {Array} questions - Questions served in the attempt
+   * @param {Object} answerKey - From splitQuizAnswers, by question id
+   * @param {Array} answers - `{ questionId, selected }`; unanswered questions count as wrong
+   */
+  gradeQuiz(questions, answerKey, answers) {
+    const selectedById = new Map((answers || []).map(answer => [String(answer.questionId), answer.selected]));
+
+    const results = questions.map(question => {
+      const key = answerKey[question.id] || {};
+      const selected = selectedById.has(question.id) ? Number(selectedById.get(question.id)) : null;
+      return {
+        questionId: question.id,
+        selected,
+        correct: selected !== null && selected === key.correctAnswer,
+        correctAnswer: key.correctAnswer,
+        explanation: key.explanation
+      };
+    });
+
+    const correctCount = results.filter(result => result.correct).length;
+    const score = questions.length > 0 ? Math.round((correctCount / questions.length) * 100) : 0;
+    return {
+      correctCount,
+      total: questions.length,
+      score,
+      passScore: this.quizPassScore,
+      passed: score >= this.quizPassScore,
+      results
+    };
+  }
+
+  buildFeedback(analysis, focusAreas, strengths, maintenance) {
+    const parts = [];
+    const overallScore = analysis.overallScore;
+
+    if (typeof overallScore === 'number') {
+      if (overallScore >= 85) parts.push(`Excellent call (${overallScore}).`);
+      else if (overallScore >= 70) parts.push(`Good call (${overallScore}) with specific areas to improve.`);
+      else parts.push(`This call scored ${overallScore} and needs improvement.`);
+    }
+
+    if (strengths.length > 0) {
+      parts.push(`Strengths: ${strengths.slice(0, 3).map(s => s.name).join(', ')}.`);
+    }
+
+    if (maintenance) {
+      parts.push(`Keep developing ${focusAreas[0].name.toLowerCase()}.`);
+    } else {
+      const quoted = focusAreas.some(area => area.examples.length > 0)
+        ? ' The examples quote the moments in this call behind each one.'
+        : '';
+      parts.push(`Focus on ${focusAreas.map(area => area.name.toLowerCase()).join(', ')}.${quoted}`);
+    }
+
+    return parts.join(' ');
+  }
+}
+
+module.exports = new CoachingService();
+module.exports.TARGET_SKILL_SCORE = TARGET_SKILL_SCORE;
@@ -0,0 +1,129 @@
+const CoachingSession = require('../models/CoachingSession');
+const jobQueue = require('./jobQueue');
+
+const DUE_JOB = 'coaching-session-due';
+
+// Per-user Socket.IO room; sockets join it with their JWT
+const userRoom = (userId) => `user-${userId}`;
+
+const OPEN_STATUSES = ['assigned', 'acknowledged'];
+
+/**
+ * Coaching sessions a supervisor assigns to an agent from one or more calls.
+ *
+ * Every change is recorded in the session history and pushed over Socket.IO
+ * to the agent's and supervisor's user rooms. A job scheduled at the due date
+ * flags sessions still open by then as overdue.
+ */
+class CoachingSessionService {
+  constructor() {
+    this.maxItems = parseInt(process.env.COACHING_SESSION_MAX_ITEMS) || 10;
+  }
+
+  /**
+   * Default action items: the calls' coaching recommendations, one per title
+   */
+  buildItems(calls) {
+    const items = [];
+    const seen = new Set();
+
+    for (const call of calls) {
+      const recommendations = call.coachingPlan?.recommendations
+        ? JSON.parse(call.coachingPlan.recommendations)
+        : [];
+
+      for (const recommendation of recommendations) {
+        if (!recommendation.title || seen.has(recommendation.title)) continue;
+        seen.add(recommendation.title);
+        items.push({
+          title: recommendation.title,
+          description: recommendation.description,
+          skill: recommendation.skill,
+          call: call._id
+        });
+      }
+    }
+
+    // Calls without a coaching plan still need something the agent can finish
+    if (items.length === 0) {
+      items.push({
+        title: 'Review the calls with your supervisor',
+        description: 'Listen back to each call and note what you would do differently.'
+      });
+    }
+
+    return items.slice(0, this.maxItems);
+  }
+
+  /**
+   * Queue the overdue check for the session's due date. Checks queued for an
+   * earlier due date find the session not yet due and do nothing.
+   */
+  async scheduleDueCheck(session) {
+    await jobQueue.enqueue(DUE_JOB, { sessionId: session._id.toString() }, {
+      runAt: session.dueAt
+    });
+  }
+
+  /**
+   * Job handler: flag a session that is still open past its due date
+   */
+  async checkOverdue({ sessionId }) {
+    const session = await CoachingSession.findById(sessionId);
+    if (!session || !OPEN_STATUSES.includes(session.status)) return;
+    if (session.overdueAt || session.dueAt > new Date()) return;
+
+    session.overdueAt = new Date();
+    session.record('overdue', null, `Due ${session.dueAt.toISOString()}`);
+    await session.save();
+
+    console.log(`⏰ Coaching session ${session._id} is overdue`);
+    this.notify(session, 'coaching-session-overdue');
+  }
+
+  /**
+   * Mark the session completed once every item is done
+   * @returns {boolean} Whether the session was completed
+   */
+  completeIfDone(session, userId) {
+    if (session.items.length === 0 || session.items.some(item => !item.done)) return false;
+
+    session.status = 'completed';
+    session.completedAt = new Date();
+    session.record('completed', userId, 'All items done');
+    return true;
+  }
+
+  /**
+   * Push an event to the agent and supervisor
+   */
+  notify(session, event) {
+    if (!global.io) return;
+
+    const payload = this.toPayload(session);
+    const agentId = (session.agent._id || session.agent).toString();
+    const supervisorId = (session.supervisor._id || session.supervisor).toString();
+
+    global.io.to(userRoom(agentId)).to(userRoom(supervisorId)).emit(event, payload);
+  }
+
+  toPayload(session) {
+    return {
+      id: session._id.toString(),
+      title: session.title,
+      agent: (session.agent._id || session.agent).toString(),
+      supervisor: (session.supervisor._id || session.supervisor).toString(),
+      status: session.status,
+      dueAt: session.dueAt,
+      overdue: session.isOverdue,
+      itemsDone: session.items.filter(item => item.done).length,
+      itemsTotal: session.items.length,
+      lastEvent: session.history[session.history.length - 1] || null
+    };
+  }
+}
+
+module.exports = new CoachingSessionService();
+module.exports.userRoom = userRoom;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.DUE_JOB = DUE_JOB;
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const { toSpan, MAX_SPANS } = require('./evidence');
+const tenantService = require('./tenantService');
+
+const SEMANTIC_BATCH_SIZE = 64;
+
+// Accents are folded (transcribers drop them inconsistently) but letters of every script are kept
+const normalizeWords = (text) => text
+  .normalize('NFD')
+  .replace(/\p{M}+/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}'’ ]+/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Checks a call against a compliance policy: required disclosures, prohibited
+ * phrases and ordering constraints, each with the transcript spans behind it
+ */
+class ComplianceService {
+  constructor() {
+    this.huggingFaceToken = process.env.HUGGINGFACE_TOKEN;
+    this.semanticModel = process.env.COMPLIANCE_SEMANTIC_MODEL || 'sentence-transformers/all-MiniLM-L6-v2';
+  }
+
+  /**
+   * @param {Object} policy - CompliancePolicy document or plain object
+   * @param {Object} context
+   * @param {string} context.transcript - Full transcript text
+   * @param {Array} [context.segments] - Diarized transcript segments
+   */
+  async checkCall(policy, { transcript, segments }) {
+    const units = this.getUnits(transcript, segments);
+
+    const found = {};
+    for (const rule of policy.rules) {
+      found[rule.key] = await this.findMatches(rule, units);
+    }
+
+    const rules = policy.rules.map(rule => this.evaluateRule(rule, found));
+    const failed = rules.filter(rule => !rule.passed);
+
+    return {
+      policyId: policy._id,
+      name: policy.name,
+      version: policy.version,
+      passed: failed.length === 0,
+      score: rules.length > 0 ? Math.round(((rules.length - failed.length) / rules.length) * 100) : 100,
+      failedRules: failed.map(rule => rule.key),
+      criticalFailures: failed.filter(rule => rule.severity === 'critical').length,
+      rules
+    };
+  }
+
+  /**
+   * Sentences to match against, in call order, keeping their segment's
+   * index, timestamps and speaker
+   */
+  getUnits(transcript, segments) {
+    const splitSentences = (text) => text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+    const source = segments && segments.length > 0
+      ? segments.map((segment, segmentIndex) => ({ ...segment, segmentIndex }))
+      : [{ text: transcript, segmentIndex: null }];
+
+    return source
+      .flatMap(segment => splitSentences(segment.text).map(text => ({
+        text,
+        segmentIndex: segment.segmentIndex,
+        start: segment.start,
+        end: segment.end,
+        speaker: segment.speaker || 'unknown'
+      })))
+      .map((unit, position) => ({ ...unit, position }));
+  }
+
+  evaluateRule(rule, found) {
+    const matches = found[rule.key];
+    const result = {
+      key: rule.key,
+      name: rule.name,
+      category: rule.category,
+      type: rule.type,
+      severity: rule.severity,
+      passed: true,
+      reason: null,
+      matches: []
+    };
+
+    if (rule.type === 'required') {
+      const inTime = rule.withinSeconds != null
+        ? matches.filter(match => match.start == null || match.start <= rule.withinSeconds)
+        : matches;
+      result.passed = inTime.length > 0;
+      if (!result.passed) {
+        result.reason = matches.length > 0 ? `Said after the first ${rule.withinSeconds}s` : 'Not said';
+      }
+      result.matches = matches;
+    }
+
+    if (rule.type === 'prohibited') {
+      result.passed = matches.length === 0;
+      if (!result.passed) result.reason = 'Prohibited phrase used';
+      result.matches = matches;
+    }
+
+    if (rule.type === 'ordering' && matches.length > 0) {
+      const anchor = found[rule.after]?.[0];
+      result.passed = Boolean(anchor) && anchor.position <= matches[0].position;
+      if (!result.passed) {
+        result.reason = anchor ? `Said before ${rule.after}` : `Said without ${rule.after}`;
+      }
+      result.matches = anchor ? [matches[0], anchor] : [matches[0]];
+    }
+
+    result.matches = result.matches.slice(0, MAX_SPANS).map(({ position, ...span }) => span);
+    return result;
+  }
+
+  /**
+   * Sentences matching any of the rule's phrases, in call order
+   */
+  async findMatches(rule, units) {
+    const candidates = units.filter(unit =>
+      rule.speaker === 'any' || unit.speaker === 'unknown' || unit.speaker === rule.speaker
+    );
+    if (candidates.length === 0) return [];
+
+    let similarities;
+    if (rule.matchMode === 'semantic') {
+      similarities = await this.semanticSimilarities(rule.phrases, candidates);
+    }
+    if (!similarities) {
+      similarities = candidates.map(unit => rule.phrases.map(phrase => (
+        rule.matchMode === 'exact' ? this.exactMatch(phrase, unit.text) : this.fuzzyMatch(phrase, unit.text)
+      )));
+    }
+
+    const threshold = rule.matchMode === 'exact' ? 1 : rule.threshold ?? 0.8;
+    const matches = [];
+    candidates.forEach((unit, i) => {
+      const best = similarities[i].reduce((top, match) => (match.similarity > top.similarity ? match : top));
+      if (best.similarity >= threshold) {
+        matches.push({
+          ...toSpan(unit, best.text, { similarity: Math.round(best.similarity * 100) / 100 }),
+          position: unit.position
+        });
+      }
+    });
+    return matches;
+  }
+
+  exactMatch(phrase, text) {
+    const index = text.toLowerCase().indexOf(phrase.toLowerCase());
+    return index === -1
+      ? { similarity: 0, text }
+      : { similarity: 1, text: text.slice(index, index + phrase.length) };
+  }
+
+  /**
+   * Best edit-distance similarity between the phrase and any run of words of
+   * about the same length, so transcription slips still match
+   */
+  fuzzyMatch(phrase, text) {
+    const phraseWords = normalizeWords(phrase);
+    const words = normalizeWords(text);
+    const target = phraseWords.join(' ');
+    let best = { similarity: 0, text };
+
+    for (let size = Math.max(1, phraseWords.length - 1); size <= phraseWords.length + 1; size++) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const window = words.slice(i, i + size).join(' ');
+        const similarity = 1 - levenshtein(window, target) / Math.max(window.length, target.length);
+        if (similarity > best.similarity) best = { similarity, text: window };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Sentence-embedding similarity via Hugging Face; returns null when the
+   * model is unavailable so the caller falls back to fuzzy matching
+   */
+  async semanticSimilarities(phrases, units) {
+    try {
+      const byPhrase = [];
+      for (const phrase of phrases) {
+        const scores = [];
+        for (let i = 0; i < units.length; i += SEMANTIC_BATCH_SIZE) {
+          const response = await axios.post(
+            `https://api-inference.huggingface.co/models/${this.semanticModel}`,
+            {
+              inputs: {
+                source_sentence: phrase,
+                sentences: units.slice(i, i + SEMANTIC_BATCH_SIZE).map(unit => unit.text)
+              }
+            },
+            {
+              headers: {
+                'Authorization': `Bearer ${await tenantService.providerToken('huggingFace', this.huggingFaceToken)}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: 30000
+            }
+          );
+          scores.push(...response.data);
+        }
+        byPhrase.push(scores);
+      }
+
+      return units.map((unit, i) => byPhrase.map(scores => ({ similarity: scores[i], text: unit.text })));
+    } catch (error) {
+      console.warn('⚠️ Semantic compliance matching failed, using fuzzy matching:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Failed rules as issues, critical first, with the spans behind them
+   */
+  getIssues(complianceResult) {
+    const severityOrder = { critical: 0, major: 1, minor: 2 };
+    return complianceResult.rules
+      .filter(rule => !rule.passed)
+      .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity])
+      .map(rule => ({
+        text: `Compliance: ${rule.name} - ${rule.reason}`,
+        complianceRule: rule.key,
+        spans: rule.matches
+      }));
+  }
+}
+
+module.exports = new ComplianceService();
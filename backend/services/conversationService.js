@@ -0,0 +1,211 @@
+const { toSpan, MAX_SPANS } = require('./evidence');
+
+// Agent phrases that announce a hold, so the gap after them counts as hold time
+const HOLD_PHRASES = /(put|place) you on (a brief )?hold|please hold|one moment|bear with me|just a (moment|minute|second)/i;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Zero is a valid limit (e.g. no interruptions allowed), so only fall back when unset
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Conversational dynamics from segment timestamps and speaker labels:
+ * talk time, monologues, dead air, holds, interruptions and response latency
+ *
+ * Thresholds (seconds unless noted) come from the environment:
+ *   DEAD_AIR_SECONDS          - gap that counts as dead air (5)
+ *   HOLD_SECONDS              - gap that counts as a hold even when not announced (30)
+ *   INTERRUPTION_SECONDS      - overlap that counts as an interruption (0.5)
+ *   MAX_AGENT_TALK_RATIO      - agent share of talk time, percent (70)
+ *   MAX_MONOLOGUE_SECONDS     - longest uninterrupted turn (60)
+ *   MAX_DEAD_AIR_SECONDS      - total dead air (30)
+ *   MAX_HOLD_SECONDS          - total hold time (120)
+ *   MAX_INTERRUPTIONS         - agent interruptions of the customer (2)
+ *   MAX_RESPONSE_LATENCY_SECONDS - average agent response latency (3)
+ */
+class ConversationService {
+  constructor() {
+    this.deadAirSeconds = envNumber('DEAD_AIR_SECONDS', 5);
+    this.holdSeconds = envNumber('HOLD_SECONDS', 30);
+    this.interruptionSeconds = envNumber('INTERRUPTION_SECONDS', 0.5);
+
+    this.limits = {
+      agentTalkRatio: envNumber('MAX_AGENT_TALK_RATIO', 70),
+      longestMonologueSeconds: envNumber('MAX_MONOLOGUE_SECONDS', 60),
+      deadAirSeconds: envNumber('MAX_DEAD_AIR_SECONDS', 30),
+      holdSeconds: envNumber('MAX_HOLD_SECONDS', 120),
+      interruptionCount: envNumber('MAX_INTERRUPTIONS', 2),
+      avgResponseLatencySeconds: envNumber('MAX_RESPONSE_LATENCY_SECONDS', 3)
+    };
+  }
+
+  /**
+   * @param {Array} segments - Transcript segments with `start`, `end` and `speaker`
+   * @returns {{metrics: Object, evidence: Object}|null} null without timestamped segments.
+   *   Speaker-based metrics are null when segments carry no agent/customer labels.
+   */
+  analyzeDynamics(segments) {
+    const timed = (segments || [])
+      .map((segment, segmentIndex) => ({ ...segment, segmentIndex, speaker: segment.speaker || 'unknown' }))
+      .filter(segment => typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end >= segment.start)
+      .sort((a, b) => a.start - b.start);
+
+    if (timed.length < 2) return null;
+
+    const hasSpeakers = timed.some(segment => segment.speaker === 'agent') &&
+      timed.some(segment => segment.speaker === 'customer');
+
+    const gaps = this.findGaps(timed);
+    const holds = gaps.filter(gap => gap.isHold);
+    const deadAir = gaps.filter(gap => !gap.isHold);
+    const talk = hasSpeakers ? this.measureTalkTime(timed) : null;
+    const turns = this.buildTurns(timed);
+    // Without speaker labels every segment joins one turn, which is no monologue
+    const longestTurn = hasSpeakers
+      ? turns.reduce((longest, turn) => (turn.duration > longest.duration ? turn : longest), turns[0])
+      : null;
+    const interruptions = hasSpeakers ? this.findInterruptions(timed) : [];
+    const agentInterruptions = interruptions.filter(interruption => interruption.speaker === 'agent');
+    const latencies = hasSpeakers ? this.findResponseLatencies(turns) : [];
+
+    const sum = (periods) => periods.reduce((acc, period) => acc + period.duration, 0);
+    const total = (periods) => round(sum(periods));
+
+    const metrics = {
+      agentTalkRatio: talk ? talk.agentRatio : null,
+      agentTalkSeconds: talk ? round(talk.agent) : null,
+      customerTalkSeconds: talk ? round(talk.customer) : null,
+      longestMonologueSeconds: longestTurn ? round(longestTurn.duration) : null,
+      longestMonologueSpeaker: longestTurn ? longestTurn.speaker : null,
+      deadAirSeconds: total(deadAir),
+      deadAirCount: deadAir.length,
+      holdSeconds: total(holds),
+      holdCount: holds.length,
+      overlapSeconds: hasSpeakers ? total(interruptions) : null,
+      interruptionCount: hasSpeakers ? agentInterruptions.length : null,
+      customerInterruptionCount: hasSpeakers ? interruptions.length - agentInterruptions.length : null,
+      avgResponseLatencySeconds: latencies.length > 0 ? round(sum(latencies) / latencies.length) : null,
+      maxResponseLatencySeconds: latencies.length > 0 ? round(Math.max(...latencies.map(latency => latency.duration))) : null
+    };
+
+    const longest = (periods) => [...periods].sort((a, b) => b.duration - a.duration).slice(0, MAX_SPANS);
+
+    const evidence = {
+      agentTalkRatio: longest(turns.filter(turn => turn.speaker === 'agent')).map(turn => turn.span),
+      longestMonologueSeconds: longestTurn ? [longestTurn.span] : [],
+      deadAirSeconds: longest(deadAir).map(gap => gap.span),
+      holdSeconds: longest(holds).map(gap => gap.span),
+      interruptionCount: agentInterruptions.slice(0, MAX_SPANS).map(interruption => interruption.span),
+      avgResponseLatencySeconds: longest(latencies).map(latency => latency.span)
+    };
+
+    return { metrics, evidence };
+  }
+
+  /**
+   * Metrics (keys of `analyzeDynamics().metrics`) over their configured limit
+   */
+  getFailedChecks(metrics) {
+    if (!metrics) return [];
+    return Object.entries(this.limits)
+      .filter(([metric, limit]) => typeof metrics[metric] === 'number' && metrics[metric] > limit)
+      .map(([metric]) => metric);
+  }
+
+  measureTalkTime(segments) {
+    const talk = { agent: 0, customer: 0 };
+    segments.forEach(segment => {
+      if (talk[segment.speaker] !== undefined) talk[segment.speaker] += segment.end - segment.start;
+    });
+    const both = talk.agent + talk.customer;
+    return { ...talk, agentRatio: both > 0 ? Math.round((talk.agent / both) * 100) : null };
+  }
+
+  // Silences between the end of all speech so far and the next segment
+  findGaps(segments) {
+    const gaps = [];
+    let speechEnd = segments[0].end;
+    let lastSegment = segments[0];
+
+    segments.slice(1).forEach(segment => {
+      const duration = segment.start - speechEnd;
+      if (duration >= this.deadAirSeconds) {
+        const announced = lastSegment.speaker !== 'customer' && HOLD_PHRASES.test(lastSegment.text);
+        const isHold = announced || duration >= this.holdSeconds;
+        gaps.push({
+          duration,
+          isHold,
+          span: toSpan(
+            { segmentIndex: lastSegment.segmentIndex, start: speechEnd, end: segment.start, speaker: lastSegment.speaker },
+            `[${isHold ? 'hold' : 'silence'} ${Math.round(duration)}s]`
+          )
+        });
+      }
+      if (segment.end > speechEnd) {
+        speechEnd = segment.end;
+        lastSegment = segment;
+      }
+    });
+
+    return gaps;
+  }
+
+  // Consecutive segments by the same speaker, joined unless dead air separates them
+  buildTurns(segments) {
+    const turns = [];
+    segments.forEach(segment => {
+      const turn = turns[turns.length - 1];
+      if (turn && turn.speaker === segment.speaker && segment.start - turn.end < this.deadAirSeconds) {
+        turn.end = Math.max(turn.end, segment.end);
+        turn.text += ` ${segment.text}`;
+      } else {
+        turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text: segment.text, segmentIndex: segment.segmentIndex });
+      }
+    });
+
+    return turns.map(turn => ({
+      ...turn,
+      duration: turn.end - turn.start,
+      span: toSpan(turn, turn.text)
+    }));
+  }
+
+  // A speaker starting while the other is still talking; `speaker` is the one who cut in
+  findInterruptions(segments) {
+    const interruptions = [];
+    const lastEnd = { agent: -Infinity, customer: -Infinity };
+
+    segments.forEach(segment => {
+      const other = segment.speaker === 'agent' ? 'customer' : segment.speaker === 'customer' ? 'agent' : null;
+      if (other && lastEnd[other] - segment.start >= this.interruptionSeconds) {
+        interruptions.push({
+          speaker: segment.speaker,
+          duration: Math.min(lastEnd[other], segment.end) - segment.start,
+          span: toSpan(segment, segment.text)
+        });
+      }
+      if (lastEnd[segment.speaker] !== undefined) {
+        lastEnd[segment.speaker] = Math.max(lastEnd[segment.speaker], segment.end);
+      }
+    });
+
+    return interruptions;
+  }
+
+  // How long the agent took to answer each customer turn; holds are measured separately
+  findResponseLatencies(turns) {
+    const latencies = [];
+    for (let i = 1; i < turns.length; i++) {
+      if (turns[i - 1].speaker !== 'customer' || turns[i].speaker !== 'agent') continue;
+      const duration = Math.max(0, turns[i].start - turns[i - 1].end);
+      if (duration >= this.holdSeconds) continue;
+      latencies.push({ duration, span: turns[i].span });
+    }
+    return latencies;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,161 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Phrases that mark the speaker as the agent rather than the customer
+const AGENT_PHRASES = [
+  /thank(s| you) for calling/i,
+  /my name is/i,
+  /how (can|may) i (help|assist)/i,
+  /is there anything else/i,
+  /let me (look|check|pull)/i,
+  /i apologi[sz]e for the/i,
+  /have a (great|good|nice) day/i
+];
+
+/**
+ * Assigns agent/customer speaker labels to transcript segments, either from
+ * stereo channel separation or from an external diarization step
+ *
+ * DIARIZATION_MODE:
+ *   auto     - split stereo recordings by channel, otherwise run DIARIZATION_COMMAND if set
+ *   stereo   - only split stereo recordings by channel
+ *   external - only run DIARIZATION_COMMAND
+ *   none     - keep whatever labels the transcription provider returned
+ *
+ * DIARIZATION_COMMAND receives the audio path as its last argument and must
+ * print RTTM to stdout (pyannote.audio, NeMo and most diarizers can emit it).
+ */
+class DiarizationService {
+  constructor() {
+    this.mode = process.env.DIARIZATION_MODE || 'auto';
+    this.agentChannel = process.env.STEREO_AGENT_CHANNEL === 'right' ? 'right' : 'left';
+    this.command = process.env.DIARIZATION_COMMAND;
+    this.timeout = parseInt(process.env.DIARIZATION_TIMEOUT_MS) || 30 * 60 * 1000;
+  }
+
+  shouldSplitChannels(audioInfo) {
+    return ['auto', 'stereo'].includes(this.mode) && audioInfo?.channels === 2;
+  }
+
+  /**
+   * Merge per-channel transcripts of a stereo recording into one labelled transcript
+   * @returns {Object|null} null when both channels carry the same audio
+   */
+  mergeChannelTranscripts(leftTranscript, rightTranscript) {
+    const normalize = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (normalize(leftTranscript.text) === normalize(rightTranscript.text)) {
+      return null;
+    }
+
+    const labels = this.agentChannel === 'left'
+      ? { left: 'agent', right: 'customer' }
+      : { left: 'customer', right: 'agent' };
+
+    const segments = [
+      ...leftTranscript.segments.map(segment => ({ ...segment, speaker: labels.left, channel: 'left' })),
+      ...rightTranscript.segments.map(segment => ({ ...segment, speaker: labels.right, channel: 'right' }))
+    ].sort((a, b) => a.start - b.start);
+
+    return {
+      ...leftTranscript,
+      text: segments.map(segment => segment.text).join(' '),
+      segments
+    };
+  }
+
+  /**
+   * Label segments of a mono transcript with agent/customer speakers
+   */
+  async diarize(filePath, segments) {
+    const unlabelled = () => segments.map(segment => ({ ...segment, speaker: segment.speaker || 'unknown' }));
+
+    if (!this.command || !['auto', 'external'].includes(this.mode)) {
+      return unlabelled();
+    }
+
+    const [command, ...args] = this.command.split(/\s+/);
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync(command, [...args, filePath], {
+        timeout: this.timeout,
+        maxBuffer: 10 * 1024 * 1024
+      }));
+    } catch (error) {
+      // A broken diarizer must not fail the transcription it only labels
+      console.warn('⚠️ Diarization command failed, leaving speakers unlabelled:', error.message);
+      return unlabelled();
+    }
+
+    const turns = this.parseRttm(stdout);
+    const labelled = this.assignSpeakers(segments, turns);
+    const roles = this.mapRoles(labelled);
+
+    return labelled.map(segment => ({
+      ...segment,
+      speaker: roles[segment.speaker] || 'unknown'
+    }));
+  }
+
+  parseRttm(rttm) {
+    return rttm
+      .split('\n')
+      .filter(line => line.startsWith('SPEAKER'))
+      .map(line => {
+        const fields = line.trim().split(/\s+/);
+        const start = parseFloat(fields[3]);
+        return { start, end: start + parseFloat(fields[4]), speaker: fields[7] };
+      });
+  }
+
+  /**
+   * Give each segment the diarized speaker it overlaps with most
+   */
+  assignSpeakers(segments, turns) {
+    return segments.map(segment => {
+      let bestSpeaker = null;
+      let bestOverlap = 0;
+
+      turns.forEach(turn => {
+        const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+        if (overlap > bestOverlap) {
+          bestOverlap = overlap;
+          bestSpeaker = turn.speaker;
+        }
+      });
+
+      return { ...segment, speaker: bestSpeaker };
+    });
+  }
+
+  /**
+   * Decide which diarized speaker is the agent: the one using the most agent
+   * phrases, or whoever spoke first when no phrases match
+   */
+  mapRoles(segments) {
+    const scores = {};
+    segments.forEach(segment => {
+      if (!segment.speaker) return;
+      scores[segment.speaker] = (scores[segment.speaker] || 0) +
+        AGENT_PHRASES.filter(phrase => phrase.test(segment.text)).length;
+    });
+
+    const speakers = Object.keys(scores);
+    if (speakers.length === 0) return {};
+
+    const firstSpeaker = segments.find(segment => segment.speaker)?.speaker;
+    const agent = speakers.reduce((best, speaker) => {
+      if (scores[speaker] > scores[best]) return speaker;
+      return best;
+    }, firstSpeaker);
+
+    const roles = {};
+    speakers.forEach(speaker => {
+      roles[speaker] = speaker === agent ? 'agent' : 'customer';
+    });
+    return roles;
+  }
+}
+
+module.exports = new DiarizationService();
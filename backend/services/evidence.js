@@ -0,0 +1,65 @@
+// Most spans kept per metric, key point, issue or recommendation
+const MAX_SPANS = 5;
+
+// Longest quote stored for spans that point at a whole segment
+const MAX_QUOTE_CHARS = 200;
+
+/**
+ * Evidence span pointing at the transcript segment that triggered a score
+ * @param {Object} segment - Segment with `segmentIndex`, `start`, `end`, `speaker`
+ * @param {string} text - Matched text, or the segment's own text
+ */
+const toSpan = (segment, text, extra = {}) => ({
+  segmentIndex: segment.segmentIndex ?? null,
+  start: segment.start ?? null,
+  end: segment.end ?? null,
+  speaker: segment.speaker || 'unknown',
+  text: text.length > MAX_QUOTE_CHARS ? `${text.slice(0, MAX_QUOTE_CHARS)}…` : text,
+  ...extra
+});
+
+/**
+ * Spans for the first match of any of `patterns` in each segment
+ */
+const findPatternSpans = (segments, patterns, limit = MAX_SPANS) => {
+  const spans = [];
+
+  for (const segment of segments) {
+    for (const pattern of patterns) {
+      const match = segment.text.match(pattern);
+      if (match) {
+        spans.push(toSpan(segment, match[0]));
+        break;
+      }
+    }
+    if (spans.length >= limit) break;
+  }
+
+  return spans;
+};
+
+/**
+ * Spans for the lowest-scoring segments under `threshold`, worst first
+ * @param {Array} segments - Scored segments, parallel to `scores`
+ * @param {Function} getValue - Reads a 0-1 score from a model result
+ */
+const findLowScoreSpans = (segments, scores, getValue, threshold, limit = MAX_SPANS) => {
+  return segments
+    .map((segment, i) => ({ segment, value: getValue(scores[i]) }))
+    .filter(({ value }) => value < threshold)
+    .sort((a, b) => a.value - b.value)
+    .slice(0, limit)
+    .map(({ segment, value }) => toSpan(segment, segment.text, { score: Math.round(value * 100) }));
+};
+
+/**
+ * Spans for segments a predicate flags, in transcript order
+ */
+const findSegmentSpans = (segments, predicate, limit = MAX_SPANS) => {
+  return segments
+    .filter(predicate)
+    .slice(0, limit)
+    .map(segment => toSpan(segment, segment.text));
+};
+
+module.exports = { toSpan, findPatternSpans, findLowScoreSpans, findSegmentSpans, MAX_SPANS };
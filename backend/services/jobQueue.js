@@ -0,0 +1,194 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.failureHandlers = new Map();
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000;
+    this.visibilityTimeout = parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.retryBaseDelay = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS) || 30000;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.running = new Map();
+    this.timer = null;
+    this.started = false;
+    this.polling = false;
+  }
+
+  /**
+   * Register the handler that runs jobs of a given type
+   * @param {Function} [options.onFailed] - Called with the job and its last
+   *   error once it has failed for good, including when its worker died on
+   *   every attempt and the handler never saw the failure
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, handler);
+    if (options.onFailed) {
+      this.failureHandlers.set(type, options.onFailed);
+    } else {
+      this.failureHandlers.delete(type);
+    }
+  }
+
+  /**
+   * Persist a job so that any worker can pick it up
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.enqueue(type, payload, options);
+    console.log(`📥 Job queued: ${type} (${job._id})`);
+
+    // Don't wait for the next poll if this process has capacity
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    console.log(`👷 Job worker ${this.workerId} started (concurrency: ${this.concurrency})`);
+    this.schedulePoll();
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    await Promise.allSettled(this.running.values());
+    console.log(`🛑 Job worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Exponential backoff before the next attempt of a job that failed `attempts` times
+   */
+  getRetryDelay(attempts) {
+    return this.retryBaseDelay * Math.pow(2, attempts - 1);
+  }
+
+  schedulePoll() {
+    if (!this.started) return;
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      this.schedulePoll();
+    }, this.pollInterval);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.started && this.running.size < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, this.visibilityTimeout, [...this.handlers.keys()]);
+        if (!job) break;
+
+        const execution = this.execute(job).finally(() => this.running.delete(job._id.toString()));
+        this.running.set(job._id.toString(), execution);
+      }
+    } catch (error) {
+      console.error('❌ Job polling failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async execute(job) {
+    if (job.attempts > job.maxAttempts) {
+      console.error(`❌ Job ${job.type} (${job._id}) exceeded ${job.maxAttempts} attempts`);
+      const lastError = {
+        message: 'Maximum attempts exceeded',
+        code: 'MAX_ATTEMPTS_EXCEEDED',
+        timestamp: new Date()
+      };
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'failed', completedAt: new Date(), lastError },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        }
+      );
+      await this.notifyFailed(job, lastError);
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+    const startTime = Date.now();
+
+    // Keep the lock alive while the handler is running
+    const heartbeat = setInterval(() => {
+      Job.heartbeat(job._id, this.workerId, this.visibilityTimeout)
+        .catch(error => console.warn('⚠️ Job heartbeat failed:', error.message));
+    }, Math.floor(this.visibilityTimeout / 3));
+
+    try {
+      console.log(`⚙️ Running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+      await handler(job);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: { status: 'completed', completedAt: new Date() },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        }
+      );
+      console.log(`✅ Job ${job.type} (${job._id}) completed (${Date.now() - startTime}ms)`);
+    } catch (error) {
+      const lastError = {
+        message: error.message,
+        code: error.code || 'JOB_FAILED',
+        stack: error.stack,
+        timestamp: new Date()
+      };
+
+      // Requeue with backoff until the job runs out of attempts
+      if (job.attempts < job.maxAttempts) {
+        const runAt = new Date(Date.now() + this.getRetryDelay(job.attempts));
+        console.error(`❌ Job ${job.type} (${job._id}) failed, retrying at ${runAt.toISOString()}:`, error.message);
+        await Job.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          {
+            $set: { status: 'queued', runAt, lastError },
+            $unset: { lockedBy: '', lockedUntil: '' }
+          }
+        );
+        return;
+      }
+
+      console.error(`❌ Job ${job.type} (${job._id}) failed:`, error.message);
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: { status: 'failed', completedAt: new Date(), lastError },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        }
+      );
+      await this.notifyFailed(job, lastError);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async notifyFailed(job, lastError) {
+    const onFailed = this.failureHandlers.get(job.type);
+    if (!onFailed) return;
+
+    try {
+      await onFailed(job, lastError);
+    } catch (error) {
+      console.error(`❌ Failure handler for job ${job.type} (${job._id}) failed:`, error.message);
+    }
+  }
+}
+
+module.exports = new JobQueue();
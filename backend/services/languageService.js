@@ -0,0 +1,143 @@
+const axios = require('axios');
+const tenantService = require('./tenantService');
+
+// Common function words per language; enough to tell our call languages apart without a model
+const STOPWORDS = {
+  en: ['the', 'and', 'you', 'to', 'is', 'it', 'that', 'i', 'my', 'your', 'have', 'for', 'can', 'with', 'this', 'what', 'be', 'are', 'not', 'of', 'thank', 'please'],
+  es: ['el', 'la', 'los', 'las', 'que', 'de', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no', 'mi', 'su', 'usted', 'lo', 'pero', 'gracias', 'estoy', 'está', 'muy', 'sí'],
+  fr: ['le', 'la', 'les', 'des', 'que', 'de', 'et', 'un', 'une', 'est', 'je', 'vous', 'pour', 'avec', 'pas', 'ne', 'mon', 'votre', 'ce', 'mais', 'merci', 'suis', 'oui', 'très', 'du']
+};
+
+// Segments with fewer words than this take the language of the call
+const MIN_DETECTION_WORDS = 4;
+
+// Share of stopword hits the winning language needs before detection is trusted
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+/**
+ * Detects the language of calls and their segments, and optionally
+ * translates non-English transcripts to English for reviewers
+ */
+class LanguageService {
+  constructor() {
+    this.huggingFaceToken = process.env.HUGGINGFACE_TOKEN || '';
+    this.defaultLanguage = process.env.DEFAULT_LANGUAGE || 'en';
+    this.translationEnabled = process.env.TRANSLATION_ENABLED === 'true';
+    this.modelBatchSize = parseInt(process.env.MODEL_BATCH_SIZE) || 16;
+  }
+
+  get supportedLanguages() {
+    return Object.keys(STOPWORDS);
+  }
+
+  /**
+   * Guess the language of a piece of text from stopword frequency
+   * @returns {{ language: string|null, confidence: number }} language is null
+   *   when the text has no recognisable words
+   */
+  detect(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+    const hits = {};
+    Object.entries(STOPWORDS).forEach(([language, stopwords]) => {
+      hits[language] = words.filter(word => stopwords.includes(word)).length;
+    });
+
+    const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return { language: null, confidence: 0 };
+
+    const [language, count] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+    return { language, confidence: Math.round((count / total) * 100) / 100 };
+  }
+
+  /**
+   * Set `language` on the transcript and each of its segments, plus a
+   * `languages` breakdown of seconds (or segments, without timestamps) per language.
+   * The provider's language is kept when detection is not confident.
+   */
+  annotate(transcript) {
+    const detected = this.detect(transcript.text);
+    const callLanguage = detected.confidence >= MIN_DETECTION_CONFIDENCE
+      ? detected.language
+      : (transcript.language || detected.language || this.defaultLanguage);
+
+    const totals = {};
+    transcript.segments = (transcript.segments || []).map(segment => {
+      const wordCount = segment.text.trim().split(/\s+/).length;
+      const segmentDetected = wordCount >= MIN_DETECTION_WORDS ? this.detect(segment.text) : null;
+      const language = segmentDetected?.language && segmentDetected.confidence >= MIN_DETECTION_CONFIDENCE
+        ? segmentDetected.language
+        : callLanguage;
+
+      const weight = segment.end > segment.start ? segment.end - segment.start : 1;
+      totals[language] = (totals[language] || 0) + weight;
+      return { ...segment, language };
+    });
+
+    const totalWeight = Object.values(totals).reduce((sum, weight) => sum + weight, 0);
+    transcript.language = callLanguage;
+    transcript.languageConfidence = detected.confidence;
+    transcript.languages = Object.entries(totals)
+      .map(([language, weight]) => ({ language, share: Math.round((weight / totalWeight) * 100) }))
+      .sort((a, b) => b.share - a.share);
+
+    if (transcript.languages.length > 1) {
+      console.log(`🌐 Mixed-language call: ${transcript.languages.map(l => `${l.language} ${l.share}%`).join(', ')}`);
+    }
+    return transcript;
+  }
+
+  /**
+   * Add an English translation alongside the original when TRANSLATION_ENABLED
+   * is set and the call is not in English. Segments keep their order, so
+   * `translation.segments[i]` is the translation of `segments[i]`.
+   * A failed translation leaves the transcript as it was.
+   */
+  async translate(transcript) {
+    if (!this.translationEnabled) return transcript;
+
+    const segments = transcript.segments || [];
+    if (!segments.some(segment => segment.language && segment.language !== 'en')) return transcript;
+
+    try {
+      const translated = [];
+      for (let i = 0; i < segments.length; i += this.modelBatchSize) {
+        const batch = segments.slice(i, i + this.modelBatchSize);
+        translated.push(...await Promise.all(batch.map(segment => this.translateText(segment.text, segment.language))));
+      }
+
+      transcript.translation = {
+        language: 'en',
+        text: translated.join(' '),
+        segments: translated.map(text => ({ text })),
+        translatedAt: new Date()
+      };
+      console.log(`🌐 Translated ${transcript.language} transcript to English`);
+    } catch (error) {
+      console.warn('⚠️ Translation failed, keeping original transcript only:', error.message);
+    }
+    return transcript;
+  }
+
+  async translateText(text, language) {
+    if (!language || language === 'en') return text;
+
+    const response = await axios.post(
+      `https://api-inference.huggingface.co/models/${this.getTranslationModel(language)}`,
+      { inputs: text },
+      {
+        headers: {
+          'Authorization': `Bearer ${await tenantService.providerToken('huggingFace', this.huggingFaceToken)}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }
+    );
+    return response.data[0]?.translation_text || text;
+  }
+
+  getTranslationModel(language) {
+    return `Helsinki-NLP/opus-mt-${language}-en`;
+  }
+}
+
+module.exports = new LanguageService();
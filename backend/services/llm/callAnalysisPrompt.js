@@ -0,0 +1,186 @@
+const { BUILT_IN_METRICS } = require('../../models/Scorecard');
+
+// Bump whenever the prompt or schema changes so stored analyses can be compared like for like
+const PROMPT_VERSION = 'call-analysis-v2';
+
+const METRIC_DESCRIPTIONS = {
+  callOpening: 'greeting, introduction and offer of help',
+  issueUnderstanding: 'how well the agent identified and confirmed the problem',
+  sentimentAnalysis: 'how positive the conversation was overall',
+  politeness: 'courtesy and professionalism of the agent',
+  clarity: 'how clear and concise the agent was',
+  engagement: 'how engaged and attentive the agent was',
+  relevance: 'how focused the conversation stayed on the customer\'s needs',
+  csatScore: 'predicted customer satisfaction',
+  resolutionQuality: 'whether the problem was solved and next steps confirmed'
+};
+
+const score = { type: 'integer', minimum: 0, maximum: 100 };
+const segmentIndexes = { type: 'array', items: { type: 'integer', minimum: 0 }, maxItems: 5 };
+
+const finding = {
+  type: 'object',
+  required: ['text', 'segmentIndexes'],
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    metric: { type: 'string', enum: BUILT_IN_METRICS },
+    segmentIndexes
+  }
+};
+
+/**
+ * JSON schema the model's reply must satisfy; `criteria` is only asked for
+ * when there is a scorecard, and then must cover exactly its criterion keys
+ * (see buildReplyCheck for what the schema cannot express)
+ */
+const buildSchema = (scorecard = null) => {
+  const criterionKeys = getCriteria(scorecard).map(criterion => criterion.key);
+
+  const schema = {
+    type: 'object',
+    required: ['summary', 'metrics', 'feedback', 'keyPoints', 'issues', 'recommendations'],
+    properties: {
+      summary: { type: 'string' },
+      metrics: {
+        type: 'object',
+        required: BUILT_IN_METRICS,
+        properties: Object.fromEntries(BUILT_IN_METRICS.map(metric => [metric, score]))
+      },
+      feedback: {
+        type: 'object',
+        required: BUILT_IN_METRICS,
+        properties: Object.fromEntries(BUILT_IN_METRICS.map(metric => [metric, { type: 'string' }]))
+      },
+      keyPoints: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['text', 'segmentIndexes'],
+          properties: { text: { type: 'string', minLength: 1 }, segmentIndexes }
+        }
+      },
+      issues: { type: 'array', maxItems: 10, items: finding },
+      recommendations: { type: 'array', maxItems: 10, items: finding }
+    }
+  };
+
+  if (criterionKeys.length > 0) {
+    schema.required.push('criteria');
+    schema.properties.criteria = {
+      type: 'array',
+      minItems: criterionKeys.length,
+      maxItems: criterionKeys.length,
+      items: {
+        type: 'object',
+        required: ['key', 'score', 'passed', 'reason', 'segmentIndexes'],
+        properties: {
+          key: { type: 'string', enum: criterionKeys },
+          score,
+          passed: { type: 'boolean' },
+          reason: { type: 'string' },
+          segmentIndexes
+        }
+      }
+    };
+  }
+
+  return schema;
+};
+
+/**
+ * Check a schema-valid reply lists every scorecard criterion exactly once
+ * @returns {Function} (data) => a problem to send back to the model, or null
+ */
+const buildReplyCheck = (scorecard = null) => {
+  const criterionKeys = getCriteria(scorecard).map(criterion => criterion.key);
+
+  return (data) => {
+    if (criterionKeys.length === 0) return null;
+
+    const keys = data.criteria.map(criterion => criterion.key);
+    const missing = criterionKeys.filter(key => !keys.includes(key));
+    const repeated = [...new Set(keys.filter((key, index) => keys.indexOf(key) !== index))];
+
+    const problems = [];
+    if (missing.length > 0) problems.push(`reply/criteria is missing ${missing.join(', ')}`);
+    if (repeated.length > 0) problems.push(`reply/criteria lists ${repeated.join(', ')} more than once`);
+    return problems.length > 0 ? problems.join(', ') : null;
+  };
+};
+
+const getCriteria = (scorecard) => (scorecard?.sections || []).flatMap(section => section.criteria);
+
+// One line per segment so the model can cite segments by index
+const formatTranscript = (segments, maxChars) => {
+  const lines = [];
+  let length = 0;
+
+  for (const segment of segments) {
+    const time = typeof segment.start === 'number' ? ` ${segment.start.toFixed(1)}s` : '';
+    const line = `[${segment.segmentIndex}] ${segment.speaker || 'unknown'}${time}: ${segment.text}`;
+    if (length + line.length > maxChars) {
+      lines.push(`[… ${segments.length - lines.length} more segments truncated]`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Chat messages asking for a QA analysis of a diarized call
+ * @param {Array} segments - Segments with `segmentIndex`, `speaker`, `start` and `text`
+ * @param {Object} options
+ * @param {Object} [options.scorecard] - Active QA scorecard
+ * @param {string} [options.language] - Language of the call
+ * @param {number} options.maxTranscriptChars - Transcript budget for the prompt
+ */
+const buildMessages = (segments, { scorecard, language, maxTranscriptChars }) => {
+  const criteria = getCriteria(scorecard);
+
+  const system = [
+    'You are a quality assurance analyst for a customer contact center.',
+    'You review call transcripts and score the agent. Reply with a single JSON object and nothing else.',
+    'Scores are integers from 0 to 100. Cite evidence by the [index] of the transcript segments it comes from.',
+    'Write feedback, issues and recommendations in English, whatever the language of the call.',
+    '',
+    'The JSON object has these fields:',
+    '- summary: two or three sentences on what happened in the call',
+    '- metrics: a score for each of these metrics:',
+    ...BUILT_IN_METRICS.map(metric => `    ${metric}: ${METRIC_DESCRIPTIONS[metric]}`),
+    '- feedback: one sentence of feedback for each metric above, keyed the same way',
+    '- keyPoints: [{ text, segmentIndexes }] the notable moments of the call',
+    '- issues: [{ text, metric, segmentIndexes }] what the agent did poorly; metric is optional',
+    '- recommendations: [{ text, metric, segmentIndexes }] what the agent should do differently'
+  ];
+
+  if (criteria.length > 0) {
+    system.push(
+      '- criteria: [{ key, score, passed, reason, segmentIndexes }] one entry for every scorecard criterion below'
+    );
+  }
+
+  const user = [
+    `Call language: ${language || 'unknown'}`,
+    ''
+  ];
+
+  if (criteria.length > 0) {
+    user.push(`Scorecard "${scorecard.name}":`);
+    criteria.forEach(criterion => {
+      user.push(`- ${criterion.key}: ${criterion.name}${criterion.description ? ` — ${criterion.description}` : ''}`);
+    });
+    user.push('');
+  }
+
+  user.push('Transcript:', formatTranscript(segments, maxTranscriptChars));
+
+  return [
+    { role: 'system', content: system.join('\n') },
+    { role: 'user', content: user.join('\n') }
+  ];
+};
+
+module.exports = { PROMPT_VERSION, buildSchema, buildReplyCheck, buildMessages };
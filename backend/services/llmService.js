@@ -0,0 +1,143 @@
+const OpenAI = require('openai');
+const Ajv = require('ajv');
+const tenantService = require('./tenantService');
+
+/**
+ * Structured output from an OpenAI-compatible chat-completion endpoint
+ * (OpenAI, or a local llama.cpp / Ollama server through LLM_BASE_URL)
+ *
+ * Replies are parsed as JSON and validated against a JSON schema and an optional
+ * check for what the schema cannot express. Replies that do not parse get a light
+ * repair (code fences, surrounding prose, trailing commas); replies that still
+ * fail are sent back to the model with the validation errors, up to
+ * LLM_MAX_ATTEMPTS times.
+ */
+class LLMService {
+  constructor() {
+    this.baseURL = process.env.LLM_BASE_URL || 'https://api.openai.com/v1';
+    this.apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    this.model = process.env.LLM_MODEL || 'gpt-4o-mini';
+    this.temperature = parseFloat(process.env.LLM_TEMPERATURE) || 0;
+    this.maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 120000;
+    // Not every local server supports response_format
+    this.jsonMode = process.env.LLM_JSON_MODE !== 'false';
+
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true, removeAdditional: 'all' });
+    this.validators = new Map();
+    // One client per API key, since tenants can bring their own
+    this.clients = new Map();
+  }
+
+  getClient(apiKey = this.apiKey) {
+    if (!this.clients.has(apiKey)) {
+      // Local servers ignore the key, but the SDK insists on one
+      this.clients.set(apiKey, new OpenAI({ baseURL: this.baseURL, apiKey: apiKey || 'not-needed', timeout: this.timeout, maxRetries: 1 }));
+    }
+    return this.clients.get(apiKey);
+  }
+
+  /**
+   * Ask for a JSON reply matching `schema`
+   * @param {Array} messages - Chat messages
+   * @param {Object} schema - JSON schema the reply must satisfy
+   * @param {Function} [check] - Called with a schema-valid reply; returns a problem
+   *   to send back to the model, or null to accept the reply
+   * @returns {Promise<{data: Object, model: string, usage: Object, attempts: number, repaired: boolean}>}
+   * @throws {Error} with `attempts` and `usage` set when no valid reply came back
+   */
+  async completeJson(messages, schema, check = null) {
+    const validate = this.getValidator(schema);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const conversation = [...messages];
+    const client = this.getClient(await tenantService.providerToken('llm', this.apiKey));
+    let model = this.model;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let content;
+      try {
+        const response = await client.chat.completions.create({
+          model: this.model,
+          messages: conversation,
+          temperature: this.temperature,
+          ...(this.jsonMode && { response_format: { type: 'json_object' } })
+        });
+
+        model = response.model || model;
+        usage.promptTokens += response.usage?.prompt_tokens || 0;
+        usage.completionTokens += response.usage?.completion_tokens || 0;
+        usage.totalTokens += response.usage?.total_tokens || 0;
+        content = response.choices?.[0]?.message?.content || '';
+      } catch (error) {
+        // The endpoint itself failed; another attempt will not fix a bad key or a server that is down
+        error.attempts = attempt;
+        error.usage = usage;
+        throw error;
+      }
+
+      const parsed = this.parseJson(content);
+      const valid = parsed && validate(parsed.data);
+      const problem = valid && check ? check(parsed.data) : null;
+      if (valid && !problem) {
+        return { data: parsed.data, model, usage, attempts: attempt, repaired: parsed.repaired };
+      }
+
+      if (!parsed) {
+        lastError = 'reply is not valid JSON';
+      } else if (!valid) {
+        lastError = this.ajv.errorsText(validate.errors, { dataVar: 'reply' });
+      } else {
+        lastError = problem;
+      }
+      console.warn(`⚠️ LLM reply rejected (attempt ${attempt}/${this.maxAttempts}): ${lastError}`);
+
+      conversation.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `That reply was invalid: ${lastError}. Reply again with the corrected JSON object only.` }
+      );
+    }
+
+    const error = new Error(`LLM reply failed validation after ${this.maxAttempts} attempts: ${lastError}`);
+    error.attempts = this.maxAttempts;
+    error.usage = usage;
+    throw error;
+  }
+
+  // Schemas are rebuilt per call (scorecards differ), so compile each distinct one once
+  getValidator(schema) {
+    const key = JSON.stringify(schema);
+    if (!this.validators.has(key)) {
+      this.validators.set(key, this.ajv.compile(schema));
+    }
+    return this.validators.get(key);
+  }
+
+  /**
+   * Parse a model reply, repairing the usual ways models wrap or break JSON
+   * @returns {{data: Object, repaired: boolean}|null}
+   */
+  parseJson(content) {
+    try {
+      return { data: JSON.parse(content), repaired: false };
+    } catch (error) {
+      // Fall through to repair
+    }
+
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    const candidate = content
+      .slice(start, end + 1)
+      .replace(/,\s*([}\]])/g, '$1');
+
+    try {
+      return { data: JSON.parse(candidate), repaired: true };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new LLMService();
@@ -0,0 +1,198 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const alertService = require('./alertService');
+const { METRICS, metricValue } = require('./teamAnalyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores are whole points: without a floor, a baseline of identical scores
+// would make any change infinitely significant
+const MIN_STANDARD_ERROR = 1;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sampleStdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Per-metric trends over rolling windows for agents and teams, and alerts
+ * when a metric moves significantly.
+ *
+ * The latest window (METRIC_TREND_WINDOW_DAYS, a week by default) is compared
+ * with the windows before it. A move counts as significant when Welch's t
+ * statistic reaches METRIC_TREND_T_THRESHOLD and the averages differ by at
+ * least METRIC_TREND_MIN_CHANGE points, with enough calls on both sides.
+ * Checks run for the agent and their team whenever one of the agent's calls
+ * finishes processing.
+ */
+class MetricTrendService {
+  constructor() {
+    this.windowDays = parseInt(process.env.METRIC_TREND_WINDOW_DAYS) || 7;
+    this.baselineWindows = parseInt(process.env.METRIC_TREND_BASELINE_WINDOWS) || 4;
+    this.minCalls = parseInt(process.env.METRIC_TREND_MIN_CALLS) || 3;
+    this.minBaselineCalls = parseInt(process.env.METRIC_TREND_MIN_BASELINE_CALLS) || 8;
+    this.tThreshold = parseFloat(process.env.METRIC_TREND_T_THRESHOLD) || 3;
+    this.minChange = parseFloat(process.env.METRIC_TREND_MIN_CHANGE) || 10;
+  }
+
+  // Rolling windows ending at `now`, oldest first; the last one is the current window
+  getWindows(now = new Date()) {
+    return Array.from({ length: this.baselineWindows + 1 }, (_, i) => {
+      const end = new Date(now.getTime() - (this.baselineWindows - i) * this.windowDays * DAY_MS);
+      return { start: new Date(end.getTime() - this.windowDays * DAY_MS), end };
+    });
+  }
+
+  async getCalls(tenant, userIds, windows) {
+    return Call.find({
+      tenant,
+      user: { $in: userIds },
+      createdAt: { $gte: windows[0].start, $lt: windows[windows.length - 1].end },
+      'analysis.overallScore': { $ne: null }
+    })
+      .select('createdAt analysis.overallScore analysis.metrics analysis.compliance')
+      .lean();
+  }
+
+  /**
+   * Window averages and the current window against the baseline for every metric
+   */
+  analyzeCalls(calls, windows) {
+    const current = windows[windows.length - 1];
+
+    return METRICS.flatMap(metric => {
+      const points = calls
+        .map(call => ({ at: call.createdAt, value: metricValue(call, metric) }))
+        .filter(point => point.value !== null);
+      if (points.length === 0) return [];
+
+      const inWindow = ({ start, end }) => points
+        .filter(point => point.at >= start && point.at < end)
+        .map(point => point.value);
+
+      const currentValues = inWindow(current);
+      const baselineValues = inWindow({ start: windows[0].start, end: current.start });
+
+      return [{
+        metric,
+        windows: windows.map(window => {
+          const values = inWindow(window);
+          return {
+            start: window.start,
+            end: window.end,
+            mean: values.length > 0 ? round(mean(values)) : null,
+            count: values.length
+          };
+        }),
+        ...this.compare(currentValues, baselineValues, current, windows[0].start)
+      }];
+    });
+  }
+
+  /**
+   * Welch's t-test of the current window's values against the baseline's
+   */
+  compare(currentValues, baselineValues, current, baselineStart) {
+    if (currentValues.length < this.minCalls || baselineValues.length < this.minBaselineCalls) {
+      return { direction: 'insufficient-data', significant: false, trend: null };
+    }
+
+    const currentMean = mean(currentValues);
+    const baselineMean = mean(baselineValues);
+    const currentStdDev = sampleStdDev(currentValues);
+    const baselineStdDev = sampleStdDev(baselineValues);
+    const standardError = Math.max(
+      MIN_STANDARD_ERROR,
+      Math.sqrt(currentStdDev ** 2 / currentValues.length + baselineStdDev ** 2 / baselineValues.length)
+    );
+
+    const change = currentMean - baselineMean;
+    const tStatistic = change / standardError;
+    const significant = Math.abs(tStatistic) >= this.tThreshold && Math.abs(change) >= this.minChange;
+
+    return {
+      direction: significant ? (change < 0 ? 'drop' : 'spike') : 'stable',
+      significant,
+      trend: {
+        windowStart: current.start,
+        windowEnd: current.end,
+        currentMean: round(currentMean),
+        currentCount: currentValues.length,
+        baselineStart,
+        baselineMean: round(baselineMean),
+        baselineStdDev: round(baselineStdDev),
+        baselineCount: baselineValues.length,
+        change: round(change),
+        tStatistic: Math.round(tStatistic * 100) / 100
+      }
+    };
+  }
+
+  async getTrends(tenant, userIds, now = new Date()) {
+    const windows = this.getWindows(now);
+    const calls = await this.getCalls(tenant, userIds, windows);
+
+    return {
+      windowDays: this.windowDays,
+      windows: windows.length,
+      calls: calls.length,
+      metrics: this.analyzeCalls(calls, windows)
+    };
+  }
+
+  async getAgentTrends(agent, now) {
+    return this.getTrends(agent.tenant, [agent._id], now);
+  }
+
+  async getTeamTrends(team, now) {
+    const members = await User.find({ tenant: team.tenant, team: team._id }).distinct('_id');
+    return this.getTrends(team.tenant, members, now);
+  }
+
+  async raiseAlerts(target, trends) {
+    const raised = [];
+    for (const entry of trends.metrics.filter(metric => metric.significant)) {
+      const alert = await alertService.raiseMetricAlert(target, entry.metric, entry.trend);
+      if (alert) raised.push(alert);
+    }
+    return raised;
+  }
+
+  /**
+   * Check an agent's and their team's metrics after one of the agent's calls
+   * was analyzed, alerting on significant moves
+   * @returns {Promise<Array>} Alerts raised for the first time
+   */
+  async checkAgent(userId) {
+    const agent = await User.findById(userId).select('tenant organization team');
+    if (!agent?.tenant) return [];
+
+    const raised = await this.raiseAlerts({
+      subject: 'agent',
+      user: agent._id,
+      tenant: agent.tenant,
+      organization: agent.organization,
+      team: agent.team
+    }, await this.getAgentTrends(agent));
+
+    const team = agent.team && await Team.findOne({ _id: agent.team, tenant: agent.tenant, isActive: true });
+    if (team) {
+      raised.push(...await this.raiseAlerts({
+        subject: 'team',
+        tenant: team.tenant,
+        organization: team.organization,
+        team: team._id
+      }, await this.getTeamTrends(team)));
+    }
+
+    return raised;
+  }
+}
+
+module.exports = new MetricTrendService();
@@ -1,107 +1,418 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
+const audioService = require('./audioService');
+const diarizationService = require('./diarizationService');
+const scorecardService = require('./scorecardService');
+const conversationService = require('./conversationService');
+const complianceService = require('./complianceService');
+const redactionService = require('./redactionService');
+const riskService = require('./riskService');
+const coachingService = require('./coachingService');
+const languageService = require('./languageService');
+const llmService = require('./llmService');
+const callAnalysisPrompt = require('./llm/callAnalysisPrompt');
+const { getPhrasePack } = require('./phrasePacks');
+const { getTranscriptionProvider, normalizeTranscript } = require('./transcription');
+const { planChunks, stitchSegments, mapWithConcurrency } = require('./transcription/chunking');
+const { toSpan, findPatternSpans, findLowScoreSpans, findSegmentSpans, MAX_SPANS } = require('./evidence');
+const tenantService = require('./tenantService');
+
+// Longest text sent to the sentiment/toxicity models (they truncate at 512 tokens)
+const MAX_MODEL_INPUT_CHARS = 1000;
+
+// Sentiment change, in points, that counts as the customer leaving happier or unhappier
+const SENTIMENT_TREND_THRESHOLD = 10;
+
+// Per-segment scores below these count as negative / impolite
+const NEGATIVE_SENTIMENT_THRESHOLD = 0.5;
+const POLITENESS_THRESHOLD = 0.7;
+
+// Sentences longer than this many words hurt clarity
+const LONG_SENTENCE_WORDS = 20;
+
+// English-only models are more accurate on English calls; every other language goes to the multilingual ones
+const SENTIMENT_MODELS = {
+  en: process.env.SENTIMENT_MODEL || 'distilbert-base-uncased-finetuned-sst-2-english',
+  multilingual: process.env.SENTIMENT_MODEL_MULTILINGUAL || 'cardiffnlp/twitter-xlm-roberta-base-sentiment'
+};
+
+const TOXICITY_MODELS = {
+  en: process.env.TOXICITY_MODEL || 'unitary/toxic-bert',
+  multilingual: process.env.TOXICITY_MODEL_MULTILINGUAL || 'unitary/multilingual-toxic-xlm-roberta'
+};
+
+// Issue and recommendation raised when the named metric falls short
+const QUALITY_CHECKS = {
+  clarity: {
+    issue: 'Communication clarity needs improvement',
+    recommendation: 'Practice clear, concise communication'
+  },
+  engagement: {
+    issue: 'Engagement level could be higher',
+    recommendation: 'Expand vocabulary and be more descriptive'
+  },
+  relevance: {
+    issue: 'Stay more focused on customer needs',
+    recommendation: 'Stay focused on customer issues'
+  },
+  politeness: {
+    issue: 'Language politeness needs attention',
+    recommendation: 'Use more polite and professional language'
+  },
+  agentTalkRatio: {
+    issue: 'Agent dominated the conversation',
+    recommendation: 'Ask open questions and give the customer room to talk'
+  },
+  longestMonologueSeconds: {
+    issue: 'Long uninterrupted monologue',
+    recommendation: 'Break long explanations into steps and check understanding'
+  },
+  deadAirSeconds: {
+    issue: 'Too much dead air',
+    recommendation: 'Narrate what you are doing while looking things up'
+  },
+  holdSeconds: {
+    issue: 'Excessive hold time',
+    recommendation: 'Keep holds short and check back with the customer regularly'
+  },
+  interruptionCount: {
+    issue: 'Agent interrupted the customer',
+    recommendation: 'Let the customer finish before responding'
+  },
+  avgResponseLatencySeconds: {
+    issue: 'Slow responses to the customer',
+    recommendation: 'Acknowledge the customer promptly, even before you have the answer'
+  }
+};
 
 class OpenAIService {
   constructor() {
     this.huggingFaceToken = process.env.HUGGINGFACE_TOKEN || '';
+    this.chunkSeconds = parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 120;
+    this.chunkOverlapSeconds = parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS) || 5;
+    this.chunkConcurrency = parseInt(process.env.TRANSCRIPTION_CHUNK_CONCURRENCY) || 1;
+    this.modelBatchSize = parseInt(process.env.MODEL_BATCH_SIZE) || 16;
+    // heuristic, or llm to have a chat model score the call (falling back to heuristics)
+    this.analysisMode = process.env.ANALYSIS_MODE || 'heuristic';
+    this.llmMaxTranscriptChars = parseInt(process.env.LLM_MAX_TRANSCRIPT_CHARS) || 24000;
   }
 
   /**
-   * Transcribe audio file using OpenAI Whisper
+   * Transcribe audio file with the configured transcription provider
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {string} [options.originalName] - Name of the file as uploaded
+   * @param {string} [options.provider] - Override TRANSCRIPTION_PROVIDER
    */
-  async transcribeAudio(filePath) {
+  async transcribeAudio(filePath, options = {}) {
+    const provider = getTranscriptionProvider(options.provider);
+
     try {
-      console.log('🎵 Transcribing audio...');
-      
-      const audioBuffer = fs.readFileSync(filePath);
-      
-      const response = await axios.post(
-        'https://api-inference.huggingface.co/models/openai/whisper-large-v3',
-        audioBuffer,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.huggingFaceToken}`,
-            'Content-Type': 'audio/mpeg',
-            'Accept': 'application/json'
-          },
-          timeout: 30000 // 30 second timeout
-        }
-      );
+      console.log(`🎵 Transcribing audio with ${provider.name}...`);
+
+      const audioInfo = await this.probeAudio(filePath);
+      const splitChannels = diarizationService.shouldSplitChannels(audioInfo);
+      const chunkCount = this.getChunkPlan(provider, audioInfo).length || 1;
+      let transcript;
+
+      // Contact-center recordings often carry agent and customer on separate channels
+      if (splitChannels) {
+        transcript = await this.transcribeStereo(provider, filePath, { ...options, audioInfo, chunkCount });
+      } else {
+        const progress = this.createChunkProgress(chunkCount, options.onProgress);
+        transcript = await this.transcribeMono(provider, filePath, { ...options, audioInfo, progress });
+      }
+
+      // Trust the measured length over whatever the provider reported
+      if (audioInfo?.duration) {
+        transcript.duration = audioInfo.duration;
+        const lastSegment = transcript.segments[transcript.segments.length - 1];
+        if (lastSegment && !lastSegment.end) lastSegment.end = audioInfo.duration;
+      }
 
-      const transcript = response.data.text;
-      console.log('✅ Transcription completed');
+      languageService.annotate(transcript);
+
+      console.log(`✅ Transcription completed (${transcript.language})`);
       
-      return {
-        text: transcript,
-        segments: [
-          {
-            start: 0,
-            end: 30,
-            text: transcript,
-            speaker: "agent"
-          }
-        ],
-        language: "en",
-        duration: 45,
-        confidence: 0.9
-      };
+      return transcript;
     } catch (error) {
       console.error('❌ Transcription failed:', error.response?.status || error.message);
-      throw new Error(`Transcription failed: ${error.response?.status === 404 ? 'Model not found' : 'Service unavailable'}`);
+      throw new Error(`Transcription failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chunks a recording is transcribed in, or an empty plan when it is sent whole
+   */
+  getChunkPlan(provider, audioInfo) {
+    if (provider.supportsChunking === false || !audioInfo?.duration || audioInfo.duration <= this.chunkSeconds) {
+      return [];
+    }
+    return planChunks(audioInfo.duration, this.chunkSeconds, this.chunkOverlapSeconds);
+  }
+
+  /**
+   * Count finished chunks across all channels and report them through `onProgress`
+   */
+  createChunkProgress(total, onProgress) {
+    let completed = 0;
+    return () => {
+      completed += 1;
+      if (onProgress) onProgress({ completed, total });
+    };
+  }
+
+  /**
+   * Transcribe one file, in overlapping chunks when it is longer than
+   * TRANSCRIPTION_CHUNK_SECONDS, and stitch the segments back onto its timeline
+   */
+  async transcribeFile(provider, filePath, options) {
+    const chunks = this.getChunkPlan(provider, options.audioInfo);
+
+    if (chunks.length === 0) {
+      const transcript = normalizeTranscript(await provider.transcribe(filePath, options));
+      options.progress();
+      return transcript;
+    }
+
+    console.log(`✂️ Transcribing ${chunks.length} chunks of ${this.chunkSeconds}s`);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-chunks-'));
+
+    try {
+      const chunkTranscripts = await mapWithConcurrency(chunks, this.chunkConcurrency, async (chunk) => {
+        const chunkPath = await audioService.extractSegment(
+          filePath,
+          chunk.start,
+          chunk.length,
+          path.join(dir, `chunk-${chunk.index}.wav`)
+        );
+        const transcript = normalizeTranscript(await provider.transcribe(chunkPath, { ...options, chunk }));
+        fs.rmSync(chunkPath, { force: true });
+        options.progress();
+
+        return { start: chunk.start, ...transcript };
+      });
+
+      const segments = stitchSegments(chunkTranscripts, this.chunkOverlapSeconds);
+
+      return normalizeTranscript({
+        segments,
+        language: chunkTranscripts[0].language,
+        duration: options.audioInfo.duration
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
     }
   }
 
+  /**
+   * Read duration and channel count, or null when ffprobe cannot read the file
+   */
+  async probeAudio(filePath) {
+    try {
+      return await audioService.probe(filePath);
+    } catch (error) {
+      console.warn('⚠️ Audio probe failed, using provider duration:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Transcribe a single-speaker-track recording and label speakers by diarization
+   */
+  async transcribeMono(provider, filePath, options) {
+    const transcript = await this.transcribeFile(provider, filePath, options);
+    transcript.segments = await diarizationService.diarize(filePath, transcript.segments);
+    return transcript;
+  }
+
+  /**
+   * Transcribe each channel of a stereo recording and label speakers by channel.
+   * Recordings with the same audio on both channels are transcribed once, as mono.
+   */
+  async transcribeStereo(provider, filePath, options) {
+    const channels = await audioService.splitChannels(filePath);
+
+    try {
+      if (await this.sameAudio(channels.left, channels.right)) {
+        console.log('ℹ️ Both channels carry the same audio, transcribing as mono');
+        const progress = this.createChunkProgress(options.chunkCount, options.onProgress);
+        return await this.transcribeMono(provider, channels.left, { ...options, progress });
+      }
+
+      const progress = this.createChunkProgress(options.chunkCount * 2, options.onProgress);
+      const left = await this.transcribeFile(provider, channels.left, { ...options, progress, channel: 'left' });
+      const right = await this.transcribeFile(provider, channels.right, { ...options, progress, channel: 'right' });
+
+      const transcript = diarizationService.mergeChannelTranscripts(left, right);
+      if (transcript) return transcript;
+
+      // Channels that differ only by noise transcribe the same; either one holds the whole call
+      console.log('ℹ️ Both channels carry the same speech, diarizing as mono');
+      left.segments = await diarizationService.diarize(channels.left, left.segments);
+      return left;
+    } finally {
+      fs.rmSync(channels.dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Whether two extracted channel files hold byte-identical audio
+   */
+  async sameAudio(leftPath, rightPath) {
+    if (fs.statSync(leftPath).size !== fs.statSync(rightPath).size) return false;
+
+    const digest = (filePath) => new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+
+    const [left, right] = await Promise.all([digest(leftPath), digest(rightPath)]);
+    return left === right;
+  }
+
   /**
    * Analyze call transcript for quality metrics
+   * @param {string} transcript - Full transcript text
+   * @param {Array} [segments] - Diarized transcript segments; without them the
+   *   text is scored sentence by sentence with no speaker split
+   * @param {Object} [options]
+   * @param {Object} [options.scorecard] - QA scorecard to score the call against;
+   *   its score replaces the built-in overall score
+   * @param {Object} [options.compliancePolicy] - Compliance policy to check the call against
+   * @param {Object} [options.classification] - Call classification; its outcome feeds risk scoring
+   * @param {string} [options.language] - Language of the call; detected from the text when left out.
+   *   Picks the phrase pack for the rubric heuristics
+   * @param {string} [options.mode] - 'heuristic' or 'llm'; defaults to ANALYSIS_MODE
    */
-  async analyzeCall(transcript) {
+  async analyzeCall(transcript, segments = null, options = {}) {
     try {
       console.log('🔍 Analyzing call...');
+
+      // Transcripts from the pipeline are already redacted; anything else is masked here
+      const redacted = redactionService.redactTranscript({ text: transcript, segments: segments || [] }).transcript;
+      transcript = redacted.text;
+      if (segments) segments = redacted.segments;
+
+      const language = options.language || languageService.detect(transcript).language || languageService.defaultLanguage;
+      const pack = getPhrasePack(language);
       
-      const sentences = transcript.split(/[.!?]+/).filter(s => s.trim().length > 0);
+      const scoredSegments = this.getScorableSegments(transcript, segments, language);
+      const texts = scoredSegments.map(segment => segment.text);
+      const languages = scoredSegments.map(segment => segment.language);
       
-      // Real-time sentiment analysis
-      const sentimentScores = await this.analyzeSentiment(sentences.slice(0, 3));
+      // Real-time sentiment analysis over every segment
+      const sentimentScores = await this.analyzeSentiment(texts, languages);
       
-      // Real-time toxicity analysis
-      const toxicityScores = await this.analyzeToxicity(sentences.slice(0, 3));
+      // Real-time toxicity analysis over every segment
+      const toxicityScores = await this.analyzeToxicity(texts, languages);
       
       // Local analysis for other metrics
       const clarityScore = this.analyzeClarity(transcript);
       const engagementScore = this.analyzeEngagement(transcript);
-      const relevanceScore = this.analyzeRelevance(transcript);
+      const relevanceScore = this.analyzeRelevance(transcript, pack);
+      
+      // Politeness is an agent quality, so only score the agent when speakers are known
+      const agentToxicityScores = toxicityScores.filter((_, i) => scoredSegments[i].speaker === 'agent');
+      const politenessScores = agentToxicityScores.length > 0 ? agentToxicityScores : toxicityScores;
+      
+      // Talk time, silences and interruptions need timestamped segments
+      const dynamics = conversationService.analyzeDynamics(segments);
+      const dynamicsMetrics = dynamics ? dynamics.metrics : null;
       
       const overallSentiment = this.calculateOverallSentiment(sentimentScores);
-      const overallPoliteness = this.calculateOverallPoliteness(toxicityScores);
+      const overallPoliteness = this.calculateOverallPoliteness(politenessScores);
       
       const analysis = {
+        language: pack.language,
         overallScore: Math.round((overallSentiment + overallPoliteness + clarityScore + engagementScore + relevanceScore) / 5),
         metrics: {
-          callOpening: this.analyzeCallOpening(transcript),
-          issueUnderstanding: this.analyzeIssueUnderstanding(transcript),
+          callOpening: this.analyzeCallOpening(transcript, pack),
+          issueUnderstanding: this.analyzeIssueUnderstanding(transcript, pack),
           sentimentAnalysis: overallSentiment,
           politeness: overallPoliteness,
           clarity: clarityScore,
           engagement: engagementScore,
           relevance: relevanceScore,
           csatScore: Math.round((overallSentiment + overallPoliteness + relevanceScore) / 3),
-          resolutionQuality: this.analyzeResolutionQuality(transcript)
+          resolutionQuality: this.analyzeResolutionQuality(transcript, pack),
+          ...dynamicsMetrics
         },
         feedback: {
-          callOpening: this.getCallOpeningFeedback(transcript),
-          issueUnderstanding: this.getIssueUnderstandingFeedback(transcript),
+          callOpening: this.getCallOpeningFeedback(transcript, pack),
+          issueUnderstanding: this.getIssueUnderstandingFeedback(transcript, pack),
           sentimentAnalysis: this.getSentimentFeedback(overallSentiment),
           politeness: this.getPolitenessFeedback(overallPoliteness),
           clarity: this.getClarityFeedback(clarityScore),
           engagement: this.getEngagementFeedback(engagementScore),
           relevance: this.getRelevanceFeedback(relevanceScore),
           csatScore: this.getCSATFeedback(overallSentiment, overallPoliteness, relevanceScore),
-          resolutionQuality: this.getResolutionFeedback(transcript)
+          resolutionQuality: this.getResolutionFeedback(transcript, pack)
         },
-        keyPoints: this.extractKeyPoints(transcript),
-        issues: this.identifyIssues(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore),
-        recommendations: this.generateRecommendations(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore)
+        sentimentBySpeaker: this.scoreBySpeaker(scoredSegments, sentimentScores, s => s.positive),
+        politenessBySpeaker: this.scoreBySpeaker(scoredSegments, toxicityScores, s => s.politeness),
+        sentimentTimeline: this.buildSentimentTimeline(scoredSegments, sentimentScores),
+        keyPoints: this.extractKeyPoints(transcript, pack),
+        issues: this.identifyIssues(sentimentScores, politenessScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics),
+        recommendations: this.generateRecommendations(sentimentScores, politenessScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics)
       };
+
+      analysis.evidence = this.buildEvidence(analysis, {
+        segments,
+        scoredSegments,
+        sentimentScores,
+        toxicityScores,
+        dynamicsEvidence: dynamics ? dynamics.evidence : {},
+        pack,
+        failedChecks: this.getFailedQualityChecks(politenessScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics)
+      });
+
+      // The heuristic analysis doubles as the fallback when the LLM gives no usable answer
+      const mode = options.mode || this.analysisMode;
+      const llmJudgements = mode === 'llm'
+        ? await this.applyLlmAnalysis(analysis, this.getEvidenceSegments(segments, scoredSegments), {
+          scorecard: options.scorecard,
+          language: pack.language,
+          measuredMetrics: dynamicsMetrics
+        })
+        : null;
+      if (mode !== 'llm') analysis.engine = { mode: 'heuristic' };
+
+      analysis.risk = riskService.assessCall(this.getEvidenceSegments(segments, scoredSegments), {
+        sentimentBySpeaker: analysis.sentimentBySpeaker,
+        sentimentTimeline: analysis.sentimentTimeline,
+        outcome: options.classification?.outcome
+      });
+
+      if (options.scorecard) {
+        analysis.scorecard = scorecardService.scoreCall(options.scorecard, {
+          segments: segments && segments.length > 0 ? segments : scoredSegments,
+          metrics: analysis.metrics,
+          metricEvidence: analysis.evidence.metrics,
+          judgements: llmJudgements,
+          sentimentBySpeaker: analysis.sentimentBySpeaker,
+          politenessBySpeaker: analysis.politenessBySpeaker
+        });
+        analysis.overallScore = analysis.scorecard.score;
+
+        const scorecardIssues = this.getScorecardIssues(analysis.scorecard);
+        analysis.issues.push(...scorecardIssues.map(issue => issue.text));
+        analysis.evidence.issues.push(...scorecardIssues);
+      }
+
+      if (options.compliancePolicy) {
+        analysis.compliance = await complianceService.checkCall(options.compliancePolicy, { transcript, segments });
+
+        const complianceIssues = complianceService.getIssues(analysis.compliance);
+        analysis.issues.push(...complianceIssues.map(issue => issue.text));
+        analysis.evidence.issues.push(...complianceIssues);
+      }
       
       console.log('✅ Analysis completed');
       return analysis;
@@ -111,74 +422,322 @@ class OpenAIService {
     }
   }
 
-  // Real-time Sentiment Analysis using Hugging Face
-  async analyzeSentiment(sentences) {
+  /**
+   * Transcript spans behind every metric, key point, issue and recommendation,
+   * so a score can be traced back to the moment in the call that produced it.
+   * Spans carry the segment index, timestamps, speaker and matched text.
+   */
+  buildEvidence(analysis, { segments, scoredSegments, sentimentScores, toxicityScores, dynamicsEvidence, pack = getPhrasePack(), failedChecks }) {
+    const evidenceSegments = this.getEvidenceSegments(segments, scoredSegments);
+
+    const hasSpeakers = scoredSegments.some(segment => segment.speaker === 'agent');
+    const forSpeaker = (speaker, scores) => {
+      const indices = scoredSegments.flatMap((segment, i) => (!hasSpeakers || segment.speaker === speaker ? [i] : []));
+      return [indices.map(i => scoredSegments[i]), indices.map(i => scores[i])];
+    };
+
+    const negativeSentiment = findLowScoreSpans(scoredSegments, sentimentScores, s => s.positive, NEGATIVE_SENTIMENT_THRESHOLD);
+    const impolite = findLowScoreSpans(...forSpeaker('agent', toxicityScores), s => s.politeness, POLITENESS_THRESHOLD);
+    const unhappyCustomer = findLowScoreSpans(...forSpeaker('customer', sentimentScores), s => s.positive, NEGATIVE_SENTIMENT_THRESHOLD);
+
+    const metrics = {
+      callOpening: findPatternSpans(evidenceSegments, pack.callOpening),
+      issueUnderstanding: findPatternSpans(evidenceSegments, pack.issueUnderstanding),
+      sentimentAnalysis: negativeSentiment,
+      politeness: impolite,
+      clarity: findSegmentSpans(evidenceSegments, segment =>
+        segment.text.split(/[.!?]+/).some(sentence => sentence.trim().split(/\s+/).length > LONG_SENTENCE_WORDS)
+      ),
+      // Vocabulary richness is a whole-call measure with no single moment behind it
+      engagement: [],
+      // Off-topic segments: no customer service keywords at all
+      relevance: findSegmentSpans(evidenceSegments, segment =>
+        !segment.text.toLowerCase().split(/\s+/).some(word => pack.relevanceKeywords.includes(word))
+      ),
+      csatScore: unhappyCustomer,
+      resolutionQuality: findPatternSpans(evidenceSegments, pack.resolutionQuality),
+      ...dynamicsEvidence
+    };
+
+    const keyPoints = analysis.keyPoints.map(text => {
+      const keyPoint = pack.keyPoints.find(point => point.text === text);
+      return { text, spans: keyPoint ? findPatternSpans(evidenceSegments, [keyPoint.pattern]) : [] };
+    });
+
+    const issues = failedChecks.map(metric => ({
+      text: QUALITY_CHECKS[metric].issue,
+      metric,
+      spans: metrics[metric]
+    }));
+
+    const recommendations = analysis.recommendations.map(text => {
+      const metric = failedChecks.find(check => QUALITY_CHECKS[check].recommendation === text);
+      return { text, ...(metric && { metric }), spans: metric ? metrics[metric] : [] };
+    });
+
+    return { metrics, keyPoints, issues, recommendations };
+  }
+
+  /**
+   * Replace the rubric scores, feedback, key points, issues and recommendations
+   * with a chat model's assessment of the call. Conversation dynamics, sentiment
+   * timelines and risk stay measured. Records model, prompt version and token
+   * usage in `analysis.engine`; on failure the heuristic analysis is kept.
+   * @returns {Promise<Object|null>} Scorecard criterion judgements by key, or null
+   */
+  async applyLlmAnalysis(analysis, evidenceSegments, { scorecard, language, measuredMetrics }) {
+    const { PROMPT_VERSION, buildMessages, buildSchema, buildReplyCheck } = callAnalysisPrompt;
+    // The model cites segments by position, which is also their index in evidenceSegments
+    const promptSegments = evidenceSegments.map((segment, segmentIndex) => ({ ...segment, segmentIndex }));
+
     try {
-      const scores = [];
-      for (const sentence of sentences) {
-        const response = await axios.post(
-          'https://api-inference.huggingface.co/models/distilbert-base-uncased-finetuned-sst-2-english',
-          { inputs: sentence },
-          {
-            headers: {
-              'Authorization': `Bearer ${this.huggingFaceToken}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 10000
-          }
-        );
-        
-        const result = response.data[0];
-        const positiveScore = result.find(r => r.label === 'POSITIVE')?.score || 0;
-        const negativeScore = result.find(r => r.label === 'NEGATIVE')?.score || 0;
-        scores.push({ sentence, positive: positiveScore, negative: negativeScore });
-      }
-      return scores;
+      console.log(`🤖 Analyzing call with ${llmService.model}...`);
+      const result = await llmService.completeJson(
+        buildMessages(promptSegments, { scorecard, language, maxTranscriptChars: this.llmMaxTranscriptChars }),
+        buildSchema(scorecard),
+        buildReplyCheck(scorecard)
+      );
+      const { data } = result;
+
+      const spansFor = (indexes) => [...new Set(indexes)]
+        .filter(index => evidenceSegments[index])
+        .slice(0, MAX_SPANS)
+        .map(index => toSpan(evidenceSegments[index], evidenceSegments[index].text));
+      const toFindings = (items) => items.map(item => ({
+        text: item.text,
+        ...(item.metric && { metric: item.metric }),
+        spans: spansFor(item.segmentIndexes)
+      }));
+      // Issues from measured talk-time and silence metrics are facts the model cannot see
+      const isMeasured = (item) => Boolean(measuredMetrics && item.metric in measuredMetrics);
+
+      const { metrics } = data;
+      Object.assign(analysis.metrics, metrics);
+      analysis.overallScore = Math.round(
+        (metrics.sentimentAnalysis + metrics.politeness + metrics.clarity + metrics.engagement + metrics.relevance) / 5
+      );
+      analysis.summary = data.summary;
+      analysis.feedback = data.feedback;
+      analysis.keyPoints = data.keyPoints.map(point => point.text);
+
+      const issues = [...toFindings(data.issues), ...analysis.evidence.issues.filter(isMeasured)];
+      const recommendations = [...toFindings(data.recommendations), ...analysis.evidence.recommendations.filter(isMeasured)];
+      analysis.issues = issues.map(issue => issue.text);
+      analysis.recommendations = recommendations.map(recommendation => recommendation.text);
+      analysis.evidence.keyPoints = data.keyPoints.map(point => ({ text: point.text, spans: spansFor(point.segmentIndexes) }));
+      analysis.evidence.issues = issues;
+      analysis.evidence.recommendations = recommendations;
+
+      analysis.engine = {
+        mode: 'llm',
+        model: result.model,
+        promptVersion: PROMPT_VERSION,
+        usage: result.usage,
+        attempts: result.attempts,
+        repaired: result.repaired
+      };
+      console.log(`✅ LLM analysis completed (${result.usage.totalTokens} tokens, ${result.attempts} attempt(s))`);
+
+      if (!data.criteria) return null;
+      return Object.fromEntries(data.criteria.map(criterion => [criterion.key, {
+        score: criterion.score,
+        passed: criterion.passed,
+        reason: criterion.reason,
+        matches: spansFor(criterion.segmentIndexes)
+      }]));
     } catch (error) {
-      console.warn('⚠️ Sentiment analysis failed, using fallback');
-      return sentences.map(s => ({ sentence: s, positive: 0.7, negative: 0.3 }));
+      console.warn('⚠️ LLM analysis failed, using heuristic analysis:', error.message);
+      analysis.engine = {
+        mode: 'heuristic',
+        requestedMode: 'llm',
+        model: llmService.model,
+        promptVersion: PROMPT_VERSION,
+        usage: error.usage,
+        attempts: error.attempts,
+        fallbackReason: error.message
+      };
+      return null;
     }
   }
 
-  // Real-time Toxicity Analysis using Hugging Face
-  async analyzeToxicity(sentences) {
-    try {
-      const scores = [];
-      for (const sentence of sentences) {
-        const response = await axios.post(
-          'https://api-inference.huggingface.co/models/unitary/toxic-bert',
-          { inputs: sentence },
-          {
-            headers: {
-              'Authorization': `Bearer ${this.huggingFaceToken}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 10000
-          }
-        );
-        
-        const result = response.data[0];
-        const toxicScore = result.find(r => r.label === 'toxic')?.score || 0;
-        const hateScore = result.find(r => r.label === 'hate')?.score || 0;
-        const obsceneScore = result.find(r => r.label === 'obscene')?.score || 0;
-        const threatScore = result.find(r => r.label === 'threat')?.score || 0;
-        const insultScore = result.find(r => r.label === 'insult')?.score || 0;
-        
-        scores.push({
-          sentence,
-          toxic: toxicScore,
-          hate: hateScore,
-          obscene: obsceneScore,
-          threat: threatScore,
-          insult: insultScore,
-          politeness: 1 - Math.max(toxicScore, hateScore, obsceneScore, threatScore, insultScore)
-        });
+  // Without diarized segments spans point at sentences and have no index or timestamps
+  getEvidenceSegments(segments, scoredSegments) {
+    return segments && segments.length > 0
+      ? segments.map((segment, segmentIndex) => ({ ...segment, segmentIndex }))
+      : scoredSegments;
+  }
+
+  /**
+   * Segments to score for sentiment and politeness. Long segments (e.g. from
+   * providers without timestamps) are split into sentences that keep the
+   * segment's index, speaker and language.
+   */
+  getScorableSegments(transcript, segments, language = 'en') {
+    const splitSentences = (text) => text.split(/(?<=[.!?])\s+/).filter(s => s.trim().length > 0);
+
+    if (!segments || segments.length === 0) {
+      return splitSentences(transcript).map(text => ({ text: text.trim(), speaker: 'unknown', segmentIndex: null, language }));
+    }
+
+    return segments.flatMap((segment, segmentIndex) => {
+      const base = {
+        segmentIndex,
+        start: segment.start,
+        end: segment.end,
+        speaker: segment.speaker || 'unknown',
+        language: segment.language || language
+      };
+
+      if (segment.text.length <= MAX_MODEL_INPUT_CHARS) {
+        return [{ ...base, text: segment.text }];
+      }
+      return splitSentences(segment.text).map(text => ({ ...base, text: text.trim() }));
+    });
+  }
+
+  /**
+   * Run a Hugging Face classifier over sentences in batches, sending each
+   * sentence to the model for its language. Results come back in input order;
+   * a failed batch gets `fallback(sentence)` for each of its sentences.
+   */
+  async classifyByLanguage(sentences, languages, models, parse, fallback, label) {
+    const results = new Array(sentences.length);
+    const byModel = {};
+    sentences.forEach((sentence, i) => {
+      const model = this.getModelForLanguage(models, languages[i]);
+      (byModel[model] = byModel[model] || []).push(i);
+    });
+
+    for (const [model, indices] of Object.entries(byModel)) {
+      for (let i = 0; i < indices.length; i += this.modelBatchSize) {
+        const batch = indices.slice(i, i + this.modelBatchSize);
+        try {
+          const response = await axios.post(
+            `https://api-inference.huggingface.co/models/${model}`,
+            { inputs: batch.map(index => sentences[index].slice(0, MAX_MODEL_INPUT_CHARS)) },
+            {
+              headers: {
+                'Authorization': `Bearer ${await tenantService.providerToken('huggingFace', this.huggingFaceToken)}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: 30000
+            }
+          );
+
+          batch.forEach((index, j) => {
+            results[index] = { sentence: sentences[index], ...parse(response.data[j]) };
+          });
+        } catch (error) {
+          console.warn(`⚠️ ${label} analysis failed, using fallback`);
+          batch.forEach(index => {
+            results[index] = { sentence: sentences[index], ...fallback };
+          });
+        }
       }
-      return scores;
-    } catch (error) {
-      console.warn('⚠️ Toxicity analysis failed, using fallback');
-      return sentences.map(s => ({ sentence: s, politeness: 0.8 }));
     }
+    return results;
+  }
+
+  getModelForLanguage(models, language) {
+    return !language || language === 'en' ? models.en : models.multilingual;
+  }
+
+  // Real-time Sentiment Analysis using Hugging Face, batched per model
+  async analyzeSentiment(sentences, languages = []) {
+    return this.classifyByLanguage(sentences, languages, SENTIMENT_MODELS, (result) => {
+      // sst-2 labels POSITIVE/NEGATIVE; the multilingual model adds a neutral class, split evenly
+      const score = (label) => result.find(r => r.label.toLowerCase() === label)?.score || 0;
+      const neutral = score('neutral');
+      return {
+        positive: score('positive') + neutral / 2,
+        negative: score('negative') + neutral / 2
+      };
+    }, { positive: 0.7, negative: 0.3 }, 'Sentiment');
+  }
+
+  // Real-time Toxicity Analysis using Hugging Face, batched per model
+  async analyzeToxicity(sentences, languages = []) {
+    return this.classifyByLanguage(sentences, languages, TOXICITY_MODELS, (result) => {
+      const score = (label) => result.find(r => r.label.toLowerCase() === label)?.score || 0;
+      const toxicScore = score('toxic');
+      const hateScore = score('hate');
+      const obsceneScore = score('obscene');
+      const threatScore = score('threat');
+      const insultScore = score('insult');
+
+      return {
+        toxic: toxicScore,
+        hate: hateScore,
+        obscene: obsceneScore,
+        threat: threatScore,
+        insult: insultScore,
+        politeness: 1 - Math.max(toxicScore, hateScore, obsceneScore, threatScore, insultScore)
+      };
+    }, { politeness: 0.8 }, 'Toxicity');
+  }
+
+  /**
+   * Average a 0-1 model score per speaker, as 0-100
+   */
+  scoreBySpeaker(segments, scores, getValue) {
+    const totals = {};
+    segments.forEach((segment, i) => {
+      const speaker = segment.speaker;
+      totals[speaker] = totals[speaker] || { sum: 0, count: 0 };
+      totals[speaker].sum += getValue(scores[i]);
+      totals[speaker].count += 1;
+    });
+
+    const bySpeaker = {};
+    Object.entries(totals).forEach(([speaker, { sum, count }]) => {
+      bySpeaker[speaker] = Math.round((sum / count) * 100);
+    });
+    return bySpeaker;
+  }
+
+  /**
+   * Sentiment over the course of the call, following the customer when
+   * speakers are known: how they started, how they ended and the lowest point
+   */
+  buildSentimentTimeline(segments, sentimentScores) {
+    const points = segments.map((segment, i) => ({
+      segmentIndex: segment.segmentIndex,
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker,
+      score: Math.round(sentimentScores[i].positive * 100)
+    }));
+
+    const customerPoints = points.filter(point => point.speaker === 'customer');
+    const tracked = customerPoints.length > 0 ? customerPoints : points;
+    if (tracked.length === 0) return null;
+
+    // Compare the first and last quarter of the tracked speaker's turns
+    const windowSize = Math.max(1, Math.ceil(tracked.length / 4));
+    const average = (pts) => Math.round(pts.reduce((sum, point) => sum + point.score, 0) / pts.length);
+    const startScore = average(tracked.slice(0, windowSize));
+    const endScore = average(tracked.slice(-windowSize));
+    const change = endScore - startScore;
+
+    const lowestIndex = tracked.reduce((lowest, point, i) => (point.score < tracked[lowest].score ? i : lowest), 0);
+    const lowestPoint = {
+      ...tracked[lowestIndex],
+      text: segments[points.indexOf(tracked[lowestIndex])].text
+    };
+
+    let trend = 'stable';
+    if (change >= SENTIMENT_TREND_THRESHOLD) trend = 'improved';
+    if (change <= -SENTIMENT_TREND_THRESHOLD) trend = 'declined';
+
+    return {
+      speaker: customerPoints.length > 0 ? 'customer' : 'all',
+      startScore,
+      endScore,
+      change,
+      trend,
+      lowestPoint,
+      points
+    };
   }
 
   // Local analysis methods
@@ -187,7 +746,7 @@ class OpenAIService {
     const avgSentenceLength = sentences.reduce((sum, s) => sum + s.split(' ').length, 0) / sentences.length;
     
     let clarityScore = 80;
-    if (avgSentenceLength > 20) clarityScore -= 10;
+    if (avgSentenceLength > LONG_SENTENCE_WORDS) clarityScore -= 10;
     if (avgSentenceLength < 5) clarityScore -= 15;
     if (sentences.length < 3) clarityScore -= 10;
     
@@ -207,33 +766,31 @@ class OpenAIService {
     return Math.min(100, engagementScore);
   }
 
-  analyzeRelevance(transcript) {
-    const customerServiceKeywords = [
-      'help', 'assist', 'support', 'issue', 'problem', 'resolve', 'fix', 'order', 'account',
-      'service', 'customer', 'thank', 'apologize', 'understand', 'solution', 'process'
-    ];
-    
+  analyzeRelevance(transcript, pack = getPhrasePack()) {
     const words = transcript.toLowerCase().split(/\s+/);
-    const relevantWords = words.filter(word => customerServiceKeywords.includes(word));
+    const relevantWords = words.filter(word => pack.relevanceKeywords.includes(word));
     const relevanceRatio = relevantWords.length / words.length;
     
     return Math.round(relevanceRatio * 100);
   }
 
   calculateOverallSentiment(sentimentScores) {
+    if (sentimentScores.length === 0) return 0;
     const avgPositive = sentimentScores.reduce((sum, s) => sum + s.positive, 0) / sentimentScores.length;
     return Math.round(avgPositive * 100);
   }
 
   calculateOverallPoliteness(toxicityScores) {
+    if (toxicityScores.length === 0) return 0;
     const avgPoliteness = toxicityScores.reduce((sum, s) => sum + s.politeness, 0) / toxicityScores.length;
     return Math.round(avgPoliteness * 100);
   }
 
-  analyzeCallOpening(transcript) {
-    const hasGreeting = /hello|hi|good|thank you/i.test(transcript);
-    const hasIntroduction = /my name is|i'm|this is/i.test(transcript);
-    const hasOffer = /how can i help|what can i do|assist/i.test(transcript);
+  analyzeCallOpening(transcript, pack = getPhrasePack()) {
+    const [greeting, introduction, offer] = pack.callOpening;
+    const hasGreeting = greeting.test(transcript);
+    const hasIntroduction = introduction.test(transcript);
+    const hasOffer = offer.test(transcript);
     
     let score = 60;
     if (hasGreeting) score += 15;
@@ -243,10 +800,11 @@ class OpenAIService {
     return Math.min(100, score);
   }
 
-  analyzeIssueUnderstanding(transcript) {
-    const hasIssue = /issue|problem|concern|matter/i.test(transcript);
-    const hasUnderstanding = /understand|see|look|check/i.test(transcript);
-    const hasClarification = /clarify|confirm|verify/i.test(transcript);
+  analyzeIssueUnderstanding(transcript, pack = getPhrasePack()) {
+    const [issue, understanding, clarification] = pack.issueUnderstanding;
+    const hasIssue = issue.test(transcript);
+    const hasUnderstanding = understanding.test(transcript);
+    const hasClarification = clarification.test(transcript);
     
     let score = 60;
     if (hasIssue) score += 20;
@@ -256,10 +814,11 @@ class OpenAIService {
     return Math.min(100, score);
   }
 
-  analyzeResolutionQuality(transcript) {
-    const hasResolution = /resolve|fix|solve|address/i.test(transcript);
-    const hasSolution = /solution|answer|result/i.test(transcript);
-    const hasFollowUp = /follow|check|ensure|confirm/i.test(transcript);
+  analyzeResolutionQuality(transcript, pack = getPhrasePack()) {
+    const [resolution, solution, followUp] = pack.resolutionQuality;
+    const hasResolution = resolution.test(transcript);
+    const hasSolution = solution.test(transcript);
+    const hasFollowUp = followUp.test(transcript);
     
     let score = 60;
     if (hasResolution) score += 20;
@@ -269,15 +828,15 @@ class OpenAIService {
     return Math.min(100, score);
   }
 
-  getCallOpeningFeedback(transcript) {
-    const score = this.analyzeCallOpening(transcript);
+  getCallOpeningFeedback(transcript, pack = getPhrasePack()) {
+    const score = this.analyzeCallOpening(transcript, pack);
     if (score >= 85) return "Excellent call opening with professional greeting and clear introduction";
     if (score >= 70) return "Good call opening, could improve introduction clarity";
     return "Call opening needs improvement - add greeting and clear introduction";
   }
 
-  getIssueUnderstandingFeedback(transcript) {
-    const score = this.analyzeIssueUnderstanding(transcript);
+  getIssueUnderstandingFeedback(transcript, pack = getPhrasePack()) {
+    const score = this.analyzeIssueUnderstanding(transcript, pack);
     if (score >= 85) return "Excellent problem identification and understanding";
     if (score >= 70) return "Good issue understanding, could improve clarification";
     return "Issue understanding needs work - practice active listening";
@@ -320,158 +879,77 @@ class OpenAIService {
     return "Customer satisfaction needs improvement";
   }
 
-  getResolutionFeedback(transcript) {
-    const score = this.analyzeResolutionQuality(transcript);
+  getResolutionFeedback(transcript, pack = getPhrasePack()) {
+    const score = this.analyzeResolutionQuality(transcript, pack);
     if (score >= 85) return "Excellent problem resolution and follow-up";
     if (score >= 70) return "Good resolution, could improve follow-up";
     return "Resolution quality needs improvement - provide clear solutions";
   }
 
-  extractKeyPoints(transcript) {
-    const keyPoints = [];
-    if (/hello|greeting/i.test(transcript)) keyPoints.push("Professional greeting");
-    if (/issue|problem/i.test(transcript)) keyPoints.push("Problem identification");
-    if (/understand|clarify/i.test(transcript)) keyPoints.push("Active listening");
-    if (/resolve|fix/i.test(transcript)) keyPoints.push("Problem resolution");
-    if (/thank|appreciate/i.test(transcript)) keyPoints.push("Gratitude expressed");
+  extractKeyPoints(transcript, pack = getPhrasePack()) {
+    const keyPoints = pack.keyPoints
+      .filter(point => point.pattern.test(transcript))
+      .map(point => point.text);
     return keyPoints.length > 0 ? keyPoints : ["Customer service interaction"];
   }
 
-  identifyIssues(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore) {
-    const issues = [];
-    if (clarityScore < 70) issues.push("Communication clarity needs improvement");
-    if (engagementScore < 70) issues.push("Engagement level could be higher");
-    if (relevanceScore < 70) issues.push("Stay more focused on customer needs");
-    if (toxicityScores.some(s => s.politeness < 0.7)) issues.push("Language politeness needs attention");
-    return issues;
-  }
-
-  generateRecommendations(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore) {
-    const recommendations = [];
-    if (clarityScore < 70) recommendations.push("Practice clear, concise communication");
-    if (engagementScore < 70) recommendations.push("Expand vocabulary and be more descriptive");
-    if (relevanceScore < 70) recommendations.push("Stay focused on customer issues");
-    if (toxicityScores.some(s => s.politeness < 0.7)) recommendations.push("Use more polite and professional language");
-    return recommendations.length > 0 ? recommendations : ["Continue current good practices"];
+  // Metrics (keys of QUALITY_CHECKS) that fall short, in reporting order
+  getFailedQualityChecks(toxicityScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics = null) {
+    const failed = [];
+    if (clarityScore < 70) failed.push('clarity');
+    if (engagementScore < 70) failed.push('engagement');
+    if (relevanceScore < 70) failed.push('relevance');
+    if (toxicityScores.some(s => s.politeness < POLITENESS_THRESHOLD)) failed.push('politeness');
+    failed.push(...conversationService.getFailedChecks(dynamicsMetrics));
+    return failed;
   }
 
-  /**
-   * Generate coaching plan based on analysis
-   */
-  async generateCoachingPlan(analysis, transcript) {
-    try {
-      console.log('📚 Generating coaching plan...');
-      
-      // Try real-time generation first
-      const response = await axios.post(
-        'https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium',
-        {
-          inputs: `Generate a coaching plan for this call analysis: ${JSON.stringify(analysis)}. Transcript: ${transcript}`,
-          parameters: {
-            max_length: 500,
-            temperature: 0.7
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.huggingFaceToken}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
+  identifyIssues(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics = null) {
+    return this.getFailedQualityChecks(toxicityScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics)
+      .map(metric => QUALITY_CHECKS[metric].issue);
+  }
 
-      // Always use structured generation to ensure proper data types
-      console.log('✅ Coaching plan generated');
-      return this.generateCoachingPlanFromAnalysis(analysis, transcript);
-    } catch (error) {
-      console.warn('⚠️ AI coaching plan failed, using structured generation');
-      return this.generateCoachingPlanFromAnalysis(analysis, transcript);
-    }
+  // Failed scorecard criteria as issues, auto-fails first, with the matches behind them
+  getScorecardIssues(scorecardResult) {
+    const autoFailIssues = [];
+    const issues = [];
+    scorecardResult.sections.forEach(section => {
+      section.criteria
+        .filter(criterion => !criterion.passed)
+        .forEach(criterion => {
+          const spans = criterion.matches.slice(0, MAX_SPANS);
+          if (criterion.autoFail) {
+            autoFailIssues.push({ text: `Auto-fail: ${criterion.name} not met`, criterion: criterion.key, spans });
+          } else {
+            issues.push({ text: `${section.name}: ${criterion.name} not met`, criterion: criterion.key, spans });
+          }
+        });
+    });
+    return [...autoFailIssues, ...issues];
   }
 
-  generateCoachingPlanFromAnalysis(analysis, transcript) {
-    const overallScore = analysis.overallScore || 75;
-    
-    let feedback = "Overall good performance with room for improvement.";
-    if (overallScore >= 85) {
-      feedback = "Excellent performance! Keep up the great work.";
-    } else if (overallScore >= 70) {
-      feedback = "Good performance with specific areas for improvement.";
-    } else {
-      feedback = "Performance needs improvement. Focus on the recommendations below.";
-    }
+  generateRecommendations(sentimentScores, toxicityScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics = null) {
+    const recommendations = this.getFailedQualityChecks(toxicityScores, clarityScore, engagementScore, relevanceScore, dynamicsMetrics)
+      .map(metric => QUALITY_CHECKS[metric].recommendation);
+    return recommendations.length > 0 ? recommendations : ["Continue current good practices"];
+  }
 
-    const coachingPlan = {
-      feedback: feedback,
-      recommendations: [
-        {
-          category: "Communication",
-          title: "Improve Active Listening",
-          description: "Practice active listening techniques to better understand customer needs",
-          priority: "high"
-        },
-        {
-          category: "Professionalism",
-          title: "Enhance Greeting Skills",
-          description: "Work on creating more welcoming and professional call openings",
-          priority: "medium"
-        },
-        {
-          category: "Problem Solving",
-          title: "Better Issue Resolution",
-          description: "Improve problem identification and resolution techniques",
-          priority: "high"
-        }
-      ],
-      resources: [
-        {
-          type: "video",
-          title: "Active Listening Techniques",
-          description: "Learn effective active listening skills",
-          url: "https://www.youtube.com/watch?v=WzZNuQwQoQY"
-        },
-        {
-          type: "article",
-          title: "Customer Service Best Practices",
-          description: "Essential tips for excellent customer service",
-          url: "https://www.zendesk.com/blog/customer-service-best-practices/"
-        }
-      ],
-      quiz: [
-        {
-          question: "What is the most important aspect of call opening?",
-          options: ["Speed", "Professional greeting", "Getting to the point", "Asking questions"],
-          correctAnswer: 1,
-          explanation: "A professional greeting sets the tone for the entire call"
-        },
-        {
-          question: "How should you handle an angry customer?",
-          options: ["Hang up", "Listen actively and empathize", "Argue back", "Transfer immediately"],
-          correctAnswer: 1,
-          explanation: "Active listening and empathy help de-escalate situations"
-        }
-      ],
-      completionCriteria: "Complete all recommendations and score 80% or higher on the quiz"
-    };
+  /**
+   * Generate a coaching plan from the call's low-scoring skills, issues and evidence
+   */
+  async generateCoachingPlan(analysis) {
+    console.log('📚 Generating coaching plan...');
+    const coachingPlan = coachingService.buildPlan(analysis);
 
     // Validate the structure before returning
-    if (!Array.isArray(coachingPlan.resources)) {
-      console.error('❌ Coaching plan resources is not an array:', typeof coachingPlan.resources);
-      throw new Error('Invalid coaching plan structure: resources must be an array');
-    }
-
-    if (!Array.isArray(coachingPlan.recommendations)) {
-      console.error('❌ Coaching plan recommendations is not an array:', typeof coachingPlan.recommendations);
-      throw new Error('Invalid coaching plan structure: recommendations must be an array');
-    }
-
-    if (!Array.isArray(coachingPlan.quiz)) {
-      console.error('❌ Coaching plan quiz is not an array:', typeof coachingPlan.quiz);
-      throw new Error('Invalid coaching plan structure: quiz must be an array');
-    }
+    ['recommendations', 'resources', 'quiz'].forEach(field => {
+      if (!Array.isArray(coachingPlan[field])) {
+        console.error(`❌ Coaching plan ${field} is not an array:`, typeof coachingPlan[field]);
+        throw new Error(`Invalid coaching plan structure: ${field} must be an array`);
+      }
+    });
 
-    console.log('✅ Coaching plan structure validated');
+    console.log(`✅ Coaching plan generated (${coachingPlan.focusAreas.map(area => area.skill).join(', ')})`);
     return coachingPlan;
   }
 
@@ -0,0 +1,21 @@
+module.exports = {
+  language: 'en',
+
+  // Phrases the heuristic metrics look for; evidence spans quote where they matched
+  callOpening: [/hello|hi|good|thank you/i, /my name is|i'm|this is/i, /how can i help|what can i do|assist/i],
+  issueUnderstanding: [/issue|problem|concern|matter/i, /understand|see|look|check/i, /clarify|confirm|verify/i],
+  resolutionQuality: [/resolve|fix|solve|address/i, /solution|answer|result/i, /follow|check|ensure|confirm/i],
+
+  relevanceKeywords: [
+    'help', 'assist', 'support', 'issue', 'problem', 'resolve', 'fix', 'order', 'account',
+    'service', 'customer', 'thank', 'apologize', 'understand', 'solution', 'process'
+  ],
+
+  keyPoints: [
+    { text: 'Professional greeting', pattern: /hello|greeting/i },
+    { text: 'Problem identification', pattern: /issue|problem/i },
+    { text: 'Active listening', pattern: /understand|clarify/i },
+    { text: 'Problem resolution', pattern: /resolve|fix/i },
+    { text: 'Gratitude expressed', pattern: /thank|appreciate/i }
+  ]
+};
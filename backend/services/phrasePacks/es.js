@@ -0,0 +1,32 @@
+module.exports = {
+  language: 'es',
+
+  callOpening: [
+    /hola|buenos días|buenas tardes|buenas noches|gracias por (llamar|comunicarse)/i,
+    /mi nombre es|me llamo|le atiende|habla con/i,
+    /en qué (le|te) puedo (ayudar|servir)|cómo (le|te) puedo ayudar|le ayudo/i
+  ],
+  issueUnderstanding: [
+    /problema|inconveniente|incidencia|asunto|situación/i,
+    /entiendo|comprendo|veo|revis(o|ar|emos)|verific(o|ar)/i,
+    /aclarar|confirm(ar|o|e)|verificar/i
+  ],
+  resolutionQuality: [
+    /resolv(er|ido|emos)|solucion(ar|ado|amos)|arregl(ar|ado)/i,
+    /solución|respuesta|resultado/i,
+    /seguimiento|asegur(ar|arme|o)|confirm(ar|o)|verific(ar|o)/i
+  ],
+
+  relevanceKeywords: [
+    'ayuda', 'ayudar', 'apoyo', 'problema', 'resolver', 'solucionar', 'pedido', 'cuenta',
+    'servicio', 'cliente', 'gracias', 'disculpe', 'entiendo', 'solución', 'proceso', 'factura'
+  ],
+
+  keyPoints: [
+    { text: 'Professional greeting', pattern: /hola|buenos días|buenas tardes/i },
+    { text: 'Problem identification', pattern: /problema|inconveniente|incidencia/i },
+    { text: 'Active listening', pattern: /entiendo|comprendo|aclarar/i },
+    { text: 'Problem resolution', pattern: /resolv|solucion|arregl/i },
+    { text: 'Gratitude expressed', pattern: /gracias|agradezco|le agradezco/i }
+  ]
+};
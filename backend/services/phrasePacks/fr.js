@@ -0,0 +1,32 @@
+module.exports = {
+  language: 'fr',
+
+  callOpening: [
+    /bonjour|bonsoir|merci (de|d'avoir) (votre appel|appelé)/i,
+    /je m'appelle|mon nom est|ici|vous êtes en ligne avec/i,
+    /comment puis-je vous aider|que puis-je faire pour vous|en quoi puis-je vous aider/i
+  ],
+  issueUnderstanding: [
+    /problème|souci|incident|situation|question/i,
+    /je comprends|je vois|je regarde|je vérifie|vérifier/i,
+    /préciser|clarifier|confirmer/i
+  ],
+  resolutionQuality: [
+    /résoudre|résolu|régler|réglé|corriger/i,
+    /solution|réponse|résultat/i,
+    /suivi|m'assurer|s'assurer|confirmer|vérifier/i
+  ],
+
+  relevanceKeywords: [
+    'aide', 'aider', 'assistance', 'problème', 'résoudre', 'régler', 'commande', 'compte',
+    'service', 'client', 'merci', 'désolé', 'comprends', 'solution', 'dossier', 'facture'
+  ],
+
+  keyPoints: [
+    { text: 'Professional greeting', pattern: /bonjour|bonsoir/i },
+    { text: 'Problem identification', pattern: /problème|souci|incident/i },
+    { text: 'Active listening', pattern: /je comprends|préciser|clarifier/i },
+    { text: 'Problem resolution', pattern: /résou|régl|corrig/i },
+    { text: 'Gratitude expressed', pattern: /merci|remercie/i }
+  ]
+};
@@ -0,0 +1,19 @@
+const en = require('./en');
+const es = require('./es');
+const fr = require('./fr');
+
+/**
+ * Language-specific phrases for the rubric heuristics in openaiService.
+ * Every pack has the same shape as en.js; labels stay in English for the UI.
+ */
+const PHRASE_PACKS = { en, es, fr };
+
+/**
+ * Phrase pack for an ISO 639-1 code (or a locale like "es-MX"), falling back to English
+ */
+const getPhrasePack = (language) => {
+  const code = (language || 'en').toLowerCase().split(/[-_]/)[0];
+  return PHRASE_PACKS[code] || en;
+};
+
+module.exports = { getPhrasePack, PHRASE_PACKS };
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const audioService = require('./audioService');
+
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+const DIGIT_WORD = Object.keys(DIGIT_WORDS).join('|');
+
+// Checked in order; earlier types win where matches overlap
+const DETECTORS = [
+  { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: digits => luhnValid(digits) },
+  { type: 'ssn', pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g },
+  { type: 'phone', pattern: /(?:\+?1[ .-]?)?\(?\b\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/g },
+  // Numbers read out word by word: "four one one one ..."
+  {
+    type: 'spoken-number',
+    pattern: new RegExp(`\\b(?:(?:${DIGIT_WORD})[ ,-]+){6,}(?:${DIGIT_WORD})\\b`, 'gi'),
+    classify: (text) => {
+      const digits = text.toLowerCase().split(/[ ,-]+/).map(word => DIGIT_WORDS[word]).join('');
+      if (digits.length >= 13 && luhnValid(digits)) return 'card';
+      if (digits.length === 9) return 'ssn';
+      return 'phone';
+    }
+  }
+];
+
+const MASKS = {
+  email: '[EMAIL]',
+  card: '[CARD]',
+  ssn: '[SSN]',
+  phone: '[PHONE]'
+};
+
+function luhnValid(digits) {
+  const clean = digits.replace(/\D/g, '');
+  if (clean.length < 13 || clean.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < clean.length; i++) {
+    let digit = parseInt(clean[clean.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Masks card numbers, SSNs, emails and phone numbers in transcripts and
+ * optionally bleeps them out of the audio
+ *
+ * REDACTION_ENABLED      - set to false to store transcripts unredacted (default true)
+ * REDACTION_AUDIO_MODE   - off: leave audio alone; copy: write a bleeped copy next to
+ *                          the upload; replace: bleep the upload itself (default off)
+ * REDACTION_AUDIO_PADDING_SECONDS - extra audio bleeped around each estimated range (0.5)
+ */
+class RedactionService {
+  constructor() {
+    this.enabled = process.env.REDACTION_ENABLED !== 'false';
+    this.audioMode = process.env.REDACTION_AUDIO_MODE || 'off';
+    this.audioPadding = parseFloat(process.env.REDACTION_AUDIO_PADDING_SECONDS) || 0.5;
+  }
+
+  /**
+   * Find sensitive entities in text
+   * @returns {Array<{type: string, index: number, length: number}>} In text order, non-overlapping
+   */
+  detect(text) {
+    const entities = [];
+    DETECTORS.forEach(detector => {
+      for (const match of text.matchAll(detector.pattern)) {
+        if (detector.validate && !detector.validate(match[0])) continue;
+        const entity = {
+          type: detector.classify ? detector.classify(match[0]) : detector.type,
+          index: match.index,
+          length: match[0].length
+        };
+        const overlaps = entities.some(other =>
+          entity.index < other.index + other.length && other.index < entity.index + entity.length
+        );
+        if (!overlaps) entities.push(entity);
+      }
+    });
+    return entities.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * @returns {{text: string, entities: Array}} Text with every entity replaced by its mask
+   */
+  redactText(text) {
+    if (!this.enabled || !text) return { text, entities: [] };
+
+    const entities = this.detect(text);
+    return { text: this.mask(text, entities), entities };
+  }
+
+  mask(text, entities) {
+    let masked = text;
+    [...entities].reverse().forEach(entity => {
+      masked = masked.slice(0, entity.index) + MASKS[entity.type] + masked.slice(entity.index + entity.length);
+    });
+    return masked;
+  }
+
+  /**
+   * Redact a transcript's text and segments
+   * @returns {{transcript: Object, redactions: Array}} Redactions record type, segment and
+   *   estimated time range of each entity, never the value itself
+   */
+  redactTranscript(transcript) {
+    const { text, entities: textEntities } = this.redactText(transcript.text);
+    const sourceSegments = transcript.segments || [];
+
+    // A number read out in two breaths lands in two segments, so entities are
+    // detected in the joined segment text and mapped back to each segment
+    const offsets = [];
+    let joined = '';
+    sourceSegments.forEach((segment, segmentIndex) => {
+      if (segmentIndex > 0) joined += ' ';
+      offsets.push(joined.length);
+      joined += segment.text || '';
+    });
+
+    const entities = this.enabled && joined ? this.detect(joined) : [];
+    const pieces = sourceSegments.map(() => []);
+
+    const redactions = entities.map(entity => {
+      const ranges = [];
+      sourceSegments.forEach((segment, segmentIndex) => {
+        const segmentStart = offsets[segmentIndex];
+        const from = Math.max(entity.index, segmentStart);
+        const to = Math.min(entity.index + entity.length, segmentStart + (segment.text || '').length);
+        if (from >= to) return;
+
+        const piece = { type: entity.type, index: from - segmentStart, length: to - from };
+        pieces[segmentIndex].push(piece);
+        ranges.push({ segmentIndex, ...this.estimateTimeRange(segment, piece) });
+      });
+
+      // An entity split across segments is bleeped from its first part to its last
+      const first = ranges[0];
+      const last = ranges[ranges.length - 1];
+      return { type: entity.type, segmentIndex: first.segmentIndex, start: first.start, end: last.end };
+    });
+
+    const segments = sourceSegments.map((segment, segmentIndex) => (
+      pieces[segmentIndex].length > 0
+        ? { ...segment, text: this.mask(segment.text, pieces[segmentIndex]) }
+        : { ...segment }
+    ));
+
+    // Transcripts without segments still record what was found in the text
+    if (segments.length === 0) {
+      textEntities.forEach(entity => {
+        redactions.push({ type: entity.type, segmentIndex: null, start: null, end: null });
+      });
+    }
+
+    return {
+      transcript: { ...transcript, text, segments },
+      redactions
+    };
+  }
+
+  /**
+   * Segments only carry start/end, so place the entity proportionally to its
+   * character offset and pad the range
+   */
+  estimateTimeRange(segment, entity) {
+    if (typeof segment.start !== 'number' || typeof segment.end !== 'number') {
+      return { start: null, end: null };
+    }
+    const duration = segment.end - segment.start;
+    const length = segment.text.length || 1;
+    const start = segment.start + (entity.index / length) * duration - this.audioPadding;
+    const end = segment.start + ((entity.index + entity.length) / length) * duration + this.audioPadding;
+    return {
+      start: Math.max(segment.start, Math.round(start * 100) / 100),
+      end: Math.min(segment.end, Math.round(end * 100) / 100)
+    };
+  }
+
+  /**
+   * Bleep redacted time ranges out of the recording according to REDACTION_AUDIO_MODE
+   * @returns {Promise<string|null>} Path of the bleeped audio, or null when audio is left alone
+   */
+  async redactAudio(filePath, redactions) {
+    const ranges = redactions.filter(redaction => redaction.start !== null && redaction.end > redaction.start);
+    if (this.audioMode === 'off' || ranges.length === 0) return null;
+
+    const ext = path.extname(filePath);
+    const redactedPath = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}-redacted${ext}`);
+    await audioService.bleep(filePath, ranges, redactedPath);
+
+    if (this.audioMode === 'replace') {
+      fs.renameSync(redactedPath, filePath);
+      return filePath;
+    }
+    return redactedPath;
+  }
+
+  /**
+   * Entity counts by type, e.g. { card: 1, phone: 2 }
+   */
+  summarize(redactions) {
+    return redactions.reduce((counts, redaction) => {
+      counts[redaction.type] = (counts[redaction.type] || 0) + 1;
+      return counts;
+    }, {});
+  }
+}
+
+module.exports = new RedactionService();
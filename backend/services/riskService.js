@@ -0,0 +1,127 @@
+const { findPatternSpans } = require('./evidence');
+
+// Customer phrases behind each risk signal
+const RISK_SIGNALS = {
+  supervisorRequest: [
+    /(speak|talk) (to|with) (a|your|the) (supervisor|manager|someone in charge)/i,
+    /(get|put) (me )?(a|your) (supervisor|manager)/i,
+    /escalate (this|it)/i
+  ],
+  legalAction: [
+    /\b(lawyer|attorney|lawsuit|sue you|legal action|small claims)\b/i,
+    /(report|complain)(ing)? (you )?to the (bbb|better business bureau|ftc|cfpb|regulator)/i
+  ],
+  cancelThreat: [
+    /\b(cancel|close|terminate) (my|the) (account|subscription|service|contract|plan)\b/i,
+    /\bi('m| am) (going to|gonna) (cancel|leave|switch)/i,
+    /\bdone with (you|your company|this company)\b/i
+  ],
+  competitorMention: [
+    /\b(switch(ing)?|go(ing)?|mov(e|ing)) to (another|a different|your competitor)/i,
+    /\b(another|other) (provider|company|carrier|bank) (offered|is cheaper|has)/i
+  ],
+  repeatComplaint: [
+    /\b(second|third|fourth|fifth|\d+(st|nd|rd|th)) time (i('ve| have)|calling|i called)/i,
+    /\b(called|complained|contacted you) (before|already|last week|multiple times|several times)/i,
+    /\bstill (not|hasn't|haven't|isn't) (fixed|resolved|working|been)/i
+  ]
+};
+
+// Points each signal adds to a 0-100 risk score
+const RISK_WEIGHTS = {
+  escalation: {
+    supervisorRequest: 45,
+    legalAction: 45,
+    repeatComplaint: 20,
+    negativeCustomer: 20,
+    sentimentDeclined: 10,
+    unresolved: 10
+  },
+  churn: {
+    cancelThreat: 50,
+    competitorMention: 30,
+    repeatComplaint: 20,
+    negativeCustomer: 15,
+    sentimentDeclined: 10,
+    unresolved: 15
+  }
+};
+
+const SIGNAL_REASONS = {
+  supervisorRequest: 'Customer asked for a supervisor',
+  legalAction: 'Customer mentioned legal action or a regulator',
+  cancelThreat: 'Customer threatened to cancel',
+  competitorMention: 'Customer mentioned switching to a competitor',
+  repeatComplaint: 'Customer is repeating a complaint',
+  negativeCustomer: 'Customer sentiment was negative',
+  sentimentDeclined: 'Customer sentiment declined during the call',
+  unresolved: 'Call ended without a resolution'
+};
+
+// Customer sentiment (0-100) below this counts as negative
+const NEGATIVE_CUSTOMER_SENTIMENT = 40;
+
+/**
+ * Scores escalation and churn risk from what the customer said and how the
+ * call went, with the reasons and transcript spans behind each score
+ */
+class RiskService {
+  constructor() {
+    this.thresholds = {
+      escalation: parseInt(process.env.ESCALATION_ALERT_THRESHOLD) || 60,
+      churn: parseInt(process.env.CHURN_ALERT_THRESHOLD) || 60
+    };
+  }
+
+  /**
+   * @param {Array} segments - Transcript segments with `segmentIndex`
+   * @param {Object} context
+   * @param {Object} [context.sentimentBySpeaker] - 0-100 sentiment per speaker
+   * @param {Object} [context.sentimentTimeline] - From buildSentimentTimeline
+   * @param {string} [context.outcome] - Classified outcome of the call
+   */
+  assessCall(segments, { sentimentBySpeaker, sentimentTimeline, outcome } = {}) {
+    const customerSegments = segments.some(segment => segment.speaker === 'customer')
+      ? segments.filter(segment => segment.speaker === 'customer')
+      : segments;
+
+    const signals = {};
+    Object.entries(RISK_SIGNALS).forEach(([signal, patterns]) => {
+      const spans = findPatternSpans(customerSegments, patterns);
+      if (spans.length > 0) signals[signal] = spans;
+    });
+
+    const customerSentiment = sentimentBySpeaker?.customer ?? sentimentBySpeaker?.unknown;
+    if (typeof customerSentiment === 'number' && customerSentiment < NEGATIVE_CUSTOMER_SENTIMENT) {
+      signals.negativeCustomer = sentimentTimeline?.lowestPoint ? [sentimentTimeline.lowestPoint] : [];
+    }
+    if (sentimentTimeline?.trend === 'declined') signals.sentimentDeclined = [];
+    if (outcome === 'unresolved') signals.unresolved = [];
+
+    return {
+      escalation: this.score('escalation', signals),
+      churn: this.score('churn', signals)
+    };
+  }
+
+  score(type, signals) {
+    const reasons = Object.entries(RISK_WEIGHTS[type])
+      .filter(([signal]) => signals[signal])
+      .map(([signal, weight]) => ({
+        signal,
+        reason: SIGNAL_REASONS[signal],
+        weight,
+        spans: signals[signal]
+      }));
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+    return {
+      score,
+      threshold: this.thresholds[type],
+      atRisk: score >= this.thresholds[type],
+      reasons
+    };
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,191 @@
+const { toSpan } = require('./evidence');
+const { CONVERSATION_METRICS, checkPattern } = require('../models/Scorecard');
+
+/**
+ * Scores a call against a QA scorecard (sections → weighted criteria → detection rules)
+ */
+class ScorecardService {
+  /**
+   * @param {Object} scorecard - Scorecard document or plain object
+   * @param {Object} context
+   * @param {Array} context.segments - Diarized transcript segments
+   * @param {Object} context.metrics - Built-in heuristic and conversation dynamics
+   *   metrics from analyzeCall
+   * @param {Object} [context.metricEvidence] - Evidence spans per built-in metric
+   * @param {Object} [context.judgements] - LLM verdicts by criterion key, used in place of
+   *   the criterion's rule: `{ score, passed, reason, matches }`
+   * @param {Object} context.sentimentBySpeaker - 0-100 sentiment per speaker
+   * @param {Object} context.politenessBySpeaker - 0-100 politeness per speaker
+   */
+  scoreCall(scorecard, context) {
+    const autoFailures = [];
+
+    const sections = scorecard.sections.map(section => {
+      const criteria = section.criteria.map(criterion => {
+        const judgement = context.judgements?.[criterion.key];
+        const result = judgement
+          ? { ...judgement, source: 'llm' }
+          : { ...this.evaluateRule(criterion.rule, context), source: 'rule' };
+
+        if (criterion.autoFail && !result.passed) {
+          autoFailures.push({ section: section.key, criterion: criterion.key, name: criterion.name });
+        }
+
+        return {
+          key: criterion.key,
+          name: criterion.name,
+          weight: criterion.weight,
+          autoFail: criterion.autoFail,
+          ...result
+        };
+      });
+
+      return {
+        key: section.key,
+        name: section.name,
+        weight: section.weight,
+        score: this.weightedAverage(criteria),
+        criteria
+      };
+    });
+
+    const weightedScore = this.weightedAverage(sections);
+    const autoFailed = autoFailures.length > 0;
+    const score = autoFailed ? 0 : weightedScore;
+
+    return {
+      scorecardId: scorecard._id,
+      name: scorecard.name,
+      version: scorecard.version,
+      score,
+      weightedScore,
+      passThreshold: scorecard.passThreshold,
+      passed: !autoFailed && score >= scorecard.passThreshold,
+      autoFailed,
+      autoFailures,
+      sections
+    };
+  }
+
+  /**
+   * Evaluate one detection rule
+   * @returns {{score: number, passed: boolean, matches: Array}}
+   */
+  evaluateRule(rule, context) {
+    switch (rule.type) {
+      case 'phrase':
+      case 'regex':
+        return this.evaluateTextRule(rule, context.segments);
+      case 'model':
+        return this.evaluateThreshold(
+          this.getModelScore(rule, context),
+          rule.threshold,
+          context.metricEvidence?.[rule.model === 'politeness' ? 'politeness' : 'sentimentAnalysis'],
+          rule.comparison
+        );
+      case 'metric':
+        return CONVERSATION_METRICS.includes(rule.metric)
+          ? this.evaluateLimit(rule, context)
+          : this.evaluateThreshold(context.metrics?.[rule.metric], rule.threshold, context.metricEvidence?.[rule.metric], rule.comparison);
+      default:
+        throw new Error(`Unknown scorecard rule type: ${rule.type}`);
+    }
+  }
+
+  evaluateTextRule(rule, segments) {
+    // Patterns saved before they were checked are never run; the criterion fails
+    const invalid = rule.type === 'regex' && checkPattern(rule.pattern || '', rule.flags || 'i');
+    if (invalid) {
+      return { score: 0, passed: false, matches: [], error: invalid };
+    }
+
+    const matcher = rule.type === 'regex'
+      ? this.buildRegexMatcher(rule)
+      : this.buildPhraseMatcher(rule);
+
+    const matches = [];
+    segments.forEach((segment, segmentIndex) => {
+      // Segments without speaker labels could be anyone, so they are always checked
+      if (rule.speaker !== 'any' && segment.speaker !== 'unknown' && segment.speaker !== rule.speaker) return;
+
+      const matchedText = matcher(segment.text);
+      if (matchedText) {
+        matches.push(toSpan('segmentIndex' in segment ? segment : { ...segment, segmentIndex }, matchedText));
+      }
+    });
+
+    const minMatches = rule.minMatches || 1;
+    if (rule.prohibited) {
+      return { score: matches.length === 0 ? 100 : 0, passed: matches.length === 0, matches };
+    }
+
+    const score = Math.round(Math.min(1, matches.length / minMatches) * 100);
+    return { score, passed: matches.length >= minMatches, matches };
+  }
+
+  buildPhraseMatcher(rule) {
+    const phrases = (rule.phrases || []).map(phrase => phrase.toLowerCase());
+    return (text) => {
+      const lower = text.toLowerCase();
+      const phrase = phrases.find(p => lower.includes(p));
+      if (!phrase) return null;
+      const index = lower.indexOf(phrase);
+      return text.slice(index, index + phrase.length);
+    };
+  }
+
+  buildRegexMatcher(rule) {
+    const flags = (rule.flags || 'i').replace('g', '');
+    const regex = new RegExp(rule.pattern, flags);
+    return (text) => {
+      const match = text.match(regex);
+      return match ? match[0] : null;
+    };
+  }
+
+  getModelScore(rule, context) {
+    const bySpeaker = rule.model === 'politeness' ? context.politenessBySpeaker : context.sentimentBySpeaker;
+    if (!bySpeaker) return undefined;
+
+    if (rule.speaker === 'any') {
+      const values = Object.values(bySpeaker);
+      return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : undefined;
+    }
+    // Transcripts without speaker labels are scored as a whole
+    return bySpeaker[rule.speaker] ?? bySpeaker.unknown;
+  }
+
+  evaluateThreshold(value, threshold = 70, evidence = [], comparison = 'atLeast') {
+    if (typeof value !== 'number') {
+      return { score: 0, passed: false, matches: [] };
+    }
+    return { score: Math.round(value), passed: this.compare(value, threshold, comparison), matches: evidence };
+  }
+
+  /**
+   * Conversation metrics are not scores, so the criterion scores 100 within the
+   * limit and 0 outside it. Calls without the metric (e.g. no speaker labels) fail.
+   */
+  evaluateLimit(rule, context) {
+    const value = context.metrics?.[rule.metric];
+    if (typeof value !== 'number') {
+      return { score: 0, passed: false, value: null, matches: [] };
+    }
+
+    const passed = this.compare(value, rule.threshold, rule.comparison || 'atMost');
+    return { score: passed ? 100 : 0, passed, value, matches: context.metricEvidence?.[rule.metric] || [] };
+  }
+
+  compare(value, threshold, comparison) {
+    return comparison === 'atMost' ? value <= threshold : value >= threshold;
+  }
+
+  weightedAverage(items) {
+    const totalWeight = items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+    if (totalWeight === 0) return 0;
+    const total = items.reduce((sum, item) => sum + item.score * (item.weight ?? 1), 0);
+    return Math.round(total / totalWeight);
+  }
+}
+
+module.exports = new ScorecardService();
@@ -0,0 +1,102 @@
+const SocketEvent = require('../models/SocketEvent');
+
+/**
+ * Delivers Socket.IO events emitted by dedicated workers.
+ *
+ * Workers hold no sockets, so their `global.io` is an emitter that stores each
+ * event in the capped `socketevents` collection. Every API server follows that
+ * collection with a tailable cursor and emits new events to its own sockets.
+ * Tailable cursors work on a standalone MongoDB, unlike change streams.
+ */
+class SocketRelay {
+  constructor() {
+    this.retryDelay = parseInt(process.env.SOCKET_RELAY_RETRY_DELAY_MS) || 1000;
+    this.following = false;
+    this.cursor = null;
+  }
+
+  /**
+   * An emitter with the `to(room).emit(event, data)` surface of a Socket.IO
+   * server, for processes without sockets
+   */
+  async createEmitter() {
+    // The collection must exist as a capped collection before anything is written
+    await SocketEvent.init();
+
+    const target = (rooms) => ({
+      to: (room) => target([...rooms, ...[].concat(room)]),
+      emit: (event, data) => {
+        this.publish(rooms, event, data)
+          .catch(error => console.error(`❌ Relaying ${event} failed:`, error.message));
+        return true;
+      }
+    });
+
+    return { to: (room) => target([].concat(room)) };
+  }
+
+  async publish(rooms, event, data) {
+    // An empty room list would broadcast to every socket
+    if (rooms.length === 0) return;
+
+    // Stored as Socket.IO would serialize it: documents, ids and dates become JSON
+    await SocketEvent.create({ rooms, event, data: JSON.parse(JSON.stringify(data ?? null)) });
+  }
+
+  /**
+   * Emit events relayed by workers to this server's sockets
+   * @param {Object} io - The Socket.IO server
+   */
+  async start(io) {
+    if (this.following) return;
+
+    await SocketEvent.init();
+    this.following = true;
+
+    let since = new Date();
+    let lastId = null;
+
+    this.loop = (async () => {
+      while (this.following) {
+        try {
+          // A tailable cursor closes at once when nothing matches, so each cursor
+          // starts at an event of its own; events without rooms are never emitted
+          await SocketEvent.create({ rooms: [], event: 'relay-anchor', createdAt: since });
+
+          this.cursor = SocketEvent.collection.find(
+            { createdAt: { $gte: since } },
+            { tailable: true, awaitData: true }
+          );
+
+          for await (const event of this.cursor) {
+            if (lastId && event._id.equals(lastId)) continue;
+            since = event.createdAt;
+            lastId = event._id;
+
+            if (event.rooms.length > 0) {
+              io.to(event.rooms).emit(event.event, event.data);
+            }
+          }
+        } catch (error) {
+          if (this.following) {
+            console.warn('⚠️ Socket relay cursor closed:', error.message);
+          }
+        }
+
+        if (this.following) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+        }
+      }
+    })();
+
+    console.log('📡 Relaying worker events to sockets');
+  }
+
+  async stop() {
+    this.following = false;
+    await this.cursor?.close();
+    await this.loop;
+  }
+}
+
+module.exports = new SocketRelay();
@@ -0,0 +1,212 @@
+const Call = require('../models/Call');
+const { BUILT_IN_METRICS } = require('../models/Scorecard');
+
+const METRICS = ['overallScore', ...BUILT_IN_METRICS, 'complianceScore'];
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+const average = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+// Linear interpolation between closest ranks; `sorted` is ascending
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const metricValue = (call, metric) => {
+  const value = metric === 'overallScore'
+    ? call.analysis?.overallScore
+    : metric === 'complianceScore'
+      ? call.analysis?.compliance?.score
+      : call.analysis?.metrics?.[metric];
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Team- and organization-level call analytics: per-agent breakdowns, group
+ * averages and percentiles per metric, agent rankings and agent-versus-team
+ * comparisons.
+ *
+ * Callers pass the agents to report on and a call filter from the access
+ * policy, so nothing outside the caller's scope is ever counted.
+ */
+class TeamAnalyticsService {
+  constructor() {
+    // Agents with fewer analyzed calls in the period are listed but not ranked
+    this.minRankedCalls = parseInt(process.env.TEAM_ANALYTICS_MIN_CALLS) || 3;
+    this.maxCalls = parseInt(process.env.TEAM_ANALYTICS_MAX_CALLS) || 10000;
+  }
+
+  /**
+   * Analyzed calls of `agents` matching `scopeFilter` in the period
+   */
+  async getCalls(scopeFilter, agents, { startDate, endDate }) {
+    return Call.find({
+      $and: [scopeFilter, { user: { $in: agents.map(agent => agent._id) } }],
+      createdAt: { $gte: startDate, $lt: endDate },
+      'analysis.overallScore': { $ne: null }
+    })
+      .sort({ createdAt: -1 })
+      .limit(this.maxCalls)
+      .select('user duration analysis.overallScore analysis.metrics analysis.compliance')
+      .lean();
+  }
+
+  /**
+   * Call count, averages and percentiles per metric over a set of calls
+   */
+  summarize(calls) {
+    const averages = {};
+    const percentiles = {};
+
+    METRICS.forEach(metric => {
+      const values = calls.map(call => metricValue(call, metric)).filter(value => value !== null);
+      if (values.length === 0) return;
+
+      const sorted = values.sort((a, b) => a - b);
+      averages[metric] = round(average(sorted));
+      percentiles[metric] = Object.fromEntries(
+        PERCENTILES.map(p => [`p${p}`, round(percentile(sorted, p))])
+      );
+    });
+
+    const checked = calls.filter(call => call.analysis?.compliance);
+
+    return {
+      calls: calls.length,
+      totalDuration: calls.reduce((sum, call) => sum + (call.duration || 0), 0),
+      compliancePassRate: checked.length > 0
+        ? round(checked.filter(call => call.analysis.compliance.passed).length / checked.length * 100)
+        : null,
+      averages,
+      percentiles
+    };
+  }
+
+  /**
+   * Per-agent summaries, ranked by average overall score. Agents below
+   * minRankedCalls get `rank: null` and are listed after the ranked ones.
+   */
+  breakdownByAgent(calls, agents) {
+    const byAgent = new Map(agents.map(agent => [agent._id.toString(), []]));
+    calls.forEach(call => byAgent.get(call.user.toString())?.push(call));
+
+    const rows = agents.map(agent => {
+      const { percentiles, ...summary } = this.summarize(byAgent.get(agent._id.toString()));
+      return {
+        agent: { _id: agent._id, name: agent.name, email: agent.email, team: agent.team },
+        ...summary,
+        rank: null
+      };
+    });
+
+    const ranked = rows
+      .filter(row => row.calls >= this.minRankedCalls)
+      .sort((a, b) => b.averages.overallScore - a.averages.overallScore);
+    ranked.forEach((row, index) => {
+      row.rank = index + 1;
+    });
+
+    const unranked = rows
+      .filter(row => row.rank === null)
+      .sort((a, b) => a.agent.name.localeCompare(b.agent.name));
+
+    return [...ranked, ...unranked];
+  }
+
+  /**
+   * Full analytics for a group of agents
+   * @param {Object} scopeFilter - accessService.callFilter(scope)
+   * @param {Array} agents - Users with _id, name, email and team
+   * @param {Object} range - Period from analyticsPeriod.parsePeriod
+   * @param {Object} [options]
+   * @param {Array} [options.teams] - Also summarize each of these teams
+   */
+  async analyze(scopeFilter, agents, range, { teams } = {}) {
+    const calls = await this.getCalls(scopeFilter, agents, range);
+    const agentRows = this.breakdownByAgent(calls, agents);
+
+    return {
+      period: range.period,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      ...this.summarize(calls),
+      agents: agentRows,
+      rankedAgents: agentRows.filter(row => row.rank !== null).length,
+      ...(teams && { teams: this.breakdownByTeam(calls, agents, teams) }),
+      truncated: calls.length === this.maxCalls
+    };
+  }
+
+  /**
+   * Summaries per team for an organization's analytics
+   */
+  breakdownByTeam(calls, agents, teams) {
+    const teamOf = new Map(agents.map(agent => [agent._id.toString(), agent.team?.toString()]));
+
+    return teams.map(team => {
+      const teamCalls = calls.filter(call => teamOf.get(call.user.toString()) === team._id.toString());
+      const { percentiles, ...summary } = this.summarize(teamCalls);
+      return {
+        team: { _id: team._id, name: team.name },
+        agents: agents.filter(agent => agent.team?.equals(team._id)).length,
+        ...summary
+      };
+    });
+  }
+
+  /**
+   * An agent's averages against the team baseline: the difference per metric
+   * and the share of the team's agents the agent scores at or above
+   */
+  compare(analytics, agentId) {
+    const row = analytics.agents.find(entry => entry.agent._id.equals(agentId));
+    if (!row) return null;
+
+    const others = analytics.agents.filter(entry => entry !== row && entry.calls > 0);
+
+    const metrics = METRICS.flatMap(metric => {
+      const agentValue = row.averages[metric];
+      const teamValue = analytics.averages[metric];
+      if (agentValue === undefined || teamValue === undefined) return [];
+
+      const peers = others.map(entry => entry.averages[metric]).filter(value => value !== undefined);
+      return [{
+        metric,
+        agent: agentValue,
+        team: teamValue,
+        difference: round(agentValue - teamValue),
+        teamPercentiles: analytics.percentiles[metric],
+        percentileRank: peers.length > 0
+          ? Math.round(peers.filter(value => value <= agentValue).length / peers.length * 100)
+          : null
+      }];
+    });
+
+    return {
+      agent: row.agent,
+      period: analytics.period,
+      startDate: analytics.startDate,
+      endDate: analytics.endDate,
+      calls: row.calls,
+      teamCalls: analytics.calls,
+      rank: row.rank,
+      rankedAgents: analytics.rankedAgents,
+      compliancePassRate: row.compliancePassRate,
+      teamCompliancePassRate: analytics.compliancePassRate,
+      metrics,
+      strengths: metrics.filter(entry => entry.difference > 0).map(entry => entry.metric),
+      gaps: metrics.filter(entry => entry.difference < 0).map(entry => entry.metric)
+    };
+  }
+}
+
+module.exports = new TeamAnalyticsService();
+module.exports.METRICS = METRICS;
+module.exports.metricValue = metricValue;
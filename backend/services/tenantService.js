@@ -0,0 +1,180 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const Tenant = require('../models/Tenant');
+const Call = require('../models/Call');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const Alert = require('../models/Alert');
+const QuizAttempt = require('../models/QuizAttempt');
+const CoachingSession = require('../models/CoachingSession');
+const Job = require('../models/Job');
+const jobQueue = require('./jobQueue');
+
+const RETENTION_JOB = 'enforce-retention';
+
+const DEFAULT_AUDIO_TYPES = ['audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/m4a', 'audio/wave'];
+
+/**
+ * Tenant configuration and the tenant context requests and jobs run in.
+ *
+ * Requests (see `protect`) and call processing jobs run inside the context
+ * of their tenant, so provider clients pick up the tenant's own tokens
+ * without threading them through every call. Uploads are stored under
+ * UPLOAD_PATH/<tenant id>. A daily job deletes calls past each tenant's
+ * retention period.
+ */
+class TenantService {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    this.uploadRoot = process.env.UPLOAD_PATH
+      ? path.resolve(process.env.UPLOAD_PATH)
+      : path.join(__dirname, '../uploads');
+    this.platformAdminEmails = (process.env.PLATFORM_ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    this.retentionInterval = parseInt(process.env.RETENTION_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Platform admins create and suspend tenants; they can't read tenant data
+   */
+  isPlatformAdmin(user) {
+    return user.role === 'admin' && this.platformAdminEmails.includes(user.email?.toLowerCase());
+  }
+
+  /**
+   * Run `fn` in a tenant's context
+   */
+  run(tenantId, fn) {
+    return this.context.run({ tenantId, tokens: null }, fn);
+  }
+
+  /**
+   * The current tenant's token for a provider, or `fallback` (the server-wide
+   * token) when the tenant has none or there is no tenant context
+   */
+  async providerToken(name, fallback) {
+    const store = this.context.getStore();
+    if (!store?.tenantId) return fallback;
+
+    // Loaded once per request or job, and only when a provider is called
+    if (!store.tokens) {
+      store.tokens = Tenant.findById(store.tenantId)
+        .select(Tenant.PROVIDER_TOKEN_FIELDS.map(field => `+providerTokens.${field}`).join(' '))
+        .lean()
+        .then(tenant => tenant?.providerTokens || {});
+    }
+
+    return (await store.tokens)[name] || fallback;
+  }
+
+  getUploadDir(tenantId) {
+    return path.join(this.uploadRoot, tenantId.toString());
+  }
+
+  getAllowedAudioTypes(tenant) {
+    if (tenant?.settings?.allowedAudioTypes?.length > 0) return tenant.settings.allowedAudioTypes;
+    return process.env.ALLOWED_AUDIO_TYPES?.split(',') || DEFAULT_AUDIO_TYPES;
+  }
+
+  getMaxFileSize(tenant) {
+    if (tenant?.settings?.maxFileSizeMB) return tenant.settings.maxFileSizeMB * 1024 * 1024;
+    return parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+  }
+
+  /**
+   * Queue the retention job unless one is already waiting
+   */
+  async scheduleRetention(runAt = new Date()) {
+    const pending = await Job.exists({ type: RETENTION_JOB, status: { $in: ['queued', 'running'] } });
+    if (!pending) {
+      // Each run schedules the next one, so queue retries would only duplicate it
+      await jobQueue.enqueue(RETENTION_JOB, {}, { runAt, maxAttempts: 1 });
+    }
+  }
+
+  /**
+   * Job handler: delete calls older than their tenant's retention period,
+   * then schedule the next run, even when this one failed
+   */
+  async enforceRetention() {
+    try {
+      const tenants = await Tenant.find({ 'settings.retentionDays': { $gte: 1 } }).select('name settings.retentionDays');
+      const failed = [];
+
+      // One tenant's failure doesn't hold back the others
+      for (const tenant of tenants) {
+        try {
+          await this.deleteExpiredCalls(tenant);
+        } catch (error) {
+          console.error(`❌ Retention failed for ${tenant.name}:`, error.message);
+          failed.push(tenant.name);
+        }
+      }
+
+      if (failed.length > 0) {
+        throw new Error(`Retention failed for ${failed.join(', ')}`);
+      }
+    } finally {
+      await jobQueue.enqueue(RETENTION_JOB, {}, {
+        runAt: new Date(Date.now() + this.retentionInterval),
+        maxAttempts: 1
+      });
+    }
+  }
+
+  /**
+   * Delete a tenant's calls past its retention period
+   */
+  async deleteExpiredCalls(tenant) {
+    const cutoff = new Date(Date.now() - tenant.settings.retentionDays * 24 * 60 * 60 * 1000);
+    const calls = await Call.find({ tenant: tenant._id, createdAt: { $lt: cutoff } })
+      .select('filePath redaction.audioPath');
+
+    if (calls.length === 0) return;
+
+    await this.deleteCalls(calls);
+
+    console.log(`🗑️ Retention: deleted ${calls.length} call(s) older than ${tenant.settings.retentionDays} days for ${tenant.name}`);
+  }
+
+  /**
+   * Delete calls with their audio and everything that references them.
+   * Manual deletes and retention both go through here so neither leaves
+   * versions, alerts, quiz attempts, sessions or pending jobs behind.
+   */
+  async deleteCalls(calls) {
+    calls.forEach(call => {
+      [call.filePath, call.redaction?.audioPath].forEach(filePath => {
+        if (filePath && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    });
+
+    const callIds = calls.map(call => call._id);
+    await Job.deleteMany({ call: { $in: callIds }, status: { $in: ['queued', 'running'] } });
+    await AnalysisVersion.deleteMany({ call: { $in: callIds } });
+    await Alert.deleteMany({ call: { $in: callIds } });
+    await QuizAttempt.deleteMany({ call: { $in: callIds } });
+
+    // Sessions keep their other calls; those left with none go too
+    const sessionIds = await CoachingSession.find({ calls: { $in: callIds } }).distinct('_id');
+    await CoachingSession.updateMany(
+      { _id: { $in: sessionIds } },
+      { $pull: { calls: { $in: callIds } } }
+    );
+    await CoachingSession.updateMany(
+      { 'items.call': { $in: callIds } },
+      { $unset: { 'items.$[item].call': '' } },
+      { arrayFilters: [{ 'item.call': { $in: callIds } }] }
+    );
+    await CoachingSession.deleteMany({ _id: { $in: sessionIds }, calls: { $size: 0 } });
+
+    await Call.deleteMany({ _id: { $in: callIds } });
+  }
+}
+
+module.exports = new TenantService();
+module.exports.RETENTION_JOB = RETENTION_JOB;
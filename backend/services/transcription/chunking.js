@@ -0,0 +1,75 @@
+/**
+ * Split a recording of `duration` seconds into overlapping chunks
+ * @returns {Array<{index: number, start: number, length: number}>}
+ */
+const planChunks = (duration, chunkSeconds, overlapSeconds) => {
+  const chunks = [];
+  const step = chunkSeconds - overlapSeconds;
+
+  for (let start = 0; start < duration; start += step) {
+    chunks.push({
+      index: chunks.length,
+      start,
+      length: Math.min(chunkSeconds, duration - start)
+    });
+
+    if (start + chunkSeconds >= duration) break;
+  }
+
+  return chunks;
+};
+
+/**
+ * Stitch per-chunk transcripts into one list of segments on the recording's timeline.
+ *
+ * Segment times are shifted by each chunk's offset. Inside an overlap the
+ * earlier chunk keeps segments centred before the midpoint of the overlap and
+ * the later chunk keeps the rest, so words in the overlap are kept exactly once.
+ *
+ * @param {Array<{start: number, segments: Array}>} chunkTranscripts - In chunk order
+ * @param {number} overlapSeconds
+ */
+const stitchSegments = (chunkTranscripts, overlapSeconds) => {
+  const stitched = [];
+
+  chunkTranscripts.forEach((chunk, index) => {
+    const next = chunkTranscripts[index + 1];
+    const lowerBound = index > 0 ? chunk.start + overlapSeconds / 2 : -Infinity;
+    const upperBound = next ? next.start + overlapSeconds / 2 : Infinity;
+
+    chunk.segments.forEach(segment => {
+      const shifted = {
+        ...segment,
+        start: Math.round((segment.start + chunk.start) * 100) / 100,
+        end: Math.round((segment.end + chunk.start) * 100) / 100
+      };
+      const midpoint = (shifted.start + shifted.end) / 2;
+
+      if (midpoint >= lowerBound && midpoint < upperBound) {
+        stitched.push(shifted);
+      }
+    });
+  });
+
+  return stitched;
+};
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight, keeping result order
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+module.exports = { planChunks, stitchSegments, mapWithConcurrency };
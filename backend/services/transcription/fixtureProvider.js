@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+// Speaking rate used to give plain-text fixtures deterministic timestamps
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Deterministic transcription from sidecar transcript files, for tests and
+ * offline demos
+ *
+ * For an upload `calls/billing.mp3` the provider looks for, in order:
+ *   calls/billing.mp3.transcript.json, calls/billing.json, calls/billing.txt,
+ *   then <TRANSCRIPTION_FIXTURES_DIR>/<original name>.json|.txt and
+ *   <TRANSCRIPTION_FIXTURES_DIR>/default.json|.txt
+ *
+ * JSON fixtures use the transcript shape stored on calls. Text fixtures hold
+ * one utterance per line, optionally prefixed with "Agent:" or "Customer:".
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    // Fixtures describe the whole call, so chunks must never be transcribed separately
+    this.supportsChunking = false;
+    this.fixturesDir = options.fixturesDir || process.env.TRANSCRIPTION_FIXTURES_DIR ||
+      path.join(__dirname, '../../tests/fixtures/transcripts');
+  }
+
+  async transcribe(filePath, options = {}) {
+    const fixturePath = this.findFixture(filePath, options.originalName);
+    if (!fixturePath) {
+      throw new Error(`No transcript fixture found for ${path.basename(filePath)}`);
+    }
+
+    const contents = fs.readFileSync(fixturePath, 'utf8');
+    if (fixturePath.endsWith('.json')) {
+      return JSON.parse(contents);
+    }
+    return this.parseText(contents);
+  }
+
+  findFixture(filePath, originalName) {
+    const { dir, name } = path.parse(filePath);
+    const candidates = [
+      `${filePath}.transcript.json`,
+      path.join(dir, `${name}.json`),
+      path.join(dir, `${name}.txt`)
+    ];
+
+    if (originalName) {
+      const originalBase = path.parse(originalName).name;
+      candidates.push(
+        path.join(this.fixturesDir, `${originalBase}.json`),
+        path.join(this.fixturesDir, `${originalBase}.txt`)
+      );
+    }
+
+    candidates.push(
+      path.join(this.fixturesDir, 'default.json'),
+      path.join(this.fixturesDir, 'default.txt')
+    );
+
+    return candidates.find(candidate => fs.existsSync(candidate));
+  }
+
+  parseText(contents) {
+    let offset = 0;
+    const segments = contents
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => {
+        const match = line.match(/^(agent|customer)\s*:\s*(.*)$/i);
+        const text = match ? match[2] : line;
+        const length = text.split(/\s+/).length / WORDS_PER_SECOND;
+        const segment = {
+          start: offset,
+          end: Math.round((offset + length) * 100) / 100,
+          text,
+          ...(match && { speaker: match[1].toLowerCase() })
+        };
+        offset = segment.end;
+        return segment;
+      });
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      segments,
+      language: 'en',
+      confidence: 1
+    };
+  }
+}
+
+module.exports = FixtureProvider;
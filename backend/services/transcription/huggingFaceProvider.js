@@ -0,0 +1,54 @@
+const fs = require('fs');
+const axios = require('axios');
+const tenantService = require('../tenantService');
+
+/**
+ * Transcription through the Hugging Face Inference API (whisper-large-v3)
+ */
+class HuggingFaceProvider {
+  constructor(options = {}) {
+    this.name = 'huggingface';
+    this.token = options.token || process.env.HUGGINGFACE_TOKEN || '';
+    this.model = options.model || process.env.HUGGINGFACE_WHISPER_MODEL || 'openai/whisper-large-v3';
+    this.timeout = options.timeout || parseInt(process.env.HUGGINGFACE_TIMEOUT_MS) || 30000;
+  }
+
+  async transcribe(filePath) {
+    const audioBuffer = fs.readFileSync(filePath);
+    const token = await tenantService.providerToken('huggingFace', this.token);
+
+    try {
+      const response = await axios.post(
+        `https://api-inference.huggingface.co/models/${this.model}`,
+        {
+          inputs: audioBuffer.toString('base64'),
+          parameters: { return_timestamps: true }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          timeout: this.timeout
+        }
+      );
+
+      const segments = (response.data.chunks || []).map(chunk => ({
+        start: chunk.timestamp[0],
+        // The final chunk can come back open-ended
+        end: chunk.timestamp[1] ?? chunk.timestamp[0],
+        text: chunk.text.trim()
+      }));
+
+      return {
+        text: response.data.text,
+        segments
+      };
+    } catch (error) {
+      throw new Error(error.response?.status === 404 ? 'Model not found' : 'Service unavailable');
+    }
+  }
+}
+
+module.exports = HuggingFaceProvider;
@@ -0,0 +1,61 @@
+const HuggingFaceProvider = require('./huggingFaceProvider');
+const OpenAIWhisperProvider = require('./openAIWhisperProvider');
+const LocalWhisperProvider = require('./localWhisperProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  huggingface: HuggingFaceProvider,
+  openai: OpenAIWhisperProvider,
+  local: LocalWhisperProvider,
+  fixture: FixtureProvider
+};
+
+const instances = new Map();
+
+/**
+ * Get the transcription provider selected by name or TRANSCRIPTION_PROVIDER.
+ *
+ * Every provider exposes `name` and `transcribe(filePath, options)`, resolving
+ * to `{ text, segments, language, duration, confidence }`. Providers that must
+ * see the whole recording set `supportsChunking = false`.
+ */
+const getTranscriptionProvider = (name = process.env.TRANSCRIPTION_PROVIDER || 'huggingface') => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Provider());
+  }
+  return instances.get(name);
+};
+
+/**
+ * Fill in fields a provider may leave out so every transcript has the same shape
+ */
+const normalizeTranscript = (transcript) => {
+  let segments = (transcript.segments || []).filter(segment => segment.text);
+  const text = transcript.text || segments.map(segment => segment.text).join(' ');
+
+  // Providers that return no timestamps get the whole text as one segment
+  if (segments.length === 0 && text) {
+    segments = [{ start: 0, end: transcript.duration || 0, text }];
+  }
+  const segmentConfidences = segments
+    .map(segment => segment.confidence)
+    .filter(confidence => typeof confidence === 'number');
+
+  return {
+    text,
+    segments,
+    // Left empty when the provider does not say; languageService detects it from the text
+    language: transcript.language || null,
+    duration: transcript.duration || (segments.length > 0 ? segments[segments.length - 1].end : 0),
+    confidence: transcript.confidence ?? (segmentConfidences.length > 0
+      ? segmentConfidences.reduce((sum, c) => sum + c, 0) / segmentConfidences.length
+      : undefined)
+  };
+};
+
+module.exports = { getTranscriptionProvider, normalizeTranscript, PROVIDERS };
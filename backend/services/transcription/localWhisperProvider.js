@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Transcription with a locally installed whisper.cpp or faster-whisper CLI,
+ * for air-gapped deployments
+ *
+ * whisper.cpp expects 16 kHz WAV input; faster-whisper (whisper-ctranslate2)
+ * accepts any format ffmpeg can decode.
+ */
+class LocalWhisperProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.engine = options.engine || process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp';
+    this.command = options.command || process.env.LOCAL_WHISPER_COMMAND ||
+      (this.engine === 'whisper.cpp' ? 'whisper-cli' : 'whisper-ctranslate2');
+    this.model = options.model || process.env.LOCAL_WHISPER_MODEL;
+    this.timeout = options.timeout || parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS) || 30 * 60 * 1000;
+  }
+
+  async transcribe(filePath) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-whisper-'));
+
+    try {
+      if (this.engine === 'whisper.cpp') {
+        return await this.runWhisperCpp(filePath, outputDir);
+      }
+      return await this.runFasterWhisper(filePath, outputDir);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  async runWhisperCpp(filePath, outputDir) {
+    const outputPrefix = path.join(outputDir, 'transcript');
+    const args = ['-f', filePath, '-oj', '-of', outputPrefix, '-l', 'auto'];
+    if (this.model) args.push('-m', this.model);
+
+    await execFileAsync(this.command, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 });
+
+    const result = JSON.parse(fs.readFileSync(`${outputPrefix}.json`, 'utf8'));
+    const segments = (result.transcription || []).map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim()
+    }));
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      segments,
+      language: result.result?.language
+    };
+  }
+
+  async runFasterWhisper(filePath, outputDir) {
+    const args = [filePath, '--output_format', 'json', '--output_dir', outputDir];
+    if (this.model) args.push('--model', this.model);
+
+    await execFileAsync(this.command, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 });
+
+    const outputFile = path.join(outputDir, `${path.parse(filePath).name}.json`);
+    const result = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+    const segments = (result.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim()
+    }));
+
+    return {
+      text: result.text ? result.text.trim() : segments.map(segment => segment.text).join(' '),
+      segments,
+      language: result.language
+    };
+  }
+}
+
+module.exports = LocalWhisperProvider;
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const tenantService = require('../tenantService');
+
+// The API reports the detected language by name rather than ISO code
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  dutch: 'nl',
+  hindi: 'hi'
+};
+
+/**
+ * Transcription through the OpenAI Whisper API
+ */
+class OpenAIWhisperProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.OPENAI_WHISPER_MODEL || 'whisper-1';
+    this.timeout = options.timeout || 120000;
+  }
+
+  async transcribe(filePath) {
+    const apiKey = await tenantService.providerToken('openai', this.apiKey);
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+
+    const client = new OpenAI({ apiKey, timeout: this.timeout });
+    const result = await client.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: this.model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment']
+    });
+
+    const segments = (result.segments || []).map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+      // avg_logprob is the mean token log probability, so exp() gives a 0-1 confidence
+      confidence: Math.exp(segment.avg_logprob)
+    }));
+
+    return {
+      text: result.text,
+      segments,
+      language: LANGUAGE_CODES[result.language] || result.language,
+      duration: result.duration
+    };
+  }
+}
+
+module.exports = OpenAIWhisperProvider;
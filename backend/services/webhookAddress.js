@@ -0,0 +1,87 @@
+// Which webhook URLs tenants may send alerts to. Webhooks are POSTed from
+// inside our network, so they must be https and reach only public hosts.
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_HOST = 'WEBHOOK_HOST_BLOCKED';
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+// Names that only resolve inside a network
+const PRIVATE_NAMES = /(^|\.)(localhost|local|internal)$/;
+
+/**
+ * Whether an IP address is one a webhook must not reach. IPv4-mapped IPv6
+ * addresses are checked against the IPv4 ranges.
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Why a webhook URL is not allowed, or null when it is. Checks the URL as
+ * written; names are resolved again on every delivery (see webhookAgent).
+ */
+const checkWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `${value} is not a valid URL`;
+  }
+
+  if (url.protocol !== 'https:') {
+    return `Webhook URLs must use https: ${value}`;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (PRIVATE_NAMES.test(host) || isPrivateAddress(host)) {
+    return `Webhook URLs must point to a public host: ${value}`;
+  }
+
+  return null;
+};
+
+/**
+ * dns.lookup that refuses names resolving to a private address. The agent
+ * uses it for the connection itself, so a name can't pass a check and then
+ * resolve somewhere else.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      blockedError.code = BLOCKED_HOST;
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const webhookAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+module.exports = {
+  isPrivateAddress,
+  checkWebhookUrl,
+  lookupPublicAddress,
+  webhookAgent,
+  BLOCKED_HOST
+};
@@ -1,78 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services read their configuration when first required
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-uploads-'));
+
+// Hosted models are unreachable in tests, so every service takes its local fallback
+jest.mock('axios', () => {
+  const unreachable = jest.fn(() => Promise.reject(new Error('Network access disabled in tests')));
+  return { post: unreachable, get: unreachable, request: unreachable };
+});
+
 const request = require('supertest');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/db');
 const app = require('../server');
+const Tenant = require('../models/Tenant');
 const User = require('../models/User');
 const Call = require('../models/Call');
-const jwt = require('jsonwebtoken');
+const Job = require('../models/Job');
+
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'omind_ai_fallback_jwt_secret_2024');
 
 describe('OMIND.AI API Tests', () => {
-  let authToken;
+  let tenant;
   let testUser;
+  let authToken;
   let testCall;
 
-  beforeAll(async () => {
-    // Connect to test database
-    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/omind_test');
-  });
+  beforeAll(db.connect);
 
   afterAll(async () => {
-    await mongoose.connection.close();
+    await db.disconnect();
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
   });
 
   beforeEach(async () => {
-    // Clear test data
-    await User.deleteMany({});
-    await Call.deleteMany({});
+    await Promise.all([Tenant, User, Call, Job].map(Model => Model.deleteMany({})));
 
-    // Create test user
-    testUser = new User({
+    tenant = await Tenant.create({
+      name: 'Tenant A',
+      slug: 'tenant-a',
+      settings: { allowSelfRegistration: true, maxFileSizeMB: 1 }
+    });
+
+    testUser = await User.create({
       name: 'Test User',
       email: 'test@example.com',
-      password: 'password123'
+      password: 'password123',
+      tenant: tenant._id
     });
-    await testUser.save();
-
-    // Generate auth token
-    authToken = jwt.sign({ userId: testUser._id }, process.env.JWT_SECRET || 'test-secret');
+    authToken = tokenFor(testUser);
 
-    // Create test call
-    testCall = new Call({
-      userId: testUser._id,
-      filename: 'test-audio.mp3',
+    testCall = await Call.create({
+      user: testUser._id,
+      tenant: tenant._id,
+      fileName: 'test-audio.mp3',
       originalName: 'test-audio.mp3',
-      size: 1024000,
+      filePath: '/tmp/test-audio.mp3',
+      fileSize: 1024000,
+      mimeType: 'audio/mpeg',
       status: 'completed',
-      duration: 180,
-      transcript: 'Hello, this is a test call.',
+      transcript: { text: 'Hello, this is a test call.', duration: 180 },
       analysis: {
-        callOpening: 85,
-        issueUnderstanding: 92,
-        sentimentAnalysis: {
-          agent: 88,
-          customer: 75
-        },
-        csatScore: 82,
-        resolutionQuality: 90,
-        overallScore: 87.2
+        overallScore: 87,
+        metrics: {
+          callOpening: 85,
+          issueUnderstanding: 92,
+          sentimentAnalysis: 80,
+          csatScore: 82,
+          resolutionQuality: 90
+        }
+      },
+      coachingPlan: {
+        generated: true,
+        feedback: 'Strong opening.',
+        recommendations: JSON.stringify([{ title: 'Confirm the resolution' }]),
+        quiz: JSON.stringify([])
       }
     });
-    await testCall.save();
   });
 
   describe('Authentication Endpoints', () => {
-    test('POST /api/auth/register - should register a new user', async () => {
+    test('POST /api/auth/register - should register a new agent in the tenant', async () => {
       const response = await request(app)
         .post('/api/auth/register')
         .send({
           name: 'New User',
           email: 'newuser@example.com',
-          password: 'password123'
+          password: 'password123',
+          tenant: 'tenant-a'
         });
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.user).toHaveProperty('_id');
-      expect(response.body.data.user.email).toBe('newuser@example.com');
+      expect(response.body.data).toHaveProperty('_id');
+      expect(response.body.data.email).toBe('newuser@example.com');
+      expect(response.body.data.role).toBe('agent');
       expect(response.body.data).toHaveProperty('token');
     });
 
@@ -86,10 +111,21 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.user.email).toBe('test@example.com');
+      expect(response.body.data.email).toBe('test@example.com');
       expect(response.body.data).toHaveProperty('token');
     });
 
+    test('POST /api/auth/login - should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test@example.com',
+          password: 'wrong-password'
+        });
+
+      expect(response.status).toBe(401);
+    });
+
     test('POST /api/auth/demo-login - should allow demo login', async () => {
       const response = await request(app)
         .post('/api/auth/demo-login')
@@ -109,7 +145,8 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.user.email).toBe('test@example.com');
+      expect(response.body.data.email).toBe('test@example.com');
+      expect(response.body.data).not.toHaveProperty('password');
     });
 
     test('PUT /api/auth/profile - should update user profile', async () => {
@@ -118,26 +155,31 @@ describe('OMIND.AI API Tests', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .send({
           name: 'Updated Name',
-          email: 'updated@example.com'
+          department: 'Billing'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.user.name).toBe('Updated Name');
+      expect(response.body.data.name).toBe('Updated Name');
+      expect(response.body.data.department).toBe('Billing');
     });
   });
 
   describe('Call Management Endpoints', () => {
-    test('POST /api/calls/upload - should upload audio file', async () => {
+    test('POST /api/calls/upload - should upload audio file and queue processing', async () => {
       const response = await request(app)
         .post('/api/calls/upload')
         .set('Authorization', `Bearer ${authToken}`)
-        .attach('audioFile', Buffer.from('fake audio data'), 'test-audio.mp3');
+        .attach('audio', Buffer.from('fake audio data'), { filename: 'test-audio.mp3', contentType: 'audio/mpeg' });
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.call).toHaveProperty('_id');
-      expect(response.body.data.call.status).toBe('uploaded');
+      expect(response.body.data).toHaveProperty('callId');
+      expect(response.body.data.status).toBe('uploaded');
+
+      const job = await Job.findOne({ call: response.body.data.callId });
+      expect(job.type).toBe('process-call');
+      expect(job.status).toBe('queued');
     });
 
     test('GET /api/calls - should get all calls for user', async () => {
@@ -147,8 +189,9 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.calls).toHaveLength(1);
-      expect(response.body.data.calls[0].filename).toBe('test-audio.mp3');
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].originalName).toBe('test-audio.mp3');
+      expect(response.body.pagination.total).toBe(1);
     });
 
     test('GET /api/calls/:id - should get specific call', async () => {
@@ -158,7 +201,7 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.call._id).toBe(testCall._id.toString());
+      expect(response.body.data._id).toBe(testCall._id.toString());
     });
 
     test('GET /api/calls/:id/analysis - should get call analysis', async () => {
@@ -168,8 +211,8 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.analysis).toHaveProperty('callOpening');
-      expect(response.body.data.analysis.overallScore).toBe(87.2);
+      expect(response.body.data.analysis.metrics).toHaveProperty('callOpening', 85);
+      expect(response.body.data.analysis.overallScore).toBe(87);
     });
 
     test('GET /api/calls/:id/coaching - should get coaching plan', async () => {
@@ -179,7 +222,7 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.coachingPlan).toHaveProperty('recommendations');
+      expect(response.body.data.coachingPlan.recommendations).toEqual([{ title: 'Confirm the resolution' }]);
     });
 
     test('GET /api/calls/stats - should get call statistics', async () => {
@@ -189,8 +232,8 @@ describe('OMIND.AI API Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.stats).toHaveProperty('totalCalls');
-      expect(response.body.data.stats.totalCalls).toBe(1);
+      expect(response.body.data.summary).toHaveProperty('totalCalls');
+      expect(response.body.data.summary.totalCalls).toBe(1);
     });
   });
 
@@ -200,12 +243,13 @@ describe('OMIND.AI API Tests', () => {
         .post('/api/analysis/transcribe')
         .set('Authorization', `Bearer ${authToken}`)
         .send({
-          callId: testCall._id
+          audioUrl: 'https://example.com/test-audio.mp3'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toHaveProperty('transcript');
+      expect(response.body.data).toHaveProperty('text');
+      expect(response.body.data.segments.length).toBeGreaterThan(0);
     });
 
     test('POST /api/analysis/analyze - should analyze transcript', async () => {
@@ -213,36 +257,32 @@ describe('OMIND.AI API Tests', () => {
         .post('/api/analysis/analyze')
         .set('Authorization', `Bearer ${authToken}`)
         .send({
-          callId: testCall._id,
           transcript: 'Hello, this is customer service. How can I help you today?'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.analysis).toHaveProperty('callOpening');
+      expect(response.body.data.metrics).toHaveProperty('callOpening');
+      expect(response.body.data).toHaveProperty('overallScore');
     });
 
     test('POST /api/analysis/coaching - should generate coaching plan', async () => {
-      const response = await request(app)
-        .post('/api/analysis/coaching')
+      const analysis = await request(app)
+        .post('/api/analysis/analyze')
         .set('Authorization', `Bearer ${authToken}`)
         .send({
-          callId: testCall._id,
-          analysis: {
-            callOpening: 85,
-            issueUnderstanding: 92,
-            sentimentAnalysis: {
-              agent: 88,
-              customer: 75
-            },
-            csatScore: 82,
-            resolutionQuality: 90
-          }
+          transcript: 'Hello, this is customer service. How can I help you today?'
         });
 
+      const response = await request(app)
+        .post('/api/analysis/coaching')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ analysis: analysis.body.data });
+
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.coachingPlan).toHaveProperty('recommendations');
+      expect(response.body.data).toHaveProperty('recommendations');
+      expect(response.body.data).toHaveProperty('quiz');
     });
 
     test('POST /api/analysis/cost-estimate - should estimate costs', async () => {
@@ -250,13 +290,12 @@ describe('OMIND.AI API Tests', () => {
         .post('/api/analysis/cost-estimate')
         .set('Authorization', `Bearer ${authToken}`)
         .send({
-          audioDuration: 180,
           transcriptLength: 500
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.estimate).toHaveProperty('totalCost');
+      expect(response.body.data).toHaveProperty('total');
     });
   });
 
@@ -268,6 +307,14 @@ describe('OMIND.AI API Tests', () => {
       expect(response.status).toBe(401);
     });
 
+    test('should return 401 for tokens of deleted users', async () => {
+      const response = await request(app)
+        .get('/api/calls')
+        .set('Authorization', `Bearer ${tokenFor({ _id: new mongoose.Types.ObjectId() })}`);
+
+      expect(response.status).toBe(401);
+    });
+
     test('should return 404 for non-existent resources', async () => {
       const fakeId = new mongoose.Types.ObjectId();
       const response = await request(app)
@@ -279,28 +326,24 @@ describe('OMIND.AI API Tests', () => {
 
     test('should return 400 for invalid input', async () => {
       const response = await request(app)
-        .post('/api/auth/register')
-        .send({
-          email: 'invalid-email',
-          password: '123'
-        });
+        .post('/api/analysis/analyze')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
 
       expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Transcript is required');
     });
-  });
 
-  describe('Rate Limiting', () => {
-    test('should enforce rate limits', async () => {
-      const requests = Array(105).fill().map(() => 
-        request(app)
-          .get('/api/calls')
-          .set('Authorization', `Bearer ${authToken}`)
-      );
+    test('should return 400 when registering without an open tenant', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'New User',
+          email: 'newuser@example.com',
+          password: 'password123'
+        });
 
-      const responses = await Promise.all(requests);
-      const tooManyRequests = responses.filter(r => r.status === 429);
-      
-      expect(tooManyRequests.length).toBeGreaterThan(0);
+      expect(response.status).toBe(400);
     });
   });
 
@@ -309,19 +352,37 @@ describe('OMIND.AI API Tests', () => {
       const response = await request(app)
         .post('/api/calls/upload')
         .set('Authorization', `Bearer ${authToken}`)
-        .attach('audioFile', Buffer.from('fake data'), 'test.txt');
+        .attach('audio', Buffer.from('fake data'), { filename: 'test.txt', contentType: 'text/plain' });
 
       expect(response.status).toBe(400);
+      expect(await Call.countDocuments()).toBe(1);
     });
 
-    test('should reject files that are too large', async () => {
-      const largeBuffer = Buffer.alloc(15 * 1024 * 1024); // 15MB
+    test('should reject files over the tenant\'s size limit', async () => {
+      const largeBuffer = Buffer.alloc(2 * 1024 * 1024);
       const response = await request(app)
         .post('/api/calls/upload')
         .set('Authorization', `Bearer ${authToken}`)
-        .attach('audioFile', largeBuffer, 'large-audio.mp3');
+        .attach('audio', largeBuffer, { filename: 'large-audio.mp3', contentType: 'audio/mpeg' });
 
       expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File too large');
+    });
+  });
+
+  // Runs last: once the limit is reached every later request is refused
+  describe('Rate Limiting', () => {
+    test('should enforce rate limits', async () => {
+      const requests = Array(105).fill().map(() =>
+        request(app)
+          .get('/api/calls')
+          .set('Authorization', `Bearer ${authToken}`)
+      );
+
+      const responses = await Promise.all(requests);
+      const tooManyRequests = responses.filter(r => r.status === 429);
+
+      expect(tooManyRequests.length).toBeGreaterThan(0);
     });
   });
 });
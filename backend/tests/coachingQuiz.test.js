@@ -0,0 +1,149 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/db');
+const app = require('../server');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Call = require('../models/Call');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'omind_ai_fallback_jwt_secret_2024');
+
+// Marker that only ever appears in the answer key
+const SECRET_EXPLANATION = 'answer-key-explanation-marker';
+
+const QUESTIONS = [
+  { id: 'q1', question: 'What should you do first?', options: ['Greet', 'Hang up'], skill: 'callOpening' }
+];
+const ANSWER_KEY = { q1: { correctAnswer: 0, explanation: SECRET_EXPLANATION } };
+
+describe('Coaching quiz answer key', () => {
+  let tenant;
+  let agent;
+  let otherAgent;
+  let admin;
+  let call;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await Promise.all([Tenant, User, Call, AnalysisVersion, QuizAttempt].map(Model => Model.deleteMany({})));
+
+    tenant = await Tenant.create({ name: 'Tenant A', slug: 'tenant-a' });
+    agent = await User.create({ name: 'Agent A', email: 'agent@a.example.com', password: 'password123', role: 'agent', tenant: tenant._id });
+    otherAgent = await User.create({ name: 'Agent B', email: 'agent-b@a.example.com', password: 'password123', role: 'agent', tenant: tenant._id });
+    admin = await User.create({ name: 'Admin A', email: 'admin@a.example.com', password: 'password123', role: 'admin', tenant: tenant._id });
+
+    call = await Call.create({
+      user: agent._id,
+      tenant: tenant._id,
+      fileName: 'a.mp3',
+      originalName: 'a.mp3',
+      filePath: '/tmp/a.mp3',
+      fileSize: 1024,
+      mimeType: 'audio/mpeg',
+      status: 'completed',
+      coachingPlan: {
+        generated: true,
+        generatedAt: new Date(Date.now() - 1000),
+        quiz: JSON.stringify(QUESTIONS),
+        quizAnswerKey: JSON.stringify(ANSWER_KEY)
+      }
+    });
+  });
+
+  test('is stored but not loaded by default', async () => {
+    const loaded = await Call.findById(call._id);
+    const withKey = await Call.findById(call._id).select('+coachingPlan.quizAnswerKey');
+
+    expect(loaded.coachingPlan.quizAnswerKey).toBeUndefined();
+    expect(JSON.parse(withKey.coachingPlan.quizAnswerKey)).toEqual(ANSWER_KEY);
+  });
+
+  test.each([
+    ['/api/calls'],
+    ['/api/calls/history'],
+    ['/api/calls/:id'],
+    ['/api/calls/:id/coaching']
+  ])('is never returned by GET %s', async (route) => {
+    for (const user of [agent, admin]) {
+      const res = await request(app)
+        .get(route.replace(':id', call._id))
+        .set('Authorization', `Bearer ${tokenFor(user)}`)
+        .expect(200);
+
+      const body = JSON.stringify(res.body);
+      expect(body).toContain(call._id.toString());
+      expect(body).not.toContain('quizAnswerKey');
+      expect(body).not.toContain(SECRET_EXPLANATION);
+    }
+  });
+
+  test.each([
+    ['/api/calls'],
+    ['/api/calls/history'],
+    ['/api/calls/:id'],
+    ['/api/calls/:id/coaching'],
+    ['/api/calls/:id/analysis/versions']
+  ])('answers of a plan stored before the key was split out are never returned by GET %s', async (route) => {
+    const legacyPlan = {
+      generated: true,
+      quiz: JSON.stringify(QUESTIONS.map(question => ({ ...question, ...ANSWER_KEY[question.id] })))
+    };
+    await Call.collection.updateOne({ _id: call._id }, {
+      $set: { 'coachingPlan.quiz': legacyPlan.quiz },
+      $unset: { 'coachingPlan.quizAnswerKey': '' }
+    });
+    await AnalysisVersion.create({ call: call._id, version: 1, analysis: { overallScore: 70 }, coachingPlan: legacyPlan });
+
+    const res = await request(app)
+      .get(route.replace(':id', call._id))
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .expect(200);
+
+    const body = JSON.stringify(res.body);
+    expect(body).toContain('What should you do first?');
+    expect(body).not.toContain('correctAnswer');
+    expect(body).not.toContain(SECRET_EXPLANATION);
+  });
+
+  test('grades a submitted attempt against the answer key', async () => {
+    const start = await request(app)
+      .post(`/api/calls/${call._id}/coaching/quiz/attempts`)
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .expect(201);
+
+    expect(JSON.stringify(start.body)).not.toContain(SECRET_EXPLANATION);
+
+    const submit = await request(app)
+      .post(`/api/calls/${call._id}/coaching/quiz/attempts/${start.body.data._id}/submit`)
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .send({ answers: [{ questionId: 'q1', selected: 0 }] })
+      .expect(200);
+
+    expect(submit.body.data).toMatchObject({ score: 100, passed: true });
+  });
+
+  test('quiz routes check access to the call first', async () => {
+    const otherTenant = await Tenant.create({ name: 'Tenant B', slug: 'tenant-b' });
+    const outsider = await User.create({ name: 'Agent C', email: 'agent@b.example.com', password: 'password123', role: 'agent', tenant: otherTenant._id });
+
+    await request(app)
+      .post(`/api/calls/${call._id}/coaching/quiz/attempts`)
+      .set('Authorization', `Bearer ${tokenFor(otherAgent)}`)
+      .expect(403);
+
+    await request(app)
+      .post(`/api/calls/${call._id}/coaching/quiz/attempts`)
+      .set('Authorization', `Bearer ${tokenFor(outsider)}`)
+      .expect(404);
+
+    await request(app)
+      .post(`/api/calls/${call._id}/coaching/quiz/attempts/${call._id}/submit`)
+      .set('Authorization', `Bearer ${tokenFor(otherAgent)}`)
+      .send({ answers: [] })
+      .expect(403);
+  });
+});
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+let memoryServer = null;
+
+/**
+ * Connect to MONGODB_URI_TEST, or to a throwaway in-memory MongoDB when it is
+ * not set (the mongod binary is downloaded on first use)
+ */
+const connect = async () => {
+  let uri = process.env.MONGODB_URI_TEST;
+
+  if (!uri) {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  await mongoose.connect(uri);
+};
+
+const disconnect = async () => {
+  await mongoose.connection.close();
+
+  if (memoryServer) {
+    await memoryServer.stop();
+    memoryServer = null;
+  }
+};
+
+module.exports = { connect, disconnect };
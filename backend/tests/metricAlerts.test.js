@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const alertService = require('../services/alertService');
+const Alert = require('../models/Alert');
+const Tenant = require('../models/Tenant');
+const Job = require('../models/Job');
+
+describe('Metric alerts', () => {
+  const drop = { currentMean: 60, baselineMean: 80, change: -20, tStatistic: -15.72 };
+  let team;
+
+  beforeAll(async () => {
+    await db.connect();
+    // The cooldown index must exist before the upserts race
+    await Alert.init();
+  });
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await Promise.all([Alert, Tenant, Job].map(Model => Model.deleteMany({})));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const tenant = await Tenant.create({
+      name: 'Tenant A',
+      slug: 'tenant-a',
+      settings: { alertWebhookUrls: ['https://hooks.example.com/qa'] }
+    });
+    team = {
+      subject: 'team',
+      tenant: tenant._id,
+      organization: new mongoose.Types.ObjectId(),
+      team: new mongoose.Types.ObjectId()
+    };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('jobs raising the same alert at once raise and deliver it once', async () => {
+    const results = await Promise.all([
+      alertService.raiseMetricAlert(team, 'clarity', drop),
+      alertService.raiseMetricAlert(team, 'clarity', drop),
+      alertService.raiseMetricAlert(team, 'clarity', drop)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await Alert.countDocuments({ team: team.team, metric: 'clarity' })).toBe(1);
+    expect(await Job.countDocuments({ type: alertService.WEBHOOK_JOB })).toBe(1);
+  });
+
+  test('each metric and direction gets its own alert', async () => {
+    await Promise.all([
+      alertService.raiseMetricAlert(team, 'clarity', drop),
+      alertService.raiseMetricAlert(team, 'politeness', drop),
+      alertService.raiseMetricAlert(team, 'clarity', { ...drop, change: 15 })
+    ]);
+
+    expect((await Alert.find({ team: team.team }).distinct('type')).sort()).toEqual(['metric-drop', 'metric-spike']);
+    expect(await Alert.countDocuments({ team: team.team })).toBe(3);
+  });
+
+  test('the open alert is refreshed instead of raised again', async () => {
+    const first = await alertService.raiseMetricAlert(team, 'clarity', drop);
+    const second = await alertService.raiseMetricAlert(team, 'clarity', { ...drop, change: -25 });
+
+    expect(second).toBeNull();
+    expect((await Alert.findById(first._id)).trend.change).toBe(-25);
+  });
+});
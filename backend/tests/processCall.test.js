@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services read their configuration when first required
+process.env.TRANSCRIPTION_PROVIDER = 'fixture';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-uploads-'));
+
+// Hosted models are unreachable in tests, so every service takes its local fallback
+jest.mock('axios', () => {
+  const unreachable = jest.fn(() => Promise.reject(new Error('Network access disabled in tests')));
+  return { post: unreachable, get: unreachable, request: unreachable };
+});
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/db');
+const app = require('../server');
+const { registerJobHandlers } = require('../config/jobs');
+const jobQueue = require('../services/jobQueue');
+const openaiService = require('../services/openaiService');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Job = require('../models/Job');
+const Scorecard = require('../models/Scorecard');
+
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'omind_ai_fallback_jwt_secret_2024');
+
+describe('Call processing pipeline', () => {
+  let tenant;
+  let agent;
+
+  const uploadAndProcess = async () => {
+    const upload = await request(app)
+      .post('/api/calls/upload')
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .attach('audio', Buffer.from('not really audio'), { filename: 'order-delay.mp3', contentType: 'audio/mpeg' })
+      .expect(201);
+
+    const { callId } = upload.body.data;
+
+    // Run the queued job the way a worker would
+    const job = await Job.claimNext(jobQueue.workerId, 60000, ['process-call']);
+    expect(job.payload.callId).toBe(callId);
+    await jobQueue.execute(job);
+
+    return { call: await Call.findById(callId), job };
+  };
+
+  const scorecard = (name, fields) => Scorecard.create({
+    tenant: tenant._id,
+    name,
+    sections: [{
+      key: 'opening',
+      name: 'Opening',
+      criteria: [{ key: 'greeting', name: 'Greeting', rule: { type: 'phrase', phrases: ['hello'] } }]
+    }],
+    ...fields
+  });
+
+  beforeAll(async () => {
+    await db.connect();
+    registerJobHandlers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await db.disconnect();
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Tenant, User, Call, Job, Scorecard].map(Model => Model.deleteMany({})));
+
+    tenant = await Tenant.create({ name: 'Tenant A', slug: 'tenant-a' });
+    agent = await User.create({ name: 'Agent A', email: 'agent@a.example.com', password: 'password123', role: 'agent', tenant: tenant._id });
+  });
+
+  test('an uploaded call is transcribed, analyzed and coached', async () => {
+    const { call, job } = await uploadAndProcess();
+    expect(call.status).toBe('completed');
+    expect(call.error?.message).toBeUndefined();
+
+    expect(call.transcript.segments.length).toBeGreaterThan(0);
+    expect(call.transcript.segments[0].speaker).toBe('agent');
+    expect(call.transcript.text).toContain('laptop');
+    expect(call.transcript.duration).toBeGreaterThan(0);
+
+    expect(call.analysis.overallScore).toEqual(expect.any(Number));
+    expect(call.coachingPlan.generated).toBe(true);
+
+    expect(call.processingHistory.map(entry => `${entry.step}:${entry.status}`)).toEqual(
+      expect.arrayContaining(['transcribe:completed', 'analyze:completed', 'coaching:completed'])
+    );
+
+    const finished = await Job.findById(job._id);
+    expect(finished.status).toBe('completed');
+  });
+
+  test('a call without a call type is scored with the scorecard for its classified reason', async () => {
+    await scorecard('Default QA', { isDefault: true });
+    const orderScorecard = await scorecard('Order status QA', { callTypes: ['order-status'] });
+
+    const { call } = await uploadAndProcess();
+
+    expect(call.metadata.callType).toBeUndefined();
+    expect(call.classification.reason).toBe('order-status');
+    expect(call.analysis.scorecard.scorecardId.toString()).toBe(orderScorecard._id.toString());
+    expect(call.analysis.scorecard.name).toBe('Order status QA');
+  });
+
+  test('a call whose worker died on every attempt is failed and can be retried', async () => {
+    const call = await Call.create({
+      user: agent._id,
+      tenant: tenant._id,
+      fileName: 'order-delay.mp3',
+      originalName: 'order-delay.mp3',
+      filePath: path.join(process.env.UPLOAD_PATH, 'order-delay.mp3'),
+      fileSize: 16,
+      mimeType: 'audio/mpeg',
+      status: 'transcribing',
+      processingHistory: [
+        { step: 'upload', status: 'completed' },
+        { step: 'transcribe', status: 'started' }
+      ]
+    });
+    // The last worker's lock expired with no attempts left
+    await Job.create({
+      type: 'process-call',
+      payload: { callId: call._id.toString() },
+      call: call._id,
+      status: 'running',
+      attempts: 3,
+      maxAttempts: 3,
+      lockedBy: 'dead-worker',
+      lockedUntil: new Date(Date.now() - 1000)
+    });
+
+    const job = await Job.claimNext(jobQueue.workerId, 60000, ['process-call']);
+    await jobQueue.execute(job);
+
+    expect((await Job.findById(job._id)).status).toBe('failed');
+    const failed = await Call.findById(call._id);
+    expect(failed.status).toBe('error');
+    expect(failed.error).toEqual(expect.objectContaining({ step: 'transcribe', code: 'MAX_ATTEMPTS_EXCEEDED' }));
+
+    const retry = await request(app)
+      .post(`/api/calls/${call._id}/retry`)
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .expect(200);
+    expect(retry.body.data.resumeStep).toBe('transcribe');
+    expect(await Job.countDocuments({ call: call._id, status: 'queued' })).toBe(1);
+  });
+
+  test('a re-analysis that fails at coaching is retried by the queue from coaching', async () => {
+    const { call: processed } = await uploadAndProcess();
+
+    await request(app)
+      .post(`/api/calls/${processed._id}/reanalyze`)
+      .set('Authorization', `Bearer ${tokenFor(agent)}`)
+      .expect(200);
+    jest.spyOn(openaiService, 'generateCoachingPlan').mockRejectedValueOnce(new Error('Coaching provider down'));
+
+    const job = await Job.claimNext(jobQueue.workerId, 60000, ['process-call']);
+    expect(job.payload.fromStep).toBe('analyze');
+    await jobQueue.execute(job);
+
+    const failed = await Call.findById(processed._id);
+    expect(failed.status).toBe('error');
+    expect(failed.error.step).toBe('coaching');
+    // One retry path: the queue's backoff, not a second job
+    const queued = await Job.findById(job._id);
+    expect(queued.status).toBe('queued');
+    expect(queued.lastError.message).toBe('Coaching provider down');
+    expect(await Job.countDocuments({ call: processed._id, status: 'queued' })).toBe(1);
+
+    await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+    const retry = await Job.claimNext(jobQueue.workerId, 60000, ['process-call']);
+    await jobQueue.execute(retry);
+
+    const call = await Call.findById(processed._id);
+    expect(call.status).toBe('completed');
+    // The upload and the re-analysis analyzed the call; the retry didn't
+    const analyzeRuns = call.processingHistory.filter(entry => entry.step === 'analyze' && entry.status === 'started');
+    expect(analyzeRuns).toHaveLength(2);
+    expect((await Job.findById(job._id)).status).toBe('completed');
+  });
+});
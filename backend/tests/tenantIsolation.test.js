@@ -0,0 +1,408 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connectSocket } = require('socket.io-client');
+const db = require('./helpers/db');
+const app = require('../server');
+const { registerSocketHandlers } = require('../config/sockets');
+const tenantService = require('../services/tenantService');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Scorecard = require('../models/Scorecard');
+const Alert = require('../models/Alert');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const QuizAttempt = require('../models/QuizAttempt');
+const CoachingSession = require('../models/CoachingSession');
+const Job = require('../models/Job');
+
+const tokenFor = (user) => jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'omind_ai_fallback_jwt_secret_2024');
+
+// Audio responses are binary; read them as text to compare contents
+const readText = (res, done) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => done(null, Buffer.concat(chunks).toString()));
+};
+
+const createCall = (user, name) => Call.create({
+  user: user._id,
+  tenant: user.tenant,
+  fileName: name,
+  originalName: name,
+  filePath: `/tmp/${name}`,
+  fileSize: 1024,
+  mimeType: 'audio/mpeg',
+  status: 'completed'
+});
+
+describe('Tenant isolation', () => {
+  let tenantA;
+  let tenantB;
+  let agentA;
+  let adminA;
+  let agentB;
+  let callA;
+  let callB;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await Promise.all([Tenant, User, Call, Scorecard, Alert, AnalysisVersion, QuizAttempt, CoachingSession, Job].map(Model => Model.deleteMany({})));
+
+    tenantA = await Tenant.create({ name: 'Tenant A', slug: 'tenant-a', settings: { allowSelfRegistration: true } });
+    tenantB = await Tenant.create({ name: 'Tenant B', slug: 'tenant-b' });
+
+    agentA = await User.create({ name: 'Agent A', email: 'agent@a.example.com', password: 'password123', role: 'agent', tenant: tenantA._id });
+    adminA = await User.create({ name: 'Admin A', email: 'admin@a.example.com', password: 'password123', role: 'admin', tenant: tenantA._id });
+    agentB = await User.create({ name: 'Agent B', email: 'agent@b.example.com', password: 'password123', role: 'agent', tenant: tenantB._id });
+
+    callA = await createCall(agentA, 'a.mp3');
+    callB = await createCall(agentB, 'b.mp3');
+  });
+
+  describe('Single-call endpoints', () => {
+    test.each([
+      ['get', ''],
+      ['get', '/analysis'],
+      ['get', '/audio'],
+      ['get', '/coaching'],
+      ['get', '/analysis/versions'],
+      ['get', '/processing-history'],
+      ['put', ''],
+      ['delete', ''],
+      ['post', '/reanalyze'],
+      ['post', '/retry']
+    ])('%s /api/calls/:id%s - another tenant\'s call is not found', async (method, suffix) => {
+      const response = await request(app)[method](`/api/calls/${callB._id}${suffix}`)
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`)
+        .send({});
+
+      expect(response.status).toBe(404);
+      expect(await Call.exists({ _id: callB._id })).toBeTruthy();
+    });
+
+    test('GET /api/calls/:id - own tenant\'s call is visible', async () => {
+      const response = await request(app)
+        .get(`/api/calls/${callA._id}`)
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data._id).toBe(callA._id.toString());
+    });
+
+    test('GET /api/calls/:id/audio - serves the bleeped copy once one exists', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-audio-'));
+      const original = path.join(dir, 'a.mp3');
+      const bleeped = path.join(dir, 'a.redacted.mp3');
+      fs.writeFileSync(original, 'original audio');
+      fs.writeFileSync(bleeped, 'bleeped audio');
+
+      try {
+        await Call.updateOne({ _id: callA._id }, { filePath: original });
+        const unredacted = await request(app)
+          .get(`/api/calls/${callA._id}/audio`)
+          .set('Authorization', `Bearer ${tokenFor(agentA)}`)
+          .buffer(true)
+          .parse(readText);
+        expect(unredacted.status).toBe(200);
+        expect(unredacted.body).toBe('original audio');
+
+        await Call.updateOne({ _id: callA._id }, { 'redaction.audioPath': bleeped });
+        const redacted = await request(app)
+          .get(`/api/calls/${callA._id}/audio`)
+          .set('Authorization', `Bearer ${tokenFor(agentA)}`)
+          .buffer(true)
+          .parse(readText);
+        expect(redacted.status).toBe(200);
+        expect(redacted.body).toBe('bleeped audio');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('POST /api/calls/:id/coaching/quiz/attempts - another tenant\'s call is not found', async () => {
+      const response = await request(app)
+        .post(`/api/calls/${callB._id}/coaching/quiz/attempts`)
+        .set('Authorization', `Bearer ${tokenFor(agentA)}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('List endpoints', () => {
+    test('GET /api/calls - a tenant admin only lists their tenant\'s calls', async () => {
+      const response = await request(app)
+        .get('/api/calls')
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(call => call._id)).toEqual([callA._id.toString()]);
+    });
+
+    test('GET /api/calls/history - excludes other tenants\' calls', async () => {
+      const response = await request(app)
+        .get('/api/calls/history')
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.calls.map(call => call._id)).toEqual([callA._id.toString()]);
+    });
+
+    test('GET /api/calls/stats - only counts the tenant\'s calls', async () => {
+      const response = await request(app)
+        .get('/api/calls/stats')
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary.totalCalls).toBe(1);
+    });
+
+    test('GET /api/scorecards - configuration belongs to its tenant', async () => {
+      await Scorecard.create({
+        tenant: tenantB._id,
+        name: 'B scorecard',
+        sections: [{
+          key: 'opening',
+          name: 'Opening',
+          criteria: [{ key: 'greeting', name: 'Greeting', rule: { type: 'phrase', phrases: ['hello'] } }]
+        }]
+      });
+
+      const response = await request(app)
+        .get('/api/scorecards')
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('Agent endpoints', () => {
+    test('GET /api/agents/:id/profile - another tenant\'s agent is hidden', async () => {
+      const response = await request(app)
+        .get(`/api/agents/${agentB._id}/profile`)
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Call rooms', () => {
+    let server;
+    let io;
+    let client;
+
+    beforeAll(async () => {
+      server = http.createServer();
+      io = new Server(server);
+      registerSocketHandlers(io);
+      await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    afterAll(async () => {
+      io.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      client = connectSocket(`http://localhost:${server.address().port}`, { transports: ['websocket'] });
+      await new Promise(resolve => client.on('connect', resolve));
+    });
+
+    afterEach(() => {
+      client.close();
+    });
+
+    // Resolves with the room error, or null once the socket is in the room
+    const joinCallRoom = (call, ...token) => new Promise((resolve, reject) => {
+      const room = `call-${call._id}`;
+      const timer = setTimeout(() => reject(new Error(`No answer to joining ${room}`)), 2000);
+      const poll = setInterval(async () => {
+        const sockets = await io.in(room).fetchSockets();
+        if (sockets.some(socket => socket.id === client.id)) {
+          finish(null);
+        }
+      }, 20);
+      const finish = (error) => {
+        clearTimeout(timer);
+        clearInterval(poll);
+        resolve(error);
+      };
+
+      client.once('call-room-error', finish);
+      client.emit('join-call-room', call._id.toString(), ...token);
+    });
+
+    test('join-call-room - another tenant\'s call is refused', async () => {
+      const error = await joinCallRoom(callB, tokenFor(adminA));
+
+      expect(error).toEqual({ callId: callB._id.toString(), error: 'Not authorized to follow this call' });
+    });
+
+    test('join-call-room - a token is required', async () => {
+      expect(await joinCallRoom(callA)).toEqual(expect.objectContaining({ error: 'Not authorized to follow this call' }));
+      expect(await joinCallRoom(callA, 'not-a-token')).toEqual(expect.objectContaining({ error: 'Not authorized to follow this call' }));
+    });
+
+    test('join-call-room - agents follow only their own calls', async () => {
+      const colleague = await User.create({ name: 'Agent A2', email: 'agent2@a.example.com', password: 'password123', role: 'agent', tenant: tenantA._id });
+
+      expect(await joinCallRoom(callA, tokenFor(colleague))).toEqual(expect.objectContaining({ error: 'Not authorized to follow this call' }));
+    });
+
+    test('join-call-room - the call\'s agent receives its updates', async () => {
+      expect(await joinCallRoom(callA, tokenFor(agentA))).toBeNull();
+
+      const update = new Promise(resolve => client.once('call-status-update', resolve));
+      io.to(`call-${callA._id}`).emit('call-status-update', { callId: callA._id.toString(), status: 'completed' });
+
+      expect(await update).toEqual({ callId: callA._id.toString(), status: 'completed' });
+    });
+  });
+
+  describe('Tenant lifecycle', () => {
+    test('a suspended tenant\'s users are signed out', async () => {
+      await Tenant.updateOne({ _id: tenantB._id }, { isActive: false });
+
+      const response = await request(app)
+        .get('/api/calls')
+        .set('Authorization', `Bearer ${tokenFor(agentB)}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Tenant settings', () => {
+    test('PUT /api/tenants/current - webhooks must be public https URLs', async () => {
+      const save = (alertWebhookUrls) => request(app)
+        .put('/api/tenants/current')
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`)
+        .send({ settings: { alertWebhookUrls } });
+
+      const rejected = await save(['https://hooks.example.com/qa', 'https://169.254.169.254/latest/meta-data/']);
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.error).toContain('Webhook URLs must point to a public host');
+
+      expect((await save(['http://hooks.example.com/qa'])).status).toBe(400);
+
+      const saved = await save(['https://hooks.example.com/qa']);
+      expect(saved.status).toBe(200);
+      expect(saved.body.data.settings.alertWebhookUrls).toEqual(['https://hooks.example.com/qa']);
+    });
+  });
+
+  describe('Retention', () => {
+    const expire = (call) => Call.collection.updateOne(
+      { _id: call._id },
+      { $set: { createdAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) } }
+    );
+
+    beforeEach(async () => {
+      await Tenant.updateOne({ _id: tenantA._id }, { 'settings.retentionDays': 30 });
+    });
+
+    test('expired calls are deleted with everything that references them', async () => {
+      const recent = await createCall(agentA, 'recent.mp3');
+      await expire(callA);
+      await expire(callB);
+
+      await Alert.create({ call: callA._id, user: agentA._id, tenant: tenantA._id, type: 'churn-risk' });
+      await QuizAttempt.create({ call: callA._id, user: agentA._id, attemptNumber: 1 });
+      const session = { agent: agentA._id, supervisor: adminA._id, dueAt: new Date() };
+      const emptied = await CoachingSession.create({ ...session, title: 'Only the expired call', calls: [callA._id] });
+      const kept = await CoachingSession.create({
+        ...session,
+        title: 'Both calls',
+        calls: [callA._id, recent._id],
+        items: [{ title: 'Confirm the order number', call: callA._id }]
+      });
+
+      await tenantService.enforceRetention();
+
+      expect(await Call.exists({ _id: callA._id })).toBeNull();
+      expect(await Call.exists({ _id: recent._id })).toBeTruthy();
+      // Tenant B keeps its calls forever
+      expect(await Call.exists({ _id: callB._id })).toBeTruthy();
+
+      expect(await Alert.countDocuments({ call: callA._id })).toBe(0);
+      expect(await QuizAttempt.countDocuments({ call: callA._id })).toBe(0);
+      expect(await CoachingSession.exists({ _id: emptied._id })).toBeNull();
+
+      const remaining = await CoachingSession.findById(kept._id);
+      expect(remaining.calls.map(String)).toEqual([recent._id.toString()]);
+      expect(remaining.items[0].call).toBeUndefined();
+    });
+
+    test('DELETE /api/calls/:id - a deleted call takes the same records with it', async () => {
+      await AnalysisVersion.create({ call: callA._id, version: 1, analysis: { overallScore: 70 } });
+      await Alert.create({ call: callA._id, user: agentA._id, tenant: tenantA._id, type: 'churn-risk' });
+      await QuizAttempt.create({ call: callA._id, user: agentA._id, attemptNumber: 1 });
+      const session = await CoachingSession.create({ agent: agentA._id, supervisor: adminA._id, dueAt: new Date(), title: 'Call A', calls: [callA._id] });
+      await Job.create({ type: 'process-call', payload: { callId: callA._id.toString() }, call: callA._id });
+      await Job.create({ type: 'process-call', payload: { callId: callA._id.toString() }, call: callA._id, status: 'completed' });
+
+      const response = await request(app)
+        .delete(`/api/calls/${callA._id}`)
+        .set('Authorization', `Bearer ${tokenFor(adminA)}`);
+
+      expect(response.status).toBe(200);
+      expect(await Call.exists({ _id: callA._id })).toBeNull();
+      expect(await AnalysisVersion.countDocuments({ call: callA._id })).toBe(0);
+      expect(await Alert.countDocuments({ call: callA._id })).toBe(0);
+      expect(await QuizAttempt.countDocuments({ call: callA._id })).toBe(0);
+      expect(await CoachingSession.exists({ _id: session._id })).toBeNull();
+      // Only the finished job is kept as history
+      expect(await Job.find({ call: callA._id }).distinct('status')).toEqual(['completed']);
+    });
+
+    test('the next run is scheduled even when this one fails', async () => {
+      await expire(callA);
+      const spy = jest.spyOn(QuizAttempt, 'deleteMany').mockRejectedValueOnce(new Error('Storage unavailable'));
+
+      try {
+        await expect(tenantService.enforceRetention()).rejects.toThrow('Retention failed for Tenant A');
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(await Call.exists({ _id: callA._id })).toBeTruthy();
+      expect(await Job.countDocuments({ type: tenantService.RETENTION_JOB, status: 'queued' })).toBe(1);
+    });
+  });
+
+  describe('Registration', () => {
+    test('POST /api/auth/register - ignores the requested role', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New User', email: 'new@a.example.com', password: 'password123', role: 'admin', tenant: 'tenant-a' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.role).toBe('agent');
+
+      const user = await User.findOne({ email: 'new@a.example.com' });
+      expect(user.tenant.toString()).toBe(tenantA._id.toString());
+    });
+
+    test('POST /api/auth/register - requires a tenant open to registration', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New User', email: 'new@b.example.com', password: 'password123', tenant: 'tenant-b' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('POST /api/auth/demo-login - refuses users of other tenants', async () => {
+      const response = await request(app)
+        .post('/api/auth/demo-login')
+        .send({ email: agentB.email });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const {
+  parsePeriod,
+  buildBuckets,
+  bucketKey,
+  bucketExpression,
+  zeroFill,
+  computeDeltas
+} = require('../../services/analyticsPeriod');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('parsePeriod', () => {
+  test('covers the preset number of days up to now', () => {
+    const range = parsePeriod({ period: '7d' }, NOW);
+
+    expect(range.period).toBe('7d');
+    expect(range.endDate).toEqual(NOW);
+    expect(range.startDate).toEqual(new Date('2024-06-08T12:00:00Z'));
+    expect(range.buckets).toHaveLength(8);
+    expect(range.buckets[0]).toBe('2024-06-08');
+    expect(range.buckets[7]).toBe('2024-06-15');
+  });
+
+  test('falls back to 30 days for an unknown preset', () => {
+    const range = parsePeriod({ period: '1y' }, NOW);
+
+    expect(range.period).toBe('30d');
+    expect(range.startDate).toEqual(new Date('2024-05-16T12:00:00Z'));
+  });
+
+  test('reads date-only bounds as whole local days in the timezone', () => {
+    const range = parsePeriod({ startDate: '2024-01-01', endDate: '2024-03-31', timezone: 'Asia/Tokyo', granularity: 'month' }, NOW);
+
+    expect(range.period).toBe('custom');
+    expect(range.startDate).toEqual(new Date('2023-12-31T15:00:00Z'));
+    expect(range.endDate).toEqual(new Date('2024-03-31T15:00:00Z'));
+    expect(range.buckets).toEqual(['2024-01', '2024-02', '2024-03']);
+  });
+
+  test('runs an open-ended custom range up to now', () => {
+    const range = parsePeriod({ startDate: '2024-06-14T00:00:00Z' }, NOW);
+
+    expect(range.endDate).toEqual(NOW);
+    expect(range.buckets).toEqual(['2024-06-14', '2024-06-15']);
+  });
+
+  describe('daylight saving time', () => {
+    const newYork = { timezone: 'America/New_York', granularity: 'hour' };
+
+    test('a spring-forward day has 23 hourly buckets and no 2am', () => {
+      const range = parsePeriod({ ...newYork, startDate: '2024-03-10', endDate: '2024-03-10' }, NOW);
+
+      expect(range.startDate).toEqual(new Date('2024-03-10T05:00:00Z'));
+      expect(range.endDate).toEqual(new Date('2024-03-11T04:00:00Z'));
+      expect(range.buckets).toHaveLength(23);
+      expect(range.buckets.slice(0, 3)).toEqual(['2024-03-10T00:00', '2024-03-10T01:00', '2024-03-10T03:00']);
+      expect(range.buckets[22]).toBe('2024-03-10T23:00');
+    });
+
+    test('a fall-back day lasts 25 hours and counts the repeated 1am once', () => {
+      const range = parsePeriod({ ...newYork, startDate: '2024-11-03', endDate: '2024-11-03' }, NOW);
+
+      expect(range.endDate - range.startDate).toBe(25 * HOUR_MS);
+      expect(range.buckets).toHaveLength(24);
+      expect(range.buckets.filter(key => key === '2024-11-03T01:00')).toHaveLength(1);
+    });
+
+    test('daily buckets line up with local days across the change', () => {
+      const range = parsePeriod({ startDate: '2024-03-09', endDate: '2024-03-11', timezone: 'America/New_York' }, NOW);
+
+      expect(range.buckets).toEqual(['2024-03-09', '2024-03-10', '2024-03-11']);
+    });
+  });
+
+  describe('previous period', () => {
+    test('is the same length and ends where the period starts', () => {
+      const range = parsePeriod({ period: '30d' }, NOW);
+
+      expect(range.previous.endDate).toEqual(range.startDate);
+      expect(range.previous.endDate - range.previous.startDate).toBe(range.endDate - range.startDate);
+    });
+
+    test('keeps the exact length of a custom range shortened by DST', () => {
+      // One hour short of seven days: clocks go forward on March 10
+      const range = parsePeriod({ startDate: '2024-03-10', endDate: '2024-03-16', timezone: 'America/New_York' }, NOW);
+
+      expect(range.endDate - range.startDate).toBe(7 * 24 * HOUR_MS - HOUR_MS);
+      expect(range.previous).toEqual({
+        startDate: new Date('2024-03-03T06:00:00Z'),
+        endDate: new Date('2024-03-10T05:00:00Z')
+      });
+    });
+  });
+
+  describe('invalid parameters', () => {
+    test.each([
+      [{ timezone: 'Mars/Olympus_Mons' }, 'Unknown timezone: Mars/Olympus_Mons'],
+      [{ granularity: 'minute' }, 'granularity must be one of hour, day, week, month'],
+      [{ endDate: '2024-06-01' }, 'startDate is required with endDate'],
+      [{ startDate: 'yesterday' }, 'startDate and endDate must be ISO dates'],
+      [{ startDate: '2024-06-10', endDate: '2024-06-01' }, 'startDate must be before endDate'],
+      [{ period: '90d', granularity: 'hour' }, 'Range is too long for hour granularity (at most 1000 buckets)']
+    ])('%j is rejected', (query, error) => {
+      expect(parsePeriod(query, NOW)).toEqual({ error });
+    });
+  });
+});
+
+describe('bucketKey', () => {
+  const instant = new Date('2024-06-30T23:30:00Z');
+
+  test('formats each granularity in the timezone', () => {
+    expect(bucketKey(instant, 'UTC', 'hour')).toBe('2024-06-30T23:00');
+    expect(bucketKey(instant, 'UTC', 'day')).toBe('2024-06-30');
+    expect(bucketKey(instant, 'UTC', 'month')).toBe('2024-06');
+  });
+
+  test('puts an instant in the local day and month of the timezone', () => {
+    // 05:00 on July 1 in India
+    expect(bucketKey(instant, 'Asia/Kolkata', 'hour')).toBe('2024-07-01T05:00');
+    expect(bucketKey(instant, 'Asia/Kolkata', 'day')).toBe('2024-07-01');
+    expect(bucketKey(instant, 'Asia/Kolkata', 'month')).toBe('2024-07');
+  });
+
+  test('uses ISO week numbering across the new year', () => {
+    expect(bucketKey(new Date('2024-12-30T12:00:00Z'), 'UTC', 'week')).toBe('2025-W01');
+    expect(bucketKey(new Date('2021-01-03T12:00:00Z'), 'UTC', 'week')).toBe('2020-W53');
+  });
+});
+
+describe('buildBuckets', () => {
+  test('lists each ISO week touched by the range once', () => {
+    const buckets = buildBuckets({
+      startDate: new Date('2024-12-23T00:00:00Z'),
+      endDate: new Date('2025-01-06T00:00:00Z'),
+      timezone: 'UTC',
+      granularity: 'week'
+    });
+
+    expect(buckets).toEqual(['2024-W52', '2025-W01']);
+  });
+
+  test('excludes the end instant', () => {
+    const buckets = buildBuckets({
+      startDate: new Date('2024-06-01T00:00:00Z'),
+      endDate: new Date('2024-06-01T03:00:00Z'),
+      timezone: 'UTC',
+      granularity: 'hour'
+    });
+
+    expect(buckets).toEqual(['2024-06-01T00:00', '2024-06-01T01:00', '2024-06-01T02:00']);
+  });
+});
+
+describe('bucketExpression', () => {
+  test.each([
+    ['hour', '%Y-%m-%dT%H:00'],
+    ['day', '%Y-%m-%d'],
+    ['week', '%G-W%V'],
+    ['month', '%Y-%m']
+  ])('buckets by %s in the timezone', (granularity, format) => {
+    expect(bucketExpression({ timezone: 'Europe/Paris', granularity })).toEqual({
+      $dateToString: { format, date: '$createdAt', timezone: 'Europe/Paris' }
+    });
+  });
+
+  test('can bucket another date field', () => {
+    expect(bucketExpression({ timezone: 'UTC', granularity: 'day' }, '$analyzedAt').$dateToString.date).toBe('$analyzedAt');
+  });
+});
+
+describe('zeroFill', () => {
+  test('returns one row per bucket in order, filling the gaps', () => {
+    const rows = zeroFill(
+      ['2024-06-01', '2024-06-02', '2024-06-03'],
+      [{ _id: '2024-06-03', count: 4 }, { _id: '2024-06-01', count: 2 }],
+      { count: 0 }
+    );
+
+    expect(rows).toEqual([
+      { _id: '2024-06-01', count: 2 },
+      { _id: '2024-06-02', count: 0 },
+      { _id: '2024-06-03', count: 4 }
+    ]);
+  });
+});
+
+describe('computeDeltas', () => {
+  test('reports the change and percent change of each numeric field', () => {
+    expect(computeDeltas({ totalCalls: 120, averageScore: 78.25 }, { totalCalls: 80, averageScore: 81.5 })).toEqual({
+      totalCalls: { change: 40, percentChange: 50 },
+      averageScore: { change: -3.25, percentChange: -4 }
+    });
+  });
+
+  test('leaves the percent change out when the previous value is zero', () => {
+    expect(computeDeltas({ escalations: 3 }, { escalations: 0 })).toEqual({
+      escalations: { change: 3, percentChange: null }
+    });
+  });
+
+  test('has no change when either period lacks the value', () => {
+    expect(computeDeltas({ averageScore: null, label: 'x' }, { averageScore: 70 })).toEqual({
+      averageScore: { change: null, percentChange: null }
+    });
+  });
+});
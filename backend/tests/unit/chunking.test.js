@@ -0,0 +1,92 @@
+const { planChunks, stitchSegments, mapWithConcurrency } = require('../../services/transcription/chunking');
+
+describe('planChunks', () => {
+  test('sends a recording no longer than one chunk whole', () => {
+    expect(planChunks(600, 600, 10)).toEqual([{ index: 0, start: 0, length: 600 }]);
+  });
+
+  test('overlaps consecutive chunks and trims the last one to the recording', () => {
+    expect(planChunks(1200, 600, 10)).toEqual([
+      { index: 0, start: 0, length: 600 },
+      { index: 1, start: 590, length: 600 },
+      { index: 2, start: 1180, length: 20 }
+    ]);
+  });
+
+  test('stops once a chunk reaches the end of the recording', () => {
+    const chunks = planChunks(1000, 600, 10);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[1].start + chunks[1].length).toBe(1000);
+  });
+});
+
+describe('stitchSegments', () => {
+  test('offsets segment times by the start of their chunk', () => {
+    const segments = stitchSegments([
+      { start: 0, segments: [{ start: 0, end: 4.5, text: 'first' }] },
+      { start: 590, segments: [{ start: 20.123, end: 25.456, text: 'second', speaker: 'agent' }] }
+    ], 10);
+
+    expect(segments).toEqual([
+      { start: 0, end: 4.5, text: 'first' },
+      { start: 610.12, end: 615.46, text: 'second', speaker: 'agent' }
+    ]);
+  });
+
+  test('keeps words transcribed in both chunks of an overlap exactly once', () => {
+    // The chunks overlap from 590s to 600s; its midpoint at 595s decides ownership
+    const segments = stitchSegments([
+      {
+        start: 0,
+        segments: [
+          { start: 0, end: 4, text: 'intro' },
+          { start: 591, end: 594, text: 'before midpoint' },
+          { start: 596, end: 599, text: 'after midpoint' }
+        ]
+      },
+      {
+        start: 590,
+        segments: [
+          { start: 1, end: 4, text: 'before midpoint' },
+          { start: 6, end: 9, text: 'after midpoint' },
+          { start: 20, end: 25, text: 'later' }
+        ]
+      }
+    ], 10);
+
+    expect(segments.map(segment => [segment.text, segment.start, segment.end])).toEqual([
+      ['intro', 0, 4],
+      ['before midpoint', 591, 594],
+      ['after midpoint', 596, 599],
+      ['later', 610, 615]
+    ]);
+  });
+
+  test('hands a segment straddling the overlap midpoint to one chunk only', () => {
+    const segments = stitchSegments([
+      { start: 0, segments: [{ start: 593, end: 598, text: 'straddling' }] },
+      { start: 590, segments: [{ start: 3, end: 8, text: 'straddling' }] }
+    ], 10);
+
+    expect(segments).toEqual([{ start: 593, end: 598, text: 'straddling' }]);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps result order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight -= 1;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+});
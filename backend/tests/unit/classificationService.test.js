@@ -0,0 +1,54 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const classificationService = require('../../services/classificationService');
+
+const REASONS = [
+  { key: 'billing', name: 'Billing', description: 'billing question', keywords: ['invoice', 'charge'] },
+  { key: 'shipping', name: 'Shipping', description: 'shipping or delivery issue', keywords: ['order', 'delivery'] }
+];
+
+const SEGMENTS = [
+  { start: 0, end: 3, text: 'Thank you for calling, how can I help?', speaker: 'agent' },
+  { start: 3, end: 6, text: 'My order never arrived.', speaker: 'customer' }
+];
+
+const zeroShotResponse = (labels, scores) => axios.post.mockResolvedValueOnce({ data: { labels, scores } });
+
+describe('classificationService.classifyCall', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses a confident zero-shot label', async () => {
+    zeroShotResponse(['shipping or delivery issue', 'billing question'], [0.91, 0.09]);
+
+    const classification = await classificationService.classifyCall('', SEGMENTS, REASONS);
+
+    expect(classification).toMatchObject({ reason: 'shipping', confidence: 0.91, method: 'zero-shot' });
+  });
+
+  test('falls back to other when the best zero-shot label is under the threshold', async () => {
+    // A call that fits no reason spreads its scores across the labels
+    zeroShotResponse(['billing question', 'shipping or delivery issue'], [0.35, 0.3]);
+
+    const classification = await classificationService.classifyCall('', SEGMENTS, REASONS);
+
+    expect(classification).toMatchObject({ reason: 'other', reasonName: 'Other', confidence: 0.35, method: 'zero-shot' });
+    expect(classification.reasonSpans).toEqual([]);
+    expect(classification.subTopics).toEqual([]);
+  });
+
+  test('classifies by keywords when the model is unavailable', async () => {
+    axios.post.mockRejectedValueOnce(new Error('Service unavailable'));
+
+    const classification = await classificationService.classifyCall('', SEGMENTS, REASONS);
+
+    expect(classification).toMatchObject({ reason: 'shipping', method: 'keywords' });
+  });
+});
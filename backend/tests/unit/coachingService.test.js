@@ -0,0 +1,88 @@
+const coachingService = require('../../services/coachingService');
+
+const METRICS = {
+  callOpening: 60,
+  issueUnderstanding: 90,
+  sentimentAnalysis: 90,
+  politeness: 90,
+  clarity: 40,
+  engagement: 90,
+  relevance: 90,
+  csatScore: 90,
+  resolutionQuality: 90
+};
+
+const analysisWith = (overrides = {}) => ({
+  metrics: METRICS,
+  compliance: { score: 50, criticalFailures: 0 },
+  evidence: {
+    metrics: {
+      clarity: [
+        { segmentIndex: 4, start: 20, end: 26, speaker: 'agent', text: 'So basically what happens is, well, it depends' },
+        { segmentIndex: 5, start: 26, end: 28, speaker: 'customer', text: 'I am lost' },
+        { segmentIndex: 1, start: 3, end: 9, speaker: 'agent', text: 'There are several factors involved here' }
+      ]
+    },
+    issues: [
+      { text: 'Compliance: Recording disclosure - not found', complianceRule: 'recording-disclosure', spans: [] }
+    ]
+  },
+  ...overrides
+});
+
+const summarize = (areas) => areas.map(area => [area.skill, area.priority, area.score]);
+
+describe('coachingService.findFocusAreas', () => {
+  test('lists skills under target, urgent and lowest-scoring first', () => {
+    const areas = coachingService.findFocusAreas(analysisWith());
+
+    expect(summarize(areas)).toEqual([
+      ['clarity', 'high', 40],
+      ['compliance', 'medium', 50],
+      ['callOpening', 'medium', 60]
+    ]);
+    expect(areas[0].reasons).toEqual(['Clarity scored 40']);
+    expect(areas[1].reasons).toEqual(['Compliance: Recording disclosure - not found']);
+  });
+
+  test('makes compliance urgent when a critical rule failed', () => {
+    const areas = coachingService.findFocusAreas(analysisWith({ compliance: { score: 50, criticalFailures: 1 } }));
+
+    expect(summarize(areas)).toEqual([
+      ['clarity', 'high', 40],
+      ['compliance', 'high', 50],
+      ['callOpening', 'medium', 60]
+    ]);
+  });
+
+  test('quotes the agent\'s own moments in call order', () => {
+    const [clarity] = coachingService.findFocusAreas(analysisWith());
+
+    expect(clarity.examples.map(example => example.segmentIndex)).toEqual([1, 4]);
+  });
+
+  test('adds de-escalation for calls at risk', () => {
+    const risk = {
+      escalation: { score: 80, atRisk: true, reasons: [{ reason: 'Customer asked for a manager', spans: [] }] },
+      churn: { score: 10, atRisk: false, reasons: [] }
+    };
+
+    const areas = coachingService.findFocusAreas(analysisWith({ risk }));
+
+    expect(areas.find(area => area.skill === 'deEscalation')).toMatchObject({
+      priority: 'high',
+      score: 20,
+      reasons: ['Customer asked for a manager']
+    });
+  });
+
+  test('finds nothing to coach on a strong call', () => {
+    const areas = coachingService.findFocusAreas({
+      metrics: { ...METRICS, callOpening: 95, clarity: 95 },
+      compliance: { score: 100, criticalFailures: 0 },
+      evidence: { metrics: {}, issues: [] }
+    });
+
+    expect(areas).toEqual([]);
+  });
+});
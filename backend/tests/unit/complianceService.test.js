@@ -0,0 +1,23 @@
+const complianceService = require('../../services/complianceService');
+
+describe('complianceService.fuzzyMatch', () => {
+  test('matches accented Spanish disclosures', () => {
+    const match = complianceService.fuzzyMatch('esta llamada será grabada', 'Le informo que esta llamada será grabada.');
+
+    expect(match.similarity).toBe(1);
+    expect(match.text).toBe('esta llamada sera grabada');
+  });
+
+  test('matches French disclosures whose accents were dropped in transcription', () => {
+    const match = complianceService.fuzzyMatch('cet appel est enregistré', "Bonjour, cet appel est enregistre aujourd'hui");
+
+    expect(match.similarity).toBe(1);
+  });
+
+  test('does not let accented words collapse into fragments', () => {
+    const match = complianceService.fuzzyMatch('número de teléfono', 'mi numero de telefono es este');
+
+    expect(match.similarity).toBe(1);
+    expect(match.text).toBe('numero de telefono');
+  });
+});
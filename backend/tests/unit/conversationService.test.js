@@ -0,0 +1,29 @@
+const conversationService = require('../../services/conversationService');
+
+describe('conversationService.analyzeDynamics', () => {
+  test('reports no monologue for segments without speaker labels', () => {
+    const segments = Array.from({ length: 10 }, (_, i) => ({ start: i * 10, end: i * 10 + 9.5, text: `sentence ${i}` }));
+
+    const { metrics, evidence } = conversationService.analyzeDynamics(segments);
+
+    expect(metrics.longestMonologueSeconds).toBeNull();
+    expect(metrics.longestMonologueSpeaker).toBeNull();
+    expect(metrics.agentTalkRatio).toBeNull();
+    expect(evidence.longestMonologueSeconds).toEqual([]);
+    expect(conversationService.getFailedChecks(metrics)).not.toContain('longestMonologueSeconds');
+  });
+
+  test('measures the longest turn of a labelled conversation', () => {
+    const segments = [
+      { start: 0, end: 40, text: 'Let me explain the whole plan', speaker: 'agent' },
+      { start: 41, end: 80, text: 'and every option it has', speaker: 'agent' },
+      { start: 81, end: 84, text: 'Okay', speaker: 'customer' }
+    ];
+
+    const { metrics } = conversationService.analyzeDynamics(segments);
+
+    expect(metrics.longestMonologueSeconds).toBe(80);
+    expect(metrics.longestMonologueSpeaker).toBe('agent');
+    expect(conversationService.getFailedChecks(metrics)).toContain('longestMonologueSeconds');
+  });
+});
@@ -0,0 +1,38 @@
+const diarizationService = require('../../services/diarizationService');
+
+describe('diarizationService.diarize', () => {
+  const segments = [
+    { start: 0, end: 2, text: 'Thank you for calling' },
+    { start: 2, end: 4, text: 'Hi, my order is late', speaker: 'customer' }
+  ];
+
+  let original;
+
+  beforeEach(() => {
+    original = { mode: diarizationService.mode, command: diarizationService.command };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(diarizationService, original);
+    jest.restoreAllMocks();
+  });
+
+  test('keeps provider labels when no diarizer is configured', async () => {
+    diarizationService.command = undefined;
+
+    const labelled = await diarizationService.diarize('/tmp/call.wav', segments);
+
+    expect(labelled.map(segment => segment.speaker)).toEqual(['unknown', 'customer']);
+  });
+
+  test('falls back to unknown speakers with a warning when the command fails', async () => {
+    diarizationService.mode = 'auto';
+    diarizationService.command = `${process.execPath} -e process.exit(3)`;
+
+    const labelled = await diarizationService.diarize('/tmp/call.wav', segments);
+
+    expect(labelled.map(segment => segment.speaker)).toEqual(['unknown', 'customer']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Diarization command failed'), expect.any(String));
+  });
+});
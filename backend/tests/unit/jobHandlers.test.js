@@ -0,0 +1,15 @@
+const jobQueue = require('../../services/jobQueue');
+const { registerJobHandlers } = require('../../config/jobs');
+
+describe('registerJobHandlers', () => {
+  test('registers every job type the services enqueue', () => {
+    registerJobHandlers();
+
+    expect([...jobQueue.handlers.keys()].sort()).toEqual([
+      'coaching-session-due',
+      'deliver-alert-webhook',
+      'enforce-retention',
+      'process-call'
+    ]);
+  });
+});
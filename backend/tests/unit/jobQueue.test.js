@@ -0,0 +1,71 @@
+const jobQueue = require('../../services/jobQueue');
+const Job = require('../../models/Job');
+
+const TYPE = 'test-job';
+
+const job = (fields) => ({ _id: 'job-1', type: TYPE, payload: {}, attempts: 1, maxAttempts: 3, ...fields });
+
+describe('jobQueue failure handlers', () => {
+  let onFailed;
+
+  beforeEach(() => {
+    onFailed = jest.fn();
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jobQueue.handlers.delete(TYPE);
+    jobQueue.failureHandlers.delete(TYPE);
+    jest.restoreAllMocks();
+  });
+
+  test('run when the handler fails on the last attempt', async () => {
+    jobQueue.register(TYPE, async () => { throw new Error('Provider down'); }, { onFailed });
+
+    await jobQueue.execute(job({ attempts: 3 }));
+
+    expect(onFailed).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'job-1' }),
+      expect.objectContaining({ message: 'Provider down', code: 'JOB_FAILED' })
+    );
+  });
+
+  test('run when a job was claimed again after its worker died on every attempt', async () => {
+    const handler = jest.fn();
+    jobQueue.register(TYPE, handler, { onFailed });
+
+    await jobQueue.execute(job({ attempts: 4 }));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: 'job-1' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'failed' }) })
+    );
+    expect(onFailed).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'job-1' }),
+      expect.objectContaining({ code: 'MAX_ATTEMPTS_EXCEEDED' })
+    );
+  });
+
+  test('not run while the job has attempts left', async () => {
+    jobQueue.register(TYPE, async () => { throw new Error('Provider down'); }, { onFailed });
+
+    await jobQueue.execute(job({ attempts: 1 }));
+
+    expect(onFailed).not.toHaveBeenCalled();
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'queued' }) })
+    );
+  });
+
+  test('failing themselves does not fail the queue', async () => {
+    onFailed.mockRejectedValue(new Error('Database unavailable'));
+    jobQueue.register(TYPE, jest.fn(), { onFailed });
+
+    await expect(jobQueue.execute(job({ attempts: 4 }))).resolves.toBeUndefined();
+    expect(onFailed).toHaveBeenCalled();
+  });
+});
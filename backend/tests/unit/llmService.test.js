@@ -0,0 +1,147 @@
+const llmService = require('../../services/llmService');
+const { buildSchema, buildReplyCheck } = require('../../services/llm/callAnalysisPrompt');
+const { BUILT_IN_METRICS } = require('../../models/Scorecard');
+
+const SCORECARD = {
+  name: 'Support QA',
+  sections: [{
+    key: 'opening',
+    criteria: [
+      { key: 'greeting', name: 'Greets the customer' },
+      { key: 'verify', name: 'Verifies identity' }
+    ]
+  }]
+};
+
+const criterion = (key) => ({ key, score: 90, passed: true, reason: 'Done', segmentIndexes: [0] });
+
+const analysisReply = (criteria) => ({
+  summary: 'The customer asked about a late order.',
+  metrics: Object.fromEntries(BUILT_IN_METRICS.map(metric => [metric, 80])),
+  feedback: Object.fromEntries(BUILT_IN_METRICS.map(metric => [metric, 'Good'])),
+  keyPoints: [],
+  issues: [],
+  recommendations: [],
+  criteria
+});
+
+// A chat client answering with `replies` in turn
+const clientReplying = (...replies) => ({
+  chat: {
+    completions: {
+      create: jest.fn(async () => ({
+        model: 'test-model',
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        choices: [{ message: { content: replies.shift() } }]
+      }))
+    }
+  }
+});
+
+describe('llmService', () => {
+  describe('parseJson', () => {
+    test('parses a clean reply without repair', () => {
+      expect(llmService.parseJson('{"a":1}')).toEqual({ data: { a: 1 }, repaired: false });
+    });
+
+    test('repairs code fences, surrounding prose and trailing commas', () => {
+      const reply = 'Here is the analysis:\n```json\n{"a": [1, 2,], "b": {"c": true,},}\n```\nHope this helps!';
+
+      expect(llmService.parseJson(reply)).toEqual({ data: { a: [1, 2], b: { c: true } }, repaired: true });
+    });
+
+    test('gives up on replies without a JSON object', () => {
+      expect(llmService.parseJson('I cannot analyze this call.')).toBeNull();
+      expect(llmService.parseJson('{"a": 1')).toBeNull();
+    });
+  });
+
+  describe('completeJson', () => {
+    const schema = buildSchema(SCORECARD);
+    const check = buildReplyCheck(SCORECARD);
+    let client;
+
+    const useClient = (...replies) => {
+      client = clientReplying(...replies);
+      jest.spyOn(llmService, 'getClient').mockReturnValue(client);
+    };
+
+    // What the model was told about its previous reply
+    const feedbackSent = () => client.chat.completions.create.mock.calls
+      .slice(1)
+      .map(([request]) => request.messages[request.messages.length - 1].content);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('accepts a repaired reply on the first attempt', async () => {
+      useClient(`\`\`\`json\n${JSON.stringify(analysisReply([criterion('greeting'), criterion('verify')]))}\n\`\`\``);
+
+      const result = await llmService.completeJson([], schema, check);
+
+      expect(result).toMatchObject({ attempts: 1, repaired: true, model: 'test-model' });
+      expect(result.data.criteria.map(item => item.key)).toEqual(['greeting', 'verify']);
+    });
+
+    test('sends unparseable replies back and totals usage across attempts', async () => {
+      useClient('Sorry, here goes', JSON.stringify(analysisReply([criterion('greeting'), criterion('verify')])));
+
+      const result = await llmService.completeJson([], schema, check);
+
+      expect(result.attempts).toBe(2);
+      expect(result.usage).toEqual({ promptTokens: 20, completionTokens: 10, totalTokens: 30 });
+      expect(feedbackSent()).toEqual([expect.stringContaining('reply is not valid JSON')]);
+    });
+
+    test('retries when a criterion is judged twice and another is missing', async () => {
+      useClient(
+        JSON.stringify(analysisReply([criterion('greeting'), criterion('greeting')])),
+        JSON.stringify(analysisReply([criterion('verify'), criterion('greeting')]))
+      );
+
+      const result = await llmService.completeJson([], schema, check);
+
+      expect(result.attempts).toBe(2);
+      expect(feedbackSent()).toEqual([
+        expect.stringContaining('reply/criteria is missing verify, reply/criteria lists greeting more than once')
+      ]);
+    });
+
+    test('retries when criteria are left out', async () => {
+      useClient(
+        JSON.stringify(analysisReply([criterion('greeting')])),
+        JSON.stringify(analysisReply([criterion('greeting'), criterion('verify')]))
+      );
+
+      const result = await llmService.completeJson([], schema, check);
+
+      expect(result.attempts).toBe(2);
+      expect(feedbackSent()[0]).toContain('reply/criteria must NOT have fewer than 2 items');
+    });
+
+    test('fails after LLM_MAX_ATTEMPTS invalid replies', async () => {
+      useClient(...Array.from({ length: llmService.maxAttempts }, () => '{"summary": 3}'));
+
+      const error = await llmService.completeJson([], schema, check).catch(failure => failure);
+
+      expect(error.message).toMatch(`after ${llmService.maxAttempts} attempts`);
+      expect(error.attempts).toBe(llmService.maxAttempts);
+      expect(client.chat.completions.create).toHaveBeenCalledTimes(llmService.maxAttempts);
+    });
+
+    test('does not retry when the endpoint itself fails', async () => {
+      client = { chat: { completions: { create: jest.fn().mockRejectedValue(new Error('401 Unauthorized')) } } };
+      jest.spyOn(llmService, 'getClient').mockReturnValue(client);
+
+      const error = await llmService.completeJson([], schema, check).catch(failure => failure);
+
+      expect(error.message).toBe('401 Unauthorized');
+      expect(error.attempts).toBe(1);
+    });
+  });
+});
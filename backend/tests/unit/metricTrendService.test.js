@@ -0,0 +1,247 @@
+const metricTrendService = require('../../services/metricTrendService');
+const alertService = require('../../services/alertService');
+const jobQueue = require('../../services/jobQueue');
+const Alert = require('../../models/Alert');
+const Tenant = require('../../models/Tenant');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+const CURRENT = { start: new Date(NOW.getTime() - 7 * DAY_MS), end: NOW };
+const BASELINE_START = new Date(NOW.getTime() - 35 * DAY_MS);
+
+const repeat = (value, count) => Array(count).fill(value);
+
+const compare = (currentValues, baselineValues) =>
+  metricTrendService.compare(currentValues, baselineValues, CURRENT, BASELINE_START);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('compare', () => {
+  test('needs enough calls in both the current window and the baseline', () => {
+    const noTrend = { direction: 'insufficient-data', significant: false, trend: null };
+
+    expect(compare([60, 60], repeat(80, 8))).toEqual(noTrend);
+    expect(compare([60, 60, 60], repeat(80, 7))).toEqual(noTrend);
+  });
+
+  test('flags a drop using Welch\'s t statistic', () => {
+    const result = compare([60, 62, 58], [80, 82, 78, 80, 82, 78, 80, 80]);
+
+    expect(result.direction).toBe('drop');
+    expect(result.significant).toBe(true);
+    // (60 - 80) / sqrt(2² / 3 + 1.51² / 8)
+    expect(result.trend).toEqual(expect.objectContaining({
+      currentMean: 60,
+      currentCount: 3,
+      baselineMean: 80,
+      baselineStdDev: 1.5,
+      baselineCount: 8,
+      change: -20,
+      windowStart: CURRENT.start,
+      windowEnd: CURRENT.end,
+      baselineStart: BASELINE_START
+    }));
+    expect(result.trend.tStatistic).toBeCloseTo(-15.72, 2);
+  });
+
+  test('flags a spike', () => {
+    const result = compare([95, 96, 97], [80, 82, 78, 80, 82, 78, 80, 80]);
+
+    expect(result.direction).toBe('spike');
+    expect(result.significant).toBe(true);
+    expect(result.trend.change).toBe(16);
+  });
+
+  test('floors the standard error so identical scores don\'t make any change significant', () => {
+    const result = compare(repeat(60, 3), repeat(80, 8));
+
+    expect(result.trend.tStatistic).toBe(-20);
+    expect(result.significant).toBe(true);
+  });
+
+  test('ignores a large change within noisy scores', () => {
+    // t = -20 / sqrt(30² / 3) ≈ -1.15
+    const result = compare([30, 90, 60], repeat(80, 8));
+
+    expect(result.trend.change).toBe(-20);
+    expect(result.trend.tStatistic).toBeCloseTo(-1.15, 2);
+    expect(result.direction).toBe('stable');
+    expect(result.significant).toBe(false);
+  });
+
+  test('ignores a consistent change smaller than the minimum', () => {
+    const result = compare(repeat(75, 3), repeat(80, 8));
+
+    expect(result.trend.tStatistic).toBe(-5);
+    expect(result.direction).toBe('stable');
+    expect(result.significant).toBe(false);
+  });
+});
+
+describe('analyzeCalls', () => {
+  const windows = metricTrendService.getWindows(NOW);
+  const call = (daysAgo, overallScore) => ({
+    createdAt: new Date(NOW.getTime() - daysAgo * DAY_MS),
+    analysis: { overallScore }
+  });
+
+  test('splits the calls into rolling windows ending now', () => {
+    expect(windows).toHaveLength(5);
+    expect(windows[4]).toEqual(CURRENT);
+    expect(windows[0].start).toEqual(BASELINE_START);
+  });
+
+  test('averages every window and compares the latest with the ones before it', () => {
+    const calls = [
+      call(34, 80), call(30, 80),
+      call(27, 82), call(23, 78),
+      call(20, 80), call(16, 80),
+      call(13, 78), call(9, 82),
+      call(6, 60), call(4, 62), call(1, 58)
+    ];
+
+    const [trend, ...others] = metricTrendService.analyzeCalls(calls, windows);
+
+    // Metrics no call has a value for are left out
+    expect(others).toEqual([]);
+    expect(trend.metric).toBe('overallScore');
+    expect(trend.windows.map(window => [window.mean, window.count])).toEqual([
+      [80, 2], [80, 2], [80, 2], [80, 2], [60, 3]
+    ]);
+    expect(trend.direction).toBe('drop');
+    expect(trend.trend.baselineCount).toBe(8);
+  });
+});
+
+describe('raiseAlerts', () => {
+  test('alerts only on significant metrics and returns the alerts raised for the first time', async () => {
+    const raiseMetricAlert = jest.spyOn(alertService, 'raiseMetricAlert')
+      .mockResolvedValueOnce({ _id: 'new-alert' })
+      .mockResolvedValueOnce(null);
+    const target = { subject: 'agent', user: 'agent-1', tenant: 'tenant-1' };
+    const drop = { change: -20 };
+    const spike = { change: 15 };
+
+    const raised = await metricTrendService.raiseAlerts(target, {
+      metrics: [
+        { metric: 'clarity', significant: true, trend: drop },
+        { metric: 'politeness', significant: false, trend: { change: -3 } },
+        { metric: 'engagement', significant: true, trend: spike }
+      ]
+    });
+
+    expect(raiseMetricAlert.mock.calls).toEqual([
+      [target, 'clarity', drop],
+      [target, 'engagement', spike]
+    ]);
+    expect(raised).toEqual([{ _id: 'new-alert' }]);
+  });
+});
+
+describe('alertService.raiseMetricAlert', () => {
+  const agent = { subject: 'agent', user: 'agent-1', tenant: 'tenant-1', organization: 'org-1', team: 'team-1' };
+  const team = { subject: 'team', tenant: 'tenant-1', organization: 'org-1', team: 'team-1' };
+  const drop = { currentMean: 60, baselineMean: 80, change: -20, tStatistic: -15.72 };
+
+  let findRecent;
+  let upsert;
+  let enqueue;
+
+  const givenRecentAlert = (alert) => {
+    findRecent = jest.spyOn(Alert, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(alert) });
+  };
+
+  beforeEach(() => {
+    givenRecentAlert(null);
+    upsert = jest.spyOn(Alert, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      lastErrorObject: { updatedExisting: false },
+      value: { _id: 'alert-1', reasons: [], ...filter, ...update.$setOnInsert }
+    }));
+    enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    jest.spyOn(Tenant, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ settings: { alertWebhookUrls: ['https://hooks.example.com/qa'] } }) })
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('raises a new alert for the tenant\'s webhooks when none was raised within the cooldown', async () => {
+    const alert = await alertService.raiseMetricAlert(team, 'clarity', drop);
+
+    const [query] = findRecent.mock.calls[0];
+    expect(query).toEqual({
+      type: 'metric-drop',
+      metric: 'clarity',
+      subject: 'team',
+      user: null,
+      team: 'team-1',
+      createdAt: { $gte: expect.any(Date) }
+    });
+    expect(Date.now() - query.createdAt.$gte.getTime()).toBeCloseTo(7 * DAY_MS, -4);
+
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ cooldownKey: `metric-drop:clarity:team:team-1:${Math.floor(Date.now() / (7 * DAY_MS))}` });
+    expect(update.$setOnInsert).toEqual(expect.objectContaining({
+      type: 'metric-drop',
+      tenant: 'tenant-1',
+      team: 'team-1',
+      trend: drop,
+      status: 'open',
+      deliveries: [{ url: 'https://hooks.example.com/qa' }]
+    }));
+    expect(options).toEqual(expect.objectContaining({ upsert: true }));
+    expect(enqueue).toHaveBeenCalledWith(alertService.WEBHOOK_JOB, { alertId: 'alert-1', url: 'https://hooks.example.com/qa' }, { call: undefined });
+    expect(alert._id).toBe('alert-1');
+  });
+
+  test('keys agent alerts by agent and team alerts by team, each per direction', async () => {
+    jest.spyOn(alertService, 'getAgentRooms').mockResolvedValue([]);
+
+    await alertService.raiseMetricAlert(agent, 'clarity', { ...drop, change: 12 });
+
+    expect(findRecent.mock.calls[0][0]).toEqual({
+      type: 'metric-spike',
+      metric: 'clarity',
+      subject: 'agent',
+      user: 'agent-1',
+      createdAt: { $gte: expect.any(Date) }
+    });
+    expect(upsert.mock.calls[0][0].cooldownKey).toMatch(/^metric-spike:clarity:agent:agent-1:\d+$/);
+  });
+
+  test('leaves the alert to the job that inserted it first', async () => {
+    upsert.mockResolvedValueOnce({ lastErrorObject: { updatedExisting: true }, value: { _id: 'alert-1' } });
+    expect(await alertService.raiseMetricAlert(team, 'clarity', drop)).toBeNull();
+
+    upsert.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+    expect(await alertService.raiseMetricAlert(team, 'clarity', drop)).toBeNull();
+
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  test('refreshes the trend of an open alert instead of raising another', async () => {
+    const recent = { status: 'open', trend: { change: -12 }, save: jest.fn() };
+    givenRecentAlert(recent);
+
+    const alert = await alertService.raiseMetricAlert(team, 'clarity', drop);
+
+    expect(alert).toBeNull();
+    expect(recent.trend).toBe(drop);
+    expect(recent.save).toHaveBeenCalled();
+    expect(upsert).not.toHaveBeenCalled();
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  test('stays quiet after a recent alert was handled', async () => {
+    const recent = { status: 'resolved', trend: { change: -12 }, save: jest.fn() };
+    givenRecentAlert(recent);
+
+    const alert = await alertService.raiseMetricAlert(team, 'clarity', drop);
+
+    expect(alert).toBeNull();
+    expect(recent.save).not.toHaveBeenCalled();
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+const audioService = require('../../services/audioService');
+const redactionService = require('../../services/redactionService');
+
+// 4111 1111 1111 1111 passes the Luhn check; changing the last digit breaks it
+const VALID_CARD = '4111 1111 1111 1111';
+const INVALID_CARD = '4111 1111 1111 1112';
+
+describe('redactionService', () => {
+  describe('card detection', () => {
+    test('masks Luhn-valid card numbers', () => {
+      const { text, entities } = redactionService.redactText(`My card is ${VALID_CARD} thanks`);
+
+      expect(text).toBe('My card is [CARD] thanks');
+      expect(entities).toEqual([{ type: 'card', index: 11, length: VALID_CARD.length }]);
+    });
+
+    test('leaves digit runs that fail the Luhn check as cards', () => {
+      const { entities } = redactionService.redactText(`Reference ${INVALID_CARD}`);
+
+      expect(entities.map(entity => entity.type)).not.toContain('card');
+    });
+
+    test('recognises card numbers read out as words', () => {
+      const spoken = 'four one one one one one one one one one one one one one one one';
+
+      const { text } = redactionService.redactText(`It is ${spoken} okay`);
+
+      expect(text).toBe('It is [CARD] okay');
+    });
+  });
+
+  describe('redactTranscript', () => {
+    test('estimates each entity\'s audio range within its segment', () => {
+      const { redactions } = redactionService.redactTranscript({
+        text: 'ignored',
+        segments: [{ start: 10, end: 20, text: `Card ${VALID_CARD} please, thanks!` }]
+      });
+
+      // 40 characters over 10 seconds, entity at characters 5-24, padded by 0.5s
+      expect(redactions).toEqual([{ type: 'card', segmentIndex: 0, start: 10.75, end: 16.5 }]);
+    });
+
+    test('masks a card number split across two segments', () => {
+      const { transcript, redactions } = redactionService.redactTranscript({
+        text: 'My card is 4111 1111 1111 1111',
+        segments: [
+          { start: 0, end: 4, text: 'My card is 4111 1111', speaker: 'customer' },
+          { start: 5, end: 8, text: '1111 1111', speaker: 'customer' },
+          { start: 8, end: 10, text: 'Thank you', speaker: 'agent' }
+        ]
+      });
+
+      expect(transcript.text).toBe('My card is [CARD]');
+      expect(transcript.segments.map(segment => segment.text)).toEqual(['My card is [CARD]', '[CARD]', 'Thank you']);
+      expect(redactions).toHaveLength(1);
+      expect(redactions[0]).toMatchObject({ type: 'card', segmentIndex: 0, end: 8 });
+      expect(redactions[0].start).toBeLessThan(4);
+    });
+
+    test('masks an SSN split across two segments', () => {
+      const { transcript, redactions } = redactionService.redactTranscript({
+        text: '',
+        segments: [
+          { start: 0, end: 2, text: 'It is 123-45' },
+          { start: 2, end: 3, text: '6789' }
+        ]
+      });
+
+      expect(transcript.segments.map(segment => segment.text)).toEqual(['It is [SSN]', '[SSN]']);
+      expect(redactions.map(redaction => redaction.type)).toEqual(['ssn']);
+    });
+
+    test('does not change segments without sensitive data', () => {
+      const segments = [{ start: 0, end: 2, text: 'Hello there' }, { start: 2, end: 4, text: 'Hi' }];
+
+      const { transcript, redactions } = redactionService.redactTranscript({ text: 'Hello there Hi', segments });
+
+      expect(transcript.segments).toEqual(segments);
+      expect(redactions).toEqual([]);
+    });
+  });
+
+  describe('redactAudio', () => {
+    let audioMode;
+
+    beforeEach(() => {
+      audioMode = redactionService.audioMode;
+      jest.spyOn(audioService, 'bleep').mockImplementation(async (filePath, ranges, outputPath) => outputPath);
+    });
+
+    afterEach(() => {
+      redactionService.audioMode = audioMode;
+      jest.restoreAllMocks();
+    });
+
+    test('bleeps only redactions with a time range into a copy', async () => {
+      redactionService.audioMode = 'copy';
+
+      const redactedPath = await redactionService.redactAudio('/uploads/call.mp3', [
+        { type: 'card', segmentIndex: 0, start: 1.5, end: 6 },
+        { type: 'email', segmentIndex: null, start: null, end: null },
+        { type: 'phone', segmentIndex: 2, start: 12, end: 12 }
+      ]);
+
+      expect(redactedPath).toBe('/uploads/call-redacted.mp3');
+      expect(audioService.bleep).toHaveBeenCalledWith(
+        '/uploads/call.mp3',
+        [{ type: 'card', segmentIndex: 0, start: 1.5, end: 6 }],
+        '/uploads/call-redacted.mp3'
+      );
+    });
+
+    test('leaves the audio alone when audio redaction is off', async () => {
+      redactionService.audioMode = 'off';
+
+      const redactedPath = await redactionService.redactAudio('/uploads/call.mp3', [{ type: 'card', start: 1, end: 2 }]);
+
+      expect(redactedPath).toBeNull();
+      expect(audioService.bleep).not.toHaveBeenCalled();
+    });
+  });
+});
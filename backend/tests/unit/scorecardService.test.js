@@ -0,0 +1,112 @@
+const scorecardService = require('../../services/scorecardService');
+const Scorecard = require('../../models/Scorecard');
+
+const { checkPattern } = Scorecard;
+
+const scorecardWith = (rule) => ({
+  name: 'Support QA',
+  version: 1,
+  passThreshold: 70,
+  sections: [{ key: 'conversation', name: 'Conversation', criteria: [{ key: 'criterion', name: 'Criterion', rule }] }]
+});
+
+const scoreCriterion = (rule, metrics) => scorecardService
+  .scoreCall(scorecardWith(rule), { segments: [], metrics })
+  .sections[0].criteria[0];
+
+describe('scorecardService metric rules', () => {
+  test('pass conversation metrics at or below their limit by default', () => {
+    const rule = { type: 'metric', metric: 'interruptionCount', threshold: 1 };
+
+    expect(scoreCriterion(rule, { interruptionCount: 1 })).toMatchObject({ score: 100, passed: true, value: 1 });
+    expect(scoreCriterion(rule, { interruptionCount: 3 })).toMatchObject({ score: 0, passed: false, value: 3 });
+  });
+
+  test('use the metric unit for thresholds above 100', () => {
+    const rule = { type: 'metric', metric: 'holdSeconds', threshold: 180 };
+
+    expect(scoreCriterion(rule, { holdSeconds: 150 }).passed).toBe(true);
+  });
+
+  test('honour an explicit atLeast comparison', () => {
+    const rule = { type: 'metric', metric: 'agentTalkRatio', threshold: 30, comparison: 'atLeast' };
+
+    expect(scoreCriterion(rule, { agentTalkRatio: 20 }).passed).toBe(false);
+    expect(scoreCriterion(rule, { agentTalkRatio: 45 }).passed).toBe(true);
+  });
+
+  test('fail when the call has no value for the metric', () => {
+    const rule = { type: 'metric', metric: 'avgResponseLatencySeconds', threshold: 3 };
+
+    expect(scoreCriterion(rule, { avgResponseLatencySeconds: null })).toMatchObject({ score: 0, passed: false });
+  });
+
+  test('keep scoring rubric metrics as 0-100 minimums', () => {
+    const rule = { type: 'metric', metric: 'clarity', threshold: 70 };
+
+    expect(scoreCriterion(rule, { clarity: 82 })).toMatchObject({ score: 82, passed: true });
+    expect(scoreCriterion(rule, { clarity: 64 })).toMatchObject({ score: 64, passed: false });
+  });
+});
+
+describe('scorecardService regex rules', () => {
+  const segments = [{ speaker: 'agent', text: 'Thank you for calling, my name is Sam', start: 0, end: 3 }];
+  const scoreText = (rule) => scorecardService
+    .scoreCall(scorecardWith(rule), { segments, metrics: {} })
+    .sections[0].criteria[0];
+
+  test('match each segment against the pattern', () => {
+    const criterion = scoreText({ type: 'regex', speaker: 'agent', pattern: 'my name is \\w+' });
+
+    expect(criterion).toMatchObject({ score: 100, passed: true });
+    expect(criterion.matches[0].text).toBe('my name is Sam');
+  });
+
+  test('fail without running a pattern saved before patterns were checked', () => {
+    expect(scoreText({ type: 'regex', speaker: 'agent', pattern: '(\\w+\\s?)+$' })).toEqual({
+      key: 'criterion',
+      name: 'Criterion',
+      score: 0,
+      passed: false,
+      matches: [],
+      error: 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+',
+      source: 'rule'
+    });
+  });
+});
+
+describe('Scorecard regex patterns', () => {
+  test.each([
+    'my name is \\w+',
+    '(thank you|thanks)( for calling)?',
+    '\\b(?:order|case) (?:number|#)\\s*\\d{4,}',
+    '(a+|b)c',
+    '([*+]\\d)+'
+  ])('%s is accepted', (pattern) => {
+    expect(checkPattern(pattern)).toBeNull();
+  });
+
+  test.each([
+    ['(a+)+$', 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+'],
+    ['(\\w*\\s?)*x', 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+'],
+    ['((ab)+c){2,}', 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+'],
+    ['(?:x\\d{1,3})+', 'Patterns cannot repeat a group that contains a repetition, e.g. (a+)+'],
+    ['(a)\\1', 'Patterns cannot use backreferences'],
+    ['(', 'Invalid regular expression']
+  ])('%s is rejected', (pattern, error) => {
+    expect(checkPattern(pattern)).toBe(error);
+  });
+
+  test('are at most 200 characters long', () => {
+    expect(checkPattern('a'.repeat(200))).toBeNull();
+    expect(checkPattern('a'.repeat(201))).toBe('Pattern cannot exceed 200 characters');
+  });
+
+  test('are checked when a scorecard is saved', () => {
+    const scorecard = new Scorecard(scorecardWith({ type: 'regex', pattern: '(a+)+$' }));
+
+    const error = scorecard.validateSync();
+    expect(error.errors['sections.0.criteria.0.rule.pattern'].message)
+      .toBe('Patterns cannot repeat a group that contains a repetition, e.g. (a+)+');
+  });
+});
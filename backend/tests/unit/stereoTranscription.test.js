@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const audioService = require('../../services/audioService');
+const openaiService = require('../../services/openaiService');
+
+describe('openaiService.transcribeStereo', () => {
+  let dir;
+  let provider;
+
+  const writeChannels = (left, right) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omind-stereo-test-'));
+    const channels = { left: path.join(dir, 'left.wav'), right: path.join(dir, 'right.wav'), dir };
+    fs.writeFileSync(channels.left, left);
+    fs.writeFileSync(channels.right, right);
+    jest.spyOn(audioService, 'splitChannels').mockResolvedValue(channels);
+  };
+
+  beforeEach(() => {
+    provider = {
+      name: 'test',
+      supportsChunking: false,
+      transcribe: jest.fn(async (filePath) => ({
+        text: path.basename(filePath) === 'left.wav' ? 'Thank you for calling' : 'My order is late',
+        segments: [{ start: 0, end: 2, text: path.basename(filePath) === 'left.wav' ? 'Thank you for calling' : 'My order is late' }]
+      }))
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('transcribes identical channels once and counts progress as mono', async () => {
+    writeChannels('same audio', 'same audio');
+    const onProgress = jest.fn();
+
+    const transcript = await openaiService.transcribeStereo(provider, '/tmp/call.wav', { chunkCount: 1, onProgress });
+
+    expect(provider.transcribe).toHaveBeenCalledTimes(1);
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([{ completed: 1, total: 1 }]);
+    expect(transcript.segments[0].speaker).toBe('unknown');
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+
+  test('labels speakers by channel when the channels differ', async () => {
+    writeChannels('agent audio', 'customer audio');
+    const onProgress = jest.fn();
+
+    const transcript = await openaiService.transcribeStereo(provider, '/tmp/call.wav', { chunkCount: 1, onProgress });
+
+    expect(provider.transcribe).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenLastCalledWith({ completed: 2, total: 2 });
+    expect(transcript.segments.map(segment => [segment.speaker, segment.channel])).toEqual([
+      ['agent', 'left'],
+      ['customer', 'right']
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+const dns = require('dns');
+const axios = require('axios');
+const { checkWebhookUrl, isPrivateAddress, lookupPublicAddress, BLOCKED_HOST } = require('../../services/webhookAddress');
+const alertService = require('../../services/alertService');
+const Alert = require('../../models/Alert');
+const Tenant = require('../../models/Tenant');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkWebhookUrl', () => {
+  test('accepts https URLs on public hosts', () => {
+    expect(checkWebhookUrl('https://hooks.example.com/qa')).toBeNull();
+    expect(checkWebhookUrl('https://93.184.216.34/qa')).toBeNull();
+  });
+
+  test('requires https', () => {
+    expect(checkWebhookUrl('http://hooks.example.com/qa')).toBe('Webhook URLs must use https: http://hooks.example.com/qa');
+    expect(checkWebhookUrl('not a url')).toBe('not a url is not a valid URL');
+  });
+
+  test.each([
+    'https://localhost/qa',
+    'https://api.localhost/qa',
+    'https://metadata.google.internal/computeMetadata/v1/',
+    'https://127.0.0.1/qa',
+    'https://2130706433/qa',
+    'https://169.254.169.254/latest/meta-data/',
+    'https://10.0.0.5/qa',
+    'https://172.16.4.1/qa',
+    'https://192.168.1.1/qa',
+    'https://0.0.0.0/qa',
+    'https://[::1]/qa',
+    'https://[fe80::1]/qa',
+    'https://[fd00::1]/qa',
+    'https://[::ffff:127.0.0.1]/qa'
+  ])('rejects %s', (url) => {
+    expect(checkWebhookUrl(url)).toBe(`Webhook URLs must point to a public host: ${url}`);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('only flags IP addresses in private ranges', () => {
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+    expect(isPrivateAddress('hooks.example.com')).toBe(false);
+    expect(isPrivateAddress('100.64.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:a00:1')).toBe(true);
+  });
+});
+
+describe('lookupPublicAddress', () => {
+  const resolveTo = (...addresses) => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  });
+  const lookup = (hostname) => new Promise((resolve, reject) => {
+    lookupPublicAddress(hostname, { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+  });
+
+  test('passes public addresses through', async () => {
+    resolveTo('93.184.216.34', '2606:2800:220:1::1');
+
+    expect(await lookup('hooks.example.com')).toHaveLength(2);
+  });
+
+  test('refuses a name with any private address', async () => {
+    resolveTo('93.184.216.34', '169.254.169.254');
+
+    await expect(lookup('rebind.example.com')).rejects.toMatchObject({
+      code: BLOCKED_HOST,
+      message: 'rebind.example.com resolves to a private address (169.254.169.254)'
+    });
+  });
+});
+
+describe('alertService.deliverWebhook', () => {
+  let post;
+  let updateOne;
+
+  beforeEach(() => {
+    jest.spyOn(Alert, 'findById').mockReturnValue({
+      populate: async () => ({
+        _id: 'alert-1',
+        tenant: 'tenant-1',
+        type: 'metric-drop',
+        reasons: [],
+        deliveries: [{ url: 'http://169.254.169.254/latest', attempts: 0 }]
+      })
+    });
+    jest.spyOn(Tenant, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ settings: {} }) })
+    });
+    post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+    updateOne = jest.spyOn(Alert, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('never POSTs to a private URL saved before URLs were checked', async () => {
+    await alertService.deliverWebhook({ alertId: 'alert-1', url: 'http://169.254.169.254/latest' });
+
+    expect(post).not.toHaveBeenCalled();
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'alert-1', 'deliveries.url': 'http://169.254.169.254/latest' },
+      { $set: expect.objectContaining({ 'deliveries.$.status': 'failed' }) }
+    );
+  });
+});
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+// Import config
+const { connectDB } = require('./config/database');
+const { registerJobHandlers } = require('./config/jobs');
+
+// Import services
+const jobQueue = require('./services/jobQueue');
+const tenantService = require('./services/tenantService');
+const socketRelay = require('./services/socketRelay');
+
+const startWorker = async () => {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    // No sockets here: status updates and alerts go out through the API servers
+    global.io = await socketRelay.createEmitter();
+
+    registerJobHandlers();
+    jobQueue.start();
+    await tenantService.scheduleRetention();
+  } catch (error) {
+    console.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  }
+};
+
+// Finish running jobs before exiting; anything left is picked up again
+// by another worker once its visibility timeout expires
+process.on('SIGTERM', async () => {
+  console.log('🛑 SIGTERM received, stopping worker');
+  await jobQueue.stop();
+  process.exit(0);
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (err) => {
+  console.error('Unhandled Rejection:', err);
+  process.exit(1);
+});
+
+startWorker();